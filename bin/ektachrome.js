@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Ektachrome command line
+ *
+ *   ektachrome serve [--root <dir>] [--port <n>] [--host <host>]
+ *                    [--include <glob>]... [--exclude <glob>]...
+ *                    [--tokens-file <file>] [--tailwind-config <file> | --no-tailwind]
+ *                    [--editor <command>]
+ *   ektachrome audit [--root <dir>] [--include <glob>]... [--exclude <glob>]...
+ *                    [--format markdown|json] [--min-score <n>] [--min-color-coverage <n>]
+ *                    [--min-spacing-consistency <n>] [--max-unused <n>]
+ */
+
+import { parseArgs } from 'util';
+import { createEktachromeServer } from '../server/serve.js';
+import { auditProject, checkThresholds, formatMarkdown } from '../server/audit.js';
+
+const USAGE = `Usage: ektachrome <command> [options]
+
+Commands:
+  serve   Serve a project's static files with the /__ektachrome write-back API
+  audit   Audit the project's stylesheets; exits 1 when a threshold is breached
+
+Serve options:
+  --root <dir>              Project root to serve (default: current directory)
+  --port <n>                Port to listen on (default: 5178)
+  --host <host>             Host to bind (default: localhost)
+  --include <glob>          Stylesheets/Vue/Svelte files to scan (repeatable)
+  --exclude <glob>          Patterns to exclude (repeatable)
+  --tokens-file <file>      DTCG tokens.json to use as the source of truth
+  --tailwind-config <file>  Tailwind config path (default: auto-detect)
+  --no-tailwind             Don't read a Tailwind config
+  --editor <command>        Editor for "open in editor" (default: $EDITOR, then code)
+
+Audit options:
+  --root <dir>              Project root to audit (default: current directory)
+  --include <glob>          Stylesheets/Vue/Svelte files to scan (repeatable)
+  --exclude <glob>          Patterns to exclude (repeatable)
+  --format <format>         markdown or json (default: markdown)
+  --min-score <n>           Fail below this health score (0-100)
+  --min-color-coverage <n>  Fail below this color token coverage (%)
+  --min-spacing-consistency <n>
+                            Fail below this spacing grid consistency (%)
+  --max-unused <n>          Fail with more unused variables than this
+
+  -h, --help                Show this help
+`;
+
+function fail(message) {
+  console.error(`[ektachrome] ${message}\n`);
+  console.error(USAGE);
+  process.exit(1);
+}
+
+let parsed;
+try {
+  parsed = parseArgs({
+    allowPositionals: true,
+    options: {
+      root: { type: 'string' },
+      port: { type: 'string', default: '5178' },
+      host: { type: 'string', default: 'localhost' },
+      include: { type: 'string', multiple: true },
+      exclude: { type: 'string', multiple: true },
+      'tokens-file': { type: 'string' },
+      'tailwind-config': { type: 'string' },
+      'no-tailwind': { type: 'boolean', default: false },
+      editor: { type: 'string' },
+      format: { type: 'string', default: 'markdown' },
+      'min-score': { type: 'string' },
+      'min-color-coverage': { type: 'string' },
+      'min-spacing-consistency': { type: 'string' },
+      'max-unused': { type: 'string' },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+} catch (e) {
+  fail(e.message);
+}
+
+const { values, positionals } = parsed;
+const [command] = positionals;
+
+if (values.help || !command) {
+  console.log(USAGE);
+  process.exit(values.help ? 0 : 1);
+}
+
+if (command === 'serve') {
+  serve();
+} else if (command === 'audit') {
+  // exitCode rather than exit(), so piped output is flushed first
+  process.exitCode = await audit();
+} else {
+  fail(`Unknown command: ${command}`);
+}
+
+function serve() {
+  const port = Number(values.port);
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    fail(`Invalid port: ${values.port}`);
+  }
+
+  const server = createEktachromeServer({
+    root: values.root,
+    include: values.include,
+    exclude: values.exclude,
+    tokensFile: values['tokens-file'],
+    tailwindConfig: values['no-tailwind'] ? false : values['tailwind-config'],
+    editor: values.editor
+  });
+
+  server.on('error', e => {
+    console.error(`[ektachrome] ${e.message}`);
+    process.exit(1);
+  });
+
+  server.listen(port, values.host, () => {
+    const { port: actualPort } = server.address();
+    console.log(`[ektachrome] Serving ${values.root || process.cwd()} at http://${values.host}:${actualPort}/`);
+  });
+}
+
+/**
+ * Run the audit and print the report
+ * @returns {Promise<number>} Exit code: 1 when a threshold is breached
+ */
+async function audit() {
+  if (!['markdown', 'json'].includes(values.format)) {
+    fail(`Invalid format: ${values.format}`);
+  }
+
+  const thresholds = {
+    minScore: numberOption('min-score'),
+    minColorCoverage: numberOption('min-color-coverage'),
+    minSpacingConsistency: numberOption('min-spacing-consistency'),
+    maxUnused: numberOption('max-unused')
+  };
+
+  const report = await auditProject({
+    root: values.root,
+    include: values.include,
+    exclude: values.exclude
+  });
+  const failures = checkThresholds(report, thresholds);
+
+  if (values.format === 'json') {
+    console.log(JSON.stringify({ ...report, thresholds, failures, passed: failures.length === 0 }, null, 2));
+  } else {
+    console.log(formatMarkdown(report, failures));
+  }
+
+  return failures.length > 0 ? 1 : 0;
+}
+
+function numberOption(name) {
+  if (values[name] === undefined) return undefined;
+  const n = Number(values[name]);
+  if (!Number.isFinite(n)) {
+    fail(`Invalid --${name}: ${values[name]}`);
+  }
+  return n;
+}
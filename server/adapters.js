@@ -0,0 +1,45 @@
+/**
+ * Ektachrome write-back for dev servers other than Vite.
+ *
+ * Thin wrappers around createEktachromeMiddleware(); every adapter serves
+ * the same `/__ektachrome/*` API.
+ *
+ *   // Express
+ *   app.use(ektachromeExpress({ include: ['src/**\/*.css'] }));
+ *
+ *   // webpack.config.js
+ *   devServer: { setupMiddlewares: ektachromeWebpack({ include: ['src/**\/*.css'] }) }
+ */
+
+import { createEktachromeMiddleware } from './middleware.js';
+
+/**
+ * Express middleware
+ * Works before or after `express.json()`; a parsed `req.body` is reused.
+ * @param {Object} [options] - Same options as createEktachromeMiddleware()
+ * @returns {Function} `(req, res, next)` handler for `app.use()`, with the middleware's `sessionToken`
+ */
+export function ektachromeExpress(options = {}) {
+  const middleware = createEktachromeMiddleware(options);
+  const handler = (req, res, next) => middleware(req, res, next);
+  handler.sessionToken = middleware.sessionToken;
+  return handler;
+}
+
+/**
+ * webpack-dev-server (v4.7+) `setupMiddlewares` hook
+ * The API is mounted ahead of webpack's own middlewares. Pass an existing
+ * hook as `setupMiddlewares` to chain it.
+ * @param {Object} [options] - Same options as createEktachromeMiddleware()
+ * @param {Function} [setupMiddlewares] - Existing hook to run afterwards
+ * @returns {(middlewares: Array, devServer: Object) => Array}
+ */
+export function ektachromeWebpack(options = {}, setupMiddlewares = null) {
+  return (middlewares, devServer) => {
+    const root = options.root || devServer?.compiler?.context || process.cwd();
+    const middleware = createEktachromeMiddleware({ ...options, root });
+
+    middlewares.unshift({ name: 'ektachrome', middleware });
+    return setupMiddlewares ? setupMiddlewares(middlewares, devServer) : middlewares;
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Headless design system audit for Ektachrome.
+ *
+ * Runs the same analysis as the in-browser audit (color token coverage,
+ * spacing consistency, unused variables, naming patterns and the health
+ * score) on source stylesheets instead of `document.styleSheets`, for the
+ * `ektachrome audit` CLI and CI checks.
+ */
+
+import { readFile } from 'fs/promises';
+import { relative } from 'path';
+import { DEFAULT_INCLUDE, findCSSFiles, extractDeclarations, getSyntax } from './css-parser.js';
+import { isColor } from './colors.js';
+import { splitComponents } from './tokenize.js';
+import { generateAuditReport, calculateHealthScore, getScoreLabel } from '../src/scanner/audit-report.js';
+
+// Longhands collected as raw colors, like the browser audit
+const COLOR_PROPERTIES = ['color', 'background-color', 'border-color'];
+// Shorthands whose color components count too (the CSSOM expands these)
+const COLOR_SHORTHANDS = /^(background|outline|border(-(top|right|bottom|left|block|inline)(-(start|end))?)?)$/;
+const SPACING_PROPERTIES = /^((padding|margin)(-(top|right|bottom|left|block|inline)(-(start|end))?)?|(row-|column-)?gap)$/;
+const TYPOGRAPHY_PROPERTIES = ['font-size', 'line-height'];
+const RADIUS_PROPERTIES = /^border(-(top|bottom)-(left|right))?-radius$/;
+
+// Selectors whose custom properties are global tokens
+const ROOT_SELECTORS = [':root', 'html', ':host'];
+
+/**
+ * Collect variables and raw values from stylesheet sources
+ * @param {Array<{file: string, content: string}>} sources - `file` is used for the syntax and reported as `sheet`
+ * @returns {{variables: Array, rawValues: {colors: Array, spacing: Array, typography: Array, radii: Array}, unusedVariables: string[], definedCount: number, usedCount: number}}
+ *   Same shape as the browser audit's scan, with `sheet` and `line` on every entry
+ */
+export function scanStylesheetSources(sources) {
+  const variables = [];
+  const rawValues = { colors: [], spacing: [], typography: [], radii: [] };
+  const defined = new Set();
+  const used = new Set();
+
+  for (const { file, content } of sources) {
+    for (const decl of extractDeclarations(content, getSyntax(file))) {
+      const { name: property, value, selector, line } = decl;
+      const entry = { property, value, selector, sheet: file, line };
+
+      for (const match of value.matchAll(/var\(\s*(--[\w-]+)/g)) {
+        used.add(match[1]);
+      }
+
+      if (property.startsWith('--')) {
+        variables.push({ name: property, value, selector, sheet: file, line });
+        if (selector.split(',').some(s => ROOT_SELECTORS.includes(s.trim()))) {
+          defined.add(property);
+        }
+        continue;
+      }
+
+      if (COLOR_PROPERTIES.includes(property)) {
+        rawValues.colors.push(entry);
+      } else if (COLOR_SHORTHANDS.test(property)) {
+        for (const component of splitComponents(value)) {
+          if (isColor(component)) rawValues.colors.push({ ...entry, value: component });
+        }
+      } else if (SPACING_PROPERTIES.test(property)) {
+        for (const component of splitComponents(value)) {
+          rawValues.spacing.push({ ...entry, value: component });
+        }
+      } else if (TYPOGRAPHY_PROPERTIES.includes(property)) {
+        rawValues.typography.push(entry);
+      } else if (RADIUS_PROPERTIES.test(property)) {
+        rawValues.radii.push(entry);
+      }
+    }
+  }
+
+  return {
+    variables,
+    rawValues,
+    unusedVariables: [...defined].filter(v => !used.has(v)),
+    definedCount: defined.size,
+    usedCount: used.size
+  };
+}
+
+/**
+ * Audit a project's stylesheets
+ * @param {Object} [options]
+ * @param {string} [options.root] - Project root (default: process.cwd())
+ * @param {string[]} [options.include] - Glob patterns for CSS/SCSS/Less files to scan
+ * @param {string[]} [options.exclude] - Patterns to exclude
+ * @returns {Promise<Object>} Audit report plus `healthScore` and the scanned `files`
+ */
+export async function auditProject({ root = process.cwd(), include = DEFAULT_INCLUDE, exclude = ['node_modules/**', 'dist/**'] } = {}) {
+  const files = await findCSSFiles(root, include, exclude);
+  const sources = [];
+  for (const file of files) {
+    sources.push({ file: relative(root, file), content: await readFile(file, 'utf-8') });
+  }
+
+  const report = generateAuditReport(scanStylesheetSources(sources), null);
+  report.files = sources.map(s => s.file);
+  report.healthScore = calculateHealthScore(report);
+  return report;
+}
+
+/**
+ * Check a report against CI thresholds
+ * Percentages are 0-100, like the scores shown in the audit panel.
+ * @param {Object} report - From auditProject
+ * @param {Object} thresholds
+ * @param {number} [thresholds.minScore] - Lowest acceptable health score
+ * @param {number} [thresholds.minColorCoverage] - Lowest color token coverage (%)
+ * @param {number} [thresholds.minSpacingConsistency] - Lowest spacing grid consistency (%)
+ * @param {number} [thresholds.maxUnused] - Most unused variables allowed
+ * @returns {Array<{metric: string, actual: number, limit: number, message: string}>} Breached thresholds
+ */
+export function checkThresholds(report, thresholds = {}) {
+  const { minScore, minColorCoverage, minSpacingConsistency, maxUnused } = thresholds;
+  const actual = {
+    score: report.healthScore.total,
+    colorCoverage: Math.round((report.basicAnalysis.colorTokenCoverage?.coverage || 0) * 100),
+    spacingConsistency: Math.round((report.basicAnalysis.spacingConsistency?.consistency || 0) * 100),
+    unused: report.summary.unusedVariables
+  };
+  const failures = [];
+
+  const atLeast = (metric, limit, label, unit = '') => {
+    if (limit !== undefined && actual[metric] < limit) {
+      failures.push({ metric, actual: actual[metric], limit, message: `${label} ${actual[metric]}${unit} is below ${limit}${unit}` });
+    }
+  };
+  atLeast('score', minScore, 'Health score');
+  atLeast('colorCoverage', minColorCoverage, 'Color token coverage', '%');
+  atLeast('spacingConsistency', minSpacingConsistency, 'Spacing consistency', '%');
+
+  if (maxUnused !== undefined && actual.unused > maxUnused) {
+    failures.push({ metric: 'unused', actual: actual.unused, limit: maxUnused, message: `${actual.unused} unused variables (at most ${maxUnused} allowed)` });
+  }
+
+  return failures;
+}
+
+/**
+ * Format a report as Markdown, e.g. for a PR comment
+ * @param {Object} report - From auditProject
+ * @param {Array} [failures] - From checkThresholds
+ * @returns {string}
+ */
+export function formatMarkdown(report, failures = []) {
+  const { summary, basicAnalysis, healthScore } = report;
+  const { label } = getScoreLabel(healthScore.total);
+  const colorCoverage = Math.round((basicAnalysis.colorTokenCoverage?.coverage || 0) * 100);
+  const spacingConsistency = Math.round((basicAnalysis.spacingConsistency?.consistency || 0) * 100);
+
+  let md = `# Design System Audit
+
+**Score: ${healthScore.total}/100** (${label})
+
+| Category | Score |
+|----------|-------|
+| Color    | ${healthScore.breakdown.color} |
+| Spacing  | ${healthScore.breakdown.spacing} |
+| Hygiene  | ${healthScore.breakdown.hygiene} |
+| Naming   | ${healthScore.breakdown.naming} |
+
+## Coverage
+
+- Color: ${colorCoverage}% (${basicAnalysis.colorTokenCoverage?.hardcodedColors || 0} hardcoded values)
+- Spacing: ${spacingConsistency}% on a ${basicAnalysis.spacingConsistency?.baseUnit || 4}px grid
+
+## Tokens
+
+- ${summary.totalVariables} defined
+- ${summary.usedVariables} in use
+- ${summary.unusedVariables} orphaned${summary.unusedVariables > 0 ? `: ${report.data.unusedVariables.slice(0, 20).map(v => `\`${v}\``).join(', ')}${summary.unusedVariables > 20 ? ', ...' : ''}` : ''}
+`;
+
+  if (report.recommendations.length > 0) {
+    md += '\n## Recommendations\n\n';
+    for (const rec of report.recommendations) {
+      md += `- **${rec.priority}**: ${rec.action}\n`;
+    }
+  }
+
+  if (failures.length > 0) {
+    md += '\n## Failed thresholds\n\n';
+    for (const failure of failures) {
+      md += `- ${failure.message}\n`;
+    }
+  }
+
+  return md;
+}
@@ -0,0 +1,147 @@
+/**
+ * CSS color parsing for the server side of Ektachrome.
+ *
+ * The browser client parses colors with a canvas (see
+ * src/utils/color-conversion.js); Node has no such thing, so this module
+ * covers the sRGB spellings source files actually use: hex, rgb()/rgba(),
+ * hsl()/hsla() in both comma and space syntax, named colors and
+ * `transparent`. Used to tell that `#3b82f6` and `rgb(59 130 246)` are the
+ * same color.
+ */
+
+// CSS named colors (CSS Color Module Level 4)
+const NAMED_COLORS = Object.fromEntries(`
+  aliceblue:f0f8ff antiquewhite:faebd7 aqua:00ffff aquamarine:7fffd4 azure:f0ffff beige:f5f5dc
+  bisque:ffe4c4 black:000000 blanchedalmond:ffebcd blue:0000ff blueviolet:8a2be2 brown:a52a2a
+  burlywood:deb887 cadetblue:5f9ea0 chartreuse:7fff00 chocolate:d2691e coral:ff7f50
+  cornflowerblue:6495ed cornsilk:fff8dc crimson:dc143c cyan:00ffff darkblue:00008b darkcyan:008b8b
+  darkgoldenrod:b8860b darkgray:a9a9a9 darkgreen:006400 darkgrey:a9a9a9 darkkhaki:bdb76b
+  darkmagenta:8b008b darkolivegreen:556b2f darkorange:ff8c00 darkorchid:9932cc darkred:8b0000
+  darksalmon:e9967a darkseagreen:8fbc8f darkslateblue:483d8b darkslategray:2f4f4f
+  darkslategrey:2f4f4f darkturquoise:00ced1 darkviolet:9400d3 deeppink:ff1493 deepskyblue:00bfff
+  dimgray:696969 dimgrey:696969 dodgerblue:1e90ff firebrick:b22222 floralwhite:fffaf0
+  forestgreen:228b22 fuchsia:ff00ff gainsboro:dcdcdc ghostwhite:f8f8ff gold:ffd700
+  goldenrod:daa520 gray:808080 green:008000 greenyellow:adff2f grey:808080 honeydew:f0fff0
+  hotpink:ff69b4 indianred:cd5c5c indigo:4b0082 ivory:fffff0 khaki:f0e68c lavender:e6e6fa
+  lavenderblush:fff0f5 lawngreen:7cfc00 lemonchiffon:fffacd lightblue:add8e6 lightcoral:f08080
+  lightcyan:e0ffff lightgoldenrodyellow:fafad2 lightgray:d3d3d3 lightgreen:90ee90 lightgrey:d3d3d3
+  lightpink:ffb6c1 lightsalmon:ffa07a lightseagreen:20b2aa lightskyblue:87cefa
+  lightslategray:778899 lightslategrey:778899 lightsteelblue:b0c4de lightyellow:ffffe0 lime:00ff00
+  limegreen:32cd32 linen:faf0e6 magenta:ff00ff maroon:800000 mediumaquamarine:66cdaa
+  mediumblue:0000cd mediumorchid:ba55d3 mediumpurple:9370db mediumseagreen:3cb371
+  mediumslateblue:7b68ee mediumspringgreen:00fa9a mediumturquoise:48d1cc mediumvioletred:c71585
+  midnightblue:191970 mintcream:f5fffa mistyrose:ffe4e1 moccasin:ffe4b5 navajowhite:ffdead
+  navy:000080 oldlace:fdf5e6 olive:808000 olivedrab:6b8e23 orange:ffa500 orangered:ff4500
+  orchid:da70d6 palegoldenrod:eee8aa palegreen:98fb98 paleturquoise:afeeee palevioletred:db7093
+  papayawhip:ffefd5 peachpuff:ffdab9 peru:cd853f pink:ffc0cb plum:dda0dd powderblue:b0e0e6
+  purple:800080 rebeccapurple:663399 red:ff0000 rosybrown:bc8f8f royalblue:4169e1
+  saddlebrown:8b4513 salmon:fa8072 sandybrown:f4a460 seagreen:2e8b57 seashell:fff5ee
+  sienna:a0522d silver:c0c0c0 skyblue:87ceeb slateblue:6a5acd slategray:708090 slategrey:708090
+  snow:fffafa springgreen:00ff7f steelblue:4682b4 tan:d2b48c teal:008080 thistle:d8bfd8
+  tomato:ff6347 turquoise:40e0d0 violet:ee82ee wheat:f5deb3 white:ffffff whitesmoke:f5f5f5
+  yellow:ffff00 yellowgreen:9acd32
+`.trim().split(/\s+/).map(pair => pair.split(':')));
+
+/**
+ * Parse a CSS color
+ * @param {string} text - e.g. '#3b82f6', 'rgb(59 130 246 / 50%)', 'hsl(217deg, 91%, 60%)', 'navy'
+ * @returns {{r: number, g: number, b: number, a: number} | null} Channels 0-255, alpha 0-1; null if not a color
+ */
+export function parseColor(text) {
+  if (typeof text !== 'string') return null;
+  const value = text.trim().toLowerCase();
+
+  if (value === 'transparent') return { r: 0, g: 0, b: 0, a: 0 };
+  if (NAMED_COLORS[value]) return parseHex(NAMED_COLORS[value]);
+  if (value.startsWith('#')) return parseHex(value.slice(1));
+
+  const fn = value.match(/^(rgba?|hsla?)\(\s*([^()]*)\)$/);
+  if (!fn) return null;
+
+  const [channels, alphaPart] = splitArguments(fn[2]);
+  if (!channels || channels.length !== 3) return null;
+  const a = alphaPart === undefined ? 1 : parseAlpha(alphaPart);
+  if (a === null) return null;
+
+  if (fn[1].startsWith('rgb')) {
+    const rgb = channels.map(c => c.endsWith('%') ? parseNumber(c.slice(0, -1)) * 2.55 : parseNumber(c));
+    if (rgb.some(Number.isNaN)) return null;
+    const [r, g, b] = rgb.map(clampChannel);
+    return { r, g, b, a };
+  }
+
+  const h = parseHue(channels[0]);
+  const s = channels[1].endsWith('%') ? parseNumber(channels[1].slice(0, -1)) : parseNumber(channels[1]);
+  const l = channels[2].endsWith('%') ? parseNumber(channels[2].slice(0, -1)) : parseNumber(channels[2]);
+  if ([h, s, l].some(Number.isNaN)) return null;
+  return { ...hslToRgb(h, s / 100, l / 100), a };
+}
+
+/**
+ * Whether a string is a color parseColor understands
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isColor(text) {
+  return parseColor(text) !== null;
+}
+
+/**
+ * Canonical form of a color, equal for every spelling of the same color
+ * @param {string} text
+ * @returns {string | null} e.g. 'rgba(59,130,246,1)'
+ */
+export function colorKey(text) {
+  const color = parseColor(text);
+  if (!color) return null;
+  // Two decimals, so an 8-digit hex alpha (0x80 = 0.502) matches 50%
+  return `rgba(${color.r},${color.g},${color.b},${Math.round(color.a * 100) / 100})`;
+}
+
+function parseHex(hex) {
+  if (!/^[0-9a-f]+$/.test(hex) || ![3, 4, 6, 8].includes(hex.length)) return null;
+  const full = hex.length <= 4 ? [...hex].map(c => c + c).join('') : hex;
+  const [r, g, b, a = 255] = full.match(/../g).map(pair => parseInt(pair, 16));
+  return { r, g, b, a: Math.round((a / 255) * 1000) / 1000 };
+}
+
+/**
+ * Split `59, 130, 246, 0.5` or `59 130 246 / 50%` into channels and alpha
+ * @returns {[string[] | null, string | undefined]}
+ */
+function splitArguments(args) {
+  const [main, slashAlpha, extra] = args.split('/').map(s => s.trim());
+  if (extra !== undefined) return [null, undefined];
+
+  const parts = main.includes(',') ? main.split(',').map(s => s.trim()) : main.split(/\s+/);
+  if (slashAlpha !== undefined) return [parts, slashAlpha];
+  if (parts.length === 4) return [parts.slice(0, 3), parts[3]];
+  return [parts, undefined];
+}
+
+function parseNumber(text) {
+  return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+function parseAlpha(text) {
+  const alpha = text.endsWith('%') ? parseNumber(text.slice(0, -1)) / 100 : parseNumber(text);
+  return Number.isNaN(alpha) ? null : Math.min(1, Math.max(0, alpha));
+}
+
+function parseHue(text) {
+  const match = text.match(/^(.*?)(deg|grad|rad|turn)?$/);
+  const n = parseNumber(match[1]);
+  const degrees = { grad: n * 0.9, rad: (n * 180) / Math.PI, turn: n * 360 }[match[2]] ?? n;
+  return ((degrees % 360) + 360) % 360;
+}
+
+function clampChannel(value) {
+  return Math.round(Math.min(255, Math.max(0, value)));
+}
+
+function hslToRgb(h, s, l) {
+  const k = n => (n + h / 30) % 12;
+  const amount = s * Math.min(l, 1 - l);
+  const f = n => l - amount * Math.max(-1, Math.min(k(n) - 3, 9 - k(n), 1));
+  return { r: clampChannel(f(0) * 255), g: clampChannel(f(8) * 255), b: clampChannel(f(4) * 255) };
+}
@@ -0,0 +1,414 @@
+/**
+ * Minimal CSS parser for Ektachrome write-back.
+ *
+ * Builds a lossless AST: every node records the exact source offsets it
+ * came from, so edits can be spliced into the original text without
+ * disturbing comments or formatting. Handles strings, escapes, comments,
+ * nested parentheses (e.g. `url(data:...;...)`), multi-line values,
+ * several declarations per line, grouping at-rules (`@media`, `@supports`,
+ * `@layer`, `@container`, ...) and native CSS nesting.
+ *
+ * With `syntax: 'scss'` or `'less'` it also accepts `//` line comments and
+ * `#{...}` interpolation, and (Less) parses `@name: value;` variable
+ * declarations as declarations rather than at-rules.
+ *
+ * With `syntax: 'sfc'` the source is a Vue/Svelte component: each `<style>`
+ * block is parsed in its own dialect and the rest of the file is ignored.
+ *
+ * Node shapes:
+ *   stylesheet  { type, children, start, end }
+ *   rule        { type, selector, prelude, children, start, end, blockStart, blockEnd }
+ *   atrule      { type, name, params, prelude, children | null, start, end, blockStart?, blockEnd? }
+ *   declaration { type, property, value, important, start, end, valueStart, valueEnd, hasSemicolon }
+ *   comment     { type, text, start, end }
+ *
+ * `start`/`end` are character offsets (end exclusive). For blocks,
+ * `blockStart` is the offset of `{` and `blockEnd` the offset of `}`.
+ */
+
+import { extractStyleBlocks } from './sfc.js';
+
+/**
+ * Parse CSS source into an AST
+ * @param {string} source - CSS text
+ * @param {Object} [options]
+ * @param {'css' | 'scss' | 'less' | 'sfc'} [options.syntax] - Source dialect (default: 'css')
+ * @returns {{type: 'stylesheet', children: Array, start: number, end: number}}
+ */
+export function parseCSS(source, { syntax = 'css' } = {}) {
+  if (syntax === 'sfc') return parseStyleBlocks(source);
+
+  const len = source.length;
+  const preprocessor = syntax === 'scss' || syntax === 'less';
+  let i = 0;
+
+  /** Skip a comment starting at i, returning its node */
+  function readComment() {
+    const start = i;
+    if (source[i + 1] === '/') {
+      const newline = source.indexOf('\n', i);
+      i = newline === -1 ? len : newline;
+      return { type: 'comment', text: source.slice(start + 2, i), start, end: i };
+    }
+    const close = source.indexOf('*/', i + 2);
+    i = close === -1 ? len : close + 2;
+    return { type: 'comment', text: source.slice(start + 2, close === -1 ? len : close), start, end: i };
+  }
+
+  /**
+   * Skip a quoted string starting at `at`
+   * @returns {number} Offset just past the string
+   */
+  function skipString(at) {
+    const quote = source[at++];
+    while (at < len) {
+      const c = source[at];
+      if (c === '\\') {
+        at += 2;
+      } else if (c === quote) {
+        return at + 1;
+      } else if (c === '\n') {
+        // Unterminated string ends at the newline (bad-string token)
+        return at;
+      } else {
+        at++;
+      }
+    }
+    return len;
+  }
+
+  /**
+   * Whether a comment starts at offset. `//` only counts in preprocessor
+   * syntaxes and outside parentheses, so `url(http://...)` stays intact.
+   */
+  function isCommentStart(at, parenDepth = 0) {
+    if (source[at] !== '/') return false;
+    if (source[at + 1] === '*') return true;
+    return preprocessor && parenDepth === 0 && source[at + 1] === '/';
+  }
+
+  /**
+   * Offset just past the comment starting at `at`
+   */
+  function commentEnd(at, limit) {
+    if (source[at + 1] === '/') {
+      const newline = source.indexOf('\n', at);
+      return newline === -1 || newline > limit ? limit : newline;
+    }
+    const close = source.indexOf('*/', at + 2);
+    return close === -1 ? limit : Math.min(limit, close + 2);
+  }
+
+  /**
+   * Advance i to the next `;`, `{` or `}` at nesting depth 0.
+   * Custom property values may legally contain `{}` blocks, so when
+   * `allowBraces` is set braces are treated as nesting instead.
+   * @returns {string | null} The stop character, or null at end of input
+   */
+  function scanSegment(allowBraces) {
+    const stack = [];
+    while (i < len) {
+      const c = source[i];
+      if (isCommentStart(i, stack.length)) {
+        readComment();
+        continue;
+      }
+      if (preprocessor && (c === '#' || c === '@') && source[i + 1] === '{') {
+        // Interpolation: #{$x} (Sass) or @{x} (Less)
+        stack.push('}');
+        i += 2;
+        continue;
+      }
+      if (c === '"' || c === "'") {
+        i = skipString(i);
+        continue;
+      }
+      if (c === '\\') {
+        i += 2;
+        continue;
+      }
+      if (c === '(' || c === '[' || (allowBraces && c === '{')) {
+        stack.push(c === '(' ? ')' : c === '[' ? ']' : '}');
+      } else if (stack.length > 0 && c === stack[stack.length - 1]) {
+        stack.pop();
+      } else if (c === '}' && !stack.includes('}')) {
+        // A close brace always ends the enclosing block, even if a
+        // parenthesis was left open
+        return c;
+      } else if (stack.length === 0 && (c === ';' || c === '{')) {
+        return c;
+      }
+      i++;
+    }
+    return null;
+  }
+
+  /**
+   * Parse the items of a block (or the whole stylesheet) into `parent.children`.
+   * @returns {number} Offset of the closing `}` (or len at end of input)
+   */
+  function parseContents(parent, nested) {
+    while (i < len) {
+      const c = source[i];
+
+      if (/\s/.test(c)) {
+        i++;
+        continue;
+      }
+      if (isCommentStart(i)) {
+        parent.children.push(readComment());
+        continue;
+      }
+      if (c === '}') {
+        if (nested) return i;
+        i++; // Stray close brace at top level
+        continue;
+      }
+      if (c === ';') {
+        i++;
+        continue;
+      }
+
+      const start = i;
+      const stop = scanSegment(isCustomPropertyStart(source, start));
+      const stopIndex = i;
+
+      if (stop === '{') {
+        const prelude = source.slice(start, stopIndex);
+        const node = source[start] === '@'
+          ? createAtRule(prelude, start)
+          : { type: 'rule', selector: normalizeSelector(prelude), prelude: prelude.trim(), children: [], start };
+
+        node.children = [];
+        node.blockStart = stopIndex;
+        i = stopIndex + 1;
+        node.blockEnd = parseContents(node, true);
+        i = Math.min(len, node.blockEnd + 1);
+        node.end = i;
+        parent.children.push(node);
+        continue;
+      }
+
+      // Statement: declaration or block-less at-rule
+      const text = source.slice(start, stopIndex);
+      if (source[start] === '@' && !(syntax === 'less' && /^@[\w-]+\s*:/.test(text))) {
+        const node = createAtRule(text, start);
+        node.children = null;
+        node.end = stop === ';' ? stopIndex + 1 : stopIndex;
+        parent.children.push(node);
+      } else if (text.includes(':')) {
+        const node = createDeclaration(start, stopIndex);
+        if (node) {
+          node.hasSemicolon = stop === ';';
+          node.end = stop === ';' ? stopIndex + 1 : node.valueEnd;
+          parent.children.push(node);
+        }
+      }
+
+      if (stop === ';') i = stopIndex + 1;
+    }
+    return len;
+  }
+
+  function createAtRule(prelude, start) {
+    const match = prelude.match(/^@([\w-]+)([\s\S]*)$/);
+    return {
+      type: 'atrule',
+      name: match ? match[1].toLowerCase() : '',
+      params: match ? normalizeWhitespace(stripComments(match[2])) : '',
+      prelude: prelude.trim(),
+      start
+    };
+  }
+
+  /**
+   * Build a declaration node for source[start, stop)
+   */
+  function createDeclaration(start, stop) {
+    let j = start;
+    while (j < stop && source[j] !== ':' && !/\s/.test(source[j]) && !isCommentStart(j)) {
+      j += source[j] === '\\' ? 2 : 1;
+    }
+    const property = source.slice(start, j);
+
+    // Whitespace/comments between name and colon
+    while (j < stop && source[j] !== ':') {
+      if (isCommentStart(j)) {
+        j = commentEnd(j, stop);
+      } else if (/\s/.test(source[j])) {
+        j++;
+      } else {
+        return null; // Not a declaration
+      }
+    }
+    if (source[j] !== ':' || property.length === 0) return null;
+
+    // Find first and last significant characters of the value,
+    // leaving surrounding whitespace and comments in place
+    let valueStart = -1;
+    let valueEnd = j + 1;
+    let k = j + 1;
+    let depth = 0;
+    while (k < stop) {
+      if (isCommentStart(k, depth)) {
+        k = commentEnd(k, stop);
+        continue;
+      }
+      const c = source[k];
+      if (c === '(') depth++;
+      else if (c === ')') depth = Math.max(0, depth - 1);
+      if (c === '"' || c === "'") {
+        if (valueStart === -1) valueStart = k;
+        k = Math.min(skipString(k), stop);
+        valueEnd = k;
+        continue;
+      }
+      if (!/\s/.test(c)) {
+        if (valueStart === -1) valueStart = k;
+        k += c === '\\' ? 2 : 1;
+        valueEnd = Math.min(k, stop);
+        continue;
+      }
+      k++;
+    }
+    if (valueStart === -1) valueStart = valueEnd;
+
+    // Split off !important
+    let important = false;
+    const raw = source.slice(valueStart, valueEnd);
+    const importantMatch = raw.match(/\s*!\s*important$/i);
+    if (importantMatch) {
+      important = true;
+      valueEnd -= importantMatch[0].length;
+      while (valueEnd > valueStart && /\s/.test(source[valueEnd - 1])) valueEnd--;
+    }
+
+    return {
+      type: 'declaration',
+      property: property.startsWith('--') ? property : property.toLowerCase(),
+      value: stripComments(source.slice(valueStart, valueEnd)).trim(),
+      important,
+      start,
+      valueStart,
+      valueEnd
+    };
+  }
+
+  const root = { type: 'stylesheet', children: [], start: 0, end: len };
+  parseContents(root, false);
+  return root;
+}
+
+/**
+ * Parse the <style> blocks of a component as one stylesheet
+ * The text before each block is blanked out rather than cut, so node
+ * offsets point into the whole file.
+ */
+function parseStyleBlocks(source) {
+  const root = { type: 'stylesheet', children: [], start: 0, end: source.length };
+  for (const block of extractStyleBlocks(source)) {
+    const masked = ' '.repeat(block.start) + source.slice(block.start, block.end);
+    root.children.push(...parseCSS(masked, { syntax: block.syntax }).children);
+  }
+  return root;
+}
+
+/**
+ * Whether a custom property declaration (`--name:`) begins at offset
+ */
+function isCustomPropertyStart(source, start) {
+  if (source[start] !== '-' || source[start + 1] !== '-') return false;
+  let j = start + 2;
+  while (j < source.length && !/[\s:;{}]/.test(source[j])) j++;
+  while (j < source.length && /\s/.test(source[j])) j++;
+  return source[j] === ':';
+}
+
+/**
+ * Walk the AST depth-first
+ * @param {Object} node - Root node
+ * @param {(node: Object, ancestors: Object[]) => void} visit - Called for every node;
+ *   `ancestors` lists enclosing rules/at-rules, outermost first
+ */
+export function walk(node, visit, ancestors = []) {
+  for (const child of node.children || []) {
+    visit(child, ancestors);
+    if (child.children) {
+      walk(child, visit, [...ancestors, child]);
+    }
+  }
+}
+
+/**
+ * Describe the enclosing context of a node
+ * @param {Object[]} ancestors - Enclosing nodes from walk()
+ * @returns {{selector: string | null, parentSelectors: string[], atRules: string[]}}
+ *   `selector` is the nearest style rule's selector, `parentSelectors` the
+ *   selectors of outer style rules (CSS nesting), `atRules` the enclosing
+ *   at-rule preludes such as `@media (prefers-color-scheme: dark)`.
+ */
+export function getContext(ancestors) {
+  const rules = ancestors.filter(a => a.type === 'rule');
+  return {
+    selector: rules.length > 0 ? rules[rules.length - 1].selector : null,
+    parentSelectors: rules.slice(0, -1).map(r => r.selector),
+    atRules: ancestors.filter(a => a.type === 'atrule').map(formatAtRule)
+  };
+}
+
+/**
+ * Format an at-rule node as `@name params`
+ */
+export function formatAtRule(node) {
+  return node.params ? `@${node.name} ${node.params}` : `@${node.name}`;
+}
+
+/**
+ * Convert character offsets to 1-based line/column numbers
+ * @param {string} source
+ * @returns {(offset: number) => {line: number, column: number}}
+ */
+export function createLocator(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return function locate(offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+/**
+ * Normalize a selector for comparison: comments removed,
+ * whitespace collapsed, commas spaced like CSSOM serializes them
+ * @param {string} selector
+ * @returns {string}
+ */
+export function normalizeSelector(selector) {
+  return normalizeWhitespace(stripComments(selector)).replace(/\s*,\s*/g, ', ');
+}
+
+/**
+ * Normalize an at-rule context string such as `@media  (min-width:768px)`
+ * @param {string} atRule
+ * @returns {string}
+ */
+export function normalizeAtRule(atRule) {
+  return normalizeWhitespace(stripComments(atRule));
+}
+
+function stripComments(text) {
+  return text.replace(/\/\*[\s\S]*?(\*\/|$)/g, '');
+}
+
+function normalizeWhitespace(text) {
+  return text.trim().replace(/\s+/g, ' ');
+}
@@ -1,20 +1,44 @@
 /**
  * CSS Parser for Ektachrome write-back functionality.
  * Parses and modifies CSS files to update variable declarations.
+ *
+ * Reading and writing go through the AST from css-ast.js, so positions
+ * are exact and edits are spliced into the original text without
+ * touching surrounding comments or formatting.
  */
 
-import { readFile, readdir, stat, writeFile } from 'fs/promises';
+import { readFile, readdir } from 'fs/promises';
 import { join, relative } from 'path';
+import { parseCSS, walk, getContext, createLocator, normalizeSelector, normalizeAtRule } from './css-ast.js';
+import { SFC_EXTENSIONS, isSFC, appendToStyleBlock } from './sfc.js';
 
-// Match variable declaration: --name: value;
-// Captures: (indentation)(varName)(colon+whitespace)(value)(semicolon)
-const VAR_DECLARATION = /^(\s*)(--[\w-]+)(\s*:\s*)([^;]+)(;)/gm;
+// Stylesheet dialects that can be indexed and written back, and
+// components whose <style> blocks can be
+export const STYLE_EXTENSIONS = ['.css', '.scss', '.less', ...SFC_EXTENSIONS];
 
-// Match selector blocks containing variables
-const SELECTOR_WITH_VARS = /([^{}]+)\{([^}]*--[\w-]+[^}]*)\}/g;
+// Stylesheets scanned when no `include` patterns are given
+export const DEFAULT_INCLUDE = [
+  'src/**/*.css', 'styles/**/*.css', '*.css',
+  'src/**/*.scss', 'styles/**/*.scss',
+  'src/**/*.less', 'styles/**/*.less',
+  'src/**/*.vue', 'src/**/*.svelte'
+];
 
 /**
- * Find all CSS files in a directory (recursive)
+ * Get the parser syntax for a stylesheet path
+ * Vue/Svelte components parse as 'sfc' (their <style> blocks only).
+ * @param {string} filePath
+ * @returns {'css' | 'scss' | 'less' | 'sfc'}
+ */
+export function getSyntax(filePath) {
+  if (isSFC(filePath)) return 'sfc';
+  if (filePath.endsWith('.scss')) return 'scss';
+  if (filePath.endsWith('.less')) return 'less';
+  return 'css';
+}
+
+/**
+ * Find all stylesheet files (.css, .scss, .less, .vue, .svelte) in a directory (recursive)
  * @param {string} root - Project root path
  * @param {string[]} include - Glob patterns to include (default: ['**\/*.css'])
  * @param {string[]} exclude - Patterns to exclude (default: ['node_modules/**'])
@@ -30,28 +54,21 @@ export async function findCSSFiles(root, include = ['**/*.css'], exclude = ['nod
       const fullPath = join(dir, entry.name);
       const relativePath = relative(root, fullPath);
       
-      // Check excludes
-      const isExcluded = exclude.some(pattern => {
-        if (pattern.endsWith('/**')) {
-          const prefix = pattern.slice(0, -3);
-          return relativePath.startsWith(prefix) || relativePath === prefix;
-        }
-        return relativePath === pattern;
-      });
-      
-      if (isExcluded) continue;
+      if (isExcluded(relativePath, exclude)) continue;
       
       if (entry.isDirectory()) {
         await walk(fullPath);
-      } else if (entry.isFile() && entry.name.endsWith('.css')) {
+      } else if (entry.isFile() && STYLE_EXTENSIONS.some(ext => entry.name.endsWith(ext))) {
         // Check includes
         const isIncluded = include.some(pattern => {
-          if (pattern === '**/*.css') return true;
-          if (pattern.endsWith('/**/*.css')) {
-            const prefix = pattern.slice(0, -8);
+          const ext = pattern.match(/\*(\.\w+)$/)?.[1];
+          if (ext && !relativePath.endsWith(ext)) return false;
+          if (pattern === `**/*${ext}`) return true;
+          if (pattern.endsWith(`/**/*${ext}`)) {
+            const prefix = pattern.slice(0, -(ext.length + 4));
             return relativePath.startsWith(prefix);
           }
-          if (pattern === '*.css') {
+          if (pattern === `*${ext}`) {
             return !relativePath.includes('/');
           }
           return relativePath === pattern;
@@ -74,81 +91,106 @@ export async function findCSSFiles(root, include = ['**/*.css'], exclude = ['nod
 }
 
 /**
- * Extract all CSS custom property declarations from a file
- * @param {string} cssContent - File contents
- * @returns {Array<{name: string, value: string, line: number, selector: string}>}
+ * Whether a path matches an exclude pattern (`dir/**` or an exact path)
+ * @param {string} relativePath - Path relative to the project root
+ * @param {string[]} exclude - Patterns to exclude
+ * @returns {boolean}
  */
-export function extractVariables(cssContent) {
-  const variables = [];
-  
-  // Remove CSS comments first to avoid parsing issues
-  const contentNoComments = cssContent.replace(/\/\*[\s\S]*?\*\//g, '');
-  const lines = contentNoComments.split('\n');
-  
-  // Track selector context
-  let currentSelector = '';
-  let braceDepth = 0;
-  let selectorBuffer = '';
-  
-  // Also track line numbers in original content
-  const originalLines = cssContent.split('\n');
-  let originalLineIndex = 0;
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    
-    // Try to find corresponding line in original (approximate)
-    // This is imperfect but good enough for line numbers
-    while (originalLineIndex < originalLines.length && 
-           !originalLines[originalLineIndex].includes(line.trim().slice(0, 20))) {
-      originalLineIndex++;
-    }
-    const lineNumber = originalLineIndex + 1;
-    
-    // Track selector context
-    for (let j = 0; j < line.length; j++) {
-      const char = line[j];
-      
-      if (char === '{') {
-        if (braceDepth === 0) {
-          // Extract selector from what came before
-          const beforeBrace = line.slice(0, j);
-          selectorBuffer += beforeBrace;
-          // Clean up the selector: trim whitespace and normalize
-          currentSelector = selectorBuffer.trim().replace(/\s+/g, ' ');
-          selectorBuffer = '';
-        }
-        braceDepth++;
-      } else if (char === '}') {
-        braceDepth--;
-        if (braceDepth === 0) {
-          currentSelector = '';
-          selectorBuffer = '';
-        }
-      }
-    }
-    
-    // If we're outside a block and line doesn't have braces, accumulate for selector
-    if (!line.includes('{') && !line.includes('}') && braceDepth === 0) {
-      const trimmed = line.trim();
-      if (trimmed) {
-        selectorBuffer += (selectorBuffer ? ' ' : '') + trimmed;
-      }
+export function isExcluded(relativePath, exclude) {
+  return exclude.some(pattern => {
+    if (pattern.endsWith('/**')) {
+      const prefix = pattern.slice(0, -3);
+      return relativePath.startsWith(prefix) || relativePath === prefix;
     }
-    
-    // Check for variable declarations
-    const varMatch = line.match(/^\s*(--[\w-]+)\s*:\s*([^;]+);/);
-    if (varMatch && braceDepth > 0) {
-      variables.push({
-        name: varMatch[1],
-        value: varMatch[2].trim(),
-        line: lineNumber,
-        selector: currentSelector || ':root'
-      });
+    return relativePath === pattern;
+  });
+}
+
+/**
+ * Collect declarations that sit inside a style rule, with their context
+ * @param {string} cssContent - File contents
+ * @param {(decl: Object) => boolean} predicate - Which declarations to keep
+ * @param {'css' | 'scss' | 'less'} [syntax]
+ * @returns {Array<Object>}
+ */
+function collectDeclarations(cssContent, predicate, syntax = 'css') {
+  const ast = parseCSS(cssContent, { syntax });
+  const locate = createLocator(cssContent);
+  const found = [];
+
+  walk(ast, (node, ancestors) => {
+    if (node.type !== 'declaration' || !predicate(node)) return;
+
+    let context = getContext(ancestors);
+    if (!context.selector) {
+      // Tailwind v4 `@theme { --color-x: ... }` compiles to `:root, :host`
+      // inside `@layer theme`, so report that scope for it
+      const parent = ancestors[ancestors.length - 1];
+      if (parent?.type !== 'atrule' || parent.name !== 'theme') return; // Not inside a style rule
+      context = {
+        selector: ':root, :host',
+        parentSelectors: [],
+        atRules: [...context.atRules.slice(0, -1), '@layer theme']
+      };
     }
+
+    const { line, column } = locate(node.start);
+    found.push({
+      name: node.property,
+      value: node.value,
+      important: node.important,
+      line,
+      column,
+      selector: context.selector,
+      parentSelectors: context.parentSelectors,
+      atRules: context.atRules,
+      start: node.start,
+      end: node.end,
+      valueStart: node.valueStart,
+      valueEnd: node.valueEnd
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Extract all CSS custom property declarations from a file
+ * @param {string} cssContent - File contents
+ * @param {'css' | 'scss' | 'less' | 'sfc'} [syntax] - Source dialect (see getSyntax)
+ * @returns {Array<{name: string, value: string, line: number, column: number, selector: string, parentSelectors: string[], atRules: string[], important: boolean, start: number, end: number, valueStart: number, valueEnd: number}>}
+ *   `selector` is the enclosing rule's selector, `parentSelectors` any outer
+ *   rules when CSS nesting is used, and `atRules` the enclosing at-rules
+ *   (outermost first), e.g. `['@media (prefers-color-scheme: dark)']`.
+ */
+export function extractVariables(cssContent, syntax = 'css') {
+  return collectDeclarations(cssContent, d => d.property.startsWith('--'), syntax);
+}
+
+/**
+ * Extract every declaration that sits inside a style rule
+ * Same shape as extractVariables, for regular properties too.
+ * @param {string} cssContent - File contents
+ * @param {'css' | 'scss' | 'less'} [syntax] - Source dialect
+ * @returns {Array<Object>}
+ */
+export function extractDeclarations(cssContent, syntax = 'css') {
+  return collectDeclarations(cssContent, () => true, syntax);
+}
+
+/**
+ * Apply text replacements to a string
+ * @param {string} content
+ * @param {Array<{start: number, end: number, text: string}>} edits - Non-overlapping ranges
+ * @returns {string}
+ */
+export function applyEdits(content, edits) {
+  const sorted = [...edits].sort((a, b) => b.start - a.start);
+  let result = content;
+  for (const { start, end, text } of sorted) {
+    result = result.slice(0, start) + text + result.slice(end);
   }
-  
-  return variables;
+  return result;
 }
 
 /**
@@ -156,95 +198,178 @@ export function extractVariables(cssContent) {
  * @param {string} cssContent - Original file contents
  * @param {string} varName - Variable name (e.g., '--color-primary')
  * @param {string} newValue - New value to set
- * @param {string} [selector] - Optional: only update in this selector (default: update first occurrence)
- * @returns {{content: string, changed: boolean, occurrences: number}}
+ * @param {string | {selector: string, atRules?: string[]}} [selector] - Optional: only update in this
+ *   selector, or in this exact scope (selector plus enclosing at-rules). Default: update first occurrence
+ * @param {'css' | 'scss' | 'less'} [syntax] - Source dialect
+ * @returns {{content: string, changed: boolean, occurrences: number, previousValue: string | null}}
  */
-export function updateVariable(cssContent, varName, newValue, selector = null) {
-  const lines = cssContent.split('\n');
-  let occurrences = 0;
-  let changed = false;
-  
-  // Track current selector context
-  let currentSelector = '';
-  let braceDepth = 0;
-  let selectorStart = '';
-  
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    
-    // Track selector context
-    for (let j = 0; j < line.length; j++) {
-      const char = line[j];
-      
-      if (char === '{') {
-        if (braceDepth === 0) {
-          const beforeBrace = line.slice(0, j).trim();
-          selectorStart = selectorStart + beforeBrace;
-          currentSelector = selectorStart.trim();
-          selectorStart = '';
-        }
-        braceDepth++;
-      } else if (char === '}') {
-        braceDepth--;
-        if (braceDepth === 0) {
-          currentSelector = '';
-        }
-      }
-    }
-    
-    if (!line.includes('{') && !line.includes('}') && braceDepth === 0) {
-      selectorStart += line;
-    }
-    
-    // Check for variable declaration on this line
-    const pattern = new RegExp(`^(\\s*)(${escapeRegex(varName)})(\\s*:\\s*)([^;]+)(;)`);
-    const match = line.match(pattern);
-    
-    if (match && braceDepth > 0) {
-      occurrences++;
-      
-      // Check if we should update this occurrence
-      const shouldUpdate = selector === null 
-        ? !changed  // Update first occurrence only
-        : selector === '*'  // Update all
-        || currentSelector === selector;  // Update specific selector
-      
-      if (shouldUpdate) {
-        // Preserve formatting: keep indentation and whitespace
-        lines[i] = `${match[1]}${match[2]}${match[3]}${newValue}${match[5]}`;
-        changed = true;
-        
-        // If no selector specified, only update first occurrence
-        if (selector === null) break;
-      }
-    }
+export function updateVariable(cssContent, varName, newValue, selector = null, syntax = 'css') {
+  const declarations = extractVariables(cssContent, syntax).filter(v => v.name === varName);
+
+  let targets;
+  if (selector === null) {
+    targets = declarations.slice(0, 1); // Update first occurrence only
+  } else if (selector === '*') {
+    targets = declarations; // Update all
+  } else if (typeof selector === 'object') {
+    targets = declarations.filter(v => matchesScope(v, selector)); // Update specific scope
+  } else {
+    const wanted = normalizeSelector(selector);
+    targets = declarations.filter(v => v.selector === wanted); // Update specific selector
   }
-  
+
+  // Only the value range is replaced, so indentation, comments
+  // and !important flags are preserved
+  const content = applyEdits(cssContent, targets.map(t => ({
+    start: t.valueStart,
+    end: t.valueEnd,
+    text: newValue
+  })));
+
   return {
-    content: lines.join('\n'),
-    changed,
-    occurrences
+    content,
+    changed: targets.length > 0,
+    // With no selector we stop at the first match
+    occurrences: selector === null ? targets.length : declarations.length,
+    previousValue: targets.length > 0 ? targets[0].value : null
   };
 }
 
+/**
+ * Remove every declaration of a variable, and its `@property` registration
+ * Lines left blank by the removal are dropped with it.
+ * @param {string} cssContent - Original file contents
+ * @param {string} varName - Variable name (e.g., '--color-unused')
+ * @param {'css' | 'scss' | 'less'} [syntax] - Source dialect
+ * @returns {{content: string, removed: number}} `removed` counts declarations
+ */
+export function removeVariable(cssContent, varName, syntax = 'css') {
+  const ranges = extractVariables(cssContent, syntax)
+    .filter(v => v.name === varName)
+    .map(v => ({ start: v.start, end: v.end }));
+  const removed = ranges.length;
+
+  walk(parseCSS(cssContent, { syntax }), (node) => {
+    if (node.type === 'atrule' && node.name === 'property' && node.params.trim() === varName) {
+      ranges.push({ start: node.start, end: node.end });
+    }
+  });
+
+  const edits = ranges.map(({ start, end }) => {
+    const lineStart = cssContent.lastIndexOf('\n', start - 1) + 1;
+    const newline = cssContent.indexOf('\n', end);
+    const lineEnd = newline === -1 ? cssContent.length : newline + 1;
+    const alone = !cssContent.slice(lineStart, start).trim() && !cssContent.slice(end, lineEnd).trim();
+    if (alone) return { start: lineStart, end: lineEnd, text: '' };
+    // Sharing a line: take the whitespace before it too (`--a: 1; --x: 2;`)
+    const padding = cssContent.slice(lineStart, start).match(/[ \t]*$/)[0].length;
+    return { start: start - padding, end, text: '' };
+  });
+
+  return { content: applyEdits(cssContent, edits), removed };
+}
+
+/**
+ * Normalize a declaration value for comparison.
+ * Computed custom property values come back trimmed, and source files
+ * may wrap or pad values differently, so whitespace runs are collapsed.
+ * @param {string} value
+ * @returns {string}
+ */
+export function normalizeValue(value) {
+  return String(value ?? '').trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Check whether a declaration sits in the given scope
+ * For declarations in nested rules, a scope with `parentSelectors` must
+ * name the same outer rules too; without them only the innermost
+ * selector is compared.
+ * @param {{selector: string, parentSelectors?: string[], atRules: string[]}} declaration - Entry from extractVariables()
+ * @param {{selector: string, parentSelectors?: string[], atRules?: string[]}} scope - Selector (as written in
+ *   source), outer rules' selectors and enclosing at-rules, outermost first
+ * @returns {boolean}
+ */
+export function matchesScope(declaration, scope) {
+  const atRules = scope.atRules || [];
+  const chain = [...(declaration.parentSelectors || []), declaration.selector];
+  const wanted = [...(scope.parentSelectors || chain.slice(0, -1)), scope.selector];
+  return chain.length === wanted.length &&
+    chain.every((selector, i) => compactNested(selector, i > 0) === compactNested(wanted[i], i > 0)) &&
+    declaration.atRules.length === atRules.length &&
+    declaration.atRules.every((atRule, i) => compactAtRule(atRule) === compactAtRule(atRules[i]));
+}
+
+/**
+ * Describe a scope for messages, e.g. `@media (prefers-color-scheme: dark) :root`
+ * @param {{selector: string, parentSelectors?: string[], atRules?: string[]}} scope
+ * @returns {string}
+ */
+export function formatScope(scope) {
+  return [...(scope.atRules || []), ...(scope.parentSelectors || []), scope.selector].join(' ');
+}
+
+// Scopes reported by the browser come from CSSOM serialization, which
+// respaces selectors and conditions (`(min-width:768px)` becomes
+// `(min-width: 768px)`), so optional whitespace is ignored when comparing
+function compactSelector(selector) {
+  return normalizeSelector(selector).replace(/\s*([>+~,()])\s*/g, '$1');
+}
+
+// Browsers serialize a nested `.title` as `& .title`, so nested selectors
+// are compared with the implicit `&` written out
+function compactNested(selector, nested) {
+  const compact = compactSelector(selector);
+  if (!nested) return compact;
+  return splitTopLevel(compact).map(s => (s.includes('&') ? s : `& ${s}`)).join(',');
+}
+
+function splitTopLevel(selector) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+  for (let i = 0; i < selector.length; i++) {
+    const char = selector[i];
+    if (char === '(' || char === '[') depth++;
+    else if (char === ')' || char === ']') depth--;
+    else if (char === ',' && depth === 0) {
+      parts.push(selector.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(selector.slice(start));
+  return parts;
+}
+
+function compactAtRule(atRule) {
+  return normalizeAtRule(atRule).replace(/\s*([,():])\s*/g, '$1').toLowerCase();
+}
+
 /**
  * Find which file contains a variable declaration
  * @param {string} varName - Variable name
  * @param {string[]} cssFiles - Array of file paths
- * @returns {Promise<{file: string, line: number, selector: string} | null>}
+ * @param {{selector: string, atRules?: string[]}} [scope] - Only match the declaration in this scope
+ * @returns {Promise<{file: string, line: number, column: number, selector: string, atRules: string[], value: string, syntax: string} | null>}
  */
-export async function findVariableFile(varName, cssFiles) {
+export async function findVariableFile(varName, cssFiles, scope = null) {
   for (const file of cssFiles) {
     try {
       const content = await readFile(file, 'utf-8');
-      const variables = extractVariables(content);
+      const syntax = getSyntax(file);
+      const variables = extractVariables(content, syntax);
       
-      const found = variables.find(v => v.name === varName);
+      const found = variables.find(v => v.name === varName && (!scope || matchesScope(v, scope)));
       if (found) {
         return {
           file,
           line: found.line,
-          selector: found.selector
+          column: found.column,
+          selector: found.selector,
+          parentSelectors: found.parentSelectors,
+          atRules: found.atRules,
+          value: found.value,
+          syntax
         };
       }
     } catch (e) {
@@ -256,114 +381,209 @@ export async function findVariableFile(varName, cssFiles) {
 }
 
 /**
- * Escape special regex characters in a string
+ * Find the first top-level style rule with the given selector
+ * @param {Object} ast - Parsed stylesheet
+ * @param {string} selector
+ * @returns {Object | null} Rule node
+ */
+function findRule(ast, selector) {
+  const wanted = normalizeSelector(selector);
+  let match = null;
+
+  walk(ast, (node, ancestors) => {
+    if (match || node.type !== 'rule' || node.selector !== wanted) return;
+    // Prefer unconditional rules; at-rule and nested copies are variants
+    if (ancestors.length === 0) match = node;
+  });
+
+  return match;
+}
+
+/**
+ * Add a declaration to the end of a rule block
+ * @param {string} cssContent - File contents
+ * @param {Object} rule - Rule node from parseCSS(cssContent)
+ * @param {string} declaration - e.g. '--card-padding: 24px;'
+ * @returns {{content: string, offset: number}} New content and offset of the declaration
  */
-function escapeRegex(str) {
-  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+function appendDeclaration(cssContent, rule, declaration) {
+  const indent = detectIndent(cssContent, rule);
+  const closingIndent = lineIndent(cssContent, rule.blockEnd) ?? '';
+
+  // Terminate a trailing declaration that relies on the closing brace
+  const last = [...rule.children].reverse().find(c => c.type !== 'comment');
+  const needsSemicolon = last?.type === 'declaration' && !last.hasSemicolon;
+
+  // Drop the whitespace before the closing brace and rebuild it
+  let bodyEnd = rule.blockEnd;
+  while (bodyEnd > rule.blockStart + 1 && /\s/.test(cssContent[bodyEnd - 1])) bodyEnd--;
+
+  let before = cssContent.slice(0, bodyEnd);
+  if (needsSemicolon) {
+    before = cssContent.slice(0, last.valueEnd) + ';' + cssContent.slice(last.valueEnd, bodyEnd);
+  }
+
+  const inserted = `\n${indent}${declaration}\n${closingIndent}`;
+  return {
+    content: before + inserted + cssContent.slice(rule.blockEnd),
+    offset: before.length + 1 + indent.length
+  };
 }
 
 /**
- * Insert a new CSS variable declaration
- * @param {string} filePath - CSS file to modify
+ * Add a new CSS variable declaration to CSS content
+ * @param {string} cssContent - File contents
  * @param {string} varName - Variable name (e.g., '--card-padding')
  * @param {string} value - Variable value
  * @param {string} selector - Selector to insert into (e.g., ':root', '.card')
- * @returns {Promise<{line: number}>}
+ * @param {'css' | 'scss' | 'less' | 'sfc'} [syntax] - Source dialect
+ * @returns {{content: string, line: number}}
  */
-export async function insertVariable(filePath, varName, value, selector) {
-  let content = await readFile(filePath, 'utf-8');
-  
-  // Find the selector block
-  const selectorRegex = new RegExp(
-    `(${escapeRegex(selector)}\\s*\\{)([^}]*)(\\})`,
-    's'
-  );
-  
-  const match = content.match(selectorRegex);
-  
-  if (match) {
+export function addVariable(cssContent, varName, value, selector, syntax = 'css') {
+  const rule = findRule(parseCSS(cssContent, { syntax }), selector);
+  const declaration = `${varName}: ${value};`;
+
+  let content;
+  let offset;
+  if (rule) {
     // Insert at end of existing block
-    const [fullMatch, open, body, close] = match;
-    const indent = detectIndent(body);
-    const newDeclaration = `${indent}${varName}: ${value};\n`;
-    const newBody = body.trimEnd() + '\n' + newDeclaration;
-    content = content.replace(fullMatch, open + newBody + close);
+    ({ content, offset } = appendDeclaration(cssContent, rule, declaration));
+  } else if (syntax === 'sfc') {
+    // Create new selector block at the end of the component's styles
+    const block = `${selector} {\n  ${declaration}\n}\n`;
+    ({ content, offset } = appendToStyleBlock(cssContent, block));
+    offset += block.indexOf(declaration);
   } else {
     // Create new selector block
-    const newBlock = `\n${selector} {\n  ${varName}: ${value};\n}\n`;
-    content += newBlock;
+    content = `${cssContent}\n${selector} {\n  ${declaration}\n}\n`;
+    offset = content.lastIndexOf(declaration);
   }
-  
-  await writeFile(filePath, content, 'utf-8');
-  
-  // Calculate line number for response
-  const line = content.substring(0, content.indexOf(varName)).split('\n').length;
-  return { line };
+
+  return { content, line: createLocator(content)(offset).line };
 }
 
 /**
- * Update a property to use a CSS variable
- * @param {string} filePath - CSS file to modify  
+ * Extract `@property` registrations
+ * @param {string} cssContent - File contents
+ * @param {'css' | 'scss' | 'less' | 'sfc'} [syntax] - Source dialect
+ * @returns {Array<{name: string, syntax: string | null, inherits: boolean | null, initialValue: string | null, line: number, column: number}>}
+ *   `syntax` without its quotes, e.g. '<length>'; null for missing descriptors
+ */
+export function extractPropertyRules(cssContent, syntax = 'css') {
+  const locate = createLocator(cssContent);
+  const found = [];
+
+  walk(parseCSS(cssContent, { syntax }), (node) => {
+    if (node.type !== 'atrule' || node.name !== 'property' || !node.children) return;
+    const descriptor = name => node.children.find(c => c.type === 'declaration' && c.property === name)?.value.trim() ?? null;
+    const inherits = descriptor('inherits')?.toLowerCase();
+
+    found.push({
+      name: node.params.trim(),
+      syntax: descriptor('syntax')?.replace(/^(['"])(.*)\1$/, '$2').trim() ?? null,
+      inherits: inherits === undefined ? null : inherits === 'true',
+      initialValue: descriptor('initial-value'),
+      ...locate(node.start)
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Whether a value can be an `@property` initial-value, which must not
+ * depend on other properties: no var()/env()/attr() and no font- or
+ * viewport-relative lengths
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isComputationallyIndependent(value) {
+  return !/\b(var|env|attr)\(/i.test(value) &&
+    !/\d(r?em|ex|r?ch|ic|r?lh|cap|[sld]?v(w|h|i|b|min|max)|cq(w|h|i|b|min|max))\b/i.test(value);
+}
+
+/**
+ * Add an `@property` registration for a variable
+ * Nothing is added when the file already registers it.
+ * @param {string} cssContent - File contents
+ * @param {string} varName - Variable name (e.g., '--card-padding')
+ * @param {{syntax: string, inherits?: boolean, initialValue: string}} registration
+ * @param {'css' | 'scss' | 'less' | 'sfc'} [syntax] - Source dialect
+ * @returns {{content: string, line: number | null}} `line` of the new rule
+ */
+export function addPropertyRule(cssContent, varName, { syntax: propertySyntax, inherits = true, initialValue }, syntax = 'css') {
+  if (extractPropertyRules(cssContent, syntax).some(r => r.name === varName)) {
+    return { content: cssContent, line: null };
+  }
+
+  const rule = `@property ${varName} {\n  syntax: '${propertySyntax}';\n  inherits: ${inherits};\n  initial-value: ${initialValue};\n}\n`;
+  let content;
+  let offset;
+  if (syntax === 'sfc') {
+    ({ content, offset } = appendToStyleBlock(cssContent, rule));
+  } else {
+    content = `${cssContent}\n${rule}`;
+    offset = content.length - rule.length;
+  }
+
+  return { content, line: createLocator(content)(offset).line };
+}
+
+/**
+ * Point a property in a selector block at a CSS variable
+ * @param {string} cssContent - File contents
  * @param {string} selector - Selector containing the property
  * @param {string} property - CSS property name
  * @param {string} varName - Variable name to reference
- * @returns {Promise<{changed: boolean}>}
+ * @param {'css' | 'scss' | 'less'} [syntax] - Source dialect
+ * @returns {{content: string, changed: boolean}}
  */
-export async function updatePropertyToUseToken(filePath, selector, property, varName) {
-  let content = await readFile(filePath, 'utf-8');
-  
-  // Find the selector block
-  const selectorRegex = new RegExp(
-    `(${escapeRegex(selector)}\\s*\\{)([^}]*)(\\})`,
-    's'
-  );
-  
-  const match = content.match(selectorRegex);
-  
-  if (!match) {
-    return { changed: false };
+export function usePropertyToken(cssContent, selector, property, varName, syntax = 'css') {
+  const rule = findRule(parseCSS(cssContent, { syntax }), selector);
+  if (!rule) {
+    return { content: cssContent, changed: false };
   }
-  
-  const [fullMatch, open, body, close] = match;
-  
-  // Find and replace the property value (not CSS variables which start with --)
-  // Use word boundary or start of whitespace to ensure we match the property, not part of a variable name
-  const propertyRegex = new RegExp(
-    `((?:^|[;\\s])\\s*)(${escapeRegex(property)})(\\s*:\\s*)([^;]+)(;)`,
-    'gm'
+
+  // Direct declarations of this property (custom properties never match)
+  const targets = rule.children.filter(c =>
+    c.type === 'declaration' && c.property === property.toLowerCase()
   );
-  
-  let changed = false;
-  const newBody = body.replace(propertyRegex, (m, prefix, prop, colon, oldValue, suffix) => {
-    // Skip if this looks like a CSS variable (has -- anywhere before it in the prefix area)
-    if (prefix.includes('--') || prop.startsWith('-')) {
-      return m;
-    }
-    changed = true;
-    return `${prefix}${prop}${colon}var(${varName})${suffix}`;
-  });
-  
-  if (changed) {
-    content = content.replace(fullMatch, open + newBody + close);
-    await writeFile(filePath, content, 'utf-8');
-  }
-  
-  return { changed };
+
+  return {
+    content: applyEdits(cssContent, targets.map(t => ({
+      start: t.valueStart,
+      end: t.valueEnd,
+      text: `var(${varName})`
+    }))),
+    changed: targets.length > 0
+  };
 }
 
 /**
- * Detect indentation used in a CSS block body
- * @param {string} body - CSS block body content
- * @returns {string} Detected indent (defaults to 2 spaces)
+ * Get the indentation of the line containing `offset`, if the line
+ * only has whitespace before it
+ * @returns {string | null}
+ */
+function lineIndent(cssContent, offset) {
+  const lineStart = cssContent.lastIndexOf('\n', offset - 1) + 1;
+  const prefix = cssContent.slice(lineStart, offset);
+  return /^[ \t]*$/.test(prefix) ? prefix : null;
+}
+
+/**
+ * Detect indentation used for declarations in a rule block
+ * @param {string} cssContent - File contents
+ * @param {Object} rule - Rule node
+ * @returns {string} Detected indent (defaults to the block's indent plus 2 spaces)
  */
-function detectIndent(body) {
+function detectIndent(cssContent, rule) {
   // Look for existing indentation pattern
-  const indentMatch = body.match(/\n(\s+)/);
-  if (indentMatch) {
-    return indentMatch[1];
+  for (const child of rule.children) {
+    const indent = lineIndent(cssContent, child.start);
+    if (indent) return indent;
   }
-  // Default to 2 spaces
-  return '  ';
+  // Default to 2 spaces deeper than the closing brace
+  return (lineIndent(cssContent, rule.blockEnd) ?? '') + '  ';
 }
 
 /**
@@ -381,11 +601,11 @@ export async function findBestFileForScope(scope, cssFiles) {
     if (tokenFile) return tokenFile;
   }
   
-  // For component scope, look for file containing that selector
+  // For component scope, look for file declaring that selector
   for (const file of cssFiles) {
     try {
       const content = await readFile(file, 'utf-8');
-      if (content.includes(scope)) {
+      if (findRule(parseCSS(content, { syntax: getSyntax(file) }), scope)) {
         return file;
       }
     } catch {
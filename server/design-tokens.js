@@ -0,0 +1,509 @@
+/**
+ * W3C Design Tokens (DTCG) support for Ektachrome write-back.
+ *
+ * When the plugin is given a `tokensFile`, tokens are read from and written
+ * back to that JSON file instead of the CSS generated from it. Token paths
+ * map to custom properties by joining segments with `-`:
+ *
+ *   { "color": { "blue": { "500": { "$value": "#3b82f6" } } } }  ->  --color-blue-500
+ *
+ * Edits are spliced into the original JSON text (like the CSS parser does),
+ * so key order, formatting, `$type`/`$description` metadata and aliases such
+ * as `"{color.blue.500}"` survive a write-back untouched.
+ */
+
+import { createLocator } from './css-ast.js';
+
+// Longest alias chain followed before giving up (guards against cycles)
+const MAX_ALIAS_DEPTH = 10;
+
+/**
+ * Map a token path to its custom property name
+ * @param {string[]} path - e.g. ['color', 'blue', '500']
+ * @returns {string} e.g. '--color-blue-500'
+ */
+export function pathToVariable(path) {
+  return `--${path.join('-')}`;
+}
+
+/**
+ * Get the token path an alias value points at
+ * @param {*} value - A `$value`
+ * @returns {string[] | null} Path for `"{color.blue.500}"`, null otherwise
+ */
+export function parseAlias(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(/^\{([^{}]+)\}$/);
+  return match ? match[1].split('.') : null;
+}
+
+/**
+ * Read all tokens from a DTCG document
+ * Group `$type`s are inherited by their tokens; aliases are resolved for
+ * `value` but kept in `alias`.
+ * @param {string} text - tokens.json contents
+ * @returns {Array<{name: string, path: string[], value: string, rawValue: *, type: string | null, description: string | null, alias: string | null, line: number}>}
+ */
+export function extractTokens(text) {
+  const root = parseJSON(text);
+  const locate = createLocator(text);
+  const tokens = [];
+
+  function visit(node, path, inheritedType) {
+    if (node.type !== 'object') return;
+
+    const typeNode = getMember(node, '$type');
+    const type = typeNode?.type === 'string' ? typeNode.value : inheritedType;
+    const valueNode = getMember(node, '$value');
+
+    if (valueNode) {
+      const descriptionNode = getMember(node, '$description');
+      const rawValue = toValue(valueNode);
+      const alias = parseAlias(rawValue);
+      tokens.push({
+        name: pathToVariable(path),
+        path,
+        value: formatValue(rawValue),
+        rawValue,
+        type: type || null,
+        description: descriptionNode?.type === 'string' ? descriptionNode.value : null,
+        alias: alias ? alias.join('.') : null,
+        line: locate(node.start).line
+      });
+      return;
+    }
+
+    for (const member of node.members) {
+      if (!member.key.startsWith('$')) {
+        visit(member.value, [...path, member.key], type);
+      }
+    }
+  }
+
+  visit(root, [], null);
+
+  // Resolve aliases to their final CSS value
+  const byPath = new Map(tokens.map(t => [t.path.join('.'), t]));
+  for (const token of tokens) {
+    const target = resolveAlias(token, byPath);
+    if (target && target !== token) {
+      token.value = target.value;
+      token.type = token.type || target.type;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Follow an alias chain to the token that holds a literal value
+ * @param {Object} token - Entry from extractTokens()
+ * @param {Map<string, Object>} byPath - Tokens keyed by dotted path
+ * @returns {Object | null} The literal token (token itself if not an alias), or null if broken
+ */
+function resolveAlias(token, byPath) {
+  let current = token;
+  for (let depth = 0; depth < MAX_ALIAS_DEPTH; depth++) {
+    const alias = parseAlias(current.rawValue);
+    if (!alias) return current;
+    current = byPath.get(alias.join('.'));
+    if (!current) return null;
+  }
+  return null;
+}
+
+/**
+ * Find the token behind a custom property, following aliases
+ * @param {string} text - tokens.json contents
+ * @param {string} varName - Custom property name
+ * @returns {{token: Object, target: Object} | null} `target` is where the literal value lives
+ */
+export function findToken(text, varName) {
+  const tokens = extractTokens(text);
+  const token = tokens.find(t => t.name === varName);
+  if (!token) return null;
+
+  const byPath = new Map(tokens.map(t => [t.path.join('.'), t]));
+  const target = resolveAlias(token, byPath);
+  return target ? { token, target } : null;
+}
+
+/**
+ * Set a token's `$value`, keeping the rest of the document as written
+ * Numbers stay numbers and `{value, unit}` dimensions keep their shape.
+ * @param {string} text - tokens.json contents
+ * @param {string[]} path - Token path
+ * @param {string} newValue - CSS value from the browser
+ * @returns {{content: string, previousValue: string}}
+ */
+export function updateTokenValue(text, path, newValue) {
+  const token = getNode(parseJSON(text), path);
+  const valueNode = token && getMember(token, '$value');
+  if (!valueNode) {
+    throw new Error(`Token ${path.join('.')} not found`);
+  }
+
+  const previousValue = formatValue(toValue(valueNode));
+
+  // Dimension objects: { "value": 16, "unit": "px" }
+  if (valueNode.type === 'object') {
+    const numberNode = getMember(valueNode, 'value');
+    const unitNode = getMember(valueNode, 'unit');
+    const dimension = String(newValue).trim().match(/^(-?[\d.]+)([a-z%]*)$/i);
+    if (!numberNode || !unitNode || !dimension) {
+      throw new Error(`Token ${path.join('.')} has a composite value that can't be edited as CSS`);
+    }
+    const content = spliceNodes(text, [
+      { node: numberNode, text: String(Number(dimension[1])) },
+      { node: unitNode, text: JSON.stringify(dimension[2]) }
+    ]);
+    return { content, previousValue };
+  }
+
+  const isNumber = valueNode.type === 'number' && /^-?[\d.]+$/.test(String(newValue).trim());
+  const replacement = isNumber ? String(Number(newValue)) : JSON.stringify(String(newValue));
+  return {
+    content: spliceNodes(text, [{ node: valueNode, text: replacement }]),
+    previousValue
+  };
+}
+
+/**
+ * The alias for a `var(--x)` value that points at a token
+ * @param {Array<Object>} tokens - From extractTokens()
+ * @param {string} value - CSS value
+ * @returns {string | null} e.g. '{color.blue.500}'
+ */
+function referenceToAlias(tokens, value) {
+  const reference = String(value).trim().match(/^var\(\s*(--[\w-]+)\s*\)$/);
+  const referenced = reference && tokens.find(t => t.name === reference[1]);
+  return referenced ? `{${referenced.path.join('.')}}` : null;
+}
+
+/**
+ * Point the token behind a custom property at another token
+ * `var(--color-blue-600)` is stored as the alias `{color.blue.600}` on the
+ * token itself, rather than overwriting the token its alias leads to.
+ * @param {string} text - tokens.json contents
+ * @param {string} varName - Custom property name (e.g., '--color-primary')
+ * @param {string} value - CSS value
+ * @returns {{content: string, path: string[], line: number, previousValue: string} | null}
+ *   null unless the token exists and the value references another token;
+ *   `previousValue` is an alias written as `var(--x)`, as CSS shows it
+ * @throws {Error} If the alias would lead back to the token
+ */
+export function repointToken(text, varName, value) {
+  const tokens = extractTokens(text);
+  const token = tokens.find(t => t.name === varName);
+  const alias = token && referenceToAlias(tokens, value);
+  if (!alias) return null;
+
+  const { content } = updateTokenValue(text, token.path, alias);
+  if (!findToken(content, varName)) {
+    throw new Error(`${varName} can't point at ${value.trim()}: the alias would be circular`);
+  }
+
+  const current = parseAlias(token.rawValue);
+  return {
+    content,
+    path: token.path,
+    line: token.line,
+    previousValue: current ? `var(${pathToVariable(current)})` : token.value
+  };
+}
+
+/**
+ * Add a token for a custom property
+ * It goes into the deepest existing group whose path prefixes the name
+ * (so `--color-brand-accent` lands in `color.brand` as `accent` if that
+ * group exists, otherwise in `color` as `brand-accent`),
+ * and `var(--x)` values that point at a token are stored as aliases.
+ * @param {string} text - tokens.json contents
+ * @param {string} varName - Custom property name (e.g., '--color-accent')
+ * @param {string} value - CSS value
+ * @returns {{content: string, path: string[], line: number}}
+ */
+export function addToken(text, varName, value) {
+  const root = parseJSON(text);
+  if (root.type !== 'object') {
+    throw new Error('Tokens file must contain a JSON object');
+  }
+
+  const tokens = extractTokens(text);
+  if (tokens.some(t => t.name === varName)) {
+    throw new Error(`Token ${varName} already exists`);
+  }
+
+  // Reference existing tokens as aliases
+  const tokenValue = referenceToAlias(tokens, value) || value;
+
+  // Descend through groups whose names prefix the variable name
+  const segments = varName.replace(/^--/, '');
+  let group = root;
+  const path = [];
+  let rest = segments;
+  for (;;) {
+    const next = group.members.find(m =>
+      !m.key.startsWith('$') && m.value.type === 'object' && !getMember(m.value, '$value') &&
+      rest.startsWith(`${m.key}-`)
+    );
+    if (!next) break;
+    path.push(next.key);
+    rest = rest.slice(next.key.length + 1);
+    group = next.value;
+  }
+  path.push(rest);
+
+  const indentUnit = detectIndentUnit(text);
+  const depth = path.length - 1;
+  const pad = indentUnit.repeat(depth + 1);
+  const token = JSON.stringify({ $value: tokenValue }, null, indentUnit)
+    .split('\n')
+    .map((line, i) => (i === 0 ? line : pad + line))
+    .join('\n');
+  const member = `${pad}${JSON.stringify(rest)}: ${token}`;
+
+  // Insert after the last member (or into an empty group)
+  const last = group.members[group.members.length - 1];
+  let content;
+  let offset;
+  if (last) {
+    const insertAt = last.value.end;
+    content = `${text.slice(0, insertAt)},\n${member}${text.slice(insertAt)}`;
+    offset = insertAt + 2 + pad.length;
+  } else {
+    const closing = `\n${indentUnit.repeat(depth)}`;
+    content = `${text.slice(0, group.start + 1)}\n${member}${closing}${text.slice(group.end - 1)}`;
+    offset = group.start + 2 + pad.length;
+  }
+
+  return { content, path, line: createLocator(content)(offset).line };
+}
+
+/**
+ * Rename the token behind a custom property, repointing aliases to it
+ * The token stays in its group, so the new name has to keep the group's
+ * prefix (`--color-primary` can become `--color-brand`, not `--brand`).
+ * @param {string} text - tokens.json contents
+ * @param {string} varName - Current custom property name
+ * @param {string} newName - New custom property name
+ * @returns {{content: string, path: string[], aliases: number}} `aliases` counts rewritten references
+ */
+export function renameToken(text, varName, newName) {
+  const root = parseJSON(text);
+  const tokens = extractTokens(text);
+  const token = tokens.find(t => t.name === varName);
+  if (!token) {
+    throw new Error(`Token ${varName} not found`);
+  }
+  if (tokens.some(t => t.name === newName)) {
+    throw new Error(`Token ${newName} already exists`);
+  }
+
+  const groupPath = token.path.slice(0, -1);
+  const prefix = groupPath.length > 0 ? `${pathToVariable(groupPath)}-` : '--';
+  if (!newName.startsWith(prefix) || newName.length === prefix.length) {
+    throw new Error(`${newName} must keep the ${prefix} prefix of group ${groupPath.join('.') || '(root)'}`);
+  }
+
+  const newKey = newName.slice(prefix.length);
+  const newPath = [...groupPath, newKey];
+  const group = groupPath.length > 0 ? getNode(root, groupPath) : root;
+  const member = group.members.find(m => m.key === token.path[token.path.length - 1]);
+  const edits = [{ node: { start: member.keyStart, end: member.keyEnd }, text: JSON.stringify(newKey) }];
+
+  // Repoint `{group.old}` aliases, wherever they appear in string values
+  const oldAlias = `{${token.path.join('.')}}`;
+  const newAlias = `{${newPath.join('.')}}`;
+  let aliases = 0;
+  (function visit(node) {
+    if (node.type === 'string' && node.value.includes(oldAlias)) {
+      edits.push({ node, text: JSON.stringify(node.value.split(oldAlias).join(newAlias)) });
+      aliases++;
+    }
+    for (const m of node.members || []) visit(m.value);
+    for (const item of node.items || []) visit(item);
+  })(root);
+
+  return { content: spliceNodes(text, edits), path: newPath, aliases };
+}
+
+/**
+ * Remove the token behind a custom property
+ * Its group is kept even when it ends up empty.
+ * @param {string} text - tokens.json contents
+ * @param {string} varName - Custom property name
+ * @returns {{content: string, path: string[]}}
+ */
+export function removeToken(text, varName) {
+  const root = parseJSON(text);
+  const token = extractTokens(text).find(t => t.name === varName);
+  if (!token) {
+    throw new Error(`Token ${varName} not found`);
+  }
+
+  const groupPath = token.path.slice(0, -1);
+  const group = groupPath.length > 0 ? getNode(root, groupPath) : root;
+  const index = group.members.findIndex(m => m.key === token.path[token.path.length - 1]);
+  const member = group.members[index];
+  const previous = group.members[index - 1];
+  const next = group.members[index + 1];
+
+  // Take the separating comma with it: the one before, or else the one after
+  let range;
+  if (previous) {
+    range = { start: previous.value.end, end: member.value.end };
+  } else if (next) {
+    range = { start: member.keyStart, end: next.keyStart };
+  } else {
+    range = { start: group.start + 1, end: group.end - 1 };
+  }
+
+  return { content: spliceNodes(text, [{ node: range, text: '' }]), path: token.path };
+}
+
+/**
+ * Format a `$value` as CSS
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatValue(value) {
+  if (typeof value === 'string') return value;
+  if (typeof value === 'number') return String(value);
+  if (value && typeof value === 'object' && 'value' in value && 'unit' in value) {
+    return `${value.value}${value.unit}`;
+  }
+  return JSON.stringify(value);
+}
+
+// ---------------------------------------------------------------------------
+// Offset-preserving JSON parsing
+// ---------------------------------------------------------------------------
+
+/**
+ * Parse JSON into nodes that remember their source offsets
+ * @param {string} text
+ * @returns {Object} Node: {type, start, end, value?, members?, items?}
+ *   Object members are {key, keyStart, keyEnd, value}
+ */
+function parseJSON(text) {
+  let i = 0;
+
+  function skipWhitespace() {
+    while (i < text.length && /\s/.test(text[i])) i++;
+  }
+
+  function fail(message) {
+    const { line, column } = createLocator(text)(i);
+    throw new Error(`Invalid tokens JSON: ${message} at ${line}:${column}`);
+  }
+
+  function parseValue() {
+    skipWhitespace();
+    const start = i;
+    const c = text[i];
+
+    if (c === '{') {
+      i++;
+      const members = [];
+      skipWhitespace();
+      if (text[i] === '}') {
+        i++;
+        return { type: 'object', start, end: i, members };
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[i] !== '"') fail('expected property name');
+        const keyNode = parseValue();
+        skipWhitespace();
+        if (text[i] !== ':') fail("expected ':'");
+        i++;
+        members.push({ key: keyNode.value, keyStart: keyNode.start, keyEnd: keyNode.end, value: parseValue() });
+        skipWhitespace();
+        if (text[i] === ',') { i++; continue; }
+        if (text[i] === '}') { i++; break; }
+        fail("expected ',' or '}'");
+      }
+      return { type: 'object', start, end: i, members };
+    }
+
+    if (c === '[') {
+      i++;
+      const items = [];
+      skipWhitespace();
+      if (text[i] === ']') {
+        i++;
+        return { type: 'array', start, end: i, items };
+      }
+      for (;;) {
+        items.push(parseValue());
+        skipWhitespace();
+        if (text[i] === ',') { i++; continue; }
+        if (text[i] === ']') { i++; break; }
+        fail("expected ',' or ']'");
+      }
+      return { type: 'array', start, end: i, items };
+    }
+
+    if (c === '"') {
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        i += text[i] === '\\' ? 2 : 1;
+      }
+      if (i >= text.length) fail('unterminated string');
+      i++;
+      return { type: 'string', start, end: i, value: JSON.parse(text.slice(start, i)) };
+    }
+
+    const literal = text.slice(i).match(/^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/);
+    if (!literal) fail('unexpected character');
+    i += literal[0].length;
+    const value = JSON.parse(literal[0]);
+    return { type: typeof value === 'number' ? 'number' : 'literal', start, end: i, value };
+  }
+
+  const node = parseValue();
+  skipWhitespace();
+  if (i < text.length) fail('unexpected trailing content');
+  return node;
+}
+
+function getMember(node, key) {
+  if (node?.type !== 'object') return null;
+  return node.members.find(m => m.key === key)?.value || null;
+}
+
+function getNode(root, path) {
+  let node = root;
+  for (const key of path) {
+    node = getMember(node, key);
+    if (!node) return null;
+  }
+  return node;
+}
+
+/** Convert a node back to a plain JS value */
+function toValue(node) {
+  if (node.type === 'object') {
+    return Object.fromEntries(node.members.map(m => [m.key, toValue(m.value)]));
+  }
+  if (node.type === 'array') return node.items.map(toValue);
+  return node.value;
+}
+
+function spliceNodes(text, edits) {
+  const sorted = [...edits].sort((a, b) => b.node.start - a.node.start);
+  let result = text;
+  for (const { node, text: replacement } of sorted) {
+    result = result.slice(0, node.start) + replacement + result.slice(node.end);
+  }
+  return result;
+}
+
+/**
+ * Detect the indentation unit used by a JSON document
+ */
+function detectIndentUnit(text) {
+  const match = text.match(/\n([ \t]+)"/);
+  return match ? match[1] : '  ';
+}
@@ -0,0 +1,153 @@
+/**
+ * Unified diff generation for Ektachrome write-back previews.
+ * Produces `diff -u` style output so changes can be reviewed before
+ * anything is written to disk.
+ */
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string} oldContent - Current file contents
+ * @param {string} newContent - Proposed file contents
+ * @param {string} filePath - Path shown in the diff header
+ * @param {number} [context] - Lines of context around each change (default: 3)
+ * @returns {string} Unified diff, or empty string if contents are identical
+ */
+export function createUnifiedDiff(oldContent, newContent, filePath, context = 3) {
+  if (oldContent === newContent) return '';
+
+  const oldLines = oldContent.split('\n');
+  const newLines = newContent.split('\n');
+  const ops = diffLines(oldLines, newLines);
+  const hunks = buildHunks(ops, context);
+
+  const header = `--- a/${filePath}\n+++ b/${filePath}\n`;
+  return header + hunks.map(formatHunk).join('\n') + '\n';
+}
+
+/**
+ * Compute a line-level edit script
+ * Common prefix/suffix are trimmed before running LCS, which keeps
+ * the table small for the typical "one declaration changed" case.
+ * @param {string[]} a - Old lines
+ * @param {string[]} b - New lines
+ * @returns {Array<{type: ' ' | '-' | '+', line: string}>}
+ */
+function diffLines(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // LCS table over the differing middle section
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+  const table = Array.from({ length: rows }, () => new Uint32Array(cols));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      table[i][j] = midA[i] === midB[j]
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(line => ({ type: ' ', line }));
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: ' ', line: midA[i] });
+      i++;
+      j++;
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: '-', line: midA[i++] });
+    } else {
+      ops.push({ type: '+', line: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ type: '-', line: midA[i++] });
+  while (j < midB.length) ops.push({ type: '+', line: midB[j++] });
+
+  for (const line of a.slice(endA)) {
+    ops.push({ type: ' ', line });
+  }
+
+  return ops;
+}
+
+/**
+ * Group an edit script into hunks with surrounding context
+ * @param {Array<{type: string, line: string}>} ops
+ * @param {number} context
+ * @returns {Array<{oldStart: number, oldCount: number, newStart: number, newCount: number, lines: string[]}>}
+ */
+function buildHunks(ops, context) {
+  const hunks = [];
+
+  // Positions of every changed op
+  const changed = [];
+  ops.forEach((op, index) => {
+    if (op.type !== ' ') changed.push(index);
+  });
+
+  let cursor = 0;
+  while (cursor < changed.length) {
+    // Extend the hunk while the next change is within 2x context
+    let last = cursor;
+    while (last + 1 < changed.length && changed[last + 1] - changed[last] <= context * 2) {
+      last++;
+    }
+
+    const from = Math.max(0, changed[cursor] - context);
+    const to = Math.min(ops.length, changed[last] + context + 1);
+
+    // Line numbers (1-based) at the start of the hunk
+    let oldLine = 1;
+    let newLine = 1;
+    for (let k = 0; k < from; k++) {
+      if (ops[k].type !== '+') oldLine++;
+      if (ops[k].type !== '-') newLine++;
+    }
+
+    const lines = [];
+    let oldCount = 0;
+    let newCount = 0;
+    for (let k = from; k < to; k++) {
+      const op = ops[k];
+      lines.push(op.type + op.line);
+      if (op.type !== '+') oldCount++;
+      if (op.type !== '-') newCount++;
+    }
+
+    hunks.push({
+      oldStart: oldCount === 0 ? oldLine - 1 : oldLine,
+      oldCount,
+      newStart: newCount === 0 ? newLine - 1 : newLine,
+      newCount,
+      lines
+    });
+
+    cursor = last + 1;
+  }
+
+  return hunks;
+}
+
+/**
+ * Format a hunk as text
+ */
+function formatHunk(hunk) {
+  const range = (start, count) => count === 1 ? `${start}` : `${start},${count}`;
+  const header = `@@ -${range(hunk.oldStart, hunk.oldCount)} +${range(hunk.newStart, hunk.newCount)} @@`;
+  return [header, ...hunk.lines].join('\n');
+}
@@ -0,0 +1,67 @@
+/**
+ * Open a source location in the developer's editor.
+ *
+ * The editor comes from the `editor` option, then $EKTACHROME_EDITOR,
+ * $VISUAL and $EDITOR, defaulting to VS Code (`code`). Each editor family
+ * takes the line in its own way; unknown editors get `file:line:column`.
+ */
+
+import { spawn } from 'child_process';
+import { basename } from 'path';
+
+/**
+ * Pick the editor command
+ * @param {string} [editor] - Explicit command (e.g. 'cursor', 'subl -n')
+ * @returns {string}
+ */
+export function resolveEditor(editor) {
+  return editor || process.env.EKTACHROME_EDITOR || process.env.VISUAL || process.env.EDITOR || 'code';
+}
+
+/**
+ * Build the argument list that opens `file` at `line`/`column`
+ * @param {string} editor - Editor command, possibly with arguments
+ * @param {string} file - Absolute path
+ * @param {number} [line]
+ * @param {number} [column]
+ * @returns {{command: string, args: string[]}}
+ */
+export function editorCommand(editor, file, line = 1, column = 1) {
+  const [command, ...extra] = editor.trim().split(/\s+/);
+  const name = basename(command).replace(/\.(exe|cmd|bat)$/i, '').toLowerCase();
+
+  let args;
+  if (/^(code|code-insiders|codium|cursor|windsurf)$/.test(name)) {
+    args = ['-g', `${file}:${line}:${column}`];
+  } else if (/^(idea|webstorm|phpstorm|pycharm|rubymine|goland|clion|rider)(64)?$/.test(name)) {
+    args = ['--line', String(line), '--column', String(column), file];
+  } else if (/^(vim|nvim|vi|emacs|emacsclient|nano|micro|kak|hx|helix)$/.test(name)) {
+    args = [`+${line}`, file];
+  } else {
+    // subl, zed, atom, mate and most others accept file:line:column
+    args = [`${file}:${line}:${column}`];
+  }
+
+  return { command, args: [...extra, ...args] };
+}
+
+/**
+ * Launch the editor at a location, without waiting for it to exit
+ * @param {string} file - Absolute path
+ * @param {number} [line]
+ * @param {number} [column]
+ * @param {string} [editor] - See resolveEditor
+ * @returns {Promise<string>} Resolves with the command once the process has started
+ */
+export function launchEditor(file, line, column, editor) {
+  const { command, args } = editorCommand(resolveEditor(editor), file, line, column);
+
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { stdio: 'ignore', detached: true });
+    child.once('error', e => reject(new Error(`Could not start editor "${command}": ${e.message}`)));
+    child.once('spawn', () => {
+      child.unref();
+      resolve(command);
+    });
+  });
+}
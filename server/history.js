@@ -0,0 +1,178 @@
+/**
+ * Commit journal for Ektachrome write-back.
+ * Records the previous contents of every file touched by a commit so the
+ * last write-back can be rolled back without involving git.
+ *
+ * Entries are stored as JSON files under `.ektachrome/history/` in the
+ * project root, one file per commit. Only the newest MAX_ENTRIES are kept.
+ */
+
+import { readFile, readdir, writeFile, mkdir, unlink } from 'fs/promises';
+import { join, resolve } from 'path';
+import { writeFilesAtomically } from './transaction.js';
+
+export const HISTORY_DIR = '.ektachrome/history';
+/** Entries kept (and undoable); older ones are deleted as new ones are recorded */
+export const MAX_ENTRIES = 50;
+
+// Disambiguates entries recorded within the same millisecond
+let sequence = 0;
+
+/**
+ * Create a journal bound to a project root
+ * @param {string} root - Project root path
+ * @param {string} [dir] - History directory relative to root
+ * @param {number} [maxEntries] - Entries to keep
+ */
+export function createHistory(root, dir = HISTORY_DIR, maxEntries = MAX_ENTRIES) {
+  const historyDir = resolve(root, dir);
+
+  async function readEntry(fileName) {
+    const raw = await readFile(join(historyDir, fileName), 'utf-8');
+    return JSON.parse(raw);
+  }
+
+  async function allEntryFiles() {
+    try {
+      const names = await readdir(historyDir);
+      return names.filter(n => n.endsWith('.json')).sort();
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+  }
+
+  // Entries past the limit (left by an older version, say) are ignored
+  async function entryFiles() {
+    return (await allEntryFiles()).slice(-maxEntries);
+  }
+
+  async function prune() {
+    const names = await allEntryFiles();
+    for (const name of names.slice(0, Math.max(0, names.length - maxEntries))) {
+      await unlink(join(historyDir, name)).catch(e => {
+        console.warn('[history] Could not delete old entry:', name, e.message);
+      });
+    }
+  }
+
+  return {
+    /**
+     * Record a write-back
+     * @param {Object} entry
+     * @param {string} entry.action - Endpoint that made the change ('commit', 'create-token')
+     * @param {Array<{file: string, before: string, after: string}>} entry.files - Relative paths with contents
+     * @param {string[]} [entry.variables] - Variables affected by the change
+     * @param {Array<{variable: string, selector: string, atRules: string[]}>} [entry.scopes] - Declarations
+     *   the variables were written in, when known
+     * @returns {Promise<{id: string} | null>}
+     */
+    async record({ action, files, variables = [], scopes = [] }) {
+      if (files.length === 0) return null;
+
+      await mkdir(historyDir, { recursive: true });
+
+      const id = `${Date.now()}-${String(sequence++ % 1000).padStart(3, '0')}`;
+      const entry = {
+        id,
+        action,
+        timestamp: new Date().toISOString(),
+        variables,
+        scopes,
+        files
+      };
+
+      await writeFile(join(historyDir, `${id}.json`), JSON.stringify(entry, null, 2), 'utf-8');
+      await prune();
+      return { id };
+    },
+
+    /**
+     * List journal entries, newest first, without file contents
+     * @returns {Promise<Array<{id: string, action: string, timestamp: string, variables: string[], scopes: Array<Object>, files: string[]}>>}
+     */
+    async list() {
+      const names = await entryFiles();
+      const entries = [];
+
+      for (const name of names.reverse()) {
+        try {
+          const entry = await readEntry(name);
+          entries.push({
+            id: entry.id,
+            action: entry.action,
+            timestamp: entry.timestamp,
+            variables: entry.variables,
+            scopes: entry.scopes || [],
+            files: entry.files.map(f => f.file)
+          });
+        } catch (e) {
+          console.warn('[history] Skipping unreadable entry:', name, e.message);
+        }
+      }
+
+      return entries;
+    },
+
+    /**
+     * Restore the files from the most recent entry and drop it from the journal.
+     * Refuses if a file was modified after the commit, unless `force` is set.
+     * @param {Object} [options]
+     * @param {boolean} [options.force] - Restore even if files changed since the commit
+     * @param {(file: string) => Promise<boolean>} [options.canRestore] - Whether an (absolute) path may be
+     *   written; the entry is left alone if any of its files may not
+     * @returns {Promise<{undone: Object | null, conflicts: string[], refused: string[]}>}
+     */
+    async undoLast({ force = false, canRestore = async () => true } = {}) {
+      const names = await entryFiles();
+      if (names.length === 0) {
+        return { undone: null, conflicts: [], refused: [] };
+      }
+
+      const latest = names[names.length - 1];
+      const entry = await readEntry(latest);
+
+      const refused = [];
+      for (const { file } of entry.files) {
+        if (!(await canRestore(resolve(root, file)))) refused.push(file);
+      }
+      if (refused.length > 0) {
+        return { undone: null, conflicts: [], refused };
+      }
+
+      // Make sure nobody edited the files since we wrote them
+      const conflicts = [];
+      for (const { file, after } of entry.files) {
+        let current = null;
+        try {
+          current = await readFile(resolve(root, file), 'utf-8');
+        } catch {
+          // Missing file counts as modified
+        }
+        if (current !== after) {
+          conflicts.push(file);
+        }
+      }
+
+      if (conflicts.length > 0 && !force) {
+        return { undone: null, conflicts, refused };
+      }
+
+      await writeFilesAtomically(entry.files.map(({ file, before }) => ({ file: resolve(root, file), content: before })));
+
+      await unlink(join(historyDir, latest));
+
+      return {
+        undone: {
+          id: entry.id,
+          action: entry.action,
+          variables: entry.variables,
+          scopes: entry.scopes || [],
+          files: entry.files.map(f => f.file)
+        },
+        conflicts,
+        refused
+      };
+    }
+  };
+}
@@ -0,0 +1,1693 @@
+/**
+ * Framework-agnostic write-back middleware for Ektachrome.
+ *
+ * Serves the `/__ektachrome/*` API the browser client talks to as a
+ * connect-style `(req, res, next)` handler, so any Node server can mount
+ * it: the Vite plugin, webpack-dev-server and Express adapters
+ * (./adapters.js) and the `ektachrome serve` CLI all share this code.
+ */
+
+import { readFile, stat, realpath } from 'fs/promises';
+import { relative, resolve, isAbsolute } from 'path';
+import { randomBytes, timingSafeEqual } from 'crypto';
+import { STYLE_EXTENSIONS, DEFAULT_INCLUDE, findCSSFiles, extractVariables, updateVariable, removeVariable, addVariable, findVariableFile, findBestFileForScope, usePropertyToken, normalizeValue, formatScope, matchesScope, extractDeclarations, getSyntax, extractPropertyRules, addPropertyRule, isComputationallyIndependent } from './css-parser.js';
+import { findPreprocessorReference, resolvePreprocessorVariable, isComputedValue, updatePreprocessorVariable } from './preprocessor.js';
+import { extractTokens, findToken, updateTokenValue, addToken, renameToken, removeToken, repointToken, pathToVariable, parseAlias } from './design-tokens.js';
+import { findTailwindConfig, extractThemeTokens, updateThemeValue, splitThemeVariable } from './tailwind.js';
+import { renameInStylesheet, renameInScript } from './rename.js';
+import { isCustomPropertyName, findScriptFiles, findStylesheetReferences, findScriptReferences, varReferenceRegExp } from './references.js';
+import { tokenizeValue, valueKey } from './tokenize.js';
+import { createUnifiedDiff } from './diff.js';
+import { createHistory } from './history.js';
+import { launchEditor } from './editor.js';
+import { createUsageIndex } from './usages.js';
+import { isSFC, extractStyleBlocks } from './sfc.js';
+import { validate } from './validate.js';
+import { writeFilesAtomically } from './transaction.js';
+
+/** Request header carrying the per-session secret */
+export const SESSION_TOKEN_HEADER = 'x-ektachrome-token';
+/** Name of the <meta> tag the secret is injected into pages as */
+export const SESSION_TOKEN_META = 'ektachrome-token';
+
+/**
+ * Create the Ektachrome API middleware
+ * Requests outside `/__ektachrome/*` are passed on with `next()`.
+ * @param {Object} options
+ * @param {string} [options.root] - Project root (default: process.cwd())
+ * @param {string[]} [options.include] - Glob patterns for CSS/SCSS/Less files and Vue/Svelte components to scan
+ * @param {string[]} [options.exclude] - Patterns to exclude
+ * @param {string} [options.tokensFile] - DTCG tokens.json (relative to root) to use as the source of truth
+ * @param {string | false} [options.tailwindConfig] - Tailwind config path (default: detect tailwind.config.* in root; false to disable)
+ * @param {string} [options.editor] - Editor command for /open (default: $EKTACHROME_EDITOR, $VISUAL, $EDITOR, then `code`)
+ * @param {string[] | true} [options.allowedHosts] - Host names accepted besides localhost and IP addresses
+ *   (`.example.com` also allows subdomains; true allows any)
+ * @param {string[]} [options.allowedOrigins] - Origins besides the server's own that may call the API
+ * @param {number} [options.maxBodySize] - Largest request body in bytes (default: 1 MiB)
+ * @returns {((req: import('http').IncomingMessage, res: import('http').ServerResponse, next?: Function) => void) & {routes: Map<string, Function>, snapshotTokens: Function, refreshTokens: Function, invalidateUsages: Function, sessionToken: string, isAllowedHost: Function}}
+ *   `routes` maps each endpoint path to its handler, for servers that mount by path;
+ *   `snapshotTokens`/`refreshTokens` let a file watcher report token edits made on disk, and
+ *   `invalidateUsages(file)` tells the usage index a file changed;
+ *   `sessionToken` is the secret POST requests must send in the `x-ektachrome-token` header, and
+ *   `isAllowedHost(host)` applies the API's Host check to requests served alongside it
+ */
+export function createEktachromeMiddleware(options = {}) {
+  const {
+    root = process.cwd(),
+    include = DEFAULT_INCLUDE,
+    exclude = ['node_modules/**', 'dist/**'],
+    tokensFile = null,
+    tailwindConfig = undefined,
+    editor = undefined,
+    allowedHosts = [],
+    allowedOrigins = [],
+    maxBodySize = 1024 * 1024
+  } = options;
+
+  /** @type {string[]} */
+  let cachedFiles = [];
+  let cacheTime = 0;
+  /** @type {string[]} */
+  let cachedScripts = [];
+  let scriptCacheTime = 0;
+  const CACHE_TTL = 5000; // 5 seconds
+
+  /** @type {Map<string, Function>} */
+  const routes = new Map();
+
+  /**
+   * Register an endpoint
+   * @param {string} path
+   * @param {Function} handler - `(req, res, next)`
+   * @param {Object} [schema] - Body schema for POST requests (see validate())
+   */
+  function use(path, handler, schema = null) {
+    routes.set(path, (req, res, next) => guard(req, res, schema, () => handler(req, res, next)));
+  }
+
+  // Secret for this server's lifetime; pages get it injected (or read it
+  // from /status, which other origins can't read) and send it with writes
+  const sessionToken = randomBytes(32).toString('hex');
+
+  const history = createHistory(root);
+  const tokensPath = tokensFile ? resolve(root, tokensFile) : null;
+
+  /**
+   * Get the Tailwind config path, if the project has one
+   */
+  async function getTailwindConfig() {
+    if (tailwindConfig === false) return null;
+    if (tailwindConfig) return resolve(root, tailwindConfig);
+    return findTailwindConfig(root);
+  }
+
+  /**
+   * Read theme tokens from the Tailwind config
+   * @param {(file: string) => Promise<string>} [read] - Content loader
+   * @returns {Promise<{file: string, tokens: Array} | null>}
+   */
+  async function readTailwindTheme(read = file => readFile(file, 'utf-8')) {
+    const file = await getTailwindConfig();
+    if (!file) return null;
+    try {
+      return { file, tokens: extractThemeTokens(await read(file)) };
+    } catch (e) {
+      console.warn('[ektachrome] Error reading Tailwind config:', e.message);
+      return null;
+    }
+  }
+
+  /**
+   * Get CSS files with caching
+   */
+  async function getCSSFiles() {
+    const now = Date.now();
+    if (cachedFiles.length === 0 || now - cacheTime > CACHE_TTL) {
+      cachedFiles = await findCSSFiles(root, include, exclude);
+      cacheTime = now;
+    }
+    return cachedFiles;
+  }
+
+  /**
+   * Get JS/TS/Vue/Svelte sources with caching
+   */
+  async function getScriptFiles() {
+    const now = Date.now();
+    if (now - scriptCacheTime > CACHE_TTL) {
+      cachedScripts = await findScriptFiles(root, exclude);
+      scriptCacheTime = now;
+    }
+    return cachedScripts;
+  }
+
+  /**
+   * The <style> blocks a script scan should leave out: those of a
+   * component that is indexed as a stylesheet, and so handled as CSS
+   * @param {string} file - Absolute path
+   * @param {string} content - File contents
+   * @param {string[]} cssFiles - From getCSSFiles()
+   * @returns {Array<{start: number, end: number}>}
+   */
+  function styleBlocksHandledAsCSS(file, content, cssFiles) {
+    return isSFC(file) && cssFiles.includes(file) ? extractStyleBlocks(content) : [];
+  }
+
+  // Where each token is used, kept up to date file by file
+  const usageIndex = createUsageIndex(async () => [...new Set([...await getCSSFiles(), ...await getScriptFiles()])]);
+
+  /**
+   * Parse JSON body from request
+   * Bodies over maxBodySize are refused with a 413 error.
+   */
+  async function parseBody(req) {
+    // Already parsed by the host server (express.json(), Next.js API routes)
+    if (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body)) {
+      return req.body;
+    }
+    if (Number(req.headers?.['content-length']) > maxBodySize) {
+      throw httpError(413, 'Request body too large');
+    }
+    return new Promise((resolve, reject) => {
+      let body = '';
+      let size = 0;
+      const onData = chunk => {
+        size += chunk.length;
+        if (size > maxBodySize) {
+          req.removeListener('data', onData);
+          reject(httpError(413, 'Request body too large'));
+          return;
+        }
+        body += chunk;
+      };
+      req.on('data', onData);
+      req.on('end', () => {
+        if (size > maxBodySize) return;
+        try {
+          resolve(body ? JSON.parse(body) : {});
+        } catch (e) {
+          reject(httpError(400, 'Invalid JSON'));
+        }
+      });
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Error carrying the HTTP status to respond with
+   */
+  function httpError(status, message) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  /**
+   * Whether the Host header names this machine or an allowed host
+   * Requests through another host name (DNS rebinding) are refused.
+   */
+  function isAllowedHost(host) {
+    if (!host || allowedHosts === true) return true;
+    const hostname = host.startsWith('[') ? host.slice(0, host.indexOf(']') + 1) : host.split(':')[0];
+    if (hostname === 'localhost' || hostname.endsWith('.localhost')) return true;
+    if (/^\d{1,3}(\.\d{1,3}){3}$/.test(hostname) || hostname.startsWith('[')) return true;
+    return allowedHosts.some(allowed => allowed.startsWith('.')
+      ? hostname === allowed.slice(1) || hostname.endsWith(allowed)
+      : hostname === allowed);
+  }
+
+  /**
+   * Whether a request's Origin (if any) is the server itself or allowed
+   */
+  function isAllowedOrigin(origin, host) {
+    if (!origin) return true; // Not sent by a browser, or a same-origin GET
+    if (allowedOrigins.includes(origin)) return true;
+    try {
+      return new URL(origin).host === host;
+    } catch {
+      return false; // 'null' from sandboxed frames and file:// pages
+    }
+  }
+
+  function hasSessionToken(req) {
+    const sent = Buffer.from(String(req.headers?.[SESSION_TOKEN_HEADER] || ''));
+    const expected = Buffer.from(sessionToken);
+    return sent.length === expected.length && timingSafeEqual(sent, expected);
+  }
+
+  /**
+   * Checks every request passes before reaching its handler: Host and
+   * Origin must be this server, and POSTs must carry the session token,
+   * fit in maxBodySize and match the endpoint's schema
+   */
+  function guard(req, res, schema, handle) {
+    const headers = req.headers || {};
+    if (!isAllowedHost(headers.host)) {
+      sendJSON(res, { error: `Host not allowed: ${headers.host}` }, 403);
+      return;
+    }
+    if (!isAllowedOrigin(headers.origin, headers.host)) {
+      sendJSON(res, { error: `Cross-origin request refused: ${headers.origin}` }, 403);
+      return;
+    }
+    if (req.method !== 'POST') {
+      handle();
+      return;
+    }
+    if (!hasSessionToken(req)) {
+      sendJSON(res, { error: 'Missing or invalid session token' }, 403);
+      return;
+    }
+
+    parseBody(req).then(body => {
+      const error = schema && validate(body, schema);
+      if (error) {
+        sendJSON(res, { error }, 400);
+        return;
+      }
+      req.body = body; // Handlers' parseBody() reuses it
+      handle();
+    }, e => {
+      sendJSON(res, { error: e.message }, e.status || 400);
+    });
+  }
+
+  /**
+   * Files the API may write or open: the stylesheets in the include set, the DTCG
+   * file and the Tailwind config, plus script files for renames
+   * @param {string} file - Absolute path
+   * @param {Object} [options]
+   * @param {boolean} [options.scripts] - Also allow JS/TS/Vue/Svelte sources
+   * @throws {Error} With status 403 when the file is outside that set, or
+   *   resolves (through a symlink) to somewhere outside root
+   */
+  async function assertSourceFile(file, { scripts = false } = {}) {
+    const allowed = new Set(await getCSSFiles());
+    if (tokensPath) allowed.add(tokensPath);
+    const config = await getTailwindConfig();
+    if (config) allowed.add(config);
+    if (scripts) {
+      for (const script of await findScriptFiles(root, exclude)) allowed.add(script);
+    }
+
+    const outside = () => httpError(403, `Not an indexed source file: ${relative(root, file)}`);
+    if (!allowed.has(file)) throw outside();
+
+    const [real, realRoot] = await Promise.all([realpath(file), realpath(root)]).catch(() => []);
+    const rel = real ? relative(realRoot, real) : '..';
+    if (rel.startsWith('..') || isAbsolute(rel)) throw outside();
+  }
+
+  /**
+   * Write a set of staged files, after checking every one of them
+   * Either every file is written or none is (see transaction.js).
+   * @param {Array<{file: string, content: string}>} writes - Absolute paths
+   * @param {Object} [options] - See assertSourceFile
+   */
+  async function writeSourceFiles(writes, options) {
+    for (const { file } of writes) {
+      await assertSourceFile(file, options);
+    }
+    await writeFilesAtomically(writes);
+  }
+
+  /**
+   * Journal a write-back so it can be undone
+   * The files are already written by then, so a journal failure doesn't
+   * fail the request: it reports success with a warning that this change
+   * can't be undone.
+   * @param {Object} entry - See history.record()
+   * @returns {Promise<{historyId?: string, warning?: string}>}
+   */
+  async function recordHistory(entry) {
+    try {
+      const recorded = await history.record(entry);
+      return recorded ? { historyId: recorded.id } : {};
+    } catch (e) {
+      console.error(`[ektachrome] Could not journal ${entry.action}:`, e);
+      return { warning: `Changes were written, but undo is unavailable for them (${e.message})` };
+    }
+  }
+
+  /**
+   * Send JSON response
+   */
+  function sendJSON(res, data, status = 200) {
+    res.statusCode = status;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+  }
+
+  // GET /__ektachrome/status
+  use('/__ektachrome/status', (req, res, next) => {
+    if (req.method !== 'GET') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+    sendJSON(res, { connected: true, version: '1.0.0', token: sessionToken });
+  });
+
+  /**
+   * Files tokens are read from: the DTCG file when there is one,
+   * otherwise the scanned stylesheets and the Tailwind config
+   * @returns {Promise<string[]>} Absolute paths
+   */
+  async function getTokenSources() {
+    if (tokensPath) return [tokensPath];
+    const config = await getTailwindConfig();
+    return config ? [...await getCSSFiles(), config] : getCSSFiles();
+  }
+
+  /**
+   * Read the tokens declared in one source file
+   * @param {string} file - Absolute path
+   * @returns {Promise<Array | null>} Entries as served by /tokens, or null if the file is not a token source
+   */
+  async function readFileTokens(file) {
+    if (!(await getTokenSources()).includes(file)) return null;
+    const relativePath = relative(root, file);
+
+    if (file === tokensPath) {
+      return extractTokens(await readFile(tokensPath, 'utf-8')).map(t => ({
+        name: t.name,
+        value: t.value,
+        file: relativePath,
+        line: t.line,
+        path: t.path.join('.'),
+        type: t.type,
+        description: t.description,
+        alias: t.alias
+      }));
+    }
+
+    // Tailwind v3 theme entries have no declaration in CSS
+    if (file === await getTailwindConfig()) {
+      const theme = await readTailwindTheme();
+      return (theme?.tokens || []).map(t => ({
+        name: t.name, value: t.value, file: relativePath, line: t.line, selector: null
+      }));
+    }
+
+    const syntax = getSyntax(file);
+    return extractVariables(await readFile(file, 'utf-8'), syntax).map(v => ({
+      name: v.name,
+      value: v.value,
+      file: relativePath,
+      line: v.line,
+      column: v.column,
+      selector: v.selector,
+      ...(v.parentSelectors.length > 0 && { parentSelectors: v.parentSelectors }),
+      atRules: v.atRules,
+      reference: findPreprocessorReference(v.value, syntax) || undefined
+    }));
+  }
+
+  /** @type {Map<string, Array>} Last tokens read per source file, for change detection */
+  const snapshots = new Map();
+  let snapshotReady = null;
+
+  /**
+   * Record the current tokens of every source so later edits can be diffed
+   * @returns {Promise<void>}
+   */
+  function snapshotTokens() {
+    snapshotReady ??= (async () => {
+      for (const file of await getTokenSources()) {
+        snapshots.set(file, await readFileTokens(file));
+      }
+    })();
+    return snapshotReady;
+  }
+
+  /**
+   * Re-read a file that changed on disk and diff its tokens against the
+   * last snapshot. Tokens are identified by name and scope.
+   * @param {string} file - Absolute path of the changed, added or removed file
+   * @returns {Promise<{file: string, changed: Array, added: Array, removed: Array} | null>}
+   *   null when the file is not a token source or no token changed
+   */
+  async function refreshTokens(file) {
+    const isSource = file === tokensPath || file === await getTailwindConfig() ||
+      STYLE_EXTENSIONS.some(ext => file.endsWith(ext));
+    if (!isSource) return null;
+
+    await snapshotTokens();
+    cacheTime = 0; // The file may have been added or removed
+
+    const previous = snapshots.get(file) || [];
+    const next = (await readFileTokens(file)) || [];
+    if (next.length > 0) {
+      snapshots.set(file, next);
+    } else {
+      snapshots.delete(file);
+    }
+
+    const key = t => `${t.name}|${t.selector ?? ''}|${(t.atRules || []).join('|')}`;
+    const before = new Map(previous.map(t => [key(t), t]));
+    const after = new Map(next.map(t => [key(t), t]));
+
+    const changed = [];
+    const added = [];
+    for (const [k, token] of after) {
+      const old = before.get(k);
+      if (!old) {
+        added.push(token);
+      } else if (old.value !== token.value) {
+        changed.push({ ...token, previousValue: old.value });
+      }
+    }
+    const removed = [...before].filter(([k]) => !after.has(k)).map(([, token]) => token);
+
+    if (changed.length + added.length + removed.length === 0) return null;
+    return { file: relative(root, file), changed, added, removed };
+  }
+
+  // GET /__ektachrome/tokens
+  use('/__ektachrome/tokens', async (req, res, next) => {
+    if (req.method !== 'GET') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const sources = await getTokenSources();
+      const tokens = [];
+      for (const file of sources) {
+        tokens.push(...(await readFileTokens(file)));
+      }
+
+      // @property registrations give tokens an exact type
+      const registrations = [];
+      for (const file of await getCSSFiles()) {
+        for (const rule of extractPropertyRules(await readFile(file, 'utf-8'), getSyntax(file))) {
+          registrations.push({ ...rule, file: relative(root, file) });
+        }
+      }
+
+      sendJSON(res, {
+        tokens,
+        registrations,
+        files: sources.map(f => relative(root, f))
+      });
+    } catch (e) {
+      console.error('[ektachrome] Error scanning tokens:', e);
+      sendJSON(res, { error: e.message }, 500);
+    }
+  });
+
+  /**
+   * Apply variable changes in memory without touching disk.
+   * Shared by the preview and commit endpoints so both run the
+   * exact same findVariableFile + updateVariable pipeline.
+   *
+   * When a change carries `original` (the value the browser saw before
+   * editing), it is refused with a conflict error if the file no longer
+   * holds that value, so edits made elsewhere are never clobbered.
+   *
+   * When a change carries `scope` ({selector, atRules}), only the
+   * declaration in that exact scope is updated, so edits made under a
+   * dark theme or media query don't land in the :root declaration.
+   *
+   * Custom properties that only reference a SCSS/Less variable
+   * (`--x: #{$blue-500}`) are written to that variable's definition,
+   * and tokens defined in `tokensFile` are written to the JSON.
+   * Tailwind v3 theme entries (`--color-blue-500` for
+   * `theme.extend.colors.blue.500`) are written to tailwind.config.js.
+   * @returns {Promise<{staged: Map<string, {original: string, content: string}>, committed: Array, errors: Array}>}
+   */
+  async function stageChanges(changes, commitOptions = {}) {
+    const cssFiles = await getCSSFiles();
+    const staged = new Map();
+    const committed = [];
+    const errors = [];
+
+    // Read each file once; later changes build on earlier ones
+    async function stageFile(file) {
+      let entry = staged.get(file);
+      if (!entry) {
+        const original = await readFile(file, 'utf-8');
+        entry = { original, content: original };
+        staged.set(file, entry);
+      }
+      return entry;
+    }
+
+    async function readStaged(file) {
+      return staged.get(file)?.content ?? readFile(file, 'utf-8');
+    }
+
+    /**
+     * Work out where a change is written and what it replaces
+     * @returns {Promise<{target: Object} | {error: string}>}
+     */
+    async function locateTarget({ variable, value, scope }) {
+      // Tokens owned by the DTCG file are written there, not to generated CSS
+      if (tokensPath) {
+        const entry = await stageFile(tokensPath);
+
+        // `var(--other-token)` re-points the token instead of overwriting a value
+        const repointed = repointToken(entry.content, variable, value);
+        if (repointed) {
+          return {
+            target: {
+              entry,
+              file: tokensPath,
+              line: repointed.line,
+              previousValue: repointed.previousValue,
+              content: repointed.content,
+              source: repointed.path.join('.')
+            }
+          };
+        }
+
+        const found = findToken(entry.content, variable);
+        if (found) {
+          const result = updateTokenValue(entry.content, found.target.path, value);
+          const alias = found.target !== found.token && parseAlias(found.token.rawValue);
+          return {
+            target: {
+              entry,
+              file: tokensPath,
+              line: found.target.line,
+              previousValue: result.previousValue,
+              // The browser sees the alias the value is written behind
+              ...(alias && { declaredValue: `var(${pathToVariable(alias)})` }),
+              content: result.content,
+              source: found.target.path.join('.')
+            }
+          };
+        }
+      }
+
+      // Tailwind v3 theme entries are written to tailwind.config.js
+      const theme = await readTailwindTheme(readStaged);
+      const themeToken = theme?.tokens.find(t => t.name === variable);
+      if (themeToken) {
+        const entry = await stageFile(theme.file);
+        return {
+          target: {
+            entry,
+            file: theme.file,
+            line: themeToken.line,
+            previousValue: themeToken.value,
+            content: updateThemeValue(entry.content, themeToken, value)
+          }
+        };
+      }
+
+      // Find which file contains this variable (in the edited scope)
+      const location = await findVariableFile(variable, cssFiles, scope || null);
+
+      if (!location) {
+        return {
+          error: scope
+            ? `Variable not declared in ${formatScope(scope)}`
+            : 'Variable not found in any CSS file'
+        };
+      }
+
+      const scopeInfo = {
+        selector: location.selector,
+        ...(location.parentSelectors?.length > 0 && { parentSelectors: location.parentSelectors }),
+        atRules: location.atRules
+      };
+
+      // Custom properties compiled from a SCSS/Less variable are
+      // written where that variable gets its value
+      const reference = findPreprocessorReference(location.value, location.syntax);
+      if (reference) {
+        const source = await resolvePreprocessorVariable(reference, location.file, cssFiles, readStaged);
+        if (!source) {
+          return { error: `Preprocessor variable ${reference} not found` };
+        }
+        if (isComputedValue(source.value, location.syntax)) {
+          return { error: `${source.name} is computed (${source.value}) and can't be overwritten` };
+        }
+
+        const entry = await stageFile(source.file);
+        return {
+          target: {
+            entry,
+            file: source.file,
+            line: source.line,
+            previousValue: source.value,
+            content: updatePreprocessorVariable(entry.content, source, value),
+            scope: scopeInfo,
+            source: source.name
+          }
+        };
+      }
+
+      const entry = await stageFile(location.file);
+      const selector = scope || commitOptions.selector || null;
+      const result = updateVariable(entry.content, variable, value, selector, location.syntax);
+
+      if (!result.changed) {
+        return { error: 'Variable value unchanged' };
+      }
+
+      return {
+        target: {
+          entry,
+          file: location.file,
+          line: location.line,
+          previousValue: result.previousValue,
+          content: result.content,
+          scope: scopeInfo
+        }
+      };
+    }
+
+    for (const change of changes) {
+      const { variable, value, original } = change;
+
+      if (!variable || !value) {
+        errors.push({ variable, error: 'Missing variable or value' });
+        continue;
+      }
+
+      try {
+        const { target, error } = await locateTarget(change);
+        if (error) {
+          errors.push({ variable, error });
+          continue;
+        }
+
+        // Optimistic concurrency: the file must still hold the base value.
+        // Already holding our value is not a conflict.
+        const onDisk = normalizeValue(target.previousValue);
+        const base = normalizeValue(original ?? '');
+        if (original !== undefined && original !== null &&
+            onDisk !== base && onDisk !== normalizeValue(value) &&
+            (target.declaredValue === undefined || normalizeValue(target.declaredValue) !== base)) {
+          errors.push({
+            variable,
+            error: 'Conflict: value changed on disk since editing started',
+            conflict: {
+              base: original,
+              ours: value,
+              theirs: target.previousValue,
+              file: relative(root, target.file),
+              line: target.line,
+              ...(target.scope && { scope: target.scope })
+            }
+          });
+          continue;
+        }
+
+        target.entry.content = target.content;
+
+        committed.push({
+          variable,
+          file: relative(root, target.file),
+          line: target.line,
+          ...(target.scope && { scope: target.scope }),
+          ...(target.source && { source: target.source })
+        });
+      } catch (e) {
+        errors.push({ variable, error: e.message });
+      }
+    }
+
+    return { staged, committed, errors };
+  }
+
+  /**
+   * Read and validate the changes array from a commit/preview request
+   */
+  async function readChanges(req, res) {
+    const body = await parseBody(req);
+    const { changes = [], options: commitOptions = {} } = body;
+
+    if (!Array.isArray(changes) || changes.length === 0) {
+      sendJSON(res, { error: 'No changes provided' }, 400);
+      return null;
+    }
+
+    return { changes, commitOptions };
+  }
+
+  const CHANGES_SCHEMA = {
+    changes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          variable: { type: 'variable', required: true },
+          value: { type: 'value', required: true },
+          original: { type: 'string' },
+          scope: { type: 'object', fields: { selector: { type: 'selector', required: true }, parentSelectors: { type: 'array', items: { type: 'selector' } }, atRules: { type: 'array', items: { type: 'atRule' } } } }
+        }
+      }
+    },
+    options: { type: 'object', fields: { selector: { type: 'selector' } } }
+  };
+
+  // POST /__ektachrome/preview
+  use('/__ektachrome/preview', async (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const request = await readChanges(req, res);
+      if (!request) return;
+
+      const { staged, committed, errors } = await stageChanges(request.changes, request.commitOptions);
+
+      const files = [];
+      for (const [file, { original, content }] of staged) {
+        const relativePath = relative(root, file);
+        const diff = createUnifiedDiff(original, content, relativePath);
+        if (diff) {
+          files.push({ file: relativePath, diff });
+        }
+      }
+
+      const success = errors.length === 0;
+      sendJSON(res, { success, files, changes: committed, errors: errors.length > 0 ? errors : undefined });
+
+    } catch (e) {
+      console.error('[ektachrome] Error previewing changes:', e);
+      sendJSON(res, { error: e.message }, 500);
+    }
+  }, CHANGES_SCHEMA);
+
+  // POST /__ektachrome/commit
+  // Writes a batch of changes all-or-nothing: a change that can't be made
+  // (conflict, missing declaration) or a failed write leaves every file as it was
+  use('/__ektachrome/commit', async (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const request = await readChanges(req, res);
+      if (!request) return;
+
+      const { staged, committed, errors } = await stageChanges(request.changes, request.commitOptions);
+
+      // The batch is one transaction: if any change can't be made, no file is written
+      if (errors.length > 0) {
+        sendJSON(res, { success: false, committed: [], errors });
+        return;
+      }
+
+      const changed = [...staged].filter(([, { original, content }]) => content !== original);
+      try {
+        await writeSourceFiles(changed.map(([file, { content }]) => ({ file, content })));
+      } catch (e) {
+        const failed = e.file ? `${relative(root, e.file)}: ${e.message}` : e.message;
+        sendJSON(res, {
+          success: false,
+          committed: [],
+          errors: committed.map(c => ({ variable: c.variable, error: `Nothing was written (${failed})` }))
+        }, e.status || 500);
+        return;
+      }
+
+      // Invalidate cache since files changed
+      cacheTime = 0;
+
+      // Keep previous contents so the commit can be undone
+      const recorded = await recordHistory({
+        action: 'commit',
+        files: changed.map(([file, { original, content }]) => ({ file: relative(root, file), before: original, after: content })),
+        variables: committed.map(c => c.variable),
+        scopes: committed.filter(c => c.scope).map(c => ({ variable: c.variable, ...c.scope }))
+      });
+
+      sendJSON(res, { success: true, committed, ...recorded });
+
+    } catch (e) {
+      console.error('[ektachrome] Error committing changes:', e);
+      sendJSON(res, { error: e.message }, 500);
+    }
+  }, CHANGES_SCHEMA);
+
+  const CREATE_TOKEN_SCHEMA = {
+    name: { type: 'variable', required: true },
+    value: { type: 'value', required: true },
+    scope: { type: 'selector', required: true },
+    property: { type: 'property' },
+    file: { type: 'string' },
+    syntax: { type: 'propertySyntax' },
+    inherits: { type: 'boolean' }
+  };
+
+  // POST /__ektachrome/create-token
+  // Declares a token in the stylesheet best matching its scope, or in
+  // `file` (relative to root), which may be a Vue/Svelte component. With
+  // `syntax` the token is also registered with @property in the same file.
+  use('/__ektachrome/create-token', async (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const body = await parseBody(req);
+      const { name, value, scope, property, file, syntax, inherits = true } = body;
+
+      if (!name || !value || !scope) {
+        sendJSON(res, { error: 'Missing required fields: name, value, scope' }, 400);
+        return;
+      }
+      if (syntax && !isComputationallyIndependent(value)) {
+        sendJSON(res, { error: `${value} can't be an @property initial-value; use an absolute value` }, 400);
+        return;
+      }
+
+      // Global tokens go into the DTCG file when there is one
+      if (tokensPath && scope === ':root' && !file) {
+        if (syntax) {
+          sendJSON(res, { error: '@property rules are written to stylesheets; pass a file to declare the token in' }, 400);
+          return;
+        }
+        const before = await readFile(tokensPath, 'utf-8');
+        const result = addToken(before, name, value);
+        await writeSourceFiles([{ file: tokensPath, content: result.content }]);
+
+        const recorded = await recordHistory({
+          action: 'create-token',
+          files: [{ file: relative(root, tokensPath), before, after: result.content }],
+          variables: [name]
+        });
+
+        sendJSON(res, {
+          success: true,
+          file: relative(root, tokensPath),
+          line: result.line,
+          path: result.path.join('.'),
+          ...recorded
+        });
+        return;
+      }
+
+      const cssFiles = await getCSSFiles();
+      
+      if (cssFiles.length === 0) {
+        sendJSON(res, { error: 'No CSS files found' }, 400);
+        return;
+      }
+
+      // Find the best file for this scope, unless one was asked for
+      const targetFile = file ? resolve(root, file) : await findBestFileForScope(scope, cssFiles);
+      if (!cssFiles.includes(targetFile)) {
+        sendJSON(res, { error: `Not a scanned stylesheet or component: ${file}` }, 400);
+        return;
+      }
+      await assertSourceFile(targetFile);
+      const before = await readFile(targetFile, 'utf-8');
+      const fileSyntax = getSyntax(targetFile);
+
+      // Every edit is made in memory, then the file is written once
+      const result = addVariable(before, name, value, scope, fileSyntax);
+      let after = result.content;
+
+      // Optionally update the property to use the new token
+      if (property && scope !== ':root') {
+        after = usePropertyToken(after, scope, property, name, fileSyntax).content;
+      }
+
+      if (syntax) {
+        after = addPropertyRule(after, name, { syntax, inherits, initialValue: value }, fileSyntax).content;
+      }
+
+      await writeSourceFiles([{ file: targetFile, content: after }]);
+
+      // Invalidate cache
+      cacheTime = 0;
+
+      const recorded = await recordHistory({
+        action: 'create-token',
+        files: [{ file: relative(root, targetFile), before, after }],
+        variables: [name]
+      });
+
+      sendJSON(res, {
+        success: true,
+        file: relative(root, targetFile),
+        line: result.line,
+        ...recorded
+      });
+
+    } catch (e) {
+      console.error('[ektachrome] Error creating token:', e);
+      sendJSON(res, { error: e.message }, e.status || 500);
+    }
+  }, CREATE_TOKEN_SCHEMA);
+
+  const RENAME_SCHEMA = {
+    from: { type: 'variable', required: true },
+    to: { type: 'variable', required: true },
+    scripts: { type: 'boolean' },
+    dryRun: { type: 'boolean' }
+  };
+
+  // POST /__ektachrome/rename-token
+  // Renames a declaration and every var() reference to it; with `scripts`
+  // also JS/TS/Vue/Svelte sources. `dryRun` returns the diffs only.
+  use('/__ektachrome/rename-token', async (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const body = await parseBody(req);
+      const { from, to, scripts = false, dryRun = false } = body;
+
+      if (!isCustomPropertyName(from) || !isCustomPropertyName(to)) {
+        sendJSON(res, { error: 'from and to must be custom property names (--name)' }, 400);
+        return;
+      }
+      if (from === to) {
+        sendJSON(res, { error: 'New name is the same as the old one' }, 400);
+        return;
+      }
+
+      const cssFiles = await getCSSFiles();
+      const staged = [];
+      let declared = false;
+
+      // DTCG tokens are renamed in the JSON, along with aliases to them
+      if (tokensPath) {
+        const before = await readFile(tokensPath, 'utf-8');
+        const names = extractTokens(before).map(t => t.name);
+        if (names.includes(to)) {
+          sendJSON(res, { error: `${to} already exists` }, 409);
+          return;
+        }
+        if (names.includes(from)) {
+          let result;
+          try {
+            result = renameToken(before, from, to);
+          } catch (e) {
+            sendJSON(res, { error: e.message }, 400);
+            return;
+          }
+          staged.push({ file: tokensPath, before, after: result.content, declarations: 1, references: result.aliases });
+          declared = true;
+        }
+      }
+
+      for (const file of cssFiles) {
+        const before = await readFile(file, 'utf-8');
+        const syntax = getSyntax(file);
+        if (extractVariables(before, syntax).some(v => v.name === to)) {
+          sendJSON(res, { error: `${to} is already declared in ${relative(root, file)}` }, 409);
+          return;
+        }
+        const result = renameInStylesheet(before, from, to, syntax);
+        if (result.declarations > 0) declared = true;
+        if (result.content !== before) {
+          staged.push({ file, before, after: result.content, declarations: result.declarations, references: result.references });
+        }
+      }
+
+      if (!declared) {
+        const theme = await readTailwindTheme();
+        const error = theme?.tokens.some(t => t.name === from)
+          ? `${from} comes from the Tailwind config; rename the theme key there`
+          : `${from} is not declared in any source file`;
+        sendJSON(res, { error }, 404);
+        return;
+      }
+
+      if (scripts) {
+        for (const file of await findScriptFiles(root, exclude)) {
+          // A component's <style> blocks may already be renamed above
+          const entry = staged.find(s => s.file === file);
+          const before = entry ? entry.after : await readFile(file, 'utf-8');
+          const result = renameInScript(before, from, to, styleBlocksHandledAsCSS(file, before, cssFiles));
+          if (result.references === 0) continue;
+          if (entry) {
+            entry.after = result.content;
+            entry.references += result.references;
+          } else {
+            staged.push({ file, before, after: result.content, declarations: 0, references: result.references });
+          }
+        }
+      }
+
+      const files = staged.map(({ file, before, after, declarations, references }) => ({
+        file: relative(root, file),
+        declarations,
+        references,
+        ...(dryRun && { diff: createUnifiedDiff(before, after, relative(root, file)) })
+      }));
+
+      if (dryRun) {
+        sendJSON(res, { success: true, from, to, files });
+        return;
+      }
+
+      await writeSourceFiles(staged.map(({ file, after }) => ({ file, content: after })), { scripts });
+
+      // Invalidate cache since files changed
+      cacheTime = 0;
+
+      const recorded = await recordHistory({
+        action: 'rename-token',
+        files: staged.map(({ file, before, after }) => ({ file: relative(root, file), before, after })),
+        variables: [from, to]
+      });
+
+      sendJSON(res, { success: true, from, to, files, ...recorded });
+    } catch (e) {
+      console.error('[ektachrome] Error renaming token:', e);
+      sendJSON(res, { error: e.message }, e.status || 500);
+    }
+  }, RENAME_SCHEMA);
+
+  const TOKENIZE_SCHEMA = {
+    value: { type: 'value', required: true },
+    variable: { type: 'variable', required: true },
+    scope: { type: 'selector' },
+    dryRun: { type: 'boolean' }
+  };
+
+  // POST /__ektachrome/tokenize
+  // Replaces every occurrence of a hardcoded value, in any equivalent
+  // spelling, with var(--token) across all stylesheets as one change.
+  // Creates the token first when it doesn't exist yet. `dryRun` returns
+  // the matches and diffs only.
+  use('/__ektachrome/tokenize', async (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const body = await parseBody(req);
+      const { value, variable, scope = ':root', dryRun = false } = body;
+
+      if (typeof value !== 'string' || !value.trim()) {
+        sendJSON(res, { error: 'Missing required field: value' }, 400);
+        return;
+      }
+      if (!isCustomPropertyName(variable)) {
+        sendJSON(res, { error: 'variable must be a custom property name (--name)' }, 400);
+        return;
+      }
+
+      const cssFiles = await getCSSFiles();
+      if (cssFiles.length === 0) {
+        sendJSON(res, { error: 'No CSS files found' }, 400);
+        return;
+      }
+
+      /** @type {Map<string, {before: string, after: string}>} */
+      const staged = new Map();
+      const stage = async (file, edit) => {
+        const entry = staged.get(file) || { before: await readFile(file, 'utf-8') };
+        entry.after = edit(entry.after ?? entry.before);
+        staged.set(file, entry);
+      };
+
+      // The token has to exist with this value; create it otherwise
+      const existing = [];
+      if (tokensPath) {
+        const found = findToken(await readFile(tokensPath, 'utf-8'), variable);
+        if (found) existing.push(found.token.value);
+      }
+      for (const file of cssFiles) {
+        const content = await readFile(file, 'utf-8');
+        for (const v of extractVariables(content, getSyntax(file))) {
+          if (v.name === variable) existing.push(v.value);
+        }
+      }
+
+      let created = null;
+      if (existing.length > 0) {
+        const key = valueKey(value);
+        if (!existing.some(v => valueKey(v) === key)) {
+          sendJSON(res, { error: `${variable} is ${existing[0]}, not ${value}` }, 409);
+          return;
+        }
+      } else if (tokensPath && scope === ':root') {
+        await stage(tokensPath, content => {
+          const result = addToken(content, variable, value.trim());
+          created = { file: relative(root, tokensPath), line: result.line };
+          return result.content;
+        });
+      } else {
+        const targetFile = await findBestFileForScope(scope, cssFiles);
+        await stage(targetFile, content => {
+          const result = addVariable(content, variable, value.trim(), scope, getSyntax(targetFile));
+          created = { file: relative(root, targetFile), line: result.line };
+          return result.content;
+        });
+      }
+
+      const occurrences = [];
+      for (const file of cssFiles) {
+        const content = staged.get(file)?.after ?? await readFile(file, 'utf-8');
+        const result = tokenizeValue(content, value, variable, getSyntax(file));
+        if (result.occurrences.length === 0) continue;
+        await stage(file, () => result.content);
+        for (const { property, selector, atRules, line, original } of result.occurrences) {
+          occurrences.push({ file: relative(root, file), line, selector, atRules, property, original });
+        }
+      }
+
+      if (occurrences.length === 0) {
+        sendJSON(res, { error: `No occurrences of ${value} found` }, 404);
+        return;
+      }
+
+      const files = [...staged].map(([file, { before, after }]) => ({
+        file: relative(root, file),
+        replacements: occurrences.filter(o => o.file === relative(root, file)).length,
+        ...(dryRun && { diff: createUnifiedDiff(before, after, relative(root, file)) })
+      }));
+
+      if (dryRun) {
+        sendJSON(res, { success: true, value, variable, created, occurrences, files });
+        return;
+      }
+
+      await writeSourceFiles([...staged].map(([file, { after }]) => ({ file, content: after })));
+
+      // Invalidate cache since files changed
+      cacheTime = 0;
+
+      const recorded = await recordHistory({
+        action: 'tokenize',
+        files: [...staged].map(([file, { before, after }]) => ({ file: relative(root, file), before, after })),
+        variables: [variable]
+      });
+
+      sendJSON(res, { success: true, value, variable, created, occurrences, files, ...recorded });
+    } catch (e) {
+      console.error('[ektachrome] Error tokenizing value:', e);
+      sendJSON(res, { error: e.message }, e.status || 500);
+    }
+  }, TOKENIZE_SCHEMA);
+
+  const REMOVE_SCHEMA = {
+    variables: { type: 'array', required: true, items: { type: 'variable' } },
+    dryRun: { type: 'boolean' }
+  };
+
+  // POST /__ektachrome/remove-tokens
+  // Deletes the declarations of tokens the audit found unused. References
+  // are re-checked first (stylesheets, DTCG aliases and any mention in
+  // JS/TS/Vue/Svelte sources, e.g. getPropertyValue('--x')); tokens that
+  // are still referenced are skipped. References from the declarations of
+  // other tokens removed in the same request don't count. `dryRun` returns
+  // the diffs only.
+  use('/__ektachrome/remove-tokens', async (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const body = await parseBody(req);
+      const { variables, dryRun = false } = body;
+
+      if (!Array.isArray(variables) || variables.length === 0 || !variables.every(isCustomPropertyName)) {
+        sendJSON(res, { error: 'variables must be a non-empty array of custom property names (--name)' }, 400);
+        return;
+      }
+
+      const cssFiles = await getCSSFiles();
+      const scriptFiles = await findScriptFiles(root, exclude);
+      const theme = await readTailwindTheme();
+
+      /** @type {Map<string, {before: string, after: string}>} */
+      const staged = new Map();
+      const contents = new Map();
+      const read = async (file) => {
+        if (!contents.has(file)) contents.set(file, await readFile(file, 'utf-8'));
+        return contents.get(file);
+      };
+
+      // References (`from` names the token whose declaration makes them) and edits per token
+      const found = new Map();
+      for (const variable of [...new Set(variables)]) {
+        const references = [];
+        const edits = [];
+
+        if (tokensPath) {
+          const text = await read(tokensPath);
+          const tokens = extractTokens(text);
+          const token = tokens.find(t => t.name === variable);
+          if (token) {
+            const path = token.path.join('.');
+            for (const t of tokens) {
+              if (t.alias === path) references.push({ file: relative(root, tokensPath), line: t.line, from: t.name });
+            }
+            edits.push({ file: tokensPath, declarations: 1, apply: content => removeToken(content, variable).content });
+          }
+        }
+
+        for (const file of cssFiles) {
+          const content = await read(file);
+          const syntax = getSyntax(file);
+          for (const { line, from } of findStylesheetReferences(content, variable, syntax)) {
+            references.push({ file: relative(root, file), line, from });
+          }
+          const declarations = extractVariables(content, syntax).filter(v => v.name === variable).length;
+          if (declarations > 0) {
+            edits.push({ file, declarations, apply: c => removeVariable(c, variable, syntax).content });
+          }
+        }
+
+        for (const file of scriptFiles) {
+          const content = await read(file);
+          for (const { line } of findScriptReferences(content, variable, styleBlocksHandledAsCSS(file, content, cssFiles))) {
+            references.push({ file: relative(root, file), line });
+          }
+        }
+
+        found.set(variable, { references, edits });
+      }
+
+      // Drop tokens used outside the batch until the rest only use each other
+      const removable = new Set([...found].filter(([, { edits }]) => edits.length > 0).map(([variable]) => variable));
+      const blocking = variable => found.get(variable).references
+        .filter(r => r.from !== variable && !removable.has(r.from));
+      let changed = true;
+      while (changed) {
+        changed = false;
+        for (const variable of removable) {
+          if (blocking(variable).length > 0) {
+            removable.delete(variable);
+            changed = true;
+          }
+        }
+      }
+
+      const removed = [];
+      const skipped = [];
+      for (const [variable, { edits }] of found) {
+        const references = blocking(variable).map(({ file, line }) => ({ file, line }));
+        if (references.length > 0) {
+          skipped.push({ variable, error: 'Still referenced', references });
+          continue;
+        }
+        if (edits.length === 0) {
+          const error = theme?.tokens.some(t => t.name === variable)
+            ? 'Comes from the Tailwind config; remove the theme key there'
+            : 'Not declared in any source file';
+          skipped.push({ variable, error });
+          continue;
+        }
+
+        for (const { file, apply } of edits) {
+          const entry = staged.get(file) || { before: await read(file) };
+          entry.after = apply(entry.after ?? entry.before);
+          staged.set(file, entry);
+        }
+        removed.push({
+          variable,
+          files: edits.map(({ file, declarations }) => ({ file: relative(root, file), declarations }))
+        });
+      }
+
+      const files = [...staged].map(([file, { before, after }]) => ({
+        file: relative(root, file),
+        ...(dryRun && { diff: createUnifiedDiff(before, after, relative(root, file)) })
+      }));
+
+      if (removed.length === 0) {
+        sendJSON(res, { success: false, error: 'No tokens could be removed', removed, skipped, files }, 409);
+        return;
+      }
+
+      if (dryRun) {
+        sendJSON(res, { success: skipped.length === 0, removed, skipped, files });
+        return;
+      }
+
+      await writeSourceFiles([...staged].map(([file, { after }]) => ({ file, content: after })));
+
+      // Invalidate cache since files changed
+      cacheTime = 0;
+
+      const recorded = await recordHistory({
+        action: 'remove-tokens',
+        files: [...staged].map(([file, { before, after }]) => ({ file: relative(root, file), before, after })),
+        variables: removed.map(r => r.variable)
+      });
+
+      sendJSON(res, { success: skipped.length === 0, removed, skipped, files, ...recorded });
+    } catch (e) {
+      console.error('[ektachrome] Error removing tokens:', e);
+      sendJSON(res, { error: e.message }, e.status || 500);
+    }
+  }, REMOVE_SCHEMA);
+
+  /**
+   * Resolve where the browser says a stylesheet came from to a project file
+   * Vite tags dev stylesheets with `data-vite-dev-id` (an absolute path,
+   * possibly with a query); linked sheets have an href served from root.
+   * @param {string} [source]
+   * @returns {string | null} Absolute path inside root
+   */
+  function resolveSourceHint(source) {
+    if (typeof source !== 'string' || !source) return null;
+    let path = source;
+    if (/^https?:\/\//.test(path)) {
+      try {
+        path = decodeURIComponent(new URL(path).pathname);
+      } catch {
+        return null;
+      }
+    }
+    path = path.split('?')[0].replace(/^\/@fs(?=\/)/, '');
+    const file = path.startsWith(root) ? path : resolve(root, `.${path.startsWith('/') ? '' : '/'}${path}`);
+    return isInsideRoot(file) ? file : null;
+  }
+
+  /**
+   * @param {string} file - Absolute path
+   * @returns {boolean}
+   */
+  function isInsideRoot(file) {
+    const rel = relative(root, file);
+    return rel !== '' && !rel.startsWith('..') && !isAbsolute(rel);
+  }
+
+  const LOCATE_SCHEMA = {
+    items: {
+      type: 'array',
+      required: true,
+      items: {
+        type: 'object',
+        fields: {
+          variable: { type: 'variable' },
+          property: { type: 'property' },
+          selector: { type: 'string' },
+          parentSelectors: { type: 'array', items: { type: 'string' } },
+          atRules: { type: 'array', items: { type: 'string' } },
+          source: { type: 'string' }
+        }
+      }
+    }
+  };
+
+  // POST /__ektachrome/locate
+  // Map tokens and rules seen in the browser back to the file and line
+  // that declare them
+  use('/__ektachrome/locate', async (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const { items } = await parseBody(req);
+      if (!Array.isArray(items) || items.some(item => !item || typeof item !== 'object' ||
+        (!isCustomPropertyName(item.variable) && typeof item.property !== 'string'))) {
+        sendJSON(res, { error: 'items must be an array of {variable?, property?, selector?, parentSelectors?, atRules?, source?}' }, 400);
+        return;
+      }
+
+      // Candidate declarations per file, parsed once per request
+      const tokenCache = new Map();
+      const declarationCache = new Map();
+      const tokensIn = async file => {
+        if (!tokenCache.has(file)) tokenCache.set(file, (await readFileTokens(file)) || []);
+        return tokenCache.get(file);
+      };
+      const declarationsIn = async file => {
+        if (!declarationCache.has(file)) {
+          declarationCache.set(file, extractDeclarations(await readFile(file, 'utf-8'), getSyntax(file)));
+        }
+        return declarationCache.get(file);
+      };
+
+      const locations = [];
+      for (const { variable, property, selector, parentSelectors, atRules, source } of items) {
+        const candidates = [];
+
+        if (property) {
+          // A regular property, optionally only where it uses the variable
+          const reference = variable ? varReferenceRegExp(variable) : null;
+          for (const file of await getCSSFiles()) {
+            for (const d of await declarationsIn(file)) {
+              if (d.name !== property || (reference && d.value.search(reference) === -1)) continue;
+              candidates.push({ file, line: d.line, column: d.column, selector: d.selector, parentSelectors: d.parentSelectors, atRules: d.atRules });
+            }
+          }
+        } else {
+          for (const file of await getTokenSources()) {
+            for (const t of await tokensIn(file)) {
+              if (t.name !== variable) continue;
+              candidates.push({ file, line: t.line, column: t.column || 1, selector: t.selector, parentSelectors: t.parentSelectors, atRules: t.atRules || [] });
+            }
+          }
+        }
+
+        // Same scope if the browser told us, then the sheet it came from, then :root
+        const scoped = typeof selector === 'string'
+          ? candidates.filter(c => c.selector && matchesScope(c, {
+            selector,
+            ...(Array.isArray(parentSelectors) && { parentSelectors }),
+            atRules: Array.isArray(atRules) ? atRules : []
+          }))
+          : [];
+        const pool = scoped.length > 0 ? scoped : candidates;
+        const hint = resolveSourceHint(source);
+        const match = pool.find(c => c.file === hint) ||
+          pool.find(c => c.selector && c.selector.split(',').some(s => s.trim() === ':root')) ||
+          pool[0];
+
+        locations.push(match ? { file: relative(root, match.file), line: match.line, column: match.column } : null);
+      }
+
+      sendJSON(res, { locations });
+    } catch (e) {
+      console.error('[ektachrome] Error locating sources:', e);
+      sendJSON(res, { error: e.message }, 500);
+    }
+  }, LOCATE_SCHEMA);
+
+  const OPEN_SCHEMA = {
+    file: { type: 'string', required: true },
+    line: { type: 'integer' },
+    column: { type: 'integer' }
+  };
+
+  // POST /__ektachrome/open
+  // Open a project file in the configured editor
+  use('/__ektachrome/open', async (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const { file, line = 1, column = 1 } = await parseBody(req);
+      if (typeof file !== 'string' || !file || ![line, column].every(n => Number.isInteger(n) && n > 0)) {
+        sendJSON(res, { error: 'file (string), line and column (positive integers) are required' }, 400);
+        return;
+      }
+
+      const path = resolve(root, file);
+      if (!isInsideRoot(path)) {
+        sendJSON(res, { error: 'File is outside the project root' }, 403);
+        return;
+      }
+
+      try {
+        if (!(await stat(path)).isFile()) throw new Error('Not a file');
+      } catch {
+        sendJSON(res, { error: `File not found: ${file}` }, 404);
+        return;
+      }
+
+      await assertSourceFile(path, { scripts: true });
+      const command = await launchEditor(path, line, column, editor);
+      sendJSON(res, { success: true, editor: command, file: relative(root, path), line, column });
+    } catch (e) {
+      console.error('[ektachrome] Error opening editor:', e);
+      sendJSON(res, { error: e.message }, e.status || 500);
+    }
+  }, OPEN_SCHEMA);
+
+  // GET /__ektachrome/usages?variable=--a&variable=--b
+  // Where tokens are used across stylesheets, CSS Modules, Vue/Svelte
+  // <style> blocks and script string literals. Without `variable`, every
+  // name used anywhere is listed.
+  use('/__ektachrome/usages', async (req, res, next) => {
+    if (req.method !== 'GET') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      // Mounted by path (Vite), req.url is just `/?variable=...`
+      const params = new URL(req.url || '/', 'http://localhost').searchParams;
+      const variables = params.getAll('variable');
+      if (variables.length > 500 || !variables.every(isCustomPropertyName)) {
+        sendJSON(res, { error: 'variable must be a custom property name such as --color-primary' }, 400);
+        return;
+      }
+
+      const usages = await usageIndex.query(variables.length > 0 ? variables : undefined);
+      sendJSON(res, {
+        usages: usages.map(u => ({
+          ...u,
+          files: u.files.map(f => ({ ...f, file: relative(root, f.file) }))
+        }))
+      });
+    } catch (e) {
+      console.error('[ektachrome] Error finding usages:', e);
+      sendJSON(res, { error: e.message }, 500);
+    }
+  });
+
+  // GET /__ektachrome/tailwind
+  // Theme tokens for mapping utility classes (bg-blue-500, p-4) back to tokens
+  use('/__ektachrome/tailwind', async (req, res, next) => {
+    if (req.method !== 'GET') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const tokens = [];
+
+      // Tailwind v4: @theme blocks in CSS
+      for (const file of await getCSSFiles()) {
+        const content = await readFile(file, 'utf-8');
+        for (const v of extractVariables(content, getSyntax(file))) {
+          const split = v.atRules.includes('@layer theme') ? splitThemeVariable(v.name) : null;
+          if (split) {
+            tokens.push({ name: v.name, ...split, value: v.value, file: relative(root, file), line: v.line });
+          }
+        }
+      }
+
+      // Tailwind v3: tailwind.config.js theme
+      const theme = await readTailwindTheme();
+      if (theme) {
+        for (const t of theme.tokens) {
+          tokens.push({
+            name: t.name,
+            namespace: t.namespace,
+            key: t.key,
+            value: t.value,
+            file: relative(root, theme.file),
+            line: t.line
+          });
+        }
+      }
+
+      sendJSON(res, {
+        config: theme ? relative(root, theme.file) : null,
+        tokens
+      });
+    } catch (e) {
+      console.error('[ektachrome] Error reading Tailwind theme:', e);
+      sendJSON(res, { error: e.message }, 500);
+    }
+  });
+
+  // GET /__ektachrome/history
+  use('/__ektachrome/history', async (req, res, next) => {
+    if (req.method !== 'GET') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const entries = await history.list();
+      sendJSON(res, { entries });
+    } catch (e) {
+      console.error('[ektachrome] Error reading history:', e);
+      sendJSON(res, { error: e.message }, 500);
+    }
+  });
+
+  const UNDO_SCHEMA = {
+    force: { type: 'boolean' }
+  };
+
+  // POST /__ektachrome/undo
+  use('/__ektachrome/undo', async (req, res, next) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 405;
+      res.end('Method not allowed');
+      return;
+    }
+
+    try {
+      const body = await parseBody(req);
+      const { undone, conflicts, refused } = await history.undoLast({
+        force: body.force === true,
+        canRestore: file => assertSourceFile(file, { scripts: true }).then(() => true, () => false)
+      });
+
+      if (refused.length > 0) {
+        sendJSON(res, { success: false, error: 'History entry names files outside the indexed sources', refused }, 403);
+        return;
+      }
+
+      if (!undone && conflicts.length > 0) {
+        sendJSON(res, {
+          success: false,
+          error: 'Files changed since the last commit',
+          conflicts
+        }, 409);
+        return;
+      }
+
+      if (!undone) {
+        sendJSON(res, { success: false, error: 'Nothing to undo' }, 404);
+        return;
+      }
+
+      // Invalidate cache since files changed
+      cacheTime = 0;
+
+      sendJSON(res, { success: true, undone });
+    } catch (e) {
+      console.error('[ektachrome] Error undoing commit:', e);
+      sendJSON(res, { error: e.message }, 500);
+    }
+  }, UNDO_SCHEMA);
+
+  function middleware(req, res, next = () => {}) {
+    const path = (req.url || '').split('?')[0];
+    const handler = routes.get(path);
+    if (!handler) {
+      next();
+      return;
+    }
+    handler(req, res, next);
+  }
+
+  middleware.routes = routes;
+  middleware.snapshotTokens = snapshotTokens;
+  middleware.refreshTokens = refreshTokens;
+  middleware.sessionToken = sessionToken;
+  middleware.isAllowedHost = isAllowedHost;
+  middleware.invalidateUsages = file => {
+    scriptCacheTime = 0; // The file may have been added or removed
+    usageIndex.invalidate(file);
+  };
+  return middleware;
+}
+
+export default createEktachromeMiddleware;
@@ -0,0 +1,161 @@
+/**
+ * SCSS/Less variable support for Ektachrome write-back.
+ *
+ * Design systems often keep primitives in preprocessor variables and
+ * expose them as custom properties:
+ *
+ *   $color-blue-500: #3b82f6;
+ *   :root { --color-primary: #{$color-blue-500}; }
+ *
+ * Editing --color-primary in the browser should change `$color-blue-500`,
+ * since the custom property is compiled from it. This module follows that
+ * chain (including `$a: $b;` aliases) back to the declaration holding the
+ * literal value.
+ */
+
+import { readFile } from 'fs/promises';
+import { parseCSS, createLocator } from './css-ast.js';
+import { getSyntax, applyEdits } from './css-parser.js';
+
+// Longest alias chain followed before giving up (guards against cycles)
+const MAX_CHAIN = 10;
+
+/**
+ * Get the preprocessor variable a value refers to, if the whole value is
+ * a single reference: `#{$x}` or `$x` (SCSS), `@{x}` or `@x` (Less)
+ * @param {string} value - Declaration value
+ * @param {'css' | 'scss' | 'less'} syntax
+ * @returns {string | null} Variable name including its sigil (`$x`, `@x`)
+ */
+export function findPreprocessorReference(value, syntax) {
+  const trimmed = value.trim();
+
+  if (syntax === 'scss') {
+    const match = trimmed.match(/^(?:#\{\s*(\$[\w-]+)\s*\}|(\$[\w-]+))$/);
+    return match ? match[1] || match[2] : null;
+  }
+  if (syntax === 'less') {
+    const match = trimmed.match(/^(?:@\{([\w-]+)\}|(@[\w-]+))$/);
+    if (!match) return null;
+    return match[1] ? `@${match[1]}` : match[2];
+  }
+  return null;
+}
+
+/**
+ * Extract top-level preprocessor variable declarations
+ * Variables declared inside rules are local to them and are skipped.
+ * @param {string} content - File contents
+ * @param {'scss' | 'less'} syntax
+ * @returns {Array<{name: string, value: string, line: number, isDefault: boolean, valueStart: number, valueEnd: number}>}
+ */
+export function extractPreprocessorVariables(content, syntax) {
+  const sigil = syntax === 'less' ? '@' : '$';
+  const ast = parseCSS(content, { syntax });
+  const locate = createLocator(content);
+  const variables = [];
+
+  for (const node of ast.children) {
+    if (node.type !== 'declaration' || !node.property.startsWith(sigil)) continue;
+
+    // Split off Sass flags (`!default`, `!global`) so only the value is replaced
+    let { valueStart, valueEnd } = node;
+    let isDefault = false;
+    const flags = content.slice(valueStart, valueEnd).match(/(\s*!(default|global))+$/i);
+    if (flags) {
+      isDefault = /!default/i.test(flags[0]);
+      valueEnd -= flags[0].length;
+    }
+
+    variables.push({
+      name: node.property,
+      value: content.slice(valueStart, valueEnd).trim(),
+      line: locate(node.start).line,
+      isDefault,
+      valueStart,
+      valueEnd
+    });
+  }
+
+  return variables;
+}
+
+/**
+ * Find where a preprocessor variable gets its value, following aliases
+ * The file holding the reference is searched first, then the other files
+ * of the same syntax; a plain definition wins over a `!default` one.
+ * @param {string} name - Variable name including sigil (`$color-blue-500`)
+ * @param {string} fromFile - File containing the reference
+ * @param {string[]} files - Candidate stylesheet paths
+ * @param {(file: string) => Promise<string>} [read] - Content loader (defaults to disk)
+ * @returns {Promise<{file: string, name: string, line: number, value: string, valueStart: number, valueEnd: number, chain: string[]} | null>}
+ *   `chain` lists every variable visited, starting with `name`
+ */
+export async function resolvePreprocessorVariable(name, fromFile, files, read = file => readFile(file, 'utf-8')) {
+  const syntax = getSyntax(fromFile);
+  const candidates = [fromFile, ...files.filter(f => f !== fromFile && getSyntax(f) === syntax)];
+  const chain = [];
+  let current = name;
+
+  while (current && chain.length < MAX_CHAIN) {
+    if (chain.includes(current)) return null; // Cycle
+    chain.push(current);
+
+    let found = null;
+    for (const file of candidates) {
+      let content;
+      try {
+        content = await read(file);
+      } catch (e) {
+        console.warn('[preprocessor] Error reading file:', file, e.message);
+        continue;
+      }
+      const definitions = extractPreprocessorVariables(content, syntax).filter(v => v.name === current);
+      const definition = definitions.find(v => !v.isDefault) || definitions[0];
+      if (definition && (!found || (found.isDefault && !definition.isDefault))) {
+        found = { file, ...definition };
+        if (!definition.isDefault) break;
+      }
+    }
+
+    if (!found) return null;
+
+    const next = findPreprocessorReference(found.value, syntax);
+    if (!next) {
+      return {
+        file: found.file,
+        name: found.name,
+        line: found.line,
+        value: found.value,
+        valueStart: found.valueStart,
+        valueEnd: found.valueEnd,
+        chain
+      };
+    }
+    current = next;
+  }
+
+  return null;
+}
+
+/**
+ * Whether a preprocessor value is computed (refers to other variables or
+ * calls functions on them) and so can't be replaced by a literal safely
+ * @param {string} value
+ * @param {'scss' | 'less'} syntax
+ * @returns {boolean}
+ */
+export function isComputedValue(value, syntax) {
+  return syntax === 'less' ? /@\{?[\w-]/.test(value) : /\$[\w-]/.test(value);
+}
+
+/**
+ * Replace a resolved preprocessor variable's value
+ * @param {string} content - File contents the source was resolved against
+ * @param {{valueStart: number, valueEnd: number}} source - From resolvePreprocessorVariable()
+ * @param {string} newValue
+ * @returns {string}
+ */
+export function updatePreprocessorVariable(content, source, newValue) {
+  return applyEdits(content, [{ start: source.valueStart, end: source.valueEnd, text: newValue }]);
+}
@@ -0,0 +1,142 @@
+/**
+ * Custom property reference scanning for Ektachrome write-back.
+ *
+ * Finds where a token is used rather than declared: `var(--x)` in
+ * stylesheets (including fallbacks and at-rule preludes such as
+ * `@container style(--x: y)`), and any mention of `--x` in script and
+ * component sources (`getPropertyValue('--x')`, `style={{ '--x': y }}`,
+ * Vue/Svelte `<style>` blocks). Used by rename and by unused-token removal
+ * to make sure nothing still depends on a token.
+ */
+
+import { readdir } from 'fs/promises';
+import { join, relative } from 'path';
+import { parseCSS, walk, createLocator } from './css-ast.js';
+import { isExcluded } from './css-parser.js';
+
+// Sources that may mention custom properties outside stylesheets
+export const SCRIPT_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.vue', '.svelte'];
+
+/**
+ * Whether a string is a valid custom property name
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isCustomPropertyName(name) {
+  return typeof name === 'string' && /^--[a-zA-Z0-9_-]+$/.test(name) && name.length > 2;
+}
+
+/**
+ * Find script sources (recursive), skipping dot-directories
+ * @param {string} root - Project root path
+ * @param {string[]} [exclude] - Patterns to exclude
+ * @returns {Promise<string[]>} Absolute paths
+ */
+export async function findScriptFiles(root, exclude = ['node_modules/**', 'dist/**']) {
+  const files = [];
+
+  async function walkDir(dir) {
+    const entries = await readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = join(dir, entry.name);
+      if (entry.name.startsWith('.') || isExcluded(relative(root, fullPath), exclude)) continue;
+
+      if (entry.isDirectory()) {
+        await walkDir(fullPath);
+      } else if (entry.isFile() && SCRIPT_EXTENSIONS.some(ext => entry.name.endsWith(ext))) {
+        files.push(fullPath);
+      }
+    }
+  }
+
+  try {
+    await walkDir(root);
+  } catch (e) {
+    console.warn('[references] Error walking directory:', e.message);
+  }
+
+  return files;
+}
+
+/**
+ * Find `var(--name)` references in a stylesheet
+ * Declarations of the name itself (and `@property --name`) don't count.
+ * References in the value of another custom property carry its name as `from`.
+ * @param {string} content - File contents
+ * @param {string} name - Custom property name
+ * @param {'css' | 'scss' | 'less'} [syntax]
+ * @returns {Array<{line: number, column: number, from?: string}>}
+ */
+export function findStylesheetReferences(content, name, syntax = 'css') {
+  const ast = parseCSS(content, { syntax });
+  const locate = createLocator(content);
+  const reference = varReferenceRegExp(name);
+  const mention = nameRegExp(name);
+  const found = [];
+
+  walk(ast, (node) => {
+    if (node.type === 'declaration') {
+      const value = content.slice(node.valueStart, node.valueEnd);
+      const from = node.property.startsWith('--') ? node.property : null;
+      for (const match of value.matchAll(reference)) {
+        found.push({ offset: node.valueStart + match.index + match[1].length, from });
+      }
+    } else if (node.type === 'atrule' && node.name !== 'property') {
+      const preludeEnd = node.blockStart ?? node.end;
+      for (const match of content.slice(node.start, preludeEnd).matchAll(mention)) {
+        found.push({ offset: node.start + match.index, from: null });
+      }
+    }
+  });
+
+  return found
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ offset, from }) => ({ ...locate(offset), ...(from && { from }) }));
+}
+
+/**
+ * Find mentions of a custom property in a script or component source
+ * @param {string} content - File contents
+ * @param {string} name - Custom property name
+ * @param {Array<{start: number, end: number}>} [skip] - Ranges to leave out
+ *   (the <style> blocks of a component that is also scanned as a stylesheet)
+ * @returns {Array<{line: number, column: number}>}
+ */
+export function findScriptReferences(content, name, skip = []) {
+  const locate = createLocator(content);
+  return [...content.matchAll(nameRegExp(name))]
+    .filter(match => !isInRanges(match.index, skip))
+    .map(match => locate(match.index));
+}
+
+/**
+ * Whether an offset falls inside one of the ranges
+ * @param {number} offset
+ * @param {Array<{start: number, end: number}>} ranges
+ * @returns {boolean}
+ */
+export function isInRanges(offset, ranges) {
+  return ranges.some(range => offset >= range.start && offset < range.end);
+}
+
+/**
+ * Match `var(--name` (group 1 is `var(` plus whitespace), not `var(--name-x`
+ * @param {string} name
+ * @returns {RegExp}
+ */
+export function varReferenceRegExp(name) {
+  return new RegExp(`(var\\(\\s*)${escapeRegExp(name)}(?![\\w-])`, 'g');
+}
+
+/**
+ * Match a standalone `--name`, not `--name-x` or `x--name`
+ * @param {string} name
+ * @returns {RegExp}
+ */
+export function nameRegExp(name) {
+  return new RegExp(`(?<![\\w-])${escapeRegExp(name)}(?![\\w-])`, 'g');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
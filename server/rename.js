@@ -0,0 +1,78 @@
+/**
+ * Token renaming for Ektachrome write-back.
+ *
+ * Renames a custom property everywhere it is declared or referenced:
+ * declarations (`--old: ...`), `var(--old)` references (including
+ * fallbacks) and at-rule preludes such as `@property --old`. Script
+ * sources can be rewritten too, for tokens read or set from JS
+ * (`getPropertyValue('--old')`, `style={{ '--old': x }}`) and for the
+ * `<style>` blocks of Vue/Svelte components.
+ */
+
+import { parseCSS, walk } from './css-ast.js';
+import { applyEdits } from './css-parser.js';
+import { nameRegExp, varReferenceRegExp, isInRanges } from './references.js';
+
+/**
+ * Rename a custom property in a stylesheet
+ * @param {string} content - File contents
+ * @param {string} from - Current name (e.g., '--color-primary')
+ * @param {string} to - New name
+ * @param {'css' | 'scss' | 'less'} [syntax]
+ * @returns {{content: string, declarations: number, references: number}}
+ */
+export function renameInStylesheet(content, from, to, syntax = 'css') {
+  const ast = parseCSS(content, { syntax });
+  const reference = varReferenceRegExp(from);
+  const mention = nameRegExp(from);
+  const edits = [];
+  let declarations = 0;
+  let references = 0;
+
+  walk(ast, (node) => {
+    if (node.type === 'declaration') {
+      if (node.property === from) {
+        edits.push({ start: node.start, end: node.start + from.length, text: to });
+        declarations++;
+      }
+      const value = content.slice(node.valueStart, node.valueEnd);
+      for (const match of value.matchAll(reference)) {
+        const start = node.valueStart + match.index + match[1].length;
+        edits.push({ start, end: start + from.length, text: to });
+        references++;
+      }
+    } else if (node.type === 'atrule') {
+      // `@property --x`, `@container style(--x: y)`
+      const preludeEnd = node.blockStart ?? node.end;
+      for (const match of content.slice(node.start, preludeEnd).matchAll(mention)) {
+        const start = node.start + match.index;
+        edits.push({ start, end: start + from.length, text: to });
+        if (node.name === 'property') declarations++;
+        else references++;
+      }
+    }
+  });
+
+  return { content: applyEdits(content, edits), declarations, references };
+}
+
+/**
+ * Rename a custom property in a script or component source
+ * Every standalone `--name` is replaced; `--name-suffix` is left alone.
+ * @param {string} content - File contents
+ * @param {string} from - Current name
+ * @param {string} to - New name
+ * @param {Array<{start: number, end: number}>} [skip] - Ranges to leave alone
+ *   (the <style> blocks of a component renamed as a stylesheet)
+ * @returns {{content: string, references: number}}
+ */
+export function renameInScript(content, from, to, skip = []) {
+  let references = 0;
+  const renamed = content.replace(nameRegExp(from), (match, offset) => {
+    if (isInRanges(offset, skip)) return match;
+    references++;
+    return to;
+  });
+  return { content: renamed, references };
+}
+
@@ -0,0 +1,130 @@
+/**
+ * Standalone Ektachrome server for projects without a Node dev server.
+ *
+ * Serves the project's static files together with the `/__ektachrome/*`
+ * API, so pages loaded from it get write-back from the same origin.
+ * HTML pages get the session token injected as a <meta> tag, so static
+ * files get the same Host check as the API, and dotfiles (`.env`,
+ * `.ektachrome/`) are never served.
+ * Used by `ektachrome serve`.
+ */
+
+import { createServer } from 'http';
+import { createReadStream } from 'fs';
+import { stat, readFile } from 'fs/promises';
+import { extname, join, resolve, sep } from 'path';
+import { createEktachromeMiddleware, SESSION_TOKEN_META } from './middleware.js';
+
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.ico': 'image/x-icon',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2'
+};
+
+/**
+ * Create (but don't start) the standalone server
+ * @param {Object} [options] - createEktachromeMiddleware() options
+ * @param {string} [options.root] - Directory to serve (default: process.cwd())
+ * @returns {import('http').Server}
+ */
+export function createEktachromeServer(options = {}) {
+  const root = resolve(options.root || process.cwd());
+  const middleware = createEktachromeMiddleware({ ...options, root });
+
+  return createServer((req, res) => {
+    middleware(req, res, () => {
+      serveStatic(root, req, res, middleware).catch(e => {
+        console.error('[serve] Error serving file:', e);
+        res.statusCode = 500;
+        res.end('Internal server error');
+      });
+    });
+  });
+}
+
+/**
+ * Serve a file from root, or index.html for directories
+ */
+async function serveStatic(root, req, res, middleware) {
+  // A DNS-rebound page would otherwise read the files and the session token
+  if (!middleware.isAllowedHost(req.headers.host)) {
+    res.statusCode = 403;
+    res.end('Host not allowed');
+    return;
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.statusCode = 405;
+    res.end('Method not allowed');
+    return;
+  }
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+  } catch {
+    res.statusCode = 400;
+    res.end('Bad request');
+    return;
+  }
+
+  // Never serve anything outside the project root, or hidden files
+  let file = join(root, pathname);
+  const hidden = pathname.split(/[/\\]/).some(segment => segment.startsWith('.'));
+  if (hidden || (file !== root && !file.startsWith(root + sep))) {
+    res.statusCode = 403;
+    res.end('Forbidden');
+    return;
+  }
+
+  let stats = await stat(file).catch(() => null);
+  if (stats?.isDirectory()) {
+    file = join(file, 'index.html');
+    stats = await stat(file).catch(() => null);
+  }
+  if (!stats?.isFile()) {
+    res.statusCode = 404;
+    res.end('Not found');
+    return;
+  }
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', MIME_TYPES[extname(file).toLowerCase()] || 'application/octet-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+
+  if (extname(file).toLowerCase() === '.html') {
+    const html = injectSessionToken(await readFile(file, 'utf-8'), middleware.sessionToken);
+    res.setHeader('Content-Length', Buffer.byteLength(html));
+    res.end(req.method === 'HEAD' ? undefined : html);
+    return;
+  }
+
+  res.setHeader('Content-Length', stats.size);
+  if (req.method === 'HEAD') {
+    res.end();
+    return;
+  }
+  createReadStream(file).pipe(res);
+}
+
+/**
+ * Add the session token <meta> tag to a page, inside <head> if it has one
+ */
+function injectSessionToken(html, sessionToken) {
+  const tag = `<meta name="${SESSION_TOKEN_META}" content="${sessionToken}">`;
+  const head = html.match(/<head[^>]*>/i);
+  if (!head) return tag + html;
+  const at = head.index + head[0].length;
+  return html.slice(0, at) + tag + html.slice(at);
+}
@@ -0,0 +1,71 @@
+/**
+ * Single-file component (Vue, Svelte) helpers for Ektachrome.
+ *
+ * Finds the `<style>` blocks of a component so their CSS can be parsed
+ * like any stylesheet. Offsets are into the whole file, so lines reported
+ * from a block point at the right line of the component.
+ */
+
+// Component sources with <style> blocks
+export const SFC_EXTENSIONS = ['.vue', '.svelte'];
+
+/**
+ * Whether a file is a single-file component
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isSFC(filePath) {
+  return SFC_EXTENSIONS.some(ext => filePath.endsWith(ext));
+}
+
+/**
+ * Find the `<style>` blocks of a component
+ * `lang="scss"` / `lang="less"` blocks are parsed in that dialect; other
+ * languages (stylus, sass indented syntax) are skipped.
+ * @param {string} content - File contents
+ * @returns {Array<{start: number, end: number, syntax: 'css' | 'scss' | 'less', attributes: string}>}
+ *   `start`/`end` delimit the CSS between the tags
+ */
+export function extractStyleBlocks(content) {
+  const blocks = [];
+  const pattern = /<style\b([^>]*)>([\s\S]*?)<\/style\s*>/gi;
+
+  for (const match of content.matchAll(pattern)) {
+    const attributes = match[1];
+    const lang = attributes.match(/\blang\s*=\s*["']?([\w-]+)/i)?.[1]?.toLowerCase() || 'css';
+    const syntax = { css: 'css', postcss: 'css', pcss: 'css', scss: 'scss', less: 'less' }[lang];
+    if (!syntax) continue;
+
+    const start = match.index + match[0].indexOf('>') + 1;
+    blocks.push({ start, end: start + match[2].length, syntax, attributes: attributes.trim() });
+  }
+
+  return blocks;
+}
+
+/**
+ * Append CSS to the end of a component's last `<style>` block,
+ * adding a `<style>` block when there is none
+ * @param {string} content - File contents
+ * @param {string} css - Text to add, ending in a newline
+ * @returns {{content: string, offset: number}} New contents and offset of the added CSS
+ */
+export function appendToStyleBlock(content, css) {
+  const block = extractStyleBlocks(content).pop();
+  if (!block) {
+    const before = content.endsWith('\n') || !content ? content : `${content}\n`;
+    const separator = before ? '\n' : '';
+    return {
+      content: `${before}${separator}<style>\n${css}</style>\n`,
+      offset: before.length + separator.length + '<style>\n'.length
+    };
+  }
+
+  const before = content.slice(0, block.end);
+  const lead = before.endsWith('\n') ? '' : '\n';
+  const gap = before.trim().endsWith('>') ? '' : '\n'; // Blank line after existing rules
+  return {
+    content: before + lead + gap + css + content.slice(block.end),
+    offset: before.length + lead.length + gap.length
+  };
+}
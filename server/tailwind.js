@@ -0,0 +1,305 @@
+/**
+ * Tailwind theme support for Ektachrome write-back.
+ *
+ * Tailwind v3 keeps tokens in `tailwind.config.js` (`theme` and
+ * `theme.extend`). Entries are exposed under the custom property names
+ * Tailwind v4 uses for the same namespaces, so both versions look alike
+ * to the browser:
+ *
+ *   theme.extend.colors.blue[500]  ->  --color-blue-500
+ *   theme.borderRadius.lg          ->  --radius-lg
+ *
+ * The config is scanned as text rather than imported, so literal values
+ * can be rewritten in place without touching the rest of the file.
+ * (Tailwind v4 `@theme` blocks are plain CSS and go through css-parser.)
+ */
+
+import { access } from 'fs/promises';
+import { join } from 'path';
+import { createLocator } from './css-ast.js';
+
+export const CONFIG_FILES = [
+  'tailwind.config.js',
+  'tailwind.config.cjs',
+  'tailwind.config.mjs',
+  'tailwind.config.ts'
+];
+
+// Theme keys and the custom property namespace Tailwind v4 uses for them
+export const THEME_NAMESPACES = {
+  colors: 'color',
+  spacing: 'spacing',
+  borderRadius: 'radius',
+  fontSize: 'text',
+  fontFamily: 'font',
+  fontWeight: 'font-weight',
+  lineHeight: 'leading',
+  letterSpacing: 'tracking',
+  boxShadow: 'shadow',
+  transitionTimingFunction: 'ease',
+  screens: 'breakpoint'
+};
+
+/**
+ * Find the Tailwind config in a project root
+ * @param {string} root - Project root path
+ * @returns {Promise<string | null>} Absolute path, or null if there is none
+ */
+export async function findTailwindConfig(root) {
+  for (const name of CONFIG_FILES) {
+    const file = join(root, name);
+    try {
+      await access(file);
+      return file;
+    } catch {
+      // Try the next name
+    }
+  }
+  return null;
+}
+
+/**
+ * Extract theme tokens from a Tailwind config
+ * `theme.extend` entries win over `theme` entries with the same name.
+ * Only literal strings and numbers are returned; computed entries
+ * (functions, spreads, `colors.blue` imports) are skipped.
+ * @param {string} source - Config file contents
+ * @returns {Array<{name: string, namespace: string, key: string, value: string, line: number, start: number, end: number, quote: string | null}>}
+ *   `key` is the utility suffix (`blue-500`), `start`/`end` the literal's offsets
+ */
+export function extractThemeTokens(source) {
+  const tokens = tokenize(source);
+  const themeIndex = tokens.findIndex((t, i) =>
+    (t.type === 'name' || t.type === 'string') && t.value === 'theme' &&
+    tokens[i + 1]?.value === ':' && tokens[i + 2]?.value === '{'
+  );
+  if (themeIndex === -1) return [];
+
+  const theme = parseValue(tokens, themeIndex + 2).node;
+  const locate = createLocator(source);
+  const found = new Map();
+
+  function collect(group) {
+    for (const member of group.members) {
+      const namespace = THEME_NAMESPACES[member.key];
+      if (!namespace) continue;
+      flatten(member.value, [], (path, literal) => {
+        const key = path.join('-');
+        const name = key ? `--${namespace}-${key}` : `--${namespace}`;
+        found.set(name, {
+          name,
+          namespace,
+          key,
+          value: String(literal.value),
+          line: locate(literal.start).line,
+          start: literal.start,
+          end: literal.end,
+          quote: literal.type === 'string' ? source[literal.start] : null
+        });
+      }, member.key);
+    }
+  }
+
+  collect(theme);
+  const extend = theme.members.find(m => m.key === 'extend')?.value;
+  if (extend?.type === 'object') {
+    collect(extend);
+  }
+
+  return [...found.values()];
+}
+
+/**
+ * Walk a theme section, calling `emit` for every literal leaf
+ * `DEFAULT` keys add no path segment (`rounded` uses `borderRadius.DEFAULT`).
+ */
+function flatten(node, path, emit, section) {
+  if (node.type === 'string' || node.type === 'number') {
+    emit(path, node);
+  } else if (node.type === 'object') {
+    for (const member of node.members) {
+      flatten(member.value, member.key === 'DEFAULT' ? path : [...path, member.key], emit, section);
+    }
+  } else if (node.type === 'array' && section === 'fontSize') {
+    // fontSize: ['1rem', { lineHeight: '1.5rem' }] - the size comes first
+    const [size] = node.items;
+    if (size && (size.type === 'string' || size.type === 'number')) {
+      emit(path, size);
+    }
+  }
+}
+
+/**
+ * Replace a theme token's literal value, keeping its quote style
+ * @param {string} source - Config file contents
+ * @param {{start: number, end: number, quote: string | null}} token - From extractThemeTokens()
+ * @param {string} newValue
+ * @returns {string}
+ */
+export function updateThemeValue(source, token, newValue) {
+  const value = String(newValue);
+  let literal;
+  if (token.quote === null && /^-?[\d.]+$/.test(value.trim())) {
+    literal = value.trim();
+  } else {
+    const quote = token.quote || "'";
+    let escaped = value.replace(/\\/g, '\\\\').replace(new RegExp(quote, 'g'), `\\${quote}`);
+    // `${` would start an interpolation, evaluated when the config loads
+    if (quote === '`') escaped = escaped.replace(/\$\{/g, '\\${');
+    literal = quote + escaped + quote;
+  }
+  return source.slice(0, token.start) + literal + source.slice(token.end);
+}
+
+/**
+ * Split the namespace off a Tailwind v4 theme variable
+ * @param {string} name - e.g. '--font-weight-bold'
+ * @returns {{namespace: string, key: string} | null}
+ */
+export function splitThemeVariable(name) {
+  const namespaces = Object.values(THEME_NAMESPACES).sort((a, b) => b.length - a.length);
+  for (const namespace of namespaces) {
+    if (name === `--${namespace}`) return { namespace, key: '' };
+    if (name.startsWith(`--${namespace}-`)) {
+      return { namespace, key: name.slice(namespace.length + 3) };
+    }
+  }
+  return null;
+}
+
+// ---------------------------------------------------------------------------
+// Minimal JavaScript scanning - just enough for object literals
+// ---------------------------------------------------------------------------
+
+/**
+ * Split JS source into tokens, skipping whitespace and comments
+ * @returns {Array<{type: 'name' | 'string' | 'number' | 'template' | 'punct', value: string, start: number, end: number}>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const c = source[i];
+
+    if (/\s/.test(c)) {
+      i++;
+    } else if (c === '/' && source[i + 1] === '/') {
+      const newline = source.indexOf('\n', i);
+      i = newline === -1 ? source.length : newline;
+    } else if (c === '/' && source[i + 1] === '*') {
+      const close = source.indexOf('*/', i + 2);
+      i = close === -1 ? source.length : close + 2;
+    } else if (c === '"' || c === "'" || c === '`') {
+      const start = i++;
+      while (i < source.length && source[i] !== c) {
+        i += source[i] === '\\' ? 2 : 1;
+      }
+      i++;
+      const raw = source.slice(start + 1, i - 1);
+      tokens.push({
+        // Template literals without substitutions are plain strings
+        type: c === '`' && raw.includes('${') ? 'template' : 'string',
+        value: raw.replace(/\\(.)/g, '$1'),
+        start,
+        end: i
+      });
+    } else if (/[\d.]/.test(c) && /[\d]/.test(c === '.' ? source[i + 1] : c)) {
+      const match = source.slice(i).match(/^(\d*\.?\d+(e[+-]?\d+)?|0x[\da-f]+)/i);
+      tokens.push({ type: 'number', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+    } else if (/[\w$]/.test(c)) {
+      const match = source.slice(i).match(/^[\w$]+/);
+      tokens.push({ type: 'name', value: match[0], start: i, end: i + match[0].length });
+      i += match[0].length;
+    } else if (source.startsWith('...', i)) {
+      tokens.push({ type: 'punct', value: '...', start: i, end: i + 3 });
+      i += 3;
+    } else {
+      tokens.push({ type: 'punct', value: c, start: i, end: i + 1 });
+      i++;
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse the value starting at tokens[index]
+ * Objects, arrays, strings and numbers are understood; anything else is
+ * skipped up to the next `,` or closing bracket and reported as 'expression'.
+ * @returns {{node: Object, next: number}}
+ */
+function parseValue(tokens, index) {
+  const token = tokens[index];
+  if (!token) return { node: { type: 'expression' }, next: index };
+
+  if (token.value === '{') {
+    const members = [];
+    let i = index + 1;
+    while (i < tokens.length && tokens[i].value !== '}') {
+      const keyToken = tokens[i];
+      if (keyToken.value === ',') {
+        i++;
+        continue;
+      }
+      if (tokens[i + 1]?.value === ':' && ['name', 'string', 'number'].includes(keyToken.type)) {
+        const { node, next } = parseValue(tokens, i + 2);
+        members.push({ key: keyToken.value, value: node });
+        i = next;
+      } else {
+        // Spread, method, computed key or shorthand - skip it
+        i = skipExpression(tokens, i);
+      }
+    }
+    return { node: { type: 'object', members }, next: i + 1 };
+  }
+
+  if (token.value === '[') {
+    const items = [];
+    let i = index + 1;
+    while (i < tokens.length && tokens[i].value !== ']') {
+      if (tokens[i].value === ',') {
+        i++;
+        continue;
+      }
+      const { node, next } = parseValue(tokens, i);
+      items.push(node);
+      i = next;
+    }
+    return { node: { type: 'array', items }, next: i + 1 };
+  }
+
+  const following = tokens[index + 1]?.value;
+  const isLiteral = token.type === 'string' || token.type === 'number';
+  if (isLiteral && (following === undefined || [',', '}', ']'].includes(following))) {
+    return {
+      node: { type: token.type, value: token.value, start: token.start, end: token.end },
+      next: index + 1
+    };
+  }
+
+  return { node: { type: 'expression' }, next: skipExpression(tokens, index) };
+}
+
+/**
+ * Index of the `,` or closing bracket that ends the expression at `index`
+ */
+function skipExpression(tokens, index) {
+  let depth = 0;
+  let i = index;
+  while (i < tokens.length) {
+    const value = tokens[i].value;
+    if (tokens[i].type === 'punct') {
+      if (value === '{' || value === '[' || value === '(') depth++;
+      else if (value === '}' || value === ']' || value === ')') {
+        if (depth === 0) return i;
+        depth--;
+      } else if (value === ',' && depth === 0) {
+        return i;
+      }
+    }
+    i++;
+  }
+  return i;
+}
@@ -0,0 +1,112 @@
+/**
+ * Tokenize-everywhere codemod for Ektachrome write-back.
+ *
+ * Replaces every occurrence of a hardcoded value with `var(--token)`
+ * across a stylesheet. Occurrences are matched by meaning rather than
+ * spelling: `#3b82f6`, `#3B82F6`, `rgb(59 130 246)` and
+ * `hsl(217.2 91.2% 59.8%)` are the same color, `24px` and `24.0px` the
+ * same length. A value can be a whole declaration value
+ * (`0 1px 2px rgb(0 0 0 / 0.1)`) or one component of it
+ * (`border: 1px solid #3b82f6`).
+ */
+
+import { extractDeclarations, applyEdits, normalizeValue } from './css-parser.js';
+import { colorKey } from './colors.js';
+
+// Component values inside a declaration value. Strings, url() and var()
+// are matched whole so nothing inside them is ever replaced.
+const COMPONENT = /(["'])(?:\\.|(?!\1)[^\\])*\1|url\([^)]*\)|var\((?:[^()]|\([^()]*\))*\)|#[0-9a-fA-F]{3,8}(?![\w-])|(?:rgba?|hsla?)\([^()]*\)|(?<![\w.#-])[+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?(?:[a-zA-Z]+|%)?(?![\w.-])|(?<![\w-])[a-zA-Z][\w-]*(?![\w(-])/g;
+
+/**
+ * Canonical form of a value, equal for equivalent spellings
+ * Multi-part values are compared component by component, so
+ * `0 1px 2px rgb(0 0 0 / 0.1)` equals `0 1px 2px rgba(0,0,0,.1)`.
+ * @param {string} text - e.g. '#3B82F6', 'rgb(59 130 246)', '24.0px'
+ * @returns {string}
+ */
+export function valueKey(text) {
+  return normalizeValue(text.replace(COMPONENT, componentKey))
+    .replace(/\s*([,/])\s*/g, '$1')
+    .toLowerCase();
+}
+
+function componentKey(text) {
+  const color = colorKey(text);
+  if (color) return color;
+
+  const dimension = text.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)([a-zA-Z]+|%)?$/);
+  if (dimension) return `${Number(dimension[1])}${(dimension[2] || '').toLowerCase()}`;
+
+  return text;
+}
+
+/**
+ * Split a declaration value into its component values
+ * @param {string} value - e.g. '1px solid rgb(59 130 246)'
+ * @returns {string[]} e.g. ['1px', 'solid', 'rgb(59 130 246)']
+ */
+export function splitComponents(value) {
+  return value.match(COMPONENT) || [];
+}
+
+/**
+ * Find declarations using a value, in any equivalent spelling
+ * Preprocessor variables (`$x`, `@x`) and the token's own declaration are
+ * skipped, as is anything inside var(), url() or a string.
+ * @param {string} cssContent - File contents
+ * @param {string} value - Hardcoded value to look for (e.g., '#3b82f6')
+ * @param {Object} [options]
+ * @param {string} [options.variable] - Token the value becomes; its declarations are left alone
+ * @param {'css' | 'scss' | 'less'} [options.syntax] - Source dialect
+ * @returns {Array<{property: string, selector: string, atRules: string[], line: number, column: number, original: string, start: number, end: number}>}
+ *   One entry per occurrence; `start`/`end` cover the matched text
+ */
+export function findValueOccurrences(cssContent, value, { variable = null, syntax = 'css' } = {}) {
+  const key = valueKey(value);
+  const occurrences = [];
+
+  for (const decl of extractDeclarations(cssContent, syntax)) {
+    if (decl.name === variable || /^[$@]/.test(decl.name)) continue;
+
+    const location = {
+      property: decl.name,
+      selector: decl.selector,
+      atRules: decl.atRules,
+      line: decl.line,
+      column: decl.column
+    };
+    const declValue = cssContent.slice(decl.valueStart, decl.valueEnd);
+
+    // The whole value (for multi-part values such as shadows)
+    if (valueKey(declValue) === key) {
+      occurrences.push({ ...location, original: declValue.trim(), start: decl.valueStart, end: decl.valueStart + declValue.trimEnd().length });
+      continue;
+    }
+
+    for (const match of declValue.matchAll(COMPONENT)) {
+      if (componentKey(match[0]).toLowerCase() !== key) continue;
+      const start = decl.valueStart + match.index;
+      occurrences.push({ ...location, original: match[0], start, end: start + match[0].length });
+    }
+  }
+
+  return occurrences;
+}
+
+/**
+ * Replace every occurrence of a value with `var(--token)`
+ * @param {string} cssContent - File contents
+ * @param {string} value - Hardcoded value (e.g., '#3b82f6')
+ * @param {string} variable - Token to use (e.g., '--color-primary')
+ * @param {'css' | 'scss' | 'less'} [syntax] - Source dialect
+ * @returns {{content: string, occurrences: Array}} See findValueOccurrences
+ */
+export function tokenizeValue(cssContent, value, variable, syntax = 'css') {
+  const occurrences = findValueOccurrences(cssContent, value, { variable, syntax });
+  const content = applyEdits(cssContent, occurrences.map(({ start, end }) => ({
+    start,
+    end,
+    text: `var(${variable})`
+  })));
+  return { content, occurrences };
+}
@@ -0,0 +1,107 @@
+/**
+ * All-or-nothing file writes for Ektachrome write-back.
+ *
+ * Every file of a batch is first written to a temporary file next to it,
+ * then renamed over the original, so no file is ever left half-written.
+ * If any step fails, the files already replaced get their previous
+ * contents back and the batch is reported as one failure.
+ */
+
+import { readFile, writeFile, rename, unlink, stat, realpath } from 'fs/promises';
+import { dirname, basename, join } from 'path';
+import { randomBytes } from 'crypto';
+
+/**
+ * Temporary path in the same directory, so the rename stays on one filesystem
+ * @param {string} file
+ * @returns {string}
+ */
+function tempPath(file) {
+  return join(dirname(file), `.${basename(file)}.ektachrome-${randomBytes(4).toString('hex')}.tmp`);
+}
+
+/**
+ * Replace a file's contents through a temporary file
+ * @param {string} file - Resolved path
+ * @param {string} content
+ * @param {number} [mode] - Permissions to keep
+ */
+async function replaceFile(file, content, mode) {
+  const temp = tempPath(file);
+  try {
+    await writeFile(temp, content, { encoding: 'utf-8', mode });
+    await rename(temp, file);
+  } catch (e) {
+    await unlink(temp).catch(() => {});
+    throw e;
+  }
+}
+
+/**
+ * Write several files as one transaction
+ * @param {Array<{file: string, content: string}>} writes - Absolute paths
+ * @returns {Promise<void>}
+ * @throws {Error} The first failure, with `file` set to the path that failed;
+ *   by then every file of the batch holds its previous contents again
+ */
+export async function writeFilesAtomically(writes) {
+  // Symlinked sources are written where they point, keeping the link
+  const targets = [];
+  for (const { file, content } of writes) {
+    try {
+      const path = await realpath(file).catch(e => (e.code === 'ENOENT' ? file : Promise.reject(e)));
+      const stats = await stat(path).catch(() => null);
+      const original = stats?.isFile() ? await readFile(path, 'utf-8') : null;
+      targets.push({ file, path, content, original, mode: stats?.mode });
+    } catch (e) {
+      e.file ??= file;
+      throw e;
+    }
+  }
+
+  // Stage every temporary file before replacing anything
+  const staged = [];
+  try {
+    for (const target of targets) {
+      const temp = tempPath(target.path);
+      staged.push({ ...target, temp });
+      await writeFile(temp, target.content, { encoding: 'utf-8', mode: target.mode });
+    }
+  } catch (e) {
+    await Promise.all(staged.map(({ temp }) => unlink(temp).catch(() => {})));
+    e.file ??= staged[staged.length - 1]?.file;
+    throw e;
+  }
+
+  const replaced = [];
+  for (let i = 0; i < staged.length; i++) {
+    const target = staged[i];
+    try {
+      await rename(target.temp, target.path);
+      replaced.push(target);
+    } catch (e) {
+      await Promise.all(staged.slice(i).map(({ temp }) => unlink(temp).catch(() => {})));
+      await rollBack(replaced);
+      e.file ??= target.file;
+      throw e;
+    }
+  }
+}
+
+/**
+ * Put back the previous contents of files replaced by a failed batch
+ * @param {Array<{file: string, path: string, original: string | null, mode?: number}>} replaced
+ */
+async function rollBack(replaced) {
+  for (const { file, path, original, mode } of replaced.reverse()) {
+    try {
+      if (original === null) {
+        await unlink(path); // Created by the batch
+      } else {
+        await replaceFile(path, original, mode);
+      }
+    } catch (e) {
+      console.error('[transaction] Could not restore', file, e.message);
+    }
+  }
+}
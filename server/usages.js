@@ -0,0 +1,190 @@
+/**
+ * Token usage index for Ektachrome.
+ *
+ * Counts where each custom property is used across a project: `var()` in
+ * stylesheets and CSS Modules, Vue/Svelte `<style>` blocks, and string
+ * literals in JS/TS/JSX/TSX (`style={{ '--x': 1 }}`, `getPropertyValue('--x')`,
+ * `'var(--x)'`). Every name is indexed at once, and a file is only read
+ * again when its modification time or size changes.
+ */
+
+import { readFile, stat } from 'fs/promises';
+import { parseCSS, walk, createLocator } from './css-ast.js';
+import { getSyntax } from './css-parser.js';
+import { isCustomPropertyName, isInRanges } from './references.js';
+import { isSFC, extractStyleBlocks } from './sfc.js';
+
+// Custom property names in at-rule preludes and script strings
+const NAME = /(?<![\w-])--[a-zA-Z0-9_-]+/g;
+// var() references in declaration values
+const VAR_REFERENCE = /var\(\s*(--[a-zA-Z0-9_-]+)/g;
+// Comments and string literals in scripts; comments are matched so that
+// quotes inside them are not mistaken for strings
+const SCRIPT_TOKEN = /\/\/[^\n]*|\/\*[\s\S]*?\*\/|'(?:\\.|[^'\\\n])*'|"(?:\\.|[^"\\\n])*"|`(?:\\[\s\S]|[^`\\])*`/g;
+
+/**
+ * What kind of source a file is, as reported with its usages
+ * @param {string} file
+ * @returns {'css' | 'css-module' | 'vue' | 'svelte' | 'script'}
+ */
+export function getSourceKind(file) {
+  if (file.endsWith('.vue')) return 'vue';
+  if (file.endsWith('.svelte')) return 'svelte';
+  if (/\.module\.(css|scss|less)$/.test(file)) return 'css-module';
+  if (/\.(css|scss|less)$/.test(file)) return 'css';
+  return 'script';
+}
+
+/**
+ * Offsets of custom property usages in CSS
+ * @param {string} css - Stylesheet (or <style> block) contents
+ * @param {'css' | 'scss' | 'less'} syntax
+ * @param {number} [base] - Offset of `css` in the file
+ * @returns {Array<{name: string, offset: number}>}
+ */
+function findStylesheetUsages(css, syntax, base = 0) {
+  const found = [];
+
+  walk(parseCSS(css, { syntax }), (node) => {
+    if (node.type === 'declaration') {
+      const value = css.slice(node.valueStart, node.valueEnd);
+      for (const match of value.matchAll(VAR_REFERENCE)) {
+        found.push({ name: match[1], offset: base + node.valueStart + match.index + match[0].length - match[1].length });
+      }
+    } else if (node.type === 'atrule' && node.name !== 'property') {
+      const prelude = css.slice(node.start, node.blockStart ?? node.end);
+      for (const match of prelude.matchAll(NAME)) {
+        found.push({ name: match[0], offset: base + node.start + match.index });
+      }
+    }
+  });
+
+  return found;
+}
+
+/**
+ * Offsets of custom property names inside script string literals
+ * @param {string} source
+ * @param {Array<{start: number, end: number}>} [skip] - Ranges to leave out (component <style> blocks)
+ * @returns {Array<{name: string, offset: number}>}
+ */
+function findScriptUsages(source, skip = []) {
+  const found = [];
+
+  for (const token of source.matchAll(SCRIPT_TOKEN)) {
+    const text = token[0];
+    if (text.startsWith('//') || text.startsWith('/*')) continue;
+    if (isInRanges(token.index, skip)) continue;
+
+    for (const match of text.matchAll(NAME)) {
+      found.push({ name: match[0], offset: token.index + match.index });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Index every custom property usage in one file
+ * @param {string} content - File contents
+ * @param {string} file - Path, for the file type
+ * @returns {Map<string, Array<{line: number, column: number}>>} Usages by name, in file order
+ */
+export function indexUsages(content, file) {
+  let found;
+  if (isSFC(file)) {
+    const blocks = extractStyleBlocks(content);
+    found = [
+      ...blocks.flatMap(block => findStylesheetUsages(content.slice(block.start, block.end), block.syntax, block.start)),
+      ...findScriptUsages(content, blocks)
+    ];
+  } else if (getSourceKind(file) === 'script') {
+    found = findScriptUsages(content);
+  } else {
+    found = findStylesheetUsages(content, getSyntax(file));
+  }
+
+  const locate = createLocator(content);
+  const usages = new Map();
+  for (const { name, offset } of found.sort((a, b) => a.offset - b.offset)) {
+    if (!isCustomPropertyName(name)) continue;
+    if (!usages.has(name)) usages.set(name, []);
+    usages.get(name).push(locate(offset));
+  }
+  return usages;
+}
+
+/**
+ * Create an index over a changing set of files
+ * @param {() => Promise<string[]>} listFiles - Absolute paths to index, asked again on every query
+ * @returns {{query: (names?: string[]) => Promise<Array>, invalidate: (file: string) => void}}
+ */
+export function createUsageIndex(listFiles) {
+  /** @type {Map<string, {mtimeMs: number, size: number, usages: Map<string, Array>}>} */
+  const entries = new Map();
+
+  // Re-read files that changed since they were last indexed
+  async function refresh() {
+    const files = await listFiles();
+    const current = new Set(files);
+    for (const file of entries.keys()) {
+      if (!current.has(file)) entries.delete(file);
+    }
+
+    for (const file of files) {
+      try {
+        const { mtimeMs, size } = await stat(file);
+        const cached = entries.get(file);
+        if (cached && cached.mtimeMs === mtimeMs && cached.size === size) continue;
+        entries.set(file, { mtimeMs, size, usages: indexUsages(await readFile(file, 'utf-8'), file) });
+      } catch (e) {
+        entries.delete(file);
+        if (e.code !== 'ENOENT') console.warn('[usages] Error indexing file:', file, e.message);
+      }
+    }
+  }
+
+  return {
+    /**
+     * Usages of some (or all) custom properties
+     * @param {string[]} [names] - Default: every name used anywhere
+     * @returns {Promise<Array<{variable: string, count: number, files: Array<{file: string, kind: string, count: number, lines: number[]}>}>>}
+     *   One entry per name, in the order asked; `file` is absolute
+     */
+    async query(names) {
+      await refresh();
+
+      if (!names) {
+        const all = new Set();
+        for (const { usages } of entries.values()) {
+          for (const name of usages.keys()) all.add(name);
+        }
+        names = [...all].sort();
+      }
+
+      return names.map(variable => {
+        const files = [];
+        for (const [file, { usages }] of entries) {
+          const found = usages.get(variable);
+          if (!found) continue;
+          files.push({
+            file,
+            kind: getSourceKind(file),
+            count: found.length,
+            lines: [...new Set(found.map(u => u.line))]
+          });
+        }
+        files.sort((a, b) => b.count - a.count || a.file.localeCompare(b.file));
+        return { variable, count: files.reduce((sum, f) => sum + f.count, 0), files };
+      });
+    },
+
+    /**
+     * Forget a file so the next query reads it again
+     * @param {string} file - Absolute path
+     */
+    invalidate(file) {
+      entries.delete(file);
+    }
+  };
+}
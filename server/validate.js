@@ -0,0 +1,169 @@
+/**
+ * Request validation for the Ektachrome write endpoints.
+ *
+ * Values sent from the browser are spliced into stylesheets,
+ * tokens.json and tailwind.config.js. A value or selector that could end
+ * the declaration or rule it lands in (`red; } body { display: none`) is
+ * rejected before any file is read.
+ */
+
+import { isCustomPropertyName } from './references.js';
+
+const MAX_VALUE_LENGTH = 2000;
+const MAX_ITEMS = 1000;
+
+/**
+ * Scan CSS text, ignoring the contents of strings
+ * @param {string} text
+ * @param {RegExp} forbidden - Characters not allowed outside strings
+ * @returns {boolean} Whether the text is balanced and free of forbidden characters
+ */
+function isContained(text, forbidden) {
+  // No comments (they could swallow the closing brace) or control characters
+  if (text.includes('/*') || text.includes('*/') || /[\x00-\x08\x0a-\x1f\x7f]/.test(text)) return false;
+
+  const closers = [];
+  let quote = null;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      i++; // Escaped character
+      continue;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      closers.push(char === '(' ? ')' : ']');
+    } else if (char === ')' || char === ']') {
+      if (closers.pop() !== char) return false;
+    } else if (forbidden.test(char)) {
+      return false;
+    }
+  }
+  return quote === null && closers.length === 0 && !text.endsWith('\\');
+}
+
+/**
+ * Whether a value stays inside the declaration it is written to
+ * `;`, `{`, `}` and `!` are only allowed inside strings, brackets must
+ * balance, and comments, newlines and `</style>` are rejected.
+ * @param {string} value - e.g. 'oklch(0.6 0.2 250)', '"Inter", sans-serif'
+ * @returns {boolean}
+ */
+export function isSafeValue(value) {
+  return typeof value === 'string' &&
+    value.trim() !== '' &&
+    value.length <= MAX_VALUE_LENGTH &&
+    !/<\/?style/i.test(value) &&
+    isContained(value, /[;{}!<>]/);
+}
+
+/**
+ * Whether a selector can be used as a rule's prelude without opening or
+ * closing another block
+ * @param {string} selector - e.g. ':root', '.card:hover', '[data-theme="dark"]'
+ * @returns {boolean}
+ */
+export function isSafeSelector(selector) {
+  return typeof selector === 'string' &&
+    selector.trim() !== '' &&
+    selector.length <= MAX_VALUE_LENGTH &&
+    isContained(selector, /[;{}@<]/);
+}
+
+/**
+ * Whether an at-rule prelude such as `@media (prefers-color-scheme: dark)`
+ * is safe to match or write
+ * @param {string} atRule
+ * @returns {boolean}
+ */
+export function isSafeAtRule(atRule) {
+  return typeof atRule === 'string' &&
+    /^@[a-zA-Z-]+/.test(atRule) &&
+    atRule.length <= MAX_VALUE_LENGTH &&
+    isContained(atRule.slice(1), /[;{}@<]/);
+}
+
+/**
+ * Whether a string is a (non-custom) CSS property name
+ * @param {string} name - e.g. 'background-color', '-webkit-line-clamp'
+ * @returns {boolean}
+ */
+export function isPropertyName(name) {
+  return typeof name === 'string' && /^-?[a-zA-Z][a-zA-Z0-9-]*$/.test(name);
+}
+
+/**
+ * Whether a string is an `@property` syntax descriptor made of data types
+ * @param {string} syntax - e.g. '<length>', '<color>', '<length> | <percentage>', '*'
+ * @returns {boolean}
+ */
+export function isPropertySyntax(syntax) {
+  return typeof syntax === 'string' &&
+    /^(\*|<[a-z-]+>[+#]?(\s*\|\s*<[a-z-]+>[+#]?)*)$/.test(syntax.trim());
+}
+
+const CHECKS = {
+  variable: [isCustomPropertyName, 'a custom property name such as --color-primary'],
+  value: [isSafeValue, 'a CSS value that stays inside its declaration'],
+  selector: [isSafeSelector, 'a selector without braces, semicolons or comments'],
+  atRule: [isSafeAtRule, 'an at-rule such as @media (min-width: 40rem)'],
+  property: [isPropertyName, 'a CSS property name'],
+  propertySyntax: [isPropertySyntax, 'an @property syntax such as <length>'],
+  string: [v => typeof v === 'string' && v.length <= MAX_VALUE_LENGTH, 'a string'],
+  boolean: [v => typeof v === 'boolean', 'true or false'],
+  integer: [v => Number.isInteger(v), 'an integer'],
+  array: [v => Array.isArray(v) && v.length <= MAX_ITEMS, `an array of at most ${MAX_ITEMS} items`],
+  object: [v => v !== null && typeof v === 'object' && !Array.isArray(v), 'an object']
+};
+
+/**
+ * Validate a request body against a schema
+ * A schema maps field names to `{type, required?, items?, fields?}`;
+ * `type` may be a list to accept several. Unknown fields are ignored.
+ *
+ *   validate(body, {
+ *     name: { type: 'variable', required: true },
+ *     scope: { type: 'object', fields: { selector: { type: 'selector', required: true } } }
+ *   })
+ *
+ * @param {*} body - Parsed JSON
+ * @param {Object<string, Object>} schema
+ * @returns {string | null} Description of the first problem, or null if valid
+ */
+export function validate(body, schema) {
+  return checkValue(body, { type: 'object', fields: schema }, 'body');
+}
+
+function checkValue(value, spec, path) {
+  const types = [].concat(spec.type);
+  const type = types.find(t => CHECKS[t][0](value));
+  if (!type) {
+    return `${path} must be ${types.map(t => CHECKS[t][1]).join(' or ')}`;
+  }
+
+  if (type === 'array' && spec.items) {
+    for (let i = 0; i < value.length; i++) {
+      const error = checkValue(value[i], spec.items, `${path}[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  if (type === 'object' && spec.fields) {
+    for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+      const fieldPath = path === 'body' ? field : `${path}.${field}`;
+      if (value[field] === undefined || value[field] === null) {
+        if (fieldSpec.required) return `${fieldPath} is required`;
+        continue;
+      }
+      const error = checkValue(value[field], fieldSpec, fieldPath);
+      if (error) return error;
+    }
+  }
+
+  return null;
+}
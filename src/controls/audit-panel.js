@@ -3,8 +3,14 @@
  *
  * Shows health score, coverage stats, and actionable issues list.
  * Non-modal panel that slides in from the right edge of the viewport.
+ * With the dev server connected, unused tokens can be removed from source
+ * (one at a time or all at once) and the removal undone, a hardcoded
+ * color can be replaced with a token in every stylesheet, and the most
+ * used tokens are listed with the files that use them.
  */
 import { THEME, baseStyles } from '../utils/theme.js';
+import { calculateHealthScore, getScoreLabel } from '../scanner/audit-report.js';
+import { apiFetch } from '../utils/server-api.js';
 
 class AuditPanel extends HTMLElement {
   constructor() {
@@ -13,6 +19,10 @@ class AuditPanel extends HTMLElement {
     this._report = null;
     this._expandedIssues = new Set();
     this._healthScore = null;
+    this._serverConnected = false;
+    this._removing = false;
+    this._removal = null; // Last removal: { removed, skipped, historyId }
+    this._usages = null; // variable -> { count, files } from /__ektachrome/usages
   }
 
   /** Set the audit report data */
@@ -31,6 +41,10 @@ class AuditPanel extends HTMLElement {
   connectedCallback() {
     this.setAttribute('data-ektachrome', '');
     this._render();
+    this._checkServerConnection().then(() => {
+      this._render();
+      if (this._serverConnected) this._loadUsages();
+    });
 
     // Handle clicks within shadow DOM
     this.shadowRoot.addEventListener('click', (e) => {
@@ -48,6 +62,31 @@ class AuditPanel extends HTMLElement {
         return;
       }
 
+      // Remove a single unused token
+      const removeBtn = target.closest('.remove-btn');
+      if (removeBtn) {
+        this._removeTokens([removeBtn.dataset.variable]);
+        return;
+      }
+
+      // Remove every unused token
+      if (target.closest('.remove-all-btn')) {
+        this._removeTokens(this._report?.data?.unusedVariables || []);
+        return;
+      }
+
+      // Replace a hardcoded color everywhere
+      const tokenizeBtn = target.closest('.tokenize-btn');
+      if (tokenizeBtn) {
+        this._showTokenizer(tokenizeBtn.dataset.value);
+        return;
+      }
+
+      if (target.closest('.undo-remove-btn')) {
+        this._undoRemoval();
+        return;
+      }
+
       // Issue toggle
       const issueHeader = target.closest('.issue-header');
       if (issueHeader) {
@@ -66,6 +105,7 @@ class AuditPanel extends HTMLElement {
   disconnectedCallback() {
     this._report = null;
     this._expandedIssues.clear();
+    this._removal = null;
   }
 
   /** Close the panel with animation */
@@ -81,53 +121,153 @@ class AuditPanel extends HTMLElement {
     }
   }
 
+  async _checkServerConnection() {
+    try {
+      const response = await apiFetch('/__ektachrome/status');
+      this._serverConnected = response.ok;
+    } catch {
+      this._serverConnected = false;
+    }
+  }
+
+  /**
+   * Load where every token is used in source (stylesheets, CSS Modules,
+   * Vue/Svelte styles, scripts)
+   */
+  async _loadUsages() {
+    try {
+      const response = await apiFetch('/__ektachrome/usages');
+      if (!response.ok) return;
+      const { usages } = await response.json();
+      this._usages = new Map(usages.map(u => [u.variable, u]));
+      this._render();
+    } catch (error) {
+      console.warn('[audit-panel] Could not load token usages:', error.message);
+    }
+  }
+
+  /**
+   * Delete unused tokens from source via /__ektachrome/remove-tokens
+   * The server re-checks references first and skips tokens still in use.
+   * @param {string[]} variables
+   */
+  async _removeTokens(variables) {
+    if (this._removing || variables.length === 0) return;
+    this._removing = true;
+    this._render();
+
+    try {
+      const response = await apiFetch('/__ektachrome/remove-tokens', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ variables })
+      });
+      const result = await response.json();
+      const removed = (result.removed || []).map(r => r.variable);
+
+      this._updateUnused(removed, -1);
+      this._removal = {
+        removed,
+        skipped: result.skipped || [],
+        historyId: result.historyId || null,
+        // A journal failure leaves the removal in place but not undoable
+        error: removed.length === 0 && !result.skipped?.length ? result.error : (result.warning || null)
+      };
+    } catch (error) {
+      console.error('[audit-panel] Error removing tokens:', error);
+      this._removal = { removed: [], skipped: [], historyId: null, error: error.message };
+    }
+
+    this._removing = false;
+    this._render();
+    this._loadUsages();
+  }
+
+  /** Undo the last removal and put the tokens back in the report */
+  async _undoRemoval() {
+    if (!this._removal?.historyId) return;
+
+    try {
+      const response = await apiFetch('/__ektachrome/undo', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      const result = await response.json();
+      if (!result.success) {
+        this._removal = { ...this._removal, error: result.error || 'Undo failed' };
+      } else {
+        this._updateUnused(this._removal.removed, 1);
+        this._removal = null;
+        this._loadUsages();
+      }
+    } catch (error) {
+      console.error('[audit-panel] Error undoing removal:', error);
+      this._removal = { ...this._removal, error: error.message };
+    }
+
+    this._render();
+  }
+
+  /** Open <token-tokenizer> for a hardcoded color */
+  _showTokenizer(value) {
+    const tokenizer = document.createElement('token-tokenizer');
+    tokenizer.setAttribute('property', 'color');
+    tokenizer.setAttribute('value', value);
+    tokenizer.addEventListener('token-tokenized', () => this._markTokenized(value));
+    document.body.appendChild(tokenizer);
+  }
+
+  /**
+   * Drop a color that is now a token from the hardcoded counts
+   * and recompute the health score
+   * @param {string} value
+   */
+  _markTokenized(value) {
+    const colors = this._report?.data?.rawValues?.colors;
+    const coverage = this._report?.basicAnalysis?.colorTokenCoverage;
+    if (!colors || !coverage) return;
+
+    const remaining = colors.filter(c => c.value !== value);
+    const replaced = colors.length - remaining.length;
+    this._report.data.rawValues.colors = remaining;
+    coverage.hardcodedColors = Math.max(0, coverage.hardcodedColors - replaced);
+    const total = coverage.tokenizedColors + coverage.hardcodedColors;
+    coverage.coverage = total > 0 ? coverage.tokenizedColors / total : 1;
+
+    this._healthScore = this._calculateHealthScore(this._report);
+    this._render();
+    this._loadUsages();
+  }
+
+  /**
+   * Take tokens out of (or put them back into) the report's unused list
+   * and recompute the health score
+   * @param {string[]} variables
+   * @param {1 | -1} direction - 1 to restore, -1 to remove
+   */
+  _updateUnused(variables, direction) {
+    if (!this._report || variables.length === 0) return;
+    const { summary } = this._report;
+    const data = this._report.data || (this._report.data = {});
+    const unused = data.unusedVariables || [];
+
+    data.unusedVariables = direction < 0
+      ? unused.filter(v => !variables.includes(v))
+      : [...unused, ...variables.filter(v => !unused.includes(v))];
+    summary.unusedVariables = data.unusedVariables.length;
+    summary.totalVariables = Math.max(0, (summary.totalVariables || 0) + direction * variables.length);
+    this._healthScore = this._calculateHealthScore(this._report);
+  }
+
   /** Calculate overall health score (0-100) */
   _calculateHealthScore(report) {
-    const { basicAnalysis, summary } = report;
-    
-    // Color token coverage (30% weight)
-    const colorScore = (basicAnalysis.colorTokenCoverage?.coverage || 0) * 100;
-    
-    // Spacing consistency (25% weight)
-    const spacingScore = (basicAnalysis.spacingConsistency?.consistency || 0) * 100;
-    
-    // Token hygiene - penalize unused variables (25% weight)
-    const totalVars = summary.totalVariables || 1;
-    const unusedRatio = (summary.unusedVariables || 0) / totalVars;
-    const hygieneScore = Math.max(0, 100 - (unusedRatio * 200)); // Heavy penalty for unused
-    
-    // Naming consistency (20% weight) - reward if dominated by one pattern
-    const patterns = basicAnalysis.namingPatterns || {};
-    const patternValues = Object.values(patterns);
-    const maxPattern = Math.max(...patternValues, 0);
-    const totalPatterns = patternValues.reduce((a, b) => a + b, 0) || 1;
-    const namingScore = (maxPattern / totalPatterns) * 100;
-    
-    // Weighted average
-    const score = Math.round(
-      (colorScore * 0.30) +
-      (spacingScore * 0.25) +
-      (hygieneScore * 0.25) +
-      (namingScore * 0.20)
-    );
-    
-    return {
-      total: Math.min(100, Math.max(0, score)),
-      breakdown: {
-        color: Math.round(colorScore),
-        spacing: Math.round(spacingScore),
-        hygiene: Math.round(hygieneScore),
-        naming: Math.round(namingScore)
-      }
-    };
+    return calculateHealthScore(report);
   }
 
   /** Get label for health score */
   _getScoreLabel(score) {
-    if (score >= 90) return { label: 'Excellent', class: 'excellent' };
-    if (score >= 70) return { label: 'Good', class: 'good' };
-    if (score >= 50) return { label: 'Needs Work', class: 'needs-work' };
-    return { label: 'Poor', class: 'poor' };
+    return getScoreLabel(score);
   }
 
   /** Build issues list from report */
@@ -155,7 +295,7 @@ class AuditPanel extends HTMLElement {
         priority: 'low',
         title: `${summary.unusedVariables} unused variable${summary.unusedVariables > 1 ? 's' : ''}`,
         description: 'These variables are defined but never referenced.',
-        details: vars.slice(0, 20).map(v => ({ name: v }))
+        details: vars.slice(0, 20).map(v => ({ name: v, removable: true }))
       });
     }
 
@@ -201,7 +341,7 @@ class AuditPanel extends HTMLElement {
     for (const item of hardcoded) {
       const key = item.value;
       if (!grouped[key]) {
-        grouped[key] = { value: key, selectors: [] };
+        grouped[key] = { value: key, selectors: [], tokenizable: true };
       }
       if (!grouped[key].selectors.includes(item.selector)) {
         grouped[key].selectors.push(item.selector);
@@ -382,6 +522,8 @@ class AuditPanel extends HTMLElement {
             </div>
           </section>
 
+          ${this._renderUsageSection()}
+
           <!-- Coverage Stats -->
           <section class="coverage-section">
             <h3>Coverage</h3>
@@ -392,6 +534,7 @@ class AuditPanel extends HTMLElement {
           <!-- Issues -->
           <section class="issues-section">
             <h3>Issues <span class="issue-count">${issues.length}</span></h3>
+            ${this._renderRemovalStatus()}
             ${issues.length === 0 ? 
               '<p class="no-issues">No issues found</p>' : 
               issues.map(issue => this._renderIssue(issue)).join('')
@@ -426,11 +569,25 @@ class AuditPanel extends HTMLElement {
                 return `<li>
                   <code>${d.value}</code>
                   <span class="item-selectors">${d.selectors.slice(0, 3).join(', ')}${d.selectors.length > 3 ? '...' : ''}</span>
+                  ${d.tokenizable && this._serverConnected ? `<button class="tokenize-btn" data-value="${d.value}">Replace all with token</button>` : ''}
+                </li>`;
+              }
+              if (d.removable && this._serverConnected) {
+                const sourceCount = this._usages?.get(d.name)?.count || 0;
+                return `<li class="removable">
+                  <code>${d.name}</code>
+                  ${sourceCount > 0 ? `<span class="item-usage" title="Referenced in source files the page didn't load">${sourceCount} in source</span>` : ''}
+                  <button class="remove-btn" data-variable="${d.name}" ${this._removing ? 'disabled' : ''}>Remove</button>
                 </li>`;
               }
               return `<li><code>${d.name}</code></li>`;
             }).join('')}
           </ul>
+          ${issue.id === 'unused-vars' && this._serverConnected ? `
+            <button class="remove-all-btn" ${this._removing ? 'disabled' : ''}>
+              ${this._removing ? 'Removing...' : `Remove all ${this._report.data?.unusedVariables?.length || 0}`}
+            </button>
+          ` : ''}
         </div>
       `;
     } else if (isExpanded) {
@@ -454,6 +611,61 @@ class AuditPanel extends HTMLElement {
     `;
   }
 
+  /** Most used tokens, with the files and lines that use them */
+  _renderUsageSection() {
+    if (!this._usages) return '';
+    const defined = new Set((this._report.data?.variables || []).map(v => v.name));
+    const top = [...this._usages.values()]
+      .filter(u => defined.size === 0 || defined.has(u.variable))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, 10);
+    if (top.length === 0) return '';
+
+    return `
+      <section class="usage-section">
+        <h3>Usage in Source</h3>
+        ${top.map(u => `
+          <details class="usage-item">
+            <summary>
+              <code>${u.variable}</code>
+              <span class="usage-count">${u.count}× in ${u.files.length} file${u.files.length === 1 ? '' : 's'}</span>
+            </summary>
+            <ul class="usage-files">
+              ${u.files.map(f => `
+                <li><code>${f.file}</code> <span class="item-selectors">${f.count}× · ${f.kind} · line${f.lines.length === 1 ? '' : 's'} ${f.lines.slice(0, 8).join(', ')}${f.lines.length > 8 ? ', ...' : ''}</span></li>
+              `).join('')}
+            </ul>
+          </details>
+        `).join('')}
+      </section>
+    `;
+  }
+
+  /** Outcome of the last token removal, with its undo button */
+  _renderRemovalStatus() {
+    if (!this._removal) return '';
+    const { removed, skipped, historyId, error } = this._removal;
+
+    return `
+      <div class="removal-status">
+        ${removed.length > 0 ? `
+          <div class="removal-row">
+            <span>Removed ${removed.length} token${removed.length > 1 ? 's' : ''}</span>
+            ${historyId ? '<button class="undo-remove-btn">Undo</button>' : ''}
+          </div>
+        ` : ''}
+        ${skipped.map(s => `
+          <div class="removal-skipped">
+            <code>${s.variable}</code> kept: ${s.error}${s.references?.length
+              ? ` (${s.references.slice(0, 3).map(r => `${r.file}:${r.line}`).join(', ')}${s.references.length > 3 ? '...' : ''})`
+              : ''}
+          </div>
+        `).join('')}
+        ${error ? `<div class="removal-skipped">${error}</div>` : ''}
+      </div>
+    `;
+  }
+
   _styles() {
     return `
       ${baseStyles}
@@ -830,11 +1042,118 @@ class AuditPanel extends HTMLElement {
         color: ${THEME.colorText};
       }
 
+      .issue-items li.removable {
+        flex-direction: row;
+        align-items: center;
+        justify-content: space-between;
+      }
+
+      .remove-btn,
+      .remove-all-btn,
+      .undo-remove-btn,
+      .tokenize-btn {
+        background: ${THEME.colorBgHover};
+        border: none;
+        border-radius: ${THEME.radiusSm};
+        color: ${THEME.colorTextMuted};
+        font-size: 10px;
+        padding: 3px 8px;
+        cursor: pointer;
+        transition: background 0.15s, color 0.15s;
+      }
+
+      .remove-btn:hover:not(:disabled),
+      .remove-all-btn:hover:not(:disabled),
+      .undo-remove-btn:hover,
+      .tokenize-btn:hover {
+        background: ${THEME.colorBgHoverStrong};
+        color: ${THEME.colorText};
+      }
+
+      .remove-btn:disabled,
+      .remove-all-btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+
+      .tokenize-btn {
+        align-self: flex-start;
+        margin-top: 4px;
+      }
+
+      .remove-all-btn {
+        margin-top: 10px;
+        width: 100%;
+        padding: 6px 8px;
+      }
+
+      .removal-status {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        margin-bottom: 12px;
+        font-size: 11px;
+        color: ${THEME.colorTextMuted};
+      }
+
+      .removal-row {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+      }
+
+      .removal-skipped {
+        color: ${THEME.colorWarning};
+      }
+
+      .removal-skipped code {
+        font-family: ${THEME.fontMono};
+      }
+
       .item-selectors {
         font-size: 10px;
         color: ${THEME.colorTextDim};
       }
 
+      .item-usage {
+        font-size: 10px;
+        color: ${THEME.colorWarning};
+        margin-left: auto;
+        margin-right: 8px;
+      }
+
+      /* Usage in source */
+      .usage-item summary {
+        display: flex;
+        align-items: center;
+        justify-content: space-between;
+        padding: 4px 0;
+        cursor: pointer;
+        font-size: 12px;
+      }
+
+      .usage-item code,
+      .usage-files code {
+        font-family: ${THEME.fontMono};
+        font-size: 11px;
+        color: ${THEME.colorText};
+      }
+
+      .usage-count {
+        font-size: 11px;
+        color: ${THEME.colorTextMuted};
+      }
+
+      .usage-files {
+        list-style: none;
+        margin: 0 0 6px 0;
+        padding: 0 0 0 12px;
+      }
+
+      .usage-files li {
+        padding: 2px 0;
+      }
+
       /* Footer */
       .panel-footer {
         display: flex;
@@ -2,12 +2,17 @@
 import { OklchPicker } from './oklch-picker.js';
 import { formatOklch } from '../utils/color-conversion.js';
 import { THEME } from '../utils/theme.js';
+import { applyLiveValue } from '../utils/live-values.js';
 
 /**
  * <color-token-control> - Pick from design system color tokens
  * 
  * Shows the current token (e.g., --color-primary) and lets you
  * adjust the token's value, which updates everywhere it's used.
+ * The rename button in the header dispatches `token-rename` ({ variable })
+ * for the host (toolbar-popup) to open the rename dialog. `usage-count` is
+ * the number of references in source (from /__ektachrome/usages); without
+ * it no usage badge is shown.
  * 
  * Usage:
  * <color-token-control 
@@ -30,7 +35,7 @@ class ColorTokenControl extends HTMLElement {
     this._abortController = new AbortController();
 
     const variable = this.getAttribute('variable');
-    const usageCount = this.getAttribute('usage-count') || '?';
+    const usageCount = this.getAttribute('usage-count');
     const { l, c, h } = this._parseOklch();
     
     this.shadowRoot.innerHTML = `
@@ -47,6 +52,22 @@ class ColorTokenControl extends HTMLElement {
           font-size: ${THEME.fontSizeSm};
           color: ${THEME.colorTextMuted};
         }
+        .token-actions {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+        .rename-btn {
+          background: none;
+          border: none;
+          padding: 0 2px;
+          cursor: pointer;
+          font-size: ${THEME.fontSizeSm};
+          color: ${THEME.colorTextDim};
+        }
+        .rename-btn:hover {
+          color: ${THEME.colorText};
+        }
         .usage-badge {
           font-size: ${THEME.fontSizeXs};
           color: ${THEME.colorTextDim};
@@ -62,7 +83,10 @@ class ColorTokenControl extends HTMLElement {
       </style>
       <div class="token-header">
         <span class="token-name">${variable}</span>
-        <span class="usage-badge">used ${usageCount}x</span>
+        <span class="token-actions">
+          <button class="rename-btn" title="Rename token" aria-label="Rename ${variable}">\u270E</button>
+          ${usageCount !== null ? `<span class="usage-badge">used ${usageCount}x</span>` : ''}
+        </span>
       </div>
       <!-- Integrated OKLCH picker component -->
       <oklch-picker 
@@ -73,15 +97,22 @@ class ColorTokenControl extends HTMLElement {
         hue="${h}">
       </oklch-picker>
       ${parseInt(usageCount) > 20 
-        ? '<div class="warning">Changing this affects 20+ elements</div>' 
+        ? '<div class="warning">Changing this affects 20+ places in source</div>' 
         : ''}
     `;
     
+    this.shadowRoot.querySelector('.rename-btn').addEventListener('click', () => {
+      this.dispatchEvent(new CustomEvent('token-rename', {
+        bubbles: true, composed: true,
+        detail: { variable }
+      }));
+    }, { signal: this._abortController.signal });
+
     // When the picker changes, update the CSS variable globally
     this.shadowRoot.addEventListener('control-change', (e) => {
       const { l, c, h } = e.detail.value;
       const oklchValue = formatOklch(l, c, h);
-      document.documentElement.style.setProperty(variable, oklchValue);
+      applyLiveValue(variable, oklchValue);
       // Re-dispatch with token metadata so parent components can react
       this.dispatchEvent(new CustomEvent('control-change', {
         bubbles: true, composed: true,
@@ -3,19 +3,52 @@
  *
  * Shows a diff view of changes and allows committing to source files
  * or copying CSS to clipboard when no dev server is available.
+ * When a dev server is connected, the exact file hunks are fetched from
+ * /__ektachrome/preview and must be reviewed before the commit is sent;
+ * exactly the reviewed changes are committed, and edits made while the
+ * review is open stay pending for the next one.
+ * The most recent write-back can be rolled back via /__ektachrome/undo.
+ *
+ * Each change is sent with the value it was based on. If the file has
+ * moved on since then, the server refuses that change and the panel shows
+ * a conflict view (base / theirs / ours) so the user can pick a side.
+ * Commits are all-or-nothing: when any change fails, no file is written
+ * and every change stays pending.
+ *
+ * Changes also carry the scope they were made in (selector plus enclosing
+ * at-rules), so edits to a dark or high-contrast theme are written to that
+ * theme's declaration rather than the :root one.
  */
 
-import { createPersistence } from '../utils/state-persistence.js';
+import { createPersistence, changeKey } from '../utils/state-persistence.js';
 import { THEME, baseStyles } from '../utils/theme.js';
+import { apiFetch } from '../utils/server-api.js';
+import { applyLiveValue, clearLiveValue } from '../utils/live-values.js';
+import { sameScope } from '../utils/token-sync.js';
 
 const persistence = createPersistence('ektachrome');
 
+// How each kind of journal entry is named in the undo button and toasts
+const ACTION_LABELS = {
+  'commit': 'commit',
+  'create-token': 'token creation',
+  'rename-token': 'rename',
+  'remove-tokens': 'token removal',
+  'tokenize': 'tokenization'
+};
+
 class CommitPanel extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
     this._serverConnected = false;
     this._isCommitting = false;
+    this._isPreviewing = false;
+    this._preview = null; // { files: [{file, diff}], errors, payload } while reviewing
+    this._conflicts = []; // [{key, variable, changeScope, base, ours, theirs, file, line}] awaiting resolution
+    this._lastCommit = null; // Newest journal entry from /__ektachrome/history
+    this._isUndoing = false;
+    this._undoConflicts = null; // Files edited since the last commit, when undo refused
     this._abortController = null;
   }
 
@@ -38,12 +71,15 @@ class CommitPanel extends HTMLElement {
    */
   async _checkServerConnection() {
     try {
-      const response = await fetch('/__ektachrome/status', {
+      const response = await apiFetch('/__ektachrome/status', {
         signal: this._abortController?.signal
       });
       if (response.ok) {
         const data = await response.json();
         this._serverConnected = data.connected === true;
+        if (this._serverConnected) {
+          await this._loadHistory();
+        }
         this._render();
       }
     } catch {
@@ -51,6 +87,23 @@ class CommitPanel extends HTMLElement {
     }
   }
 
+  /**
+   * Fetch the newest commit journal entry (for the undo action)
+   */
+  async _loadHistory() {
+    try {
+      const response = await apiFetch('/__ektachrome/history', {
+        signal: this._abortController?.signal
+      });
+      if (response.ok) {
+        const data = await response.json();
+        this._lastCommit = data.entries?.[0] || null;
+      }
+    } catch {
+      this._lastCommit = null;
+    }
+  }
+
   /**
    * Show the panel
    */
@@ -75,6 +128,16 @@ class CommitPanel extends HTMLElement {
   }
 
   _render() {
+    if (this._conflicts.length > 0) {
+      this._renderConflicts();
+      return;
+    }
+
+    if (this._preview) {
+      this._renderReview();
+      return;
+    }
+
     const changes = persistence.getPendingChanges();
     const count = changes.length;
 
@@ -93,12 +156,31 @@ class CommitPanel extends HTMLElement {
           }
         </div>
         
-        ${count > 0 ? `
+        ${this._undoConflicts ? `
+          <div class="undo-conflict">
+            Can't undo: ${this._esc(this._undoConflicts.join(', '))} changed since the ${this._esc(this._describeCommit(this._lastCommit || {}))}.
+            Undoing anyway discards those edits.
+            <div class="conflict-actions">
+              <button class="btn btn-secondary cancel-undo-btn">Keep</button>
+              <button class="btn btn-primary force-undo-btn" ${this._isUndoing ? 'disabled' : ''}>Undo Anyway</button>
+            </div>
+          </div>
+        ` : ''}
+        
+        ${count > 0 || this._lastCommit ? `
           <div class="footer">
-            <button class="btn btn-secondary discard-btn">Discard All</button>
-            <button class="btn btn-primary commit-btn" ${this._isCommitting ? 'disabled' : ''}>
-              ${this._isCommitting ? 'Committing...' : (this._serverConnected ? 'Commit All' : 'Copy CSS')}
-            </button>
+            ${this._lastCommit ? `
+              <button class="btn btn-secondary undo-btn" ${this._isUndoing ? 'disabled' : ''}
+                      title="${this._esc(this._describeCommit(this._lastCommit))}">
+                ${this._isUndoing ? 'Undoing...' : 'Undo Last Commit'}
+              </button>
+            ` : ''}
+            ${count > 0 ? `
+              <button class="btn btn-secondary discard-btn">Discard All</button>
+              <button class="btn btn-primary commit-btn" ${this._isPreviewing ? 'disabled' : ''}>
+                ${this._isPreviewing ? 'Loading diff...' : (this._serverConnected ? 'Review Diff' : 'Copy CSS')}
+              </button>
+            ` : ''}
           </div>
         ` : ''}
         
@@ -109,16 +191,126 @@ class CommitPanel extends HTMLElement {
     this._wireEventListeners();
   }
 
+  /**
+   * Render the diff review step shown before committing
+   */
+  _renderReview() {
+    const { files = [], errors = [] } = this._preview;
+    const blocked = this._isCommitting || files.length === 0 || errors.length > 0;
+
+    this.shadowRoot.innerHTML = `
+      <style>${CommitPanel._styles()}</style>
+      <div class="panel review" data-ektachrome>
+        <div class="header">
+          <span class="title">Review Diff (${files.length} file${files.length === 1 ? '' : 's'})</span>
+          <button class="close" aria-label="Close">\u00D7</button>
+        </div>
+
+        <div class="changes-list">
+          ${files.length === 0 ? '<div class="empty">No file changes to write</div>' : ''}
+          ${files.map(f => this._renderFileDiff(f)).join('')}
+          ${errors.map(e => `
+            <div class="preview-error">
+              <span class="var-name">${this._esc(e.variable)}</span> ${this._esc(e.error)}
+            </div>
+          `).join('')}
+        </div>
+
+        <div class="footer">
+          <button class="btn btn-secondary back-btn" ${this._isCommitting ? 'disabled' : ''}>Back</button>
+          <button class="btn btn-primary confirm-btn" ${blocked ? 'disabled' : ''}
+                  ${errors.length > 0 ? 'title="Fix or revert the failing changes first"' : ''}>
+            ${this._isCommitting ? 'Committing...' : 'Commit All'}
+          </button>
+        </div>
+
+        <div class="toast" style="display: none;"></div>
+      </div>
+    `;
+
+    this._wireEventListeners();
+  }
+
+  /**
+   * Render the conflict-resolution view
+   */
+  _renderConflicts() {
+    const count = this._conflicts.length;
+
+    this.shadowRoot.innerHTML = `
+      <style>${CommitPanel._styles()}</style>
+      <div class="panel" data-ektachrome>
+        <div class="header">
+          <span class="title">Conflicts (${count})</span>
+          <button class="close" aria-label="Close">\u00D7</button>
+        </div>
+
+        <div class="changes-list">
+          <div class="conflict-intro">
+            ${count === 1 ? 'This value was' : 'These values were'} changed in source since you started editing.
+          </div>
+          ${this._conflicts.map(c => `
+            <div class="change-item conflict-item">
+              <div class="change-header">
+                <span class="var-name">${this._esc(c.variable)}</span>
+                <span class="conflict-location">${this._esc(c.file)}:${c.line}</span>
+              </div>
+              ${c.scope ? `<div class="scope">${this._esc(this._describeScope(c.scope))}</div>` : ''}
+              <div class="conflict-values">
+                <span class="conflict-label">base</span>
+                <span class="conflict-value old-value" title="${this._esc(c.base)}">${this._esc(c.base)}</span>
+                <span class="conflict-label">theirs</span>
+                <span class="conflict-value" title="${this._esc(c.theirs)}">${this._esc(c.theirs)}</span>
+                <span class="conflict-label">ours</span>
+                <span class="conflict-value new-value" title="${this._esc(c.ours)}">${this._esc(c.ours)}</span>
+              </div>
+              <div class="conflict-actions">
+                <button class="btn btn-secondary take-theirs-btn" data-key="${this._esc(c.key)}">Use Theirs</button>
+                <button class="btn btn-primary keep-ours-btn" data-key="${this._esc(c.key)}">Keep Mine</button>
+              </div>
+            </div>
+          `).join('')}
+        </div>
+
+        <div class="toast" style="display: none;"></div>
+      </div>
+    `;
+
+    this._wireEventListeners();
+  }
+
+  _renderFileDiff({ file, diff }) {
+    const lines = diff.split('\n')
+      // File headers are already shown as the block title
+      .filter(line => line && !line.startsWith('--- ') && !line.startsWith('+++ '))
+      .map(line => {
+        const type = line.startsWith('@@') ? 'hunk'
+          : line[0] === '+' ? 'add'
+          : line[0] === '-' ? 'del'
+          : 'ctx';
+        return `<div class="diff-line diff-${type}">${this._esc(line)}</div>`;
+      })
+      .join('');
+
+    return `
+      <div class="file-diff">
+        <div class="file-name">${this._esc(file)}</div>
+        <pre class="diff">${lines}</pre>
+      </div>
+    `;
+  }
+
   _renderChange(change, index) {
-    const { variable, original, current } = change;
+    const { variable, original, current, scope } = change;
     const truncate = (val, len = 30) => val.length > len ? val.slice(0, len) + '...' : val;
     
     return `
       <div class="change-item" data-index="${index}">
         <div class="change-header">
           <span class="var-name">${this._esc(variable)}</span>
-          <button class="revert-btn" data-variable="${this._esc(variable)}" title="Revert this change">\u21A9</button>
+          <button class="revert-btn" data-key="${this._esc(changeKey(variable, scope))}" title="Revert this change">\u21A9</button>
         </div>
+        ${scope ? `<div class="scope" title="Declared in">${this._esc(this._describeScope(scope))}</div>` : ''}
         <div class="change-diff">
           <span class="old-value" title="${this._esc(original)}">${this._esc(truncate(original))}</span>
           <span class="arrow">\u2192</span>
@@ -142,27 +334,58 @@ class CommitPanel extends HTMLElement {
       this._handleCommit();
     });
 
-    // Per-variable revert buttons
+    // Undo the last write-back
+    this.shadowRoot.querySelector('.undo-btn')?.addEventListener('click', () => {
+      this._handleUndo();
+    });
+
+    // Undo refused because files changed since: overwrite them, or leave it
+    this.shadowRoot.querySelector('.force-undo-btn')?.addEventListener('click', () => {
+      this._handleUndo(true);
+    });
+    this.shadowRoot.querySelector('.cancel-undo-btn')?.addEventListener('click', () => {
+      this._undoConflicts = null;
+      this._render();
+    });
+
+    // Review step: back to the change list
+    this.shadowRoot.querySelector('.back-btn')?.addEventListener('click', () => {
+      this._preview = null;
+      this._render();
+    });
+
+    // Review step: write the reviewed changes
+    this.shadowRoot.querySelector('.confirm-btn')?.addEventListener('click', () => {
+      this._commitToServer();
+    });
+
+    // Conflict resolution
+    this.shadowRoot.querySelectorAll('.take-theirs-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._resolveConflict(btn.dataset.key, 'theirs'));
+    });
+    this.shadowRoot.querySelectorAll('.keep-ours-btn').forEach(btn => {
+      btn.addEventListener('click', () => this._resolveConflict(btn.dataset.key, 'ours'));
+    });
+
+    // Per-change revert buttons
     this.shadowRoot.querySelectorAll('.revert-btn').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const variable = btn.dataset.variable;
-        this._handleRevert(variable);
-      });
+      btn.addEventListener('click', () => this._handleRevert(btn.dataset.key));
     });
   }
 
   /**
-   * Handle reverting a single variable
+   * Handle reverting a single change (one variable in one scope)
+   * @param {string} key - From changeKey()
    */
-  _handleRevert(variable) {
+  _handleRevert(key) {
     const changes = persistence.getPendingChanges();
-    const change = changes.find(c => c.variable === variable);
+    const change = changes.find(c => changeKey(c.variable, c.scope) === key);
     
     if (change) {
       // Restore original value in DOM
-      document.documentElement.style.setProperty(variable, change.original);
+      applyLiveValue(change.variable, change.original, change.scope);
       // Remove from persistence
-      persistence.revertVariable(variable);
+      persistence.revertVariable(change.variable, change.scope ?? null);
       this._render();
     }
   }
@@ -175,7 +398,7 @@ class CommitPanel extends HTMLElement {
     
     // Restore all original values in DOM
     for (const change of changes) {
-      document.documentElement.style.setProperty(change.variable, change.original);
+      applyLiveValue(change.variable, change.original, change.scope);
     }
     
     // Clear persistence
@@ -186,35 +409,157 @@ class CommitPanel extends HTMLElement {
   }
 
   /**
-   * Handle commit action - either commit to server or copy to clipboard
+   * Handle commit action - either review the diff or copy to clipboard
    */
   async _handleCommit() {
-    if (this._isCommitting) return;
+    if (this._isCommitting || this._isPreviewing) return;
 
     if (this._serverConnected) {
-      await this._commitToServer();
+      await this._previewOnServer();
     } else {
       await this._copyToClipboard();
     }
   }
 
   /**
-   * Commit changes to dev server
+   * Build the request payload shared by preview and commit
    */
-  async _commitToServer() {
-    this._isCommitting = true;
-    this._render();
-
+  _buildPayload() {
     const changes = persistence.getPendingChanges();
-    const payload = {
+    return {
       changes: changes.map(c => ({
         variable: c.variable,
-        value: c.current
+        value: c.current,
+        original: c.original,
+        scope: c.scope || undefined
       }))
     };
+  }
+
+  /**
+   * Drop the committed changes from persistence
+   * A change edited again while the review was open stays pending, based
+   * on the value that was just written.
+   * @param {Array<{variable: string, value: string, scope?: Object}>} committed - From the reviewed payload
+   */
+  _settleCommitted(committed) {
+    const pending = persistence.getPendingChanges();
+    for (const { variable, value, scope } of committed) {
+      const key = changeKey(variable, scope);
+      const change = pending.find(c => changeKey(c.variable, c.scope) === key);
+      if (!change) continue;
+      if (change.current === value) {
+        persistence.revertVariable(variable, scope ?? null);
+      } else {
+        persistence.rebaseVariable(variable, value, scope ?? null);
+      }
+    }
+  }
+
+  /**
+   * Pull conflict errors out of a preview/commit response
+   * @returns {boolean} true if there were conflicts
+   */
+  _collectConflicts(errors = []) {
+    const pending = persistence.getPendingChanges();
+    this._conflicts = errors
+      .filter(e => e.conflict)
+      .map(e => {
+        // The server reports the declaration it found; match it back to
+        // the pending change (a token can be pending in several scopes)
+        const candidates = pending.filter(c => c.variable === e.variable);
+        const change = candidates.length === 1 ? candidates[0]
+          : candidates.find(c => c.scope && e.conflict.scope && sameScope(c.scope, e.conflict.scope))
+            || candidates.find(c => !c.scope);
+        const changeScope = change?.scope ?? null;
+        return { key: changeKey(e.variable, changeScope), variable: e.variable, changeScope, ...e.conflict };
+      });
+    return this._conflicts.length > 0;
+  }
+
+  /**
+   * Resolve a single conflict
+   * - 'theirs': drop our pending change and let the source value show
+   * - 'ours': rebase our change onto the current source value
+   */
+  async _resolveConflict(key, side) {
+    const conflict = this._conflicts.find(c => c.key === key);
+    if (!conflict) return;
+
+    const { variable, changeScope } = conflict;
+    if (side === 'theirs') {
+      clearLiveValue(variable, changeScope || conflict.scope);
+      persistence.revertVariable(variable, changeScope);
+    } else {
+      persistence.rebaseVariable(variable, conflict.theirs, changeScope);
+    }
+
+    this._conflicts = this._conflicts.filter(c => c.key !== key);
+
+    if (this._conflicts.length > 0) {
+      this._render();
+      return;
+    }
 
+    // All resolved: refresh the diff if anything is left to commit
+    this._preview = null;
+    if (persistence.getPendingCount() > 0 && this._serverConnected) {
+      await this._previewOnServer();
+    } else {
+      this._render();
+    }
+  }
+
+  /**
+   * Ask the dev server for a dry-run diff of the pending changes
+   */
+  async _previewOnServer() {
+    this._isPreviewing = true;
+    this._render();
+
+    // The commit sends exactly what was previewed
+    const payload = this._buildPayload();
+    let error = null;
     try {
-      const response = await fetch('/__ektachrome/commit', {
+      const response = await apiFetch('/__ektachrome/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: this._abortController?.signal
+      });
+
+      const result = await response.json();
+
+      if (result.error) {
+        error = result.error;
+      } else if (!this._collectConflicts(result.errors)) {
+        this._preview = { files: result.files || [], errors: result.errors || [], payload };
+      }
+    } catch (e) {
+      error = e.message;
+    }
+
+    this._isPreviewing = false;
+    this._render();
+
+    // Toast after render so it isn't wiped by the re-render
+    if (error) {
+      this._showToast(`Preview failed: ${error}`, true);
+    }
+  }
+
+  /**
+   * Commit reviewed changes to dev server
+   */
+  async _commitToServer() {
+    const payload = this._preview?.payload;
+    if (this._isCommitting || !payload || this._preview.errors.length > 0) return;
+
+    this._isCommitting = true;
+    this._render();
+
+    try {
+      const response = await apiFetch('/__ektachrome/commit', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify(payload),
@@ -224,20 +569,30 @@ class CommitPanel extends HTMLElement {
       const result = await response.json();
 
       if (result.success) {
-        // Clear persistence on success
-        persistence.clear();
+        this._settleCommitted(payload.changes);
+        this._preview = null;
         
-        this._showToast(`Committed ${result.committed.length} change(s)`);
+        this._showToast(result.warning
+          ? `Committed ${result.committed.length} change(s). ${result.warning}`
+          : `Committed ${result.committed.length} change(s)`, !!result.warning);
         this.dispatchEvent(new CustomEvent('commit-success', {
           bubbles: true,
           detail: { committed: result.committed }
         }));
         
         setTimeout(() => this.hide(), 1500);
+      } else if (this._collectConflicts(result.errors)) {
+        // Someone changed the source while we were reviewing
+        this._preview = null;
+        this.dispatchEvent(new CustomEvent('commit-error', {
+          bubbles: true,
+          detail: { errors: result.errors }
+        }));
       } else {
-        // Partial failure
-        const errorMsg = result.errors?.map(e => e.variable).join(', ') || 'Unknown error';
-        this._showToast(`Some changes failed: ${errorMsg}`, true);
+        // Nothing was written; every change stays pending
+        const failed = result.errors?.filter(e => e.variable).map(e => e.variable).join(', ');
+        const reason = result.errors?.[0]?.error || result.error || 'Unknown error';
+        this._showToast(failed ? `Nothing committed (${failed}): ${reason}` : `Commit failed: ${reason}`, true);
         this.dispatchEvent(new CustomEvent('commit-error', {
           bubbles: true,
           detail: { errors: result.errors }
@@ -255,16 +610,108 @@ class CommitPanel extends HTMLElement {
     }
   }
 
+  /**
+   * Roll back the most recent commit on the dev server
+   * @param {boolean} [force] - Restore even files edited since the commit
+   */
+  async _handleUndo(force = false) {
+    if (this._isUndoing) return;
+
+    this._isUndoing = true;
+    this._undoConflicts = null;
+    this._render();
+
+    let message = null;
+    let isError = false;
+    try {
+      const response = await apiFetch('/__ektachrome/undo', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(force ? { force: true } : {}),
+        signal: this._abortController?.signal
+      });
+
+      const result = await response.json();
+
+      if (result.success) {
+        // Drop live overrides so the restored source values show through
+        const scopes = result.undone.scopes || [];
+        for (const variable of result.undone.variables || []) {
+          const written = scopes.filter(s => s.variable === variable);
+          for (const scope of written.length > 0 ? written : [undefined]) {
+            clearLiveValue(variable, scope);
+          }
+        }
+
+        message = `Undid ${this._describeCommit(result.undone)}`;
+        this.dispatchEvent(new CustomEvent('commit-undone', {
+          bubbles: true,
+          detail: { undone: result.undone }
+        }));
+      } else if (result.conflicts) {
+        // Shown as a notice offering to undo anyway
+        this._undoConflicts = result.conflicts;
+      } else {
+        message = result.error || 'Undo failed';
+        isError = true;
+      }
+    } catch (e) {
+      message = `Undo failed: ${e.message}`;
+      isError = true;
+    }
+
+    await this._loadHistory();
+    this._isUndoing = false;
+    this._render();
+    if (message) this._showToast(message, isError);
+  }
+
+  /**
+   * Short human-readable summary of a journal entry
+   */
+  _describeCommit(entry) {
+    const vars = entry.variables || [];
+    const label = ACTION_LABELS[entry.action] || 'commit';
+    if (vars.length === 0) return label;
+    if (vars.length === 1) return `${label} of ${vars[0]}`;
+    return `${label} of ${vars.length} variables`;
+  }
+
+  /**
+   * Describe where a change will be written, e.g. `@media (prefers-color-scheme: dark) \u203A :root`
+   */
+  _describeScope(scope) {
+    return [...(scope.atRules || []), scope.selector].join(' \u203A ');
+  }
+
   /**
    * Copy CSS to clipboard (fallback when no dev server)
    */
   async _copyToClipboard() {
     const changes = persistence.getPendingChanges();
     
-    // Format as CSS
-    const css = `:root {\n${
-      changes.map(c => `  ${c.variable}: ${c.current};`).join('\n')
-    }\n}`;
+    // Group by scope so theme variants keep their selector and at-rules
+    const groups = new Map();
+    for (const c of changes) {
+      const scope = c.scope || { selector: ':root', atRules: [] };
+      const key = JSON.stringify(scope);
+      if (!groups.has(key)) groups.set(key, { scope, changes: [] });
+      groups.get(key).changes.push(c);
+    }
+    
+    // Format as CSS, wrapping each block in its at-rules
+    const css = [...groups.values()].map(({ scope, changes }) => {
+      const depth = scope.atRules.length;
+      const pad = (level) => '  '.repeat(level);
+      const declarations = changes
+        .map(c => `${pad(depth + 1)}${c.variable}: ${c.current};`)
+        .join('\n');
+      let block = `${pad(depth)}${scope.selector} {\n${declarations}\n${pad(depth)}}`;
+      for (let level = depth - 1; level >= 0; level--) {
+        block = `${pad(level)}${scope.atRules[level]} {\n${block}\n${pad(level)}}`;
+      }
+      return block;
+    }).join('\n\n');
 
     try {
       await navigator.clipboard.writeText(css);
@@ -449,6 +896,121 @@ class CommitPanel extends HTMLElement {
         color: ${THEME.colorText};
       }
       
+      /* Diff review */
+      .panel.review {
+        max-width: 640px;
+        width: 90vw;
+      }
+      
+      .file-diff {
+        margin-bottom: 8px;
+        border: 1px solid ${THEME.colorBorder};
+        border-radius: ${THEME.radiusMd};
+        overflow: hidden;
+      }
+      
+      .file-name {
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeSm};
+        color: ${THEME.colorTextMuted};
+        padding: 6px 8px;
+        background: ${THEME.colorBgSubtle};
+        border-bottom: 1px solid ${THEME.colorBorder};
+      }
+      
+      .diff {
+        margin: 0;
+        padding: 4px 0;
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeXs};
+        line-height: 1.5;
+        overflow-x: auto;
+      }
+      
+      .diff-line {
+        padding: 0 8px;
+        white-space: pre;
+      }
+      
+      .diff-hunk {
+        color: ${THEME.colorTextDim};
+      }
+      
+      .diff-ctx {
+        color: ${THEME.colorTextFaint};
+      }
+      
+      .diff-add {
+        color: #4ade80;
+        background: rgba(74, 222, 128, 0.08);
+      }
+      
+      .diff-del {
+        color: #f87171;
+        background: rgba(248, 113, 113, 0.08);
+      }
+      
+      /* Conflicts */
+      .conflict-intro {
+        font-size: ${THEME.fontSizeSm};
+        color: ${THEME.colorWarning};
+        padding: 0 0 8px;
+      }
+      
+      .scope {
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeXs};
+        color: ${THEME.colorTextDim};
+        margin-bottom: 4px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      
+      .conflict-location {
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeXs};
+        color: ${THEME.colorTextDim};
+      }
+      
+      .conflict-values {
+        display: grid;
+        grid-template-columns: auto 1fr;
+        gap: 2px 8px;
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeXs};
+        margin: 4px 0 8px;
+      }
+      
+      .conflict-label {
+        color: ${THEME.colorTextDim};
+      }
+      
+      .conflict-value {
+        color: ${THEME.colorTextMuted};
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+      }
+      
+      .conflict-actions {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+      }
+      
+      .undo-conflict {
+        font-size: ${THEME.fontSizeSm};
+        color: ${THEME.colorWarning};
+        padding: 8px 12px;
+      }
+      
+      .preview-error {
+        font-size: ${THEME.fontSizeSm};
+        color: ${THEME.colorDanger};
+        padding: 4px 0;
+      }
+      
       /* Footer */
       .footer {
         display: flex;
@@ -14,6 +14,7 @@
  */
 
 import { THEME, baseStyles } from '../utils/theme.js';
+import { applyLiveValue } from '../utils/live-values.js';
 import { DESIGN_SCALES } from '../utils/property-categories.js';
 
 class DurationControl extends HTMLElement {
@@ -73,7 +74,7 @@ class DurationControl extends HTMLElement {
         const value = step.dataset.value;
         
         if (variable) {
-          document.documentElement.style.setProperty(variable, value);
+          applyLiveValue(variable, value);
         }
         
         this.dispatchEvent(new CustomEvent('control-change', {
@@ -14,6 +14,7 @@
  */
 
 import { THEME, baseStyles } from '../utils/theme.js';
+import { applyLiveValue } from '../utils/live-values.js';
 import { DESIGN_SCALES } from '../utils/property-categories.js';
 
 class EasingPicker extends HTMLElement {
@@ -75,7 +76,7 @@ class EasingPicker extends HTMLElement {
         const value = curve.dataset.value;
         
         if (variable) {
-          document.documentElement.style.setProperty(variable, value);
+          applyLiveValue(variable, value);
         }
         
         this.dispatchEvent(new CustomEvent('control-change', {
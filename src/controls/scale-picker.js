@@ -12,6 +12,7 @@
  * </scale-picker>
  */
 import { THEME } from '../utils/theme.js';
+import { applyLiveValue } from '../utils/live-values.js';
 
 class ScalePicker extends HTMLElement {
   constructor() {
@@ -132,7 +133,7 @@ class ScalePicker extends HTMLElement {
       segment.addEventListener('click', () => {
         const value = segment.dataset.value;
         if (variable) {
-          document.documentElement.style.setProperty(variable, value);
+          applyLiveValue(variable, value);
         }
         this.dispatchEvent(new CustomEvent('control-change', {
           bubbles: true,
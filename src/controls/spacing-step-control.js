@@ -5,6 +5,7 @@
  * on your spacing grid (e.g., 4px base = 0, 4, 8, 12, 16, 24, 32, 48, 64)
  */
 import { THEME } from '../utils/theme.js';
+import { applyLiveValue } from '../utils/live-values.js';
 
 class SpacingStepControl extends HTMLElement {
   constructor() {
@@ -90,7 +91,7 @@ class SpacingStepControl extends HTMLElement {
       step.addEventListener('click', () => {
         const value = step.dataset.value + 'px';
         if (variable) {
-          document.documentElement.style.setProperty(variable, value);
+          applyLiveValue(variable, value);
         }
         this.dispatchEvent(new CustomEvent('control-change', {
           bubbles: true, composed: true,
@@ -2,7 +2,9 @@
  * <token-creator> - Dialog for creating new CSS custom property tokens
  * 
  * Shows when a user wants to tokenize a hardcoded value.
- * Offers name suggestions, scope selection, and preview.
+ * Offers name suggestions, scope selection, and preview. Values with a
+ * recognizable type (24px, #3b82f6, 150ms) can also be registered with
+ * an `@property` rule, so the token gets the matching control.
  * 
  * Attributes:
  * - property: CSS property being tokenized (e.g., "padding")
@@ -10,11 +12,14 @@
  * - element-selector: Suggested scope based on selected element
  * 
  * Events:
- * - token-created: After successful creation, detail: { name, value, scope, file }
+ * - token-created: After successful creation, detail: { name, value, scope, file, line, syntax }
  * - token-cancelled: User cancelled
  */
 
 import { THEME, baseStyles } from '../utils/theme.js';
+import { apiFetch } from '../utils/server-api.js';
+import { applyLiveValue } from '../utils/live-values.js';
+import { inferPropertySyntax } from '../utils/property-categories.js';
 
 class TokenCreator extends HTMLElement {
   constructor() {
@@ -65,7 +70,7 @@ class TokenCreator extends HTMLElement {
 
   async _checkServerConnection() {
     try {
-      const response = await fetch('/__ektachrome/status');
+      const response = await apiFetch('/__ektachrome/status');
       if (response.ok) {
         this._serverConnected = true;
       }
@@ -80,6 +85,7 @@ class TokenCreator extends HTMLElement {
     const elementSelector = this.getAttribute('element-selector') || '.component';
     
     const suggestedName = this._suggestTokenName(property, elementSelector);
+    const syntax = inferPropertySyntax(value);
     
     this.shadowRoot.innerHTML = `
       <style>${TokenCreator._styles()}</style>
@@ -119,9 +125,18 @@ class TokenCreator extends HTMLElement {
               </div>
             </div>
             
+            ${syntax ? `
+              <div class="field">
+                <label class="radio-label">
+                  <input type="checkbox" class="register-checkbox" data-syntax="${this._esc(syntax)}">
+                  <span class="radio-text">Register with @property <span class="radio-hint">(${this._esc(syntax)})</span></span>
+                </label>
+              </div>
+            ` : ''}
+            
             <div class="field">
               <label class="field-label">Preview</label>
-              <pre class="preview">${this._generatePreview(suggestedName, value, elementSelector)}</pre>
+              <pre class="preview">${this._esc(this._generatePreview(suggestedName, value, elementSelector, null))}</pre>
             </div>
           </div>
           
@@ -140,6 +155,7 @@ class TokenCreator extends HTMLElement {
     const createBtn = this.shadowRoot.querySelector('.create-btn');
     const nameInput = this.shadowRoot.querySelector('.name-input');
     const scopeRadios = this.shadowRoot.querySelectorAll('.scope-radio');
+    const registerCheckbox = this.shadowRoot.querySelector('.register-checkbox');
     const overlay = this.shadowRoot.querySelector('.overlay');
 
     // Close actions
@@ -162,6 +178,9 @@ class TokenCreator extends HTMLElement {
       radio.addEventListener('change', () => this._updatePreview(), { signal });
     });
 
+    // Update preview when toggling the @property registration
+    registerCheckbox?.addEventListener('change', () => this._updatePreview(), { signal });
+
     // Enter to create
     nameInput?.addEventListener('keydown', (e) => {
       if (e.key === 'Enter' && this._serverConnected) {
@@ -214,15 +233,31 @@ class TokenCreator extends HTMLElement {
     return `--${component}-${suffix}`;
   }
 
-  _generatePreview(name, value, scope) {
+  _generatePreview(name, value, scope, syntax) {
     const property = this.getAttribute('property') || '';
+    const registration = syntax ? `@property ${name} {
+  syntax: '${syntax}';
+  inherits: true;
+  initial-value: ${value};
+}
+
+` : '';
     
-    return `${scope} {
+    return `${registration}${scope} {
   ${name}: ${value};
   ${property}: var(${name});
 }`;
   }
 
+  /**
+   * The @property syntax to register the token with, if the user asked for it
+   * @returns {string | null}
+   */
+  _registerSyntax() {
+    const checkbox = this.shadowRoot.querySelector('.register-checkbox');
+    return checkbox?.checked ? checkbox.dataset.syntax : null;
+  }
+
   _updatePreview() {
     const nameInput = this.shadowRoot.querySelector('.name-input');
     const scopeRadio = this.shadowRoot.querySelector('.scope-radio:checked');
@@ -233,7 +268,7 @@ class TokenCreator extends HTMLElement {
       const scope = scopeRadio.value;
       const value = this.getAttribute('value') || '';
       
-      preview.textContent = this._generatePreview(name, value, scope);
+      preview.textContent = this._generatePreview(name, value, scope, this._registerSyntax());
     }
   }
 
@@ -256,6 +291,7 @@ class TokenCreator extends HTMLElement {
     const scope = scopeRadio.value;
     const value = this.getAttribute('value') || '';
     const property = this.getAttribute('property') || '';
+    const syntax = this._registerSyntax();
     
     // Validate name
     if (!name.startsWith('--')) {
@@ -270,22 +306,24 @@ class TokenCreator extends HTMLElement {
     }
     
     try {
-      const response = await fetch('/__ektachrome/create-token', {
+      const response = await apiFetch('/__ektachrome/create-token', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ name, value, scope, property })
+        body: JSON.stringify({ name, value, scope, property, ...(syntax && { syntax }) })
       });
       
       const result = await response.json();
       
       if (result.success) {
-        // Apply the new variable immediately for live preview
-        document.documentElement.style.setProperty(name, value);
+        if (result.warning) console.warn('[token-creator]', result.warning);
+        
+        // Apply the new variable immediately for live preview, on its scope
+        applyLiveValue(name, value, scope);
         
         this.dispatchEvent(new CustomEvent('token-created', {
           bubbles: true,
           composed: true,
-          detail: { name, value, scope, file: result.file, line: result.line }
+          detail: { name, value, scope, file: result.file, line: result.line, syntax }
         }));
         this.remove();
       } else {
@@ -449,7 +487,8 @@ class TokenCreator extends HTMLElement {
         font-size: ${THEME.fontSizeSm};
       }
       
-      .scope-radio {
+      .scope-radio,
+      .register-checkbox {
         accent-color: ${THEME.colorText};
       }
       
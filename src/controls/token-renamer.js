@@ -0,0 +1,421 @@
+/**
+ * <token-renamer> - Dialog for renaming a CSS custom property token
+ *
+ * Renames the declaration and every var() reference across the project's
+ * stylesheets via /__ektachrome/rename-token, optionally in JS/TS/Vue
+ * sources too. "Preview" lists the files that would change first.
+ *
+ * Attributes:
+ * - variable: Token to rename (e.g., "--color-primary")
+ *
+ * Events:
+ * - token-renamed: After a successful rename, detail: { from, to, files }
+ * - token-cancelled: User cancelled
+ */
+
+import { THEME, baseStyles } from '../utils/theme.js';
+import { apiFetch } from '../utils/server-api.js';
+
+class TokenRenamer extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._abortController = null;
+    this._serverConnected = false;
+  }
+
+  connectedCallback() {
+    this._abortController?.abort();
+    this._abortController = new AbortController();
+    const signal = this._abortController.signal;
+
+    this.setAttribute('data-ektachrome', '');
+
+    // Check server connection then render
+    this._checkServerConnection().then(() => {
+      this._render();
+      this._wireEvents(signal);
+      this.show();
+    });
+  }
+
+  disconnectedCallback() {
+    this._abortController?.abort();
+    this._abortController = null;
+  }
+
+  /**
+   * Show the dialog (can be called after appending to DOM)
+   */
+  show() {
+    this.style.display = 'block';
+    const input = this.shadowRoot.querySelector('.name-input');
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  }
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    this.style.display = 'none';
+  }
+
+  async _checkServerConnection() {
+    try {
+      const response = await apiFetch('/__ektachrome/status');
+      if (response.ok) {
+        this._serverConnected = true;
+      }
+    } catch {
+      this._serverConnected = false;
+    }
+  }
+
+  _render() {
+    const variable = this.getAttribute('variable') || '';
+    const disabled = !this._serverConnected ? 'disabled title="Dev server not connected"' : '';
+
+    this.shadowRoot.innerHTML = `
+      <style>${TokenRenamer._styles()}</style>
+      <div class="overlay" data-ektachrome>
+        <div class="dialog" data-ektachrome>
+          <div class="header">
+            <span class="title">Rename Token</span>
+            <button class="close" aria-label="Close">\u00D7</button>
+          </div>
+
+          <div class="body">
+            <div class="info-row">
+              <span class="info-label">Current:</span>
+              <span class="info-value">${this._esc(variable)}</span>
+            </div>
+
+            <div class="field">
+              <label class="field-label">New name</label>
+              <input type="text" class="name-input" value="${this._esc(variable)}" spellcheck="false">
+            </div>
+
+            <label class="checkbox-label">
+              <input type="checkbox" class="scripts-checkbox">
+              <span>Also update JS/TS/Vue/Svelte sources</span>
+            </label>
+
+            <div class="field">
+              <label class="field-label">Files</label>
+              <pre class="preview">Click Preview to list affected files</pre>
+            </div>
+          </div>
+
+          <div class="footer">
+            <button class="btn cancel-btn">Cancel</button>
+            <button class="btn preview-btn" ${disabled}>Preview</button>
+            <button class="btn rename-btn" ${disabled}>Rename</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  _wireEvents(signal) {
+    const overlay = this.shadowRoot.querySelector('.overlay');
+    const nameInput = this.shadowRoot.querySelector('.name-input');
+
+    this.shadowRoot.querySelector('.close')?.addEventListener('click', () => this._cancel(), { signal });
+    this.shadowRoot.querySelector('.cancel-btn')?.addEventListener('click', () => this._cancel(), { signal });
+
+    // Click outside to close
+    overlay?.addEventListener('click', (e) => {
+      if (e.target === overlay) this._cancel();
+    }, { signal });
+
+    this.shadowRoot.querySelector('.preview-btn')?.addEventListener('click', () => this._rename(true), { signal });
+    this.shadowRoot.querySelector('.rename-btn')?.addEventListener('click', () => this._rename(false), { signal });
+
+    // Enter to rename
+    nameInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && this._serverConnected) {
+        this._rename(false);
+      }
+    }, { signal });
+
+    nameInput?.addEventListener('input', () => nameInput.classList.remove('error'), { signal });
+  }
+
+  _cancel() {
+    this.dispatchEvent(new CustomEvent('token-cancelled', {
+      bubbles: true,
+      composed: true
+    }));
+    this.remove();
+  }
+
+  /**
+   * Rename the token, or only list the affected files when `dryRun`
+   * @param {boolean} dryRun
+   */
+  async _rename(dryRun) {
+    const nameInput = this.shadowRoot.querySelector('.name-input');
+    const preview = this.shadowRoot.querySelector('.preview');
+    const renameBtn = this.shadowRoot.querySelector('.rename-btn');
+    const from = this.getAttribute('variable') || '';
+    const to = nameInput?.value.trim() || '';
+    const scripts = this.shadowRoot.querySelector('.scripts-checkbox')?.checked || false;
+
+    // Validate name
+    if (!/^--[a-zA-Z0-9_-]+$/.test(to) || to === from) {
+      nameInput?.classList.add('error');
+      return;
+    }
+
+    if (!dryRun && renameBtn) {
+      renameBtn.disabled = true;
+      renameBtn.textContent = 'Renaming...';
+    }
+
+    try {
+      const response = await apiFetch('/__ektachrome/rename-token', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ from, to, scripts, dryRun })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        preview.textContent = result.error || 'Rename failed';
+        preview.classList.add('error');
+      } else if (dryRun) {
+        preview.classList.remove('error');
+        preview.textContent = result.files
+          .map(f => `${f.file}  ${this._describeCounts(f)}`)
+          .join('\n') || 'No files reference this token';
+      } else {
+        if (result.warning) console.warn('[token-renamer]', result.warning);
+        this.dispatchEvent(new CustomEvent('token-renamed', {
+          bubbles: true,
+          composed: true,
+          detail: { from, to, files: result.files }
+        }));
+        this.remove();
+        return;
+      }
+    } catch (error) {
+      console.error('[token-renamer] Error renaming token:', error);
+      preview.textContent = error.message;
+      preview.classList.add('error');
+    }
+
+    if (renameBtn) {
+      renameBtn.disabled = false;
+      renameBtn.textContent = 'Rename';
+    }
+  }
+
+  _describeCounts({ declarations, references }) {
+    const parts = [];
+    if (declarations) parts.push(`${declarations} declaration${declarations > 1 ? 's' : ''}`);
+    if (references) parts.push(`${references} reference${references > 1 ? 's' : ''}`);
+    return parts.join(', ');
+  }
+
+  _esc(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  static _styles() {
+    return `
+      ${baseStyles}
+
+      :host {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        z-index: 999999;
+        display: block;
+      }
+
+      .overlay {
+        position: absolute;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.5);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        backdrop-filter: blur(4px);
+      }
+
+      .dialog {
+        background: ${THEME.colorBgPopup};
+        border: 1px solid ${THEME.colorBorder};
+        border-radius: ${THEME.radiusLg};
+        width: 360px;
+        max-width: 90vw;
+        box-shadow: 0 16px 48px rgba(0, 0, 0, 0.5);
+        font-family: ${THEME.fontSystem};
+        color: ${THEME.colorText};
+      }
+
+      .header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 12px 16px;
+        border-bottom: 1px solid ${THEME.colorBorderSubtle};
+      }
+
+      .title {
+        font-size: ${THEME.fontSizeXl};
+        font-weight: 500;
+      }
+
+      .close {
+        background: none;
+        border: none;
+        color: ${THEME.colorTextFaint};
+        font-size: 18px;
+        cursor: pointer;
+        padding: 0 4px;
+        line-height: 1;
+      }
+      .close:hover {
+        color: ${THEME.colorText};
+      }
+
+      .body {
+        padding: 16px;
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+      }
+
+      .info-row {
+        display: flex;
+        gap: 8px;
+        font-size: ${THEME.fontSizeLg};
+      }
+
+      .info-label {
+        color: ${THEME.colorTextFaint};
+        min-width: 60px;
+      }
+
+      .info-value {
+        font-family: ${THEME.fontMono};
+        color: ${THEME.colorText};
+      }
+
+      .field {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+      }
+
+      .field-label {
+        font-size: ${THEME.fontSizeMd};
+        color: ${THEME.colorTextMuted};
+      }
+
+      .name-input {
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid ${THEME.colorBorderSubtle};
+        border-radius: ${THEME.radiusMd};
+        padding: 8px 10px;
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeLg};
+        color: ${THEME.colorText};
+        outline: none;
+        transition: border-color 0.15s;
+      }
+      .name-input:focus {
+        border-color: ${THEME.colorActive};
+      }
+      .name-input.error {
+        border-color: rgba(255, 100, 100, 0.5);
+      }
+
+      .checkbox-label {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        cursor: pointer;
+        font-size: ${THEME.fontSizeMd};
+        color: ${THEME.colorTextMuted};
+      }
+      .checkbox-label input {
+        accent-color: ${THEME.colorText};
+      }
+
+      .preview {
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid ${THEME.colorBorderSubtle};
+        border-radius: ${THEME.radiusMd};
+        padding: 10px;
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeSm};
+        color: ${THEME.colorTextMuted};
+        margin: 0;
+        white-space: pre-wrap;
+        line-height: 1.5;
+        max-height: 160px;
+        overflow-y: auto;
+      }
+      .preview.error {
+        color: ${THEME.colorWarning};
+      }
+
+      .footer {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+        padding: 12px 16px;
+        border-top: 1px solid ${THEME.colorBorderSubtle};
+      }
+
+      .btn {
+        padding: 6px 14px;
+        border-radius: ${THEME.radiusMd};
+        font-size: ${THEME.fontSizeLg};
+        font-family: ${THEME.fontSystem};
+        cursor: pointer;
+        border: none;
+        transition: background 0.15s, opacity 0.15s;
+      }
+
+      .cancel-btn,
+      .preview-btn {
+        background: ${THEME.colorBgSubtle};
+        color: ${THEME.colorTextMuted};
+      }
+      .cancel-btn:hover,
+      .preview-btn:hover:not(:disabled) {
+        background: ${THEME.colorBgHover};
+      }
+
+      .rename-btn {
+        background: ${THEME.colorBgSubtle};
+        border: 1px solid ${THEME.colorBorder};
+        color: ${THEME.colorText};
+      }
+      .rename-btn:hover:not(:disabled) {
+        background: ${THEME.colorBgHoverStrong};
+        border-color: ${THEME.colorBorderHover};
+      }
+      .btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+    `;
+  }
+}
+
+customElements.define('token-renamer', TokenRenamer);
+export { TokenRenamer };
@@ -0,0 +1,415 @@
+/**
+ * <token-tokenizer> - Dialog for replacing a hardcoded value everywhere
+ *
+ * Rewrites every declaration that uses a value, in any equivalent
+ * spelling (`#3b82f6`, `rgb(59 130 246)`), to `var(--token)` across the
+ * project's stylesheets via /__ektachrome/tokenize, creating the token
+ * in :root first if it doesn't exist. "Preview" lists the matches.
+ *
+ * Attributes:
+ * - value: Hardcoded value (e.g., "#3b82f6")
+ * - property: Property it was found on, used to suggest a name (optional)
+ *
+ * Events:
+ * - token-tokenized: After a successful rewrite, detail: { value, variable, occurrences, files }
+ * - token-cancelled: User cancelled
+ */
+
+import { THEME, baseStyles } from '../utils/theme.js';
+import { apiFetch } from '../utils/server-api.js';
+
+// Name prefixes suggested for global tokens, by property
+const PREFIXES = [
+  [/color|background|border|fill|stroke|outline/, '--color-'],
+  [/padding|margin|gap|inset|top|right|bottom|left/, '--space-'],
+  [/radius/, '--radius-'],
+  [/font-size/, '--font-size-'],
+  [/duration/, '--duration-'],
+  [/shadow/, '--shadow-']
+];
+
+class TokenTokenizer extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this._abortController = null;
+    this._serverConnected = false;
+  }
+
+  connectedCallback() {
+    this._abortController?.abort();
+    this._abortController = new AbortController();
+    const signal = this._abortController.signal;
+
+    this.setAttribute('data-ektachrome', '');
+
+    // Check server connection then render
+    this._checkServerConnection().then(() => {
+      this._render();
+      this._wireEvents(signal);
+      this.show();
+    });
+  }
+
+  disconnectedCallback() {
+    this._abortController?.abort();
+    this._abortController = null;
+  }
+
+  /**
+   * Show the dialog (can be called after appending to DOM)
+   */
+  show() {
+    this.style.display = 'block';
+    const input = this.shadowRoot.querySelector('.name-input');
+    if (input) {
+      input.focus();
+      input.setSelectionRange(input.value.length, input.value.length);
+    }
+  }
+
+  /**
+   * Hide the dialog
+   */
+  hide() {
+    this.style.display = 'none';
+  }
+
+  async _checkServerConnection() {
+    try {
+      const response = await apiFetch('/__ektachrome/status');
+      if (response.ok) {
+        this._serverConnected = true;
+      }
+    } catch {
+      this._serverConnected = false;
+    }
+  }
+
+  _render() {
+    const value = this.getAttribute('value') || '';
+    const disabled = !this._serverConnected ? 'disabled title="Dev server not connected"' : '';
+
+    this.shadowRoot.innerHTML = `
+      <style>${TokenTokenizer._styles()}</style>
+      <div class="overlay" data-ektachrome>
+        <div class="dialog" data-ektachrome>
+          <div class="header">
+            <span class="title">Replace All With Token</span>
+            <button class="close" aria-label="Close">\u00D7</button>
+          </div>
+
+          <div class="body">
+            <div class="info-row">
+              <span class="info-label">Value:</span>
+              <span class="info-value">${this._esc(value)}</span>
+            </div>
+
+            <div class="field">
+              <label class="field-label">Token (existing, or created in :root)</label>
+              <input type="text" class="name-input" value="${this._esc(this._suggestPrefix())}" spellcheck="false">
+            </div>
+
+            <div class="field">
+              <label class="field-label">Occurrences</label>
+              <pre class="preview">Click Preview to list every declaration using this value</pre>
+            </div>
+          </div>
+
+          <div class="footer">
+            <button class="btn cancel-btn">Cancel</button>
+            <button class="btn preview-btn" ${disabled}>Preview</button>
+            <button class="btn apply-btn" ${disabled}>Replace All</button>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
+  _suggestPrefix() {
+    const property = this.getAttribute('property') || '';
+    const match = PREFIXES.find(([pattern]) => pattern.test(property));
+    return match ? match[1] : '--';
+  }
+
+  _wireEvents(signal) {
+    const overlay = this.shadowRoot.querySelector('.overlay');
+    const nameInput = this.shadowRoot.querySelector('.name-input');
+
+    this.shadowRoot.querySelector('.close')?.addEventListener('click', () => this._cancel(), { signal });
+    this.shadowRoot.querySelector('.cancel-btn')?.addEventListener('click', () => this._cancel(), { signal });
+
+    // Click outside to close
+    overlay?.addEventListener('click', (e) => {
+      if (e.target === overlay) this._cancel();
+    }, { signal });
+
+    this.shadowRoot.querySelector('.preview-btn')?.addEventListener('click', () => this._tokenize(true), { signal });
+    this.shadowRoot.querySelector('.apply-btn')?.addEventListener('click', () => this._tokenize(false), { signal });
+
+    // Enter to apply
+    nameInput?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && this._serverConnected) {
+        this._tokenize(false);
+      }
+    }, { signal });
+
+    nameInput?.addEventListener('input', () => nameInput.classList.remove('error'), { signal });
+  }
+
+  _cancel() {
+    this.dispatchEvent(new CustomEvent('token-cancelled', {
+      bubbles: true,
+      composed: true
+    }));
+    this.remove();
+  }
+
+  /**
+   * Replace the value everywhere, or only list the matches when `dryRun`
+   * @param {boolean} dryRun
+   */
+  async _tokenize(dryRun) {
+    const nameInput = this.shadowRoot.querySelector('.name-input');
+    const preview = this.shadowRoot.querySelector('.preview');
+    const applyBtn = this.shadowRoot.querySelector('.apply-btn');
+    const value = this.getAttribute('value') || '';
+    const variable = nameInput?.value.trim() || '';
+
+    // Validate name
+    if (!/^--[a-zA-Z0-9_-]+$/.test(variable)) {
+      nameInput?.classList.add('error');
+      return;
+    }
+
+    if (!dryRun && applyBtn) {
+      applyBtn.disabled = true;
+      applyBtn.textContent = 'Replacing...';
+    }
+
+    try {
+      const response = await apiFetch('/__ektachrome/tokenize', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ value, variable, dryRun })
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        preview.textContent = result.error || 'Replace failed';
+        preview.classList.add('error');
+      } else if (dryRun) {
+        preview.classList.remove('error');
+        preview.textContent = [
+          ...(result.created ? [`+ ${variable}: ${value}  (${result.created.file}:${result.created.line})`] : []),
+          ...result.occurrences.map(o => `${o.file}:${o.line}  ${o.selector} { ${o.property} }  ${o.original}`)
+        ].join('\n');
+      } else {
+        if (result.warning) console.warn('[token-tokenizer]', result.warning);
+        this.dispatchEvent(new CustomEvent('token-tokenized', {
+          bubbles: true,
+          composed: true,
+          detail: { value, variable, occurrences: result.occurrences, files: result.files }
+        }));
+        this.remove();
+        return;
+      }
+    } catch (error) {
+      console.error('[token-tokenizer] Error replacing value:', error);
+      preview.textContent = error.message;
+      preview.classList.add('error');
+    }
+
+    if (applyBtn) {
+      applyBtn.disabled = false;
+      applyBtn.textContent = 'Replace All';
+    }
+  }
+
+  _esc(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/"/g, '&quot;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  static _styles() {
+    return `
+      ${baseStyles}
+
+      :host {
+        position: fixed;
+        top: 0;
+        left: 0;
+        right: 0;
+        bottom: 0;
+        z-index: 999999;
+        display: block;
+      }
+
+      .overlay {
+        position: absolute;
+        inset: 0;
+        background: rgba(0, 0, 0, 0.5);
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        backdrop-filter: blur(4px);
+      }
+
+      .dialog {
+        background: ${THEME.colorBgPopup};
+        border: 1px solid ${THEME.colorBorder};
+        border-radius: ${THEME.radiusLg};
+        width: 420px;
+        max-width: 90vw;
+        box-shadow: 0 16px 48px rgba(0, 0, 0, 0.5);
+        font-family: ${THEME.fontSystem};
+        color: ${THEME.colorText};
+      }
+
+      .header {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        padding: 12px 16px;
+        border-bottom: 1px solid ${THEME.colorBorderSubtle};
+      }
+
+      .title {
+        font-size: ${THEME.fontSizeXl};
+        font-weight: 500;
+      }
+
+      .close {
+        background: none;
+        border: none;
+        color: ${THEME.colorTextFaint};
+        font-size: 18px;
+        cursor: pointer;
+        padding: 0 4px;
+        line-height: 1;
+      }
+      .close:hover {
+        color: ${THEME.colorText};
+      }
+
+      .body {
+        padding: 16px;
+        display: flex;
+        flex-direction: column;
+        gap: 12px;
+      }
+
+      .info-row {
+        display: flex;
+        gap: 8px;
+        font-size: ${THEME.fontSizeLg};
+      }
+
+      .info-label {
+        color: ${THEME.colorTextFaint};
+        min-width: 60px;
+      }
+
+      .info-value {
+        font-family: ${THEME.fontMono};
+        color: ${THEME.colorText};
+      }
+
+      .field {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+      }
+
+      .field-label {
+        font-size: ${THEME.fontSizeMd};
+        color: ${THEME.colorTextMuted};
+      }
+
+      .name-input {
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid ${THEME.colorBorderSubtle};
+        border-radius: ${THEME.radiusMd};
+        padding: 8px 10px;
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeLg};
+        color: ${THEME.colorText};
+        outline: none;
+        transition: border-color 0.15s;
+      }
+      .name-input:focus {
+        border-color: ${THEME.colorActive};
+      }
+      .name-input.error {
+        border-color: rgba(255, 100, 100, 0.5);
+      }
+
+      .preview {
+        background: rgba(0, 0, 0, 0.3);
+        border: 1px solid ${THEME.colorBorderSubtle};
+        border-radius: ${THEME.radiusMd};
+        padding: 10px;
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeSm};
+        color: ${THEME.colorTextMuted};
+        margin: 0;
+        white-space: pre-wrap;
+        line-height: 1.5;
+        max-height: 200px;
+        overflow-y: auto;
+      }
+      .preview.error {
+        color: ${THEME.colorWarning};
+      }
+
+      .footer {
+        display: flex;
+        justify-content: flex-end;
+        gap: 8px;
+        padding: 12px 16px;
+        border-top: 1px solid ${THEME.colorBorderSubtle};
+      }
+
+      .btn {
+        padding: 6px 14px;
+        border-radius: ${THEME.radiusMd};
+        font-size: ${THEME.fontSizeLg};
+        font-family: ${THEME.fontSystem};
+        cursor: pointer;
+        border: none;
+        transition: background 0.15s, opacity 0.15s;
+      }
+
+      .cancel-btn,
+      .preview-btn {
+        background: ${THEME.colorBgSubtle};
+        color: ${THEME.colorTextMuted};
+      }
+      .cancel-btn:hover,
+      .preview-btn:hover:not(:disabled) {
+        background: ${THEME.colorBgHover};
+      }
+
+      .apply-btn {
+        background: ${THEME.colorBgSubtle};
+        border: 1px solid ${THEME.colorBorder};
+        color: ${THEME.colorText};
+      }
+      .apply-btn:hover:not(:disabled) {
+        background: ${THEME.colorBgHoverStrong};
+        border-color: ${THEME.colorBorderHover};
+      }
+      .btn:disabled {
+        opacity: 0.5;
+        cursor: not-allowed;
+      }
+    `;
+  }
+}
+
+customElements.define('token-tokenizer', TokenTokenizer);
+export { TokenTokenizer };
@@ -3,16 +3,33 @@
  *
  * Shows which design tokens control the element and lets users
  * adjust them through constrained controls (color-token-control,
- * spacing-step-control, scale-picker).
+ * spacing-step-control, scale-picker). Tokens registered with
+ * `@property` get the control for their syntax (`<color>`, `<length>`,
+ * `<time>`); others are sorted by the property that uses them.
+ * Tokens whose declaration loses the cascade (to a more specific rule, a
+ * later layer, !important or an inline style), or sits in an @media or
+ * @supports block that doesn't currently apply, are listed apart, greyed out.
+ * Tokens that alias others show their chain (`--button-bg → --color-primary
+ * → --blue-500`): any level can be edited, and an alias can be re-pointed
+ * at a different primitive instead of having its value overwritten.
+ * Inherited tokens (a paragraph's color set on `body`) are labelled with
+ * the rule they come from and edit like any other.
  */
 import { findCSSVariablesForElement } from '../scanner/detect-css-vars.js';
 import { resolveTokensForElement, buildVariableMap } from '../scanner/variable-map.js';
+import { resolveAliasChain, buildTokenGraph, findPrimitives, getAliasTarget } from '../scanner/token-graph.js';
+import { findTailwindTokensForElement } from '../scanner/tailwind-classes.js';
 import { discoverVariables } from '../bridge/variable-discovery.js';
-import { CATEGORY_MATCHERS, CATEGORY_LABELS, PROPERTY_CATEGORIES } from '../utils/property-categories.js';
+import { CATEGORY_MATCHERS, CATEGORY_LABELS, PROPERTY_CATEGORIES, getCategoryForSyntax, inferPropertySyntax } from '../utils/property-categories.js';
 import { THEME } from '../utils/theme.js';
 import { createPersistence } from '../utils/state-persistence.js';
+import { findVariableScope, findVariableDeclaration, findDeclaredValue, getRegisteredProperties } from '../utils/stylesheet-scanner.js';
+import { startTokenSync, reconcilePendingChanges } from '../utils/token-sync.js';
+import { apiFetch } from '../utils/server-api.js';
+import { setLiveScope, getLiveScope, getLiveTargets, applyLiveValue, clearLiveValue } from '../utils/live-values.js';
 import '../controls/commit-panel.js';
 import '../controls/token-creator.js';
+import '../controls/token-renamer.js';
 import '../controls/duration-control.js';
 import '../controls/easing-picker.js';
 import '../controls/spring-control.js';
@@ -31,6 +48,13 @@ class ToolbarPopup extends HTMLElement {
     this._rafId = null;
     this._requestId = 0; // For cancelling stale async requests
     this._serverConnected = false;
+    this._tailwindTokens = []; // Theme tokens from /__ektachrome/tailwind
+    this._sourceLocations = new Map(); // variable -> {file, line, column} from /__ektachrome/locate
+    this._usages = new Map(); // variable -> {count, files} from /__ektachrome/usages
+    this._registrations = new Map(); // variable -> {syntax, inherits, initialValue} from @property rules
+    this._aliasChains = new Map(); // variable -> [{variable, value, selector}], the token first
+    this._editLevels = new Map(); // variable -> level of its alias chain the controls edit
+    this._primitives = []; // Tokens an alias can be re-pointed at
   }
 
   connectedCallback() {
@@ -48,9 +72,34 @@ class ToolbarPopup extends HTMLElement {
       this._persistVariableChange(e.detail);
     });
     
+    // Rename requests from controls (color-token-control header) and rename chips
+    this.shadowRoot.addEventListener('token-rename', (e) => {
+      this._showTokenRenamer(e.detail.variable);
+    });
+    this.shadowRoot.addEventListener('click', (e) => {
+      const chip = e.target.closest?.('.rename-chip');
+      if (chip) this._showTokenRenamer(chip.dataset.variable);
+      const source = e.target.closest?.('.source-link');
+      if (source) this._openInEditor(source.dataset);
+      const level = e.target.closest?.('.alias-level');
+      if (level) {
+        this._editLevels.set(level.dataset.variable, level.dataset.level);
+        this._updateTabsAndContent();
+      }
+    });
+    this.shadowRoot.addEventListener('change', (e) => {
+      const repoint = e.target.closest?.('.alias-repoint');
+      if (repoint) this._repointAlias(repoint.dataset.level, repoint.value);
+    });
+    
     // Listen for clicks outside the popup to close it
     this._onDocumentClick = this._onDocumentClick.bind(this);
     document.addEventListener('mousedown', this._onDocumentClick, true);
+
+    // Pick up token edits made on disk (Vite HMR)
+    this._onTokensChanged = this._onTokensChanged.bind(this);
+    window.addEventListener('ektachrome:tokens-changed', this._onTokensChanged);
+    startTokenSync();
     
     this._render();
   }
@@ -75,6 +124,10 @@ class ToolbarPopup extends HTMLElement {
     // 3. Merge results, preferring direct detection
     vars = this._mergeVariables(vars, mappedVars);
     
+    // 3b. Map Tailwind utility classes (bg-blue-500, p-4) to theme tokens
+    const tailwindVars = findTailwindTokensForElement(elementInfo.element, this._tailwindTokens);
+    vars = this._mergeVariables(vars, tailwindVars);
+    
     // 4. If still no variables found, try Claude discovery (fallback)
     if (vars.length === 0) {
       console.log('[toolbar-popup] No variables found via automatic detection, trying Claude fallback...');
@@ -94,7 +147,19 @@ class ToolbarPopup extends HTMLElement {
       return;
     }
 
+    this._registrations = getRegisteredProperties();
     this._grouped = this._groupByCategory(vars);
+
+    // Alias chains, so the controls can edit any level of them
+    this._aliasChains = new Map();
+    for (const { variable } of vars) {
+      if (!this._aliasChains.has(variable)) {
+        this._aliasChains.set(variable, resolveAliasChain(elementInfo.element, variable));
+      }
+    }
+    this._editLevels = new Map();
+    this._primitives = findPrimitives(buildTokenGraph());
+    this._rememberLiveScopes(elementInfo.element);
     console.log('[toolbar-popup] Resolved variables by category:', this._grouped);
 
     // Also detect hardcoded values that could be tokenized
@@ -106,9 +171,41 @@ class ToolbarPopup extends HTMLElement {
     );
     this._activeTab = availableTabs[0] || null;
 
+    this._sourceLocations = new Map();
+    this._usages = new Map();
     this._render();
     this.style.display = 'block';
     this._position(elementInfo.rect);
+
+    // Where each token is declared and used, filled in once the server answers
+    if (this._serverConnected) {
+      this._loadSourceLocations(elementInfo.element, vars, currentRequestId);
+      this._loadUsages(vars, currentRequestId);
+    }
+  }
+
+  /**
+   * Point live edits of the element's tokens (and every level of their
+   * alias chains) at the definitions that supply them, so a token
+   * redefined on `.card` or `.dark` is previewed there rather than on <html>
+   * @param {Element} element
+   */
+  _rememberLiveScopes(element) {
+    const names = new Set();
+    for (const chain of this._aliasChains.values()) {
+      for (const { variable } of chain) names.add(variable);
+    }
+    for (const tokens of Object.values(this._grouped)) {
+      for (const { variable } of tokens) names.add(variable);
+    }
+    for (const name of names) {
+      const declaration = findVariableDeclaration(element, name);
+      setLiveScope(name, declaration && {
+        selector: declaration.selector,
+        ...(declaration.parentSelectors && { parentSelectors: declaration.parentSelectors }),
+        atRules: declaration.atRules
+      });
+    }
   }
 
   /** Hide the popup and clear state. */
@@ -131,6 +228,7 @@ class ToolbarPopup extends HTMLElement {
 
   disconnectedCallback() {
     document.removeEventListener('mousedown', this._onDocumentClick, true);
+    window.removeEventListener('ektachrome:tokens-changed', this._onTokensChanged);
     if (this._rafId) {
       cancelAnimationFrame(this._rafId);
       this._rafId = null;
@@ -161,10 +259,11 @@ class ToolbarPopup extends HTMLElement {
    */
   async _checkServerConnection() {
     try {
-      const response = await fetch('/__ektachrome/status');
+      const response = await apiFetch('/__ektachrome/status');
       if (response.ok) {
         this._serverConnected = true;
         console.log('[toolbar-popup] Dev server connected');
+        await this._loadTailwindTheme();
       }
     } catch {
       this._serverConnected = false;
@@ -172,6 +271,97 @@ class ToolbarPopup extends HTMLElement {
     }
   }
 
+  /**
+   * Load Tailwind theme tokens so utility classes can be mapped to them
+   */
+  async _loadTailwindTheme() {
+    try {
+      const response = await apiFetch('/__ektachrome/tailwind');
+      if (response.ok) {
+        const data = await response.json();
+        this._tailwindTokens = data.tokens || [];
+      }
+    } catch {
+      this._tailwindTokens = [];
+    }
+  }
+
+  /**
+   * Map the element's tokens back to the file and line that declare them
+   * The browser only knows the rule's selector and stylesheet; the server
+   * finds the matching declaration in source.
+   */
+  async _loadSourceLocations(element, vars, requestId) {
+    const variables = [...new Set(vars.map(v => v.variable))];
+    if (variables.length === 0) return;
+
+    const items = variables.map(variable => ({
+      variable,
+      ...findVariableDeclaration(element, variable)
+    }));
+
+    try {
+      const response = await apiFetch('/__ektachrome/locate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ items })
+      });
+      if (!response.ok) return;
+      const { locations } = await response.json();
+
+      if (requestId !== this._requestId) return; // Another element was picked
+      variables.forEach((variable, i) => {
+        if (locations[i]) this._sourceLocations.set(variable, locations[i]);
+      });
+      this._updateTabsAndContent();
+    } catch (e) {
+      console.warn('[toolbar-popup] Could not locate token sources:', e.message);
+    }
+  }
+
+  /**
+   * Count where the element's tokens are used across the project, so the
+   * size of a change is visible before making it
+   */
+  async _loadUsages(vars, requestId) {
+    const variables = [...new Set(vars.map(v => v.variable))];
+    if (variables.length === 0) return;
+
+    try {
+      const query = variables.map(v => `variable=${encodeURIComponent(v)}`).join('&');
+      const response = await apiFetch(`/__ektachrome/usages?${query}`);
+      if (!response.ok) return;
+      const { usages } = await response.json();
+
+      if (requestId !== this._requestId) return; // Another element was picked
+      for (const usage of usages) {
+        this._usages.set(usage.variable, usage);
+      }
+      this._updateTabsAndContent();
+    } catch (e) {
+      console.warn('[toolbar-popup] Could not load token usages:', e.message);
+    }
+  }
+
+  /**
+   * Open a source location in the editor configured on the dev server
+   */
+  async _openInEditor({ file, line, column }) {
+    try {
+      const response = await apiFetch('/__ektachrome/open', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ file, line: Number(line), column: Number(column) })
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        console.warn('[toolbar-popup] Could not open editor:', data.error || response.status);
+      }
+    } catch (e) {
+      console.warn('[toolbar-popup] Could not open editor:', e.message);
+    }
+  }
+
   /**
    * Restore previously saved CSS variable adjustments from localStorage
    */
@@ -179,9 +369,47 @@ class ToolbarPopup extends HTMLElement {
     const changes = persistence.getPendingChanges();
     if (changes.length === 0) return;
     
-    // Apply each saved variable to the document
+    // Apply each saved variable where it was edited
     for (const change of changes) {
-      document.documentElement.style.setProperty(change.variable, change.current);
+      setLiveScope(change.variable, change.scope);
+      applyLiveValue(change.variable, change.current, change.scope);
+    }
+  }
+
+  /**
+   * Token files changed on disk: rebuild the variable map, drop overrides
+   * the source now matches (or whose declaration is gone) and refresh the
+   * open controls with the new values
+   * @param {CustomEvent} e - Detail: {file, changed, added, removed}
+   */
+  async _onTokensChanged(e) {
+    buildVariableMap();
+    if (this._serverConnected) {
+      await this._loadTailwindTheme();
+    }
+
+    // Per change, so a token's other scopes keep their pending edits
+    const dropped = [];
+    for (const change of persistence.getPendingChanges()) {
+      const { settled, removed } = reconcilePendingChanges([change], e.detail);
+      if (settled.length + removed.length === 0) continue;
+      clearLiveValue(change.variable, change.scope);
+      persistence.revertVariable(change.variable, change.scope ?? null);
+      dropped.push(change.variable);
+    }
+    if (dropped.length > 0) {
+      console.log('[toolbar-popup] Dropped overrides now in', e.detail.file, dropped);
+    }
+
+    if (this._elementInfo && this.style.display !== 'none') {
+      const tab = this._activeTab;
+      await this.show(this._elementInfo);
+      if (tab && tab !== this._activeTab && this._grouped[tab]?.length > 0) {
+        this._activeTab = tab;
+        this._updateTabsAndContent();
+      }
+    } else {
+      this._updateCommitBadge();
     }
   }
 
@@ -192,16 +420,58 @@ class ToolbarPopup extends HTMLElement {
     const { variable, value } = detail;
     if (!variable || !value) return;
     
-    // Get original value from computed styles (only if not already changed)
-    const original = getComputedStyle(document.documentElement)
-      .getPropertyValue(variable).trim();
+    // Get original value from the stylesheets (only used on first change)
+    const original = this._readSourceValue(variable);
+    
+    // Record which declaration (theme selector, media query) is being edited
+    const scope = getLiveScope(variable) || findVariableScope(document.documentElement, variable);
     
-    persistence.trackChange(variable, value, original);
+    persistence.trackChange(variable, value, original, scope);
     
     // Re-render to update commit badge
     this._updateCommitBadge();
   }
 
+  /**
+   * Read a variable's value as defined by the stylesheets, ignoring the
+   * inline overrides the controls set where it is edited before dispatching.
+   * This is the base value the server checks against on commit.
+   */
+  _readSourceValue(variable) {
+    const targets = getLiveTargets(variable);
+    const saved = targets.map(({ style }) => [style.getPropertyValue(variable), style.getPropertyPriority(variable)]);
+    
+    for (const { style } of targets) style.removeProperty(variable);
+    // The value as written on disk: an alias stays var(--blue-500), and an
+    // @property-registered color stays #3b82f6 rather than its computed rgb()
+    const declared = findDeclaredValue(targets[0], variable)?.value;
+    const original = declared ?? getComputedStyle(targets[0]).getPropertyValue(variable).trim();
+    targets.forEach(({ style }, i) => {
+      const [inlineValue, inlinePriority] = saved[i];
+      if (inlineValue) style.setProperty(variable, inlineValue, inlinePriority);
+    });
+    
+    return original;
+  }
+
+  /**
+   * Point an alias at a different token (`--color-primary: var(--blue-600)`)
+   * rather than overwriting the value at the end of its chain
+   */
+  _repointAlias(variable, target) {
+    const value = `var(${target})`;
+    applyLiveValue(variable, value);
+    this._persistVariableChange({ variable, value });
+
+    // Chains running through this level now continue elsewhere
+    const element = this._elementInfo?.element;
+    if (!element) return;
+    for (const name of this._aliasChains.keys()) {
+      this._aliasChains.set(name, resolveAliasChain(element, name));
+    }
+    this._updateTabsAndContent();
+  }
+
   /**
    * Clear all saved adjustments and reset CSS variables
    * Can be called externally: document.querySelector('toolbar-popup').resetAll()
@@ -210,7 +480,7 @@ class ToolbarPopup extends HTMLElement {
     const changes = persistence.getPendingChanges();
     // Remove all adjusted variables from the document
     for (const change of changes) {
-      document.documentElement.style.removeProperty(change.variable);
+      clearLiveValue(change.variable, change.scope);
     }
     persistence.clear();
     this._updateCommitBadge();
@@ -227,6 +497,11 @@ class ToolbarPopup extends HTMLElement {
       this._render();
     });
     
+    panel.addEventListener('commit-undone', () => {
+      // Source values were restored, refresh UI
+      this._render();
+    });
+    
     panel.addEventListener('changes-discarded', () => {
       // Revert all CSS changes, refresh UI
       this._render();
@@ -264,6 +539,12 @@ class ToolbarPopup extends HTMLElement {
   _groupByCategory(vars) {
     const groups = { color: [], spacing: [], type: [], radius: [], animation: [] };
     for (const v of vars) {
+      // A registered @property syntax is exact; property names are a guess
+      const registered = getCategoryForSyntax(this._registrations.get(v.variable)?.syntax);
+      if (registered) {
+        groups[registered].push(v);
+        continue;
+      }
       for (const [cat, re] of Object.entries(CATEGORY_MATCHERS)) {
         if (re.test(v.property)) {
           groups[cat].push(v);
@@ -313,7 +594,7 @@ class ToolbarPopup extends HTMLElement {
       const existingTokens = this._grouped;
       let hasToken = false;
       for (const category of Object.values(existingTokens)) {
-        if (category.some(v => v.property === prop)) {
+        if (category.some(v => v.property === prop && ToolbarPopup._isApplied(v))) {
           hasToken = true;
           break;
         }
@@ -442,6 +723,13 @@ class ToolbarPopup extends HTMLElement {
         );
       });
     });
+
+    // Wire replace-all buttons
+    this.shadowRoot.querySelectorAll('.tokenize-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this._showTokenizer(btn.dataset.property, btn.dataset.value);
+      });
+    });
   }
 
   /**
@@ -463,6 +751,63 @@ class ToolbarPopup extends HTMLElement {
     creator.show();
   }
 
+  /**
+   * Show the replace-all dialog for a hardcoded value
+   */
+  _showTokenizer(property, value) {
+    const tokenizer = document.createElement('token-tokenizer');
+    tokenizer.setAttribute('property', property);
+    tokenizer.setAttribute('value', value);
+    
+    tokenizer.addEventListener('token-tokenized', (e) => {
+      console.log('[toolbar-popup] Value tokenized:', e.detail);
+      // Stylesheets catch up through HMR; rebuild now for other servers
+      buildVariableMap();
+      if (this._elementInfo) this.show(this._elementInfo);
+    });
+    
+    document.body.appendChild(tokenizer);
+  }
+
+  /**
+   * Show the rename dialog for a token
+   */
+  _showTokenRenamer(variable) {
+    const renamer = document.createElement('token-renamer');
+    renamer.setAttribute('variable', variable);
+    
+    renamer.addEventListener('token-renamed', (e) => {
+      console.log('[toolbar-popup] Token renamed:', e.detail);
+      this._onTokenRenamed(e.detail);
+    });
+    
+    document.body.appendChild(renamer);
+  }
+
+  /**
+   * Carry live overrides and pending changes over to the new name.
+   * The stylesheets catch up through HMR (see _onTokensChanged).
+   */
+  _onTokenRenamed({ from, to }) {
+    for (const { style } of getLiveTargets(from)) {
+      const inlineValue = style.getPropertyValue(from);
+      if (inlineValue) {
+        style.setProperty(to, inlineValue, style.getPropertyPriority(from));
+        style.removeProperty(from);
+      }
+    }
+    setLiveScope(to, getLiveScope(from));
+    setLiveScope(from, null);
+    persistence.renameVariable(from, to);
+    buildVariableMap();
+    
+    if (this._elementInfo && this.style.display !== 'none') {
+      this.show(this._elementInfo);
+    } else {
+      this._updateCommitBadge();
+    }
+  }
+
   _renderHeader(info) {
     const hasSavedState = persistence.getPendingCount() > 0;
     return `
@@ -489,11 +834,131 @@ class ToolbarPopup extends HTMLElement {
     const items = this._grouped[this._activeTab] || [];
     if (items.length === 0) return '';
 
+    // A token that wins for one property isn't repeated as not applied
+    const winning = items.filter(v => ToolbarPopup._isApplied(v));
+    const shown = new Set(winning.map(v => v.variable));
+    const notApplied = items.filter(v => !ToolbarPopup._isApplied(v) && !shown.has(v.variable));
+
+    // Color controls have their own rename button
+    const renameRow = this._activeTab === 'color' ? '' : this._renderRenameRow(items);
+    return this._renderInheritedRow(winning) + this._renderAliasChains(winning) +
+      this._renderControlsFor(winning.map(v => this._atEditLevel(v))) +
+      this._renderNotApplied(notApplied) + renameRow + this._renderSourceRow(items);
+  }
+
+  /** "inherited from `body`" for tokens the element gets from an ancestor */
+  _renderInheritedRow(items) {
+    const inherited = items.filter(v => v.inheritedFrom);
+    if (inherited.length === 0) return '';
+    return `
+      <div class="inherited-row">
+        ${inherited.map(({ variable, property, inheritedFrom }) => {
+          const from = inheritedFrom.selector || `<${inheritedFrom.element.localName}> style attribute`;
+          return `
+            <div class="inherited-item">
+              <span class="inherited-var">${this._esc(variable)}</span> (${this._esc(property)}) inherited from
+              <code class="inherited-from">${this._esc(from)}</code>
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /** A token entry retargeted at the level of its alias chain being edited */
+  _atEditLevel(v) {
+    const level = this._editLevels.get(v.variable);
+    if (!level || level === v.variable || !this._elementInfo) return v;
+    const currentValue = getComputedStyle(this._elementInfo.element).getPropertyValue(level).trim();
+    return { ...v, variable: level, currentValue };
+  }
+
+  /**
+   * Breadcrumbs for tokens that alias others; click a level to edit it
+   * there, and re-point an alias level at another token
+   */
+  _renderAliasChains(items) {
+    const variables = [...new Set(items.map(v => v.variable))]
+      .filter(variable => this._aliasChains.get(variable)?.length > 1);
+    if (variables.length === 0) return '';
+    return `
+      <div class="alias-row">
+        ${variables.map(variable => {
+          const chain = this._aliasChains.get(variable);
+          const editing = this._editLevels.get(variable) || variable;
+          const level = chain.find(l => l.variable === editing);
+          const crumbs = chain.map(l => `
+            <button class="alias-level ${l.variable === editing ? 'active' : ''}" data-variable="${this._esc(variable)}" data-level="${this._esc(l.variable)}" title="Edit ${this._esc(l.variable)}">${this._esc(l.variable)}</button>
+          `).join('<span class="alias-arrow">\u2192</span>');
+          return `
+            <div class="alias-chain">${crumbs}</div>
+            ${level && getAliasTarget(level.value) ? this._renderRepoint(level) : ''}
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /** Choice of primitives of the same kind (color, length, ...) for an alias to point at */
+  _renderRepoint(level) {
+    const target = getAliasTarget(level.value);
+    const computed = getComputedStyle(this._elementInfo.element);
+    const syntax = inferPropertySyntax(computed.getPropertyValue(target).trim());
+    const candidates = this._primitives.filter(name =>
+      !syntax || inferPropertySyntax(computed.getPropertyValue(name).trim()) === syntax
+    );
+    const options = [...new Set([target, ...candidates])];
+    return `
+      <label class="alias-repoint-row">
+        <span class="alias-var">${this._esc(level.variable)}</span> points to
+        <select class="alias-repoint" data-level="${this._esc(level.variable)}">
+          ${options.map(name => `<option value="${this._esc(name)}"${name === target ? ' selected' : ''}>${this._esc(name)}</option>`).join('')}
+        </select>
+      </label>
+    `;
+  }
+
+  /** Whether a token's declaration takes effect (tokens found by other means carry no status) */
+  static _isApplied(v) {
+    return !v.status || v.status === 'winning';
+  }
+
+  /**
+   * Tokens whose declarations lose the cascade or whose @media/@supports
+   * conditions don't hold, collapsed and greyed out
+   */
+  _renderNotApplied(items) {
+    if (items.length === 0) return '';
+    const overridden = items.filter(v => v.status === 'overridden').length;
+    const inactive = items.length - overridden;
+    const summary = [
+      overridden ? `${overridden} overridden` : '',
+      inactive ? `${inactive} inactive` : ''
+    ].filter(Boolean).join(' \u00B7 ');
+    return `
+      <details class="overridden">
+        <summary class="overridden-summary">${summary}</summary>
+        <div class="overridden-list">
+          ${items.map(v => {
+            const inactiveConditions = (v.conditions || []).filter(c => !c.applies).map(c => c.atRule).join(' ');
+            return `
+              <div class="overridden-from">${this._esc(v.variable)} in ${this._esc(v.selector || 'style attribute')} { ${this._esc(v.property)} }${inactiveConditions ? ` \u2014 only ${this._esc(inactiveConditions)}` : ''}</div>
+            `;
+          }).join('')}
+          ${this._renderControlsFor(items)}
+        </div>
+      </details>
+    `;
+  }
+
+  _renderControlsFor(items) {
     switch (this._activeTab) {
       case 'color':
-        return items.map(v =>
-          `<color-token-control variable="${this._esc(v.variable)}" current-value="${this._esc(v.currentValue)}"></color-token-control>`
-        ).join('');
+        return items.map(v => {
+          const usage = this._usages.get(v.variable);
+          const usageCount = usage ? ` usage-count="${usage.count}"` : '';
+          return `<color-token-control variable="${this._esc(v.variable)}" current-value="${this._esc(v.currentValue)}"${usageCount}></color-token-control>`;
+        }).join('');
 
       case 'spacing':
         return items.map(v =>
@@ -513,7 +978,7 @@ class ToolbarPopup extends HTMLElement {
       case 'animation':
         return items.map(v => {
           // Detect which type of animation control to use
-          if (v.property.includes('duration')) {
+          if (this._registrations.get(v.variable)?.syntax === '<time>' || v.property.includes('duration')) {
             return `<duration-control variable="${this._esc(v.variable)}" property="${this._esc(v.property)}" current-value="${this._esc(v.currentValue)}"></duration-control>`;
           }
           if (v.property.includes('timing-function') || v.property.includes('easing')) {
@@ -528,6 +993,63 @@ class ToolbarPopup extends HTMLElement {
     }
   }
 
+  /** Rename buttons for the tokens on the active tab */
+  _renderRenameRow(items) {
+    if (!this._serverConnected) return '';
+    const variables = [...new Set(items.map(v => v.variable))];
+    return `
+      <div class="rename-row">
+        ${variables.map(variable => `
+          <button class="rename-chip" data-variable="${this._esc(variable)}" title="Rename ${this._esc(variable)}">\u270E ${this._esc(variable)}</button>
+        `).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * "defined in file:line" and "used N× in M files" for the tokens on the
+   * active tab, once the server has answered
+   */
+  _renderSourceRow(items) {
+    const variables = [...new Set(items.map(v => v.variable))]
+      .filter(variable => this._sourceLocations.has(variable) || this._usages.has(variable));
+    if (variables.length === 0) return '';
+    return `
+      <div class="source-row">
+        ${variables.map(variable => {
+          const location = this._sourceLocations.get(variable);
+          const usage = this._usages.get(variable);
+          return `
+            <div class="source-item">
+              <span class="source-var">${this._esc(variable)}</span>
+              ${location ? `defined in
+                <button class="source-link" data-file="${this._esc(location.file)}" data-line="${location.line}" data-column="${location.column}" title="Open in editor">${this._esc(location.file)}:${location.line}</button>
+              ` : ''}
+              ${usage ? this._renderUsage(usage) : ''}
+            </div>
+          `;
+        }).join('')}
+      </div>
+    `;
+  }
+
+  /** Usage count, expandable into the files and lines using the token */
+  _renderUsage({ count, files }) {
+    const summary = `used ${count}\u00D7 in ${files.length} file${files.length === 1 ? '' : 's'}`;
+    if (files.length === 0) return `<span class="usage-summary">${summary}</span>`;
+    return `
+      <details class="usage-details">
+        <summary class="usage-summary">${summary}</summary>
+        ${files.map(f => `
+          <div class="usage-file">
+            <button class="source-link" data-file="${this._esc(f.file)}" data-line="${f.lines[0]}" data-column="1" title="Open in editor">${this._esc(f.file)}</button>
+            <span class="usage-lines">${f.count}\u00D7 \u00B7 line${f.lines.length === 1 ? '' : 's'} ${f.lines.slice(0, 8).join(', ')}${f.lines.length > 8 ? ', ...' : ''}</span>
+          </div>
+        `).join('')}
+      </details>
+    `;
+  }
+
   _renderHardcodedSection() {
     if (this._hardcodedValues.length === 0) return '';
     
@@ -544,6 +1066,14 @@ class ToolbarPopup extends HTMLElement {
                     data-selector="${this._esc(v.selector)}">
               Create Token
             </button>
+            ${this._serverConnected ? `
+              <button class="tokenize-btn"
+                      data-property="${this._esc(v.property)}"
+                      data-value="${this._esc(v.value)}"
+                      title="Replace ${this._esc(v.value)} with a token in every stylesheet">
+                Replace All
+              </button>
+            ` : ''}
           </div>
         `).join('')}
       </div>
@@ -734,7 +1264,8 @@ class ToolbarPopup extends HTMLElement {
         color: ${THEME.colorTextFaint};
         flex: 1;
       }
-      .create-token-btn {
+      .create-token-btn,
+      .tokenize-btn {
         font-size: ${THEME.fontSizeXs};
         padding: 4px 8px;
         border-radius: ${THEME.radiusMd};
@@ -746,10 +1277,130 @@ class ToolbarPopup extends HTMLElement {
         transition: color 0.15s ease, border-color 0.15s ease;
         white-space: nowrap;
       }
-      .create-token-btn:hover {
+      .create-token-btn:hover,
+      .tokenize-btn:hover {
         color: ${THEME.colorText};
         border-color: ${THEME.colorBorderHover};
       }
+
+      /* Token rename */
+      .rename-row {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        margin-top: 8px;
+      }
+      .rename-chip {
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeXs};
+        padding: 2px 6px;
+        border-radius: ${THEME.radiusMd};
+        cursor: pointer;
+        border: 1px solid ${THEME.colorBorderSubtle};
+        background: transparent;
+        color: ${THEME.colorTextDim};
+        transition: color 0.15s ease, border-color 0.15s ease;
+      }
+      .rename-chip:hover {
+        color: ${THEME.colorText};
+        border-color: ${THEME.colorBorderHover};
+      }
+      .inherited-row {
+        margin-bottom: 8px;
+        font-size: ${THEME.fontSizeXs};
+        color: ${THEME.colorTextDim};
+      }
+      .inherited-var,
+      .inherited-from {
+        font-family: ${THEME.fontMono};
+      }
+      .alias-row {
+        display: flex;
+        flex-direction: column;
+        gap: 4px;
+        margin-bottom: 8px;
+        font-size: ${THEME.fontSizeXs};
+        color: ${THEME.colorTextDim};
+      }
+      .alias-chain {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 2px;
+      }
+      .alias-level {
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeXs};
+        padding: 1px 4px;
+        border-radius: ${THEME.radiusMd};
+        border: 1px solid transparent;
+        background: transparent;
+        color: ${THEME.colorTextDim};
+        cursor: pointer;
+      }
+      .alias-level:hover,
+      .alias-level.active {
+        color: ${THEME.colorText};
+        border-color: ${THEME.colorBorderHover};
+      }
+      .alias-var {
+        font-family: ${THEME.fontMono};
+      }
+      .alias-repoint {
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeXs};
+      }
+      .overridden {
+        margin-top: 8px;
+        font-size: ${THEME.fontSizeXs};
+        color: ${THEME.colorTextDim};
+      }
+      .overridden-summary {
+        cursor: pointer;
+      }
+      .overridden-list {
+        opacity: 0.45;
+      }
+      .overridden-from {
+        font-family: ${THEME.fontMono};
+        margin-top: 4px;
+      }
+      .source-row {
+        margin-top: 8px;
+        display: flex;
+        flex-direction: column;
+        gap: 2px;
+        font-size: ${THEME.fontSizeXs};
+        color: ${THEME.colorTextDim};
+      }
+      .source-var {
+        font-family: ${THEME.fontMono};
+      }
+      .source-link {
+        font-family: ${THEME.fontMono};
+        font-size: ${THEME.fontSizeXs};
+        padding: 0;
+        border: none;
+        background: transparent;
+        color: ${THEME.colorTextDim};
+        text-decoration: underline dotted;
+        cursor: pointer;
+      }
+      .source-link:hover {
+        color: ${THEME.colorText};
+      }
+      .usage-details {
+        display: inline;
+      }
+      .usage-summary {
+        cursor: pointer;
+      }
+      .usage-file {
+        padding-left: 12px;
+      }
+      .usage-lines {
+        font-family: ${THEME.fontMono};
+      }
     `;
   }
 
@@ -8,6 +8,8 @@ import { SpacingStepControl } from './controls/spacing-step-control.js';
 import { ScalePicker } from './controls/scale-picker.js';
 import { ToolbarPopup } from './controls/toolbar-popup.js';
 import { TokenCreator } from './controls/token-creator.js';
+import { TokenRenamer } from './controls/token-renamer.js';
+import { TokenTokenizer } from './controls/token-tokenizer.js';
 import { DurationControl } from './controls/duration-control.js';
 import { EasingPicker } from './controls/easing-picker.js';
 import { SpringControl } from './controls/spring-control.js';
@@ -19,6 +21,7 @@ import { ElementPicker } from './picker/element-picker.js';
 
 // Import scanner utilities
 import { findCSSVariablesForElement } from './scanner/detect-css-vars.js';
+import { findTailwindTokensForElement } from './scanner/tailwind-classes.js';
 import { resolveTokensForElement, variableMap, buildVariableMap } from './scanner/variable-map.js';
 import { auditDesignSystem } from './scanner/design-system-audit.js';
 import { discoverVariables } from './bridge/variable-discovery.js';
@@ -112,7 +115,7 @@ class Ektachrome {
 
 export { Ektachrome, ElementPicker, ToolbarPopup, FloatingButton, AuditPanel };
 export { OklchPicker, ColorTokenControl, SpacingStepControl, ScalePicker };
-export { TokenCreator, DurationControl, EasingPicker, SpringControl };
-export { findCSSVariablesForElement, resolveTokensForElement, variableMap, buildVariableMap };
+export { TokenCreator, TokenRenamer, TokenTokenizer, DurationControl, EasingPicker, SpringControl };
+export { findCSSVariablesForElement, findTailwindTokensForElement, resolveTokensForElement, variableMap, buildVariableMap };
 export { auditDesignSystem, discoverVariables };
 export { loadConfig, getConfig, setConfig };
@@ -0,0 +1,199 @@
+/**
+ * Design system audit report and health score
+ *
+ * The analysis half of the audit: turns collected variables and raw values
+ * into coverage, consistency and naming metrics, recommendations and a
+ * 0-100 health score. No DOM access, so the browser audit
+ * (design-system-audit.js) and the `ektachrome audit` CLI share it.
+ */
+
+/**
+ * Build the audit report from scan results
+ * @param {Object} scanResults - {variables, rawValues, unusedVariables, definedCount, usedCount}
+ * @param {Object | null} claudeAnalysis
+ * @returns {Object}
+ */
+export function generateAuditReport(scanResults, claudeAnalysis) {
+  const report = {
+    timestamp: new Date().toISOString(),
+    summary: {
+      totalVariables: scanResults.definedCount,
+      usedVariables: scanResults.usedCount,
+      unusedVariables: scanResults.unusedVariables.length,
+      rawColorValues: scanResults.rawValues.colors.length,
+      rawSpacingValues: scanResults.rawValues.spacing.length,
+      rawTypographyValues: scanResults.rawValues.typography.length,
+    },
+    
+    // Basic analysis (always available)
+    basicAnalysis: {
+      variableUsageRate: scanResults.definedCount > 0 
+        ? scanResults.usedCount / scanResults.definedCount 
+        : 0,
+      colorTokenCoverage: calculateColorTokenCoverage(scanResults),
+      spacingConsistency: calculateSpacingConsistency(scanResults),
+      namingPatterns: detectNamingPatterns(scanResults.variables)
+    },
+    
+    // Claude analysis (if available)
+    claudeAnalysis: claudeAnalysis || null,
+    
+    // Recommendations
+    recommendations: generateRecommendations(scanResults, claudeAnalysis),
+    
+    // Raw data for further inspection
+    data: scanResults
+  };
+  
+  return report;
+}
+
+function calculateColorTokenCoverage(scanResults) {
+  const colorVariables = scanResults.variables.filter(v => 
+    v.name.includes('color') || /^(#|rgb|hsl|oklch)/.test(v.value)
+  );
+  const rawColors = scanResults.rawValues.colors.filter(c => 
+    !c.value.includes('var(')
+  );
+  
+  const total = colorVariables.length + rawColors.length;
+  return {
+    tokenizedColors: colorVariables.length,
+    hardcodedColors: rawColors.length,
+    coverage: total > 0 ? colorVariables.length / total : 1
+  };
+}
+
+function calculateSpacingConsistency(scanResults) {
+  const spacingValues = scanResults.rawValues.spacing
+    .map(s => parseFloat(s.value))
+    .filter(v => !isNaN(v));
+  const uniqueValues = [...new Set(spacingValues)];
+  
+  if (uniqueValues.length === 0) {
+    return { baseUnit: 4, consistency: 1, uniqueValues: 0 };
+  }
+  
+  // Check if values follow a consistent scale (multiples of base unit)
+  const possibleBaseUnits = [2, 4, 8];
+  let bestBase = 4;
+  let consistency = 0;
+  
+  for (const base of possibleBaseUnits) {
+    const onScaleCount = uniqueValues.filter(v => v % base === 0).length;
+    const currentConsistency = onScaleCount / uniqueValues.length;
+    if (currentConsistency > consistency) {
+      consistency = currentConsistency;
+      bestBase = base;
+    }
+  }
+  
+  return { baseUnit: bestBase, consistency, uniqueValues: uniqueValues.length };
+}
+
+function detectNamingPatterns(variables) {
+  const patterns = {
+    'BEM-style': variables.filter(v => v.name.includes('--')).length,
+    'scale-suffixed': variables.filter(v => /(sm|md|lg|xl)$/.test(v.name)).length,
+    'number-suffixed': variables.filter(v => /\d+$/.test(v.name)).length,
+    'semantic': variables.filter(v => /(primary|secondary|success|error)/.test(v.name)).length
+  };
+  
+  return patterns;
+}
+
+function generateRecommendations(scanResults, claudeAnalysis) {
+  const recommendations = [];
+  
+  // Basic recommendations
+  if (scanResults.unusedVariables.length > 0) {
+    recommendations.push({
+      priority: 'low',
+      action: `Remove ${scanResults.unusedVariables.length} unused CSS variables`,
+      benefit: 'Reduces bundle size and maintenance overhead',
+      variables: scanResults.unusedVariables
+    });
+  }
+  
+  const colorCoverage = calculateColorTokenCoverage(scanResults);
+  if (colorCoverage.hardcodedColors > 0 && colorCoverage.coverage < 0.8) {
+    recommendations.push({
+      priority: 'high',
+      action: `Convert ${colorCoverage.hardcodedColors} hardcoded colors to design tokens`,
+      benefit: 'Improves consistency and makes global color changes easier'
+    });
+  }
+  
+  const spacingConsistency = calculateSpacingConsistency(scanResults);
+  if (spacingConsistency.uniqueValues > 0 && spacingConsistency.consistency < 0.7) {
+    recommendations.push({
+      priority: 'medium',
+      action: `Standardize spacing values to ${spacingConsistency.baseUnit}px grid`,
+      benefit: 'Creates visual rhythm and simplifies spacing decisions'
+    });
+  }
+  
+  // Add Claude recommendations if available
+  if (claudeAnalysis && claudeAnalysis.recommendations) {
+    recommendations.push(...claudeAnalysis.recommendations);
+  }
+  
+  return recommendations;
+}
+
+/**
+ * Calculate overall health score (0-100)
+ * @param {Object} report - From generateAuditReport
+ * @returns {{total: number, breakdown: {color: number, spacing: number, hygiene: number, naming: number}}}
+ */
+export function calculateHealthScore(report) {
+  const { basicAnalysis, summary } = report;
+  
+  // Color token coverage (30% weight)
+  const colorScore = (basicAnalysis.colorTokenCoverage?.coverage || 0) * 100;
+  
+  // Spacing consistency (25% weight)
+  const spacingScore = (basicAnalysis.spacingConsistency?.consistency || 0) * 100;
+  
+  // Token hygiene - penalize unused variables (25% weight)
+  const totalVars = summary.totalVariables || 1;
+  const unusedRatio = (summary.unusedVariables || 0) / totalVars;
+  const hygieneScore = Math.max(0, 100 - (unusedRatio * 200)); // Heavy penalty for unused
+  
+  // Naming consistency (20% weight) - reward if dominated by one pattern
+  const patterns = basicAnalysis.namingPatterns || {};
+  const patternValues = Object.values(patterns);
+  const maxPattern = Math.max(...patternValues, 0);
+  const totalPatterns = patternValues.reduce((a, b) => a + b, 0) || 1;
+  const namingScore = (maxPattern / totalPatterns) * 100;
+  
+  // Weighted average
+  const score = Math.round(
+    (colorScore * 0.30) +
+    (spacingScore * 0.25) +
+    (hygieneScore * 0.25) +
+    (namingScore * 0.20)
+  );
+  
+  return {
+    total: Math.min(100, Math.max(0, score)),
+    breakdown: {
+      color: Math.round(colorScore),
+      spacing: Math.round(spacingScore),
+      hygiene: Math.round(hygieneScore),
+      naming: Math.round(namingScore)
+    }
+  };
+}
+
+/**
+ * Get label for health score
+ * @param {number} score
+ * @returns {{label: string, class: string}}
+ */
+export function getScoreLabel(score) {
+  if (score >= 90) return { label: 'Excellent', class: 'excellent' };
+  if (score >= 70) return { label: 'Good', class: 'good' };
+  if (score >= 50) return { label: 'Needs Work', class: 'needs-work' };
+  return { label: 'Poor', class: 'poor' };
+}
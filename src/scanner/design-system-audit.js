@@ -9,6 +9,7 @@
 
 import { callClaudeJSON, isClaudeAvailable } from '../utils/claude-client.js';
 import { iterateStyleRules, iterateRootCustomProperties, extractVarReferences } from '../utils/stylesheet-scanner.js';
+import { generateAuditReport } from './audit-report.js';
 
 const CLAUDE_SYSTEM_PROMPT = `You are a design system expert analyzing CSS for inconsistencies and improvements. 
 
@@ -48,24 +49,25 @@ function scanStylesheets() {
   const allValues = { colors: [], spacing: [], typography: [], radii: [] };
   const usedVariables = new Set();
   
-  // Get all defined CSS variables from :root
-  const definedVariables = [];
+  // Get all defined CSS variables from :root (scoped ones are added below)
+  const definedVariables = new Set();
   for (const { name, value } of iterateRootCustomProperties()) {
-    definedVariables.push(name);
+    definedVariables.add(name);
   }
   
   // Scan all stylesheets
-  for (const { rule, sheet } of iterateStyleRules()) {
+  for (const { rule, sheet, selector } of iterateStyleRules()) {
     for (const prop of rule.style) {
       const value = rule.style.getPropertyValue(prop).trim();
       if (!value) continue;
       
       // Collect CSS custom property definitions
       if (prop.startsWith('--')) {
+        definedVariables.add(prop);
         allVariables.push({ 
           name: prop, 
           value, 
-          selector: rule.selectorText,
+          selector,
           sheet: sheet.href || 'inline'
         });
       }
@@ -76,28 +78,28 @@ function scanStylesheets() {
       
       // Collect raw values by category
       if (prop === 'color' || prop === 'background-color' || prop === 'border-color') {
-        allValues.colors.push({ property: prop, value, selector: rule.selectorText });
+        allValues.colors.push({ property: prop, value, selector });
       }
       if (prop === 'padding' || prop === 'margin' || prop === 'gap') {
-        allValues.spacing.push({ property: prop, value, selector: rule.selectorText });
+        allValues.spacing.push({ property: prop, value, selector });
       }
       if (prop === 'font-size' || prop === 'line-height') {
-        allValues.typography.push({ property: prop, value, selector: rule.selectorText });
+        allValues.typography.push({ property: prop, value, selector });
       }
       if (prop === 'border-radius') {
-        allValues.radii.push({ property: prop, value, selector: rule.selectorText });
+        allValues.radii.push({ property: prop, value, selector });
       }
     }
   }
   
   // Find defined but unused variables
-  const unusedVariables = definedVariables.filter(v => !usedVariables.has(v));
+  const unusedVariables = [...definedVariables].filter(v => !usedVariables.has(v));
   
   return { 
     variables: allVariables, 
     rawValues: allValues, 
     unusedVariables,
-    definedCount: definedVariables.length,
+    definedCount: definedVariables.size,
     usedCount: usedVariables.size
   };
 }
@@ -143,131 +145,3 @@ Please analyze and return JSON with:
     return { error: error.message };
   }
 }
-
-function generateAuditReport(scanResults, claudeAnalysis) {
-  const report = {
-    timestamp: new Date().toISOString(),
-    summary: {
-      totalVariables: scanResults.definedCount,
-      usedVariables: scanResults.usedCount,
-      unusedVariables: scanResults.unusedVariables.length,
-      rawColorValues: scanResults.rawValues.colors.length,
-      rawSpacingValues: scanResults.rawValues.spacing.length,
-      rawTypographyValues: scanResults.rawValues.typography.length,
-    },
-    
-    // Basic analysis (always available)
-    basicAnalysis: {
-      variableUsageRate: scanResults.definedCount > 0 
-        ? scanResults.usedCount / scanResults.definedCount 
-        : 0,
-      colorTokenCoverage: calculateColorTokenCoverage(scanResults),
-      spacingConsistency: calculateSpacingConsistency(scanResults),
-      namingPatterns: detectNamingPatterns(scanResults.variables)
-    },
-    
-    // Claude analysis (if available)
-    claudeAnalysis: claudeAnalysis || null,
-    
-    // Recommendations
-    recommendations: generateRecommendations(scanResults, claudeAnalysis),
-    
-    // Raw data for further inspection
-    data: scanResults
-  };
-  
-  return report;
-}
-
-function calculateColorTokenCoverage(scanResults) {
-  const colorVariables = scanResults.variables.filter(v => 
-    v.name.includes('color') || /^(#|rgb|hsl|oklch)/.test(v.value)
-  );
-  const rawColors = scanResults.rawValues.colors.filter(c => 
-    !c.value.includes('var(')
-  );
-  
-  const total = colorVariables.length + rawColors.length;
-  return {
-    tokenizedColors: colorVariables.length,
-    hardcodedColors: rawColors.length,
-    coverage: total > 0 ? colorVariables.length / total : 1
-  };
-}
-
-function calculateSpacingConsistency(scanResults) {
-  const spacingValues = scanResults.rawValues.spacing
-    .map(s => parseFloat(s.value))
-    .filter(v => !isNaN(v));
-  const uniqueValues = [...new Set(spacingValues)];
-  
-  if (uniqueValues.length === 0) {
-    return { baseUnit: 4, consistency: 1, uniqueValues: 0 };
-  }
-  
-  // Check if values follow a consistent scale (multiples of base unit)
-  const possibleBaseUnits = [2, 4, 8];
-  let bestBase = 4;
-  let consistency = 0;
-  
-  for (const base of possibleBaseUnits) {
-    const onScaleCount = uniqueValues.filter(v => v % base === 0).length;
-    const currentConsistency = onScaleCount / uniqueValues.length;
-    if (currentConsistency > consistency) {
-      consistency = currentConsistency;
-      bestBase = base;
-    }
-  }
-  
-  return { baseUnit: bestBase, consistency, uniqueValues: uniqueValues.length };
-}
-
-function detectNamingPatterns(variables) {
-  const patterns = {
-    'BEM-style': variables.filter(v => v.name.includes('--')).length,
-    'scale-suffixed': variables.filter(v => /(sm|md|lg|xl)$/.test(v.name)).length,
-    'number-suffixed': variables.filter(v => /\d+$/.test(v.name)).length,
-    'semantic': variables.filter(v => /(primary|secondary|success|error)/.test(v.name)).length
-  };
-  
-  return patterns;
-}
-
-function generateRecommendations(scanResults, claudeAnalysis) {
-  const recommendations = [];
-  
-  // Basic recommendations
-  if (scanResults.unusedVariables.length > 0) {
-    recommendations.push({
-      priority: 'low',
-      action: `Remove ${scanResults.unusedVariables.length} unused CSS variables`,
-      benefit: 'Reduces bundle size and maintenance overhead',
-      variables: scanResults.unusedVariables
-    });
-  }
-  
-  const colorCoverage = calculateColorTokenCoverage(scanResults);
-  if (colorCoverage.hardcodedColors > 0 && colorCoverage.coverage < 0.8) {
-    recommendations.push({
-      priority: 'high',
-      action: `Convert ${colorCoverage.hardcodedColors} hardcoded colors to design tokens`,
-      benefit: 'Improves consistency and makes global color changes easier'
-    });
-  }
-  
-  const spacingConsistency = calculateSpacingConsistency(scanResults);
-  if (spacingConsistency.uniqueValues > 0 && spacingConsistency.consistency < 0.7) {
-    recommendations.push({
-      priority: 'medium',
-      action: `Standardize spacing values to ${spacingConsistency.baseUnit}px grid`,
-      benefit: 'Creates visual rhythm and simplifies spacing decisions'
-    });
-  }
-  
-  // Add Claude recommendations if available
-  if (claudeAnalysis && claudeAnalysis.recommendations) {
-    recommendations.push(...claudeAnalysis.recommendations);
-  }
-  
-  return recommendations;
-}
@@ -1,45 +1,180 @@
 /**
  * CSS Variable Detection for Elements
- * 
+ *
  * Finds all CSS custom properties used by a specific element
- * by scanning stylesheets for matching rules.
+ * by scanning stylesheets (and its style attribute) for matching rules,
+ * including those in at-rules, imported sheets and nested rules, and
+ * resolves the cascade to tell which of them actually take effect.
+ * Inherited properties (color, fonts) that nothing on the element sets
+ * are traced to the ancestor whose rule supplies them.
  */
 
-import { iterateStyleRules, safeMatches, extractVarReferences } from '../utils/stylesheet-scanner.js';
+import { iterateStyleRules, getMatchedSpecificity, extractVarReferences } from '../utils/stylesheet-scanner.js';
+import { compareDeclarations } from '../utils/cascade.js';
+
+/**
+ * Properties an element takes from its parent when no rule sets them
+ */
+const INHERITED_PROPERTIES = [
+  'color',
+  'font-family',
+  'font-size',
+  'font-style',
+  'font-variant',
+  'font-weight',
+  'font-stretch',
+  'line-height',
+  'letter-spacing',
+];
+
+/**
+ * Every declaration of a rule matching each element, then those of its
+ * style attribute; `applies` is false for rules whose conditions
+ * (@media, @supports, @container) don't currently hold.
+ * The stylesheets are walked once for all the elements.
+ *
+ * @param {Element[]} elements
+ * @param {Set<string>} [properties] - Only collect these properties
+ * @returns {Array<Array<{property: string, value: string, important: boolean, inline: boolean, selector: string | null, conditions: Array<{atRule: string, applies: boolean}>, applies: boolean, layer?: number[], specificity?: number[], order?: number}>>}
+ *   One list per element, in the same order
+ */
+function collectDeclarations(elements, properties) {
+  const lists = elements.map(() => []);
+  const wanted = property => !properties || properties.has(property);
+
+  for (const { rule, selector, conditions, applies, layer, order } of iterateStyleRules()) {
+    elements.forEach((element, i) => {
+      const specificity = getMatchedSpecificity(element, selector);
+      if (!specificity) return;
+
+      for (const property of rule.style) {
+        if (!wanted(property)) continue;
+        lists[i].push({
+          property,
+          value: rule.style.getPropertyValue(property),
+          important: rule.style.getPropertyPriority(property) === 'important',
+          inline: false,
+          selector,
+          conditions,
+          applies,
+          layer,
+          specificity,
+          order
+        });
+      }
+    });
+  }
+
+  elements.forEach((element, i) => {
+    const inline = element.style;
+    for (const property of inline || []) {
+      if (!wanted(property)) continue;
+      lists[i].push({
+        property,
+        value: inline.getPropertyValue(property),
+        important: inline.getPropertyPriority(property) === 'important',
+        inline: true,
+        selector: null,
+        conditions: [],
+        applies: true
+      });
+    }
+  });
+
+  return lists;
+}
+
+/**
+ * The declaration that wins the cascade for each property on an element
+ *
+ * @param {Array<Object>} declarations - From collectDeclarations()
+ * @returns {Map<string, Object>} property -> declaration
+ */
+function findWinners(declarations) {
+  const winners = new Map();
+  for (const declaration of declarations) {
+    if (!declaration.applies) continue;
+    const current = winners.get(declaration.property);
+    if (!current || compareDeclarations(declaration, current) > 0) {
+      winners.set(declaration.property, declaration);
+    }
+  }
+  return winners;
+}
+
+/**
+ * Whether an inherited property takes its parent's value: nothing sets
+ * it, or it is set to `inherit`/`unset`
+ *
+ * @param {Object | undefined} winner - Winning declaration, if any
+ * @returns {boolean}
+ */
+function inheritsFromParent(winner) {
+  return !winner || /^(inherit|unset)$/i.test(winner.value.trim());
+}
 
 /**
  * Find all CSS variables used by an element
- * 
+ * Each result is tagged with whether its declaration wins the cascade for
+ * its property: `overridden` ones lose to another declaration (possibly
+ * one without a var()) and `inactive` ones sit in a rule whose conditions
+ * don't currently hold (see `conditions`); neither affects what is rendered.
+ * Results for inherited properties set on an ancestor carry
+ * `inheritedFrom`: the ancestor and the selector of its rule (null for a
+ * style attribute).
+ *
  * @param {Element} element - DOM element to inspect
- * @returns {Array<{variable: string, property: string, currentValue: string, rawValue: string}>}
+ * @returns {Array<{variable: string, property: string, currentValue: string, rawValue: string, status: 'winning' | 'overridden' | 'inactive', selector: string | null, conditions: Array<{atRule: string, applies: boolean}>, important: boolean, inheritedFrom?: {element: Element, selector: string | null}}>}
  */
 function findCSSVariablesForElement(element) {
   const computed = window.getComputedStyle(element);
+  const [declarations] = collectDeclarations([element]);
+  const winners = findWinners(declarations);
+
   const variables = [];
-  
-  for (const { rule } of iterateStyleRules()) {
-    // Check if this rule applies to the element
-    if (!rule.selectorText || !safeMatches(element, rule.selectorText)) {
-      continue;
+  const addVariables = (declaration, status, inheritedFrom) => {
+    const { property, value, selector, conditions, important } = declaration;
+    for (const varName of extractVarReferences(value)) {
+      variables.push({
+        variable: varName,
+        property,
+        currentValue: computed.getPropertyValue(varName).trim(),
+        rawValue: value,
+        status,
+        selector,
+        conditions,
+        important,
+        ...(inheritedFrom && { inheritedFrom })
+      });
     }
-    
-    // Check each property for var() references
-    for (const prop of rule.style) {
-      const value = rule.style.getPropertyValue(prop);
-      const varNames = extractVarReferences(value);
-      
-      for (const varName of varNames) {
-        const currentValue = computed.getPropertyValue(varName).trim();
-        variables.push({
-          variable: varName,
-          property: prop,
-          currentValue,
-          rawValue: value
-        });
-      }
+  };
+
+  for (const declaration of declarations) {
+    const status = !declaration.applies ? 'inactive'
+      : winners.get(declaration.property) === declaration ? 'winning' : 'overridden';
+    addVariables(declaration, status);
+  }
+
+  // Inherited properties come from the nearest ancestor that sets them
+  const inherited = new Set(INHERITED_PROPERTIES.filter(p => inheritsFromParent(winners.get(p))));
+  if (inherited.size === 0) return variables;
+
+  const ancestors = [];
+  for (let ancestor = element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+    ancestors.push(ancestor);
+  }
+  const ancestorDeclarations = collectDeclarations(ancestors, new Set(inherited));
+  for (let i = 0; i < ancestors.length && inherited.size > 0; i++) {
+    const ancestor = ancestors[i];
+    const ancestorWinners = findWinners(ancestorDeclarations[i]);
+    for (const property of [...inherited]) {
+      const winner = ancestorWinners.get(property);
+      if (inheritsFromParent(winner)) continue;
+      inherited.delete(property);
+      addVariables(winner, 'winning', { element: ancestor, selector: winner.selector });
     }
   }
-  
+
   return variables;
 }
 
@@ -0,0 +1,109 @@
+/**
+ * Tailwind utility class detection
+ *
+ * Maps utility classes on an element (bg-blue-500, p-4, rounded-lg) back
+ * to the theme tokens they come from, using the theme served by
+ * /__ektachrome/tailwind. Works for v3 configs, where utilities compile
+ * to literal values and no var() is left to detect.
+ */
+
+// Utility prefix -> [theme namespace, CSS property]
+// A prefix can map to several namespaces (text-lg vs text-red-500)
+const UTILITY_PREFIXES = {
+  'bg': [['color', 'background-color']],
+  'text': [['color', 'color'], ['text', 'font-size']],
+  'border': [['color', 'border-color']],
+  'outline': [['color', 'outline-color']],
+  'decoration': [['color', 'text-decoration-color']],
+  'fill': [['color', 'fill']],
+  'stroke': [['color', 'stroke']],
+  'p': [['spacing', 'padding']],
+  'px': [['spacing', 'padding-inline']],
+  'py': [['spacing', 'padding-block']],
+  'pt': [['spacing', 'padding-top']],
+  'pr': [['spacing', 'padding-right']],
+  'pb': [['spacing', 'padding-bottom']],
+  'pl': [['spacing', 'padding-left']],
+  'm': [['spacing', 'margin']],
+  'mx': [['spacing', 'margin-inline']],
+  'my': [['spacing', 'margin-block']],
+  'mt': [['spacing', 'margin-top']],
+  'mr': [['spacing', 'margin-right']],
+  'mb': [['spacing', 'margin-bottom']],
+  'ml': [['spacing', 'margin-left']],
+  'gap': [['spacing', 'gap']],
+  'gap-x': [['spacing', 'column-gap']],
+  'gap-y': [['spacing', 'row-gap']],
+  'rounded': [['radius', 'border-radius']],
+  'shadow': [['shadow', 'box-shadow']],
+  'font': [['font-weight', 'font-weight'], ['font', 'font-family']],
+  'leading': [['leading', 'line-height']],
+  'tracking': [['tracking', 'letter-spacing']],
+  'ease': [['ease', 'transition-timing-function']],
+};
+
+// Longest prefixes first so gap-x-2 isn't read as gap + x-2
+const PREFIXES = Object.keys(UTILITY_PREFIXES).sort((a, b) => b.length - a.length);
+
+/**
+ * Strip variants (hover:, md:), important markers and opacity modifiers
+ * @param {string} className
+ * @returns {string | null} Bare utility, or null for arbitrary values
+ */
+function bareUtility(className) {
+  if (className.includes('[')) return null; // bg-[#123456] has no token
+  const utility = className.split(':').pop()
+    .replace(/^!|!$/g, '')
+    .replace(/^-/, '')
+    .replace(/\/[\w.]+$/, '');
+  return utility || null;
+}
+
+/**
+ * Find theme tokens behind an element's Tailwind utility classes
+ *
+ * @param {Element} element - DOM element to inspect
+ * @param {Array<{name: string, namespace: string, key: string, value: string}>} themeTokens - From /__ektachrome/tailwind
+ * @returns {Array<{variable: string, property: string, currentValue: string, rawValue: string, utility: string}>}
+ */
+function findTailwindTokensForElement(element, themeTokens) {
+  if (!themeTokens?.length) return [];
+
+  const byName = new Map(themeTokens.map(t => [t.name, t]));
+  const rootStyles = window.getComputedStyle(document.documentElement);
+  const variables = [];
+
+  for (const className of element.classList) {
+    const utility = bareUtility(className);
+    if (!utility) continue;
+
+    for (const prefix of PREFIXES) {
+      if (utility !== prefix && !utility.startsWith(`${prefix}-`)) continue;
+
+      const key = utility.slice(prefix.length + 1);
+      const match = UTILITY_PREFIXES[prefix]
+        .map(([namespace, property]) => ({
+          token: byName.get(key ? `--${namespace}-${key}` : `--${namespace}`),
+          property
+        }))
+        .find(m => m.token);
+
+      if (match) {
+        // v4 themes are live custom properties; v3 values only exist in the config
+        const liveValue = rootStyles.getPropertyValue(match.token.name).trim();
+        variables.push({
+          variable: match.token.name,
+          property: match.property,
+          currentValue: liveValue || match.token.value,
+          rawValue: className,
+          utility: className
+        });
+      }
+      break;
+    }
+  }
+
+  return variables;
+}
+
+export { findTailwindTokensForElement };
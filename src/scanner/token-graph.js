@@ -0,0 +1,107 @@
+/**
+ * Token graph for Ektachrome
+ *
+ * Semantic tokens usually alias other tokens
+ * (`--button-bg: var(--color-primary)`, `--color-primary: var(--blue-500)`).
+ * Computed styles only show the value at the end of such a chain, so the
+ * chain is read from the declarations instead.
+ */
+
+import { iterateStyleRules, findDeclaredValue, extractVarReferences } from '../utils/stylesheet-scanner.js';
+
+// Guard against chains that loop back on themselves
+const MAX_CHAIN_LENGTH = 16;
+
+/**
+ * The token a value aliases: the whole value is one var(), with or
+ * without a fallback
+ *
+ * @param {string} value - e.g. 'var(--blue-500)', 'var(--gap, 4px)'
+ * @returns {string | null} e.g. '--blue-500'; null for literals and composite values
+ */
+export function getAliasTarget(value) {
+  const v = String(value ?? '').trim();
+  const match = v.match(/^var\(\s*(--[\w-]+)/);
+  if (!match) return null;
+
+  // The var() has to close at the very end (not `var(--a) var(--b)`)
+  let depth = 0;
+  for (let i = 3; i < v.length; i++) {
+    if (v[i] === '(') depth++;
+    if (v[i] === ')' && --depth === 0) return i === v.length - 1 ? match[1] : null;
+  }
+  return null;
+}
+
+/**
+ * Follow a token's alias chain as it resolves on an element
+ * Each level is looked up where the previous one was declared, so
+ * `--button-bg: var(--color-primary)` on :root follows :root's
+ * `--color-primary` even if a closer ancestor redefines it.
+ *
+ * @param {Element} element
+ * @param {string} variable - Custom property name (e.g., '--button-bg')
+ * @returns {Array<{ variable: string, value: string, selector: string | null }>}
+ *   From the token itself to the first level that isn't an alias (or
+ *   whose target isn't declared); empty if the token isn't declared
+ */
+export function resolveAliasChain(element, variable) {
+  const chain = [];
+  const seen = new Set();
+  let current = variable;
+  let at = element;
+
+  while (current && !seen.has(current) && chain.length < MAX_CHAIN_LENGTH) {
+    seen.add(current);
+    const declared = findDeclaredValue(at, current);
+    if (!declared) break;
+
+    chain.push({ variable: current, value: declared.value, selector: declared.selector });
+    current = getAliasTarget(declared.value);
+    at = declared.element;
+  }
+
+  return chain;
+}
+
+/**
+ * Every custom property declared in the stylesheets, with the tokens its
+ * values reference and the tokens referencing it
+ *
+ * @returns {Map<string, { values: string[], references: Set<string>, referencedBy: Set<string> }>}
+ */
+export function buildTokenGraph() {
+  const graph = new Map();
+  const node = (name) => {
+    if (!graph.has(name)) graph.set(name, { values: [], references: new Set(), referencedBy: new Set() });
+    return graph.get(name);
+  };
+
+  for (const { rule } of iterateStyleRules()) {
+    for (const prop of rule.style) {
+      if (!prop.startsWith('--')) continue;
+      const value = rule.style.getPropertyValue(prop).trim();
+      node(prop).values.push(value);
+      for (const reference of extractVarReferences(value)) {
+        node(prop).references.add(reference);
+        node(reference).referencedBy.add(prop);
+      }
+    }
+  }
+
+  return graph;
+}
+
+/**
+ * Tokens that hold values of their own rather than referencing others:
+ * what a semantic token can be pointed at
+ *
+ * @param {Map<string, { values: string[], references: Set<string> }>} graph - From buildTokenGraph()
+ * @returns {string[]} Sorted names
+ */
+export function findPrimitives(graph) {
+  return [...graph]
+    .filter(([, { values, references }]) => values.length > 0 && references.size === 0)
+    .map(([name]) => name)
+    .sort();
+}
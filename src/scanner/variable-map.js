@@ -1,20 +1,40 @@
 /**
  * Built during audit phase, cached for instant lookups during refinement.
  * Maps every element's visual properties back to the token that controls them.
+ *
+ * Tokens are collected from every scope that defines them (:root, `.dark`,
+ * `[data-theme="brand-b"]`, `.card`), and resolved per element, so a
+ * redefinition on the nearest defining ancestor wins over :root's value.
  */
 
 import { cssToOklch } from '../utils/color-conversion.js';
-import { iterateRootCustomProperties } from '../utils/stylesheet-scanner.js';
+import { iterateRootCustomProperties, iterateCustomPropertyDefinitions } from '../utils/stylesheet-scanner.js';
 
 // Dynamic cache - gets populated by buildVariableMap()
 let variableMap = {};
+let tokenNames = [];
 let isBuilt = false;
 let variableCount = 0;
 
 /**
- * Build the variable map by scanning all CSS custom properties in the document
+ * Every custom property name: those computed on :root plus those only
+ * defined on a narrower scope
+ * @returns {string[]}
  */
-function buildVariableMap() {
+function collectTokenNames() {
+  const names = new Set();
+  for (const { name } of iterateRootCustomProperties()) names.add(name);
+  for (const { name } of iterateCustomPropertyDefinitions()) names.add(name);
+  return [...names];
+}
+
+/**
+ * Map each token's value, as computed on an element, to the properties it
+ * can supply
+ * @param {CSSStyleDeclaration} computed - Computed style of the element the tokens resolve on
+ * @returns {Object} property -> value -> token info
+ */
+function mapTokenValues(computed) {
   const map = {
     color: {},
     'background-color': {},
@@ -28,10 +48,9 @@ function buildVariableMap() {
     'box-shadow': {}
   };
 
-  variableCount = 0;
-  
-  for (const { name: customProp, value } of iterateRootCustomProperties()) {
-    variableCount++;
+  for (const customProp of tokenNames) {
+    const value = computed.getPropertyValue(customProp).trim();
+    if (!value) continue; // Not defined on this element or its ancestors
     
     // Categorize by property type based on variable name and value
     if (customProp.includes('color') || isColorValue(value)) {
@@ -69,6 +88,20 @@ function buildVariableMap() {
       };
     }
   }
+
+  return map;
+}
+
+/**
+ * Build the variable map by scanning all CSS custom properties in the document
+ * The map holds the values tokens take on :root; resolveTokensForElement()
+ * maps them on the selected element instead.
+ */
+function buildVariableMap() {
+  tokenNames = collectTokenNames();
+  variableCount = tokenNames.length;
+  
+  const map = mapTokenValues(window.getComputedStyle(document.documentElement));
   
   variableMap = map;
   isBuilt = true;
@@ -82,10 +115,12 @@ function resolveTokensForElement(element) {
     buildVariableMap();
   }
   
+  // Tokens as they resolve here: the nearest defining ancestor's value wins
   const computed = window.getComputedStyle(element);
+  const valueMaps = mapTokenValues(computed);
   const tokens = {};
   
-  for (const [property, valueMap] of Object.entries(variableMap)) {
+  for (const [property, valueMap] of Object.entries(valueMaps)) {
     const currentValue = computed.getPropertyValue(property).trim();
     if (valueMap[currentValue]) {
       tokens[property] = valueMap[currentValue];
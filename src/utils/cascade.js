@@ -0,0 +1,219 @@
+/**
+ * Cascade ordering for Ektachrome
+ *
+ * Works out which of several declarations of a property wins on an
+ * element: importance, inline style, cascade layers, specificity and
+ * source order, in that order of precedence.
+ */
+
+/** Pseudo-elements that may still be written with a single colon */
+const LEGACY_PSEUDO_ELEMENTS = ['before', 'after', 'first-line', 'first-letter'];
+
+/** Pseudo-classes that take the specificity of their most specific argument */
+const FORWARDING_PSEUDO_CLASSES = ['is', 'not', 'has', 'matches', '-webkit-any', '-moz-any'];
+
+/**
+ * Index just past a bracketed block, skipping strings and nested brackets
+ * @param {string} text
+ * @param {number} i - Index of the opening bracket
+ * @returns {number}
+ */
+function skipBlock(text, i) {
+  const open = text[i];
+  const close = open === '(' ? ')' : ']';
+  let depth = 0;
+  let quote = null;
+  for (; i < text.length; i++) {
+    const char = text[i];
+    if (char === '\\') {
+      i++; // Escaped character
+      continue;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === open) {
+      depth++;
+    } else if (char === close && --depth === 0) {
+      return i + 1;
+    }
+  }
+  return text.length;
+}
+
+/**
+ * Index just past an identifier
+ * @param {string} text
+ * @param {number} i
+ * @returns {number}
+ */
+function skipIdent(text, i) {
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+    } else if (/[\w-]/.test(text[i]) || text[i] >= '\u0080') {
+      i++;
+    } else {
+      break;
+    }
+  }
+  return i;
+}
+
+/**
+ * Split a selector list on its top-level commas
+ * @param {string} selectorText - e.g. '.a, :is(.b, .c) > p'
+ * @returns {string[]}
+ */
+export function splitSelectorList(selectorText) {
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i < selectorText.length; i++) {
+    const char = selectorText[i];
+    if (char === '\\') {
+      i++;
+    } else if (char === '(' || char === '[' || char === '"' || char === "'") {
+      i = (char === '"' || char === "'" ? selectorText.indexOf(char, i + 1) : skipBlock(selectorText, i) - 1);
+      if (i < 0) break;
+    } else if (char === ',') {
+      parts.push(selectorText.slice(start, i).trim());
+      start = i + 1;
+    }
+  }
+  parts.push(selectorText.slice(start).trim());
+  return parts.filter(Boolean);
+}
+
+/**
+ * Compare two rank lists (specificities, layer positions) element by element
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Positive if a ranks higher
+ */
+function compareRanks(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] ?? -Infinity) - (b[i] ?? -Infinity);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+/**
+ * The most specific of several selectors
+ * @param {string[]} selectors
+ * @returns {[number, number, number]}
+ */
+function maxSpecificity(selectors) {
+  return selectors
+    .map(calculateSpecificity)
+    .reduce((max, s) => (compareRanks(s, max) > 0 ? s : max), [0, 0, 0]);
+}
+
+/**
+ * Specificity contributed by a pseudo-class or pseudo-element
+ * @param {string} name - Lowercased, without colons
+ * @param {string | null} args - Text between the parentheses
+ * @param {boolean} isElement - Written with `::`
+ * @returns {[number, number, number]}
+ */
+function pseudoSpecificity(name, args, isElement) {
+  if (isElement || LEGACY_PSEUDO_ELEMENTS.includes(name)) return [0, 0, 1];
+  if (name === 'where') return [0, 0, 0];
+  if (FORWARDING_PSEUDO_CLASSES.includes(name)) {
+    return maxSpecificity(splitSelectorList(args || ''));
+  }
+  if ((name === 'nth-child' || name === 'nth-last-child') && args) {
+    // :nth-child(2n of .item) adds the specificity of its selector
+    const of = args.match(/\sof\s([\s\S]+)$/);
+    if (of) {
+      const [a, b, c] = maxSpecificity(splitSelectorList(of[1]));
+      return [a, b + 1, c];
+    }
+  }
+  return [0, 1, 0];
+}
+
+/**
+ * Specificity of a complex selector, or of the most specific entry of a
+ * selector list
+ * @param {string} selector - e.g. '#nav .item:hover > a'
+ * @returns {[number, number, number]} [ids, classes/attributes/pseudo-classes, types/pseudo-elements]
+ */
+export function calculateSpecificity(selector) {
+  const parts = splitSelectorList(selector);
+  if (parts.length > 1) return maxSpecificity(parts);
+
+  const specificity = [0, 0, 0];
+  const add = ([a, b, c]) => {
+    specificity[0] += a;
+    specificity[1] += b;
+    specificity[2] += c;
+  };
+
+  let i = 0;
+  while (i < selector.length) {
+    const char = selector[i];
+    if (char === '#') {
+      add([1, 0, 0]);
+      i = skipIdent(selector, i + 1);
+    } else if (char === '.') {
+      add([0, 1, 0]);
+      i = skipIdent(selector, i + 1);
+    } else if (char === '[') {
+      add([0, 1, 0]);
+      i = skipBlock(selector, i);
+    } else if (char === ':') {
+      const isElement = selector[i + 1] === ':';
+      const start = i + (isElement ? 2 : 1);
+      i = skipIdent(selector, start);
+      const name = selector.slice(start, i).toLowerCase();
+      let args = null;
+      if (selector[i] === '(') {
+        const end = skipBlock(selector, i);
+        args = selector.slice(i + 1, end - 1);
+        i = end;
+      }
+      add(pseudoSpecificity(name, args, isElement));
+    } else if (/[a-zA-Z_\\-]/.test(char) || char >= '\u0080') {
+      i = skipIdent(selector, i);
+      // A namespace prefix (svg|rect) doesn't count
+      if (selector[i] !== '|' || selector[i + 1] === '|') add([0, 0, 1]);
+    } else {
+      i++; // Combinators, whitespace, `*`, `|`, `&`
+    }
+  }
+  return specificity;
+}
+
+/**
+ * Compare two declarations of the same property on the same element
+ *
+ * A declaration is described by:
+ * - `important` - declared with !important
+ * - `inline` - from the element's style attribute
+ * - `layer` - position of its cascade layer: a list of ranks from the
+ *   outermost layer in, ending in Infinity for styles directly in that
+ *   layer (unlayered styles are `[Infinity]`)
+ * - `specificity` - of the selector that matched
+ * - `order` - source order across all stylesheets
+ *
+ * @param {{ important: boolean, inline?: boolean, layer?: number[], specificity?: number[], order?: number }} a
+ * @param {{ important: boolean, inline?: boolean, layer?: number[], specificity?: number[], order?: number }} b
+ * @returns {number} Positive if a wins, negative if b wins
+ */
+export function compareDeclarations(a, b) {
+  if (a.important !== b.important) return a.important ? 1 : -1;
+  if (!!a.inline !== !!b.inline) return a.inline ? 1 : -1;
+
+  // Later layers win for normal declarations, earlier ones for !important
+  const layer = compareRanks(a.layer || [Infinity], b.layer || [Infinity]);
+  if (layer) return a.important ? -layer : layer;
+
+  const specificity = compareRanks(a.specificity || [0, 0, 0], b.specificity || [0, 0, 0]);
+  if (specificity) return specificity;
+
+  return (a.order ?? 0) - (b.order ?? 0);
+}
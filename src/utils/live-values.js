@@ -0,0 +1,87 @@
+/**
+ * Live token edits for Ektachrome
+ *
+ * Edits are previewed by setting the custom property inline. On <html>
+ * that only works for tokens defined on :root: a token redefined on
+ * `.dark`, `[data-theme="brand-b"]` or `.card` is declared again closer to
+ * the element, and that declaration wins over anything inherited. So each
+ * token is previewed on the elements matching the selector of the
+ * definition that supplies it - the same declaration a commit writes to.
+ *
+ * Scopes are given as found in source ({selector, parentSelectors?,
+ * atRules}); nested ones are matched with their nesting resolved.
+ *
+ * Usage:
+ *   setLiveScope('--card-bg', { selector: '.card', atRules: [] });
+ *   applyLiveValue('--card-bg', '#fff'); // Sets it on every .card
+ */
+
+import { resolveScopeSelector } from './stylesheet-scanner.js';
+
+const scopes = new Map(); // variable -> {selector, parentSelectors?, atRules}
+
+/**
+ * Remember which definition a token's live edits should apply to
+ * @param {string} variable - Custom property name
+ * @param {{selector: string, parentSelectors?: string[], atRules?: string[]} | null} scope - null for :root
+ */
+export function setLiveScope(variable, scope) {
+  if (scope?.selector) {
+    scopes.set(variable, scope);
+  } else {
+    scopes.delete(variable);
+  }
+}
+
+/**
+ * The definition a token's live edits apply to
+ * @param {string} variable
+ * @returns {{selector: string, parentSelectors?: string[], atRules?: string[]} | null} null when edits go on <html>
+ */
+export function getLiveScope(variable) {
+  return scopes.get(variable) || null;
+}
+
+/**
+ * Elements a token's live edits are set on
+ * Falls back to <html> when the selector matches nothing (or is invalid).
+ * @param {string} variable
+ * @param {string | {selector: string, parentSelectors?: string[]}} [scope] - A scope or plain
+ *   selector; defaults to the remembered scope
+ * @returns {Element[]}
+ */
+export function getLiveTargets(variable, scope = scopes.get(variable)) {
+  if (!scope) return [document.documentElement];
+  const selector = typeof scope === 'string' ? scope : resolveScopeSelector(scope);
+  try {
+    const matched = [...document.querySelectorAll(selector)];
+    return matched.length > 0 ? matched : [document.documentElement];
+  } catch (e) {
+    return [document.documentElement];
+  }
+}
+
+/**
+ * Preview a token value where it takes effect
+ * @param {string} variable
+ * @param {string} value
+ * @param {string | Object} [scope] - See getLiveTargets()
+ */
+export function applyLiveValue(variable, value, scope) {
+  for (const element of getLiveTargets(variable, scope)) {
+    element.style.setProperty(variable, value);
+  }
+}
+
+/**
+ * Drop a token's live value so the stylesheets show through again
+ * Only the given scope is cleared: a pending :root edit of the same token
+ * stays on <html> when its `.dark` edit is dropped.
+ * @param {string} variable
+ * @param {string | Object} [scope] - See getLiveTargets()
+ */
+export function clearLiveValue(variable, scope) {
+  for (const element of getLiveTargets(variable, scope)) {
+    element.style.removeProperty(variable);
+  }
+}
@@ -112,6 +112,46 @@ export function getCategoryForProperty(property) {
   return null;
 }
 
+/**
+ * Categories for `@property` syntaxes
+ * A registered syntax is exact, so it takes precedence over the property
+ * a token is used in.
+ */
+export const SYNTAX_CATEGORIES = {
+  '<color>': 'color',
+  '<length>': 'spacing',
+  '<length-percentage>': 'spacing',
+  '<time>': 'animation',
+};
+
+/**
+ * Get the category for a registered `@property` syntax
+ * @param {string | null | undefined} syntax - e.g. '<length>'
+ * @returns {string | null} Category name or null if the syntax has no control
+ */
+export function getCategoryForSyntax(syntax) {
+  return SYNTAX_CATEGORIES[syntax?.trim()] || null;
+}
+
+/**
+ * Guess the `@property` syntax a value could be registered with
+ * Only values that are valid initial values qualify: no var() and no
+ * font- or viewport-relative lengths.
+ * @param {string} value - e.g. '24px', '#3b82f6', '150ms'
+ * @returns {string | null} e.g. '<length>', or null if the value can't be registered
+ */
+export function inferPropertySyntax(value) {
+  const v = String(value ?? '').trim();
+  if (!v || /\b(var|env|attr)\(/i.test(v)) return null;
+
+  if (/^-?(\d*\.)?\d+m?s$/i.test(v)) return '<time>';
+  if (/^(0|-?(\d*\.)?\d+(px|cm|mm|q|in|pt|pc))$/i.test(v)) return '<length>';
+  if (/^-?(\d*\.)?\d+%$/.test(v)) return '<percentage>';
+  if (/^-?(\d*\.)?\d+$/.test(v)) return '<number>';
+  if (!/^currentcolor$/i.test(v) && typeof CSS !== 'undefined' && CSS.supports('color', v)) return '<color>';
+  return null;
+}
+
 /**
  * Check if a variable name suggests a particular category
  * @param {string} varName - CSS variable name (e.g., '--color-primary')
@@ -0,0 +1,55 @@
+/**
+ * Requests to the Ektachrome dev server API
+ *
+ * The server only accepts writes that carry its per-session token. The
+ * Vite plugin and `ektachrome serve` inject it into the page as
+ * <meta name="ektachrome-token">; other servers hand it out from
+ * /__ektachrome/status, which other origins can't read.
+ */
+
+const TOKEN_HEADER = 'X-Ektachrome-Token';
+
+let tokenPromise = null;
+
+/**
+ * Get the session token, from the page or the status endpoint
+ * @returns {Promise<string | null>}
+ */
+function getSessionToken() {
+  tokenPromise ??= (async () => {
+    const meta = document.querySelector('meta[name="ektachrome-token"]');
+    if (meta?.content) return meta.content;
+
+    try {
+      const response = await fetch('/__ektachrome/status');
+      if (response.ok) return (await response.json()).token || null;
+    } catch {
+      // Server not running
+    }
+    return null;
+  })().then(token => {
+    if (!token) tokenPromise = null; // Try again next time
+    return token;
+  });
+  return tokenPromise;
+}
+
+/**
+ * fetch() for /__ektachrome/* endpoints
+ * Requests other than GET carry the session token.
+ *
+ * @param {string} path - e.g. '/__ektachrome/commit'
+ * @param {RequestInit} [options]
+ * @returns {Promise<Response>}
+ */
+export async function apiFetch(path, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  if (method === 'GET' || method === 'HEAD') {
+    return fetch(path, options);
+  }
+
+  const headers = new Headers(options.headers);
+  const token = await getSessionToken();
+  if (token) headers.set(TOKEN_HEADER, token);
+  return fetch(path, { ...options, headers });
+}
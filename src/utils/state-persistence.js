@@ -10,9 +10,32 @@
  *   // on change: persistence.save(state);
  */
 
+/**
+ * Key a pending change by variable and scope, so editing a token under
+ * `.dark` doesn't replace the pending :root edit of the same token
+ * @param {string} variable - CSS variable name
+ * @param {{selector: string, parentSelectors?: string[], atRules?: string[]} | null} [scope]
+ * @returns {string}
+ */
+export function changeKey(variable, scope) {
+  if (!scope?.selector) return variable;
+  return `${variable} ${JSON.stringify([...(scope.atRules || []), ...(scope.parentSelectors || []), scope.selector])}`;
+}
+
 export function createPersistence(sessionId) {
   const key = `${sessionId}-state`;
 
+  /**
+   * Keys of the stored entries for a variable, optionally in one scope
+   * Entries saved before they were keyed by scope are keyed by variable
+   * alone and carry no `variable` field.
+   */
+  const keysFor = (variables, variable, scope) => Object.keys(variables).filter(k => {
+    const entryVariable = variables[k]?.variable || k;
+    if (entryVariable !== variable) return false;
+    return scope === undefined || changeKey(variable, variables[k]?.scope) === changeKey(variable, scope);
+  });
+
   return {
     load() {
       try {
@@ -38,60 +61,108 @@ export function createPersistence(sessionId) {
 
     /**
      * Track a variable change, preserving original value
+     * Each scope a variable is edited in gets its own pending change. Without
+     * a scope, the variable's only pending change is updated.
      * @param {string} variable - CSS variable name (e.g., '--color-primary')
      * @param {string} newValue - New value being set
      * @param {string} originalValue - Original computed value before any changes
+     * @param {{selector: string, atRules: string[]} | null} [scope] - Declaration the value comes from
      */
-    trackChange(variable, newValue, originalValue) {
+    trackChange(variable, newValue, originalValue, scope = null) {
       const state = this.load() || { variables: {} };
+      const existing = scope
+        ? keysFor(state.variables, variable, scope)
+        : keysFor(state.variables, variable);
       
-      if (!state.variables[variable]) {
-        // First change - store original
-        state.variables[variable] = {
+      if (existing.length === 1) {
+        // Subsequent change - keep original, update current
+        state.variables[existing[0]].current = newValue;
+      } else {
+        // First change (or first change under another theme/media scope) - store original
+        state.variables[changeKey(variable, scope)] = {
+          variable,
           original: originalValue,
-          current: newValue
+          current: newValue,
+          scope
         };
-      } else {
-        // Subsequent change - keep original, update current
-        state.variables[variable].current = newValue;
       }
       
       this.save(state);
     },
 
     /**
-     * Revert a single variable (remove from pending changes)
+     * Replace the recorded original value of a pending change.
+     * Used after a commit conflict when the user keeps their value
+     * on top of the newer source value.
+     * @param {string} variable - CSS variable name
+     * @param {string} originalValue - New base value
+     * @param {{selector: string, atRules: string[]} | null} [scope] - Only the change in this scope
+     */
+    rebaseVariable(variable, originalValue, scope) {
+      const state = this.load();
+      if (!state?.variables) return;
+      for (const k of keysFor(state.variables, variable, scope)) {
+        if (typeof state.variables[k] === 'object') state.variables[k].original = originalValue;
+      }
+      this.save(state);
+    },
+
+    /**
+     * Move a variable's pending changes (in every scope) to a renamed variable
+     * @param {string} from - Old CSS variable name
+     * @param {string} to - New CSS variable name
+     */
+    renameVariable(from, to) {
+      const state = this.load();
+      if (!state?.variables) return;
+      for (const k of keysFor(state.variables, from)) {
+        const data = state.variables[k];
+        delete state.variables[k];
+        if (typeof data === 'string') {
+          state.variables[to] = data;
+        } else {
+          state.variables[changeKey(to, data.scope)] = { ...data, variable: to };
+        }
+      }
+      this.save(state);
+    },
+
+    /**
+     * Revert a variable (remove from pending changes)
      * @param {string} variable - CSS variable name
+     * @param {{selector: string, atRules: string[]} | null} [scope] - Only the change in this scope; every scope if omitted
      */
-    revertVariable(variable) {
+    revertVariable(variable, scope) {
       const state = this.load();
-      if (state?.variables?.[variable]) {
-        delete state.variables[variable];
-        this.save(state);
+      if (!state?.variables) return;
+      for (const k of keysFor(state.variables, variable, scope)) {
+        delete state.variables[k];
       }
+      this.save(state);
     },
 
     /**
      * Get all pending changes in commit format
-     * @returns {Array<{variable: string, original: string, current: string}>}
+     * @returns {Array<{variable: string, original: string, current: string, scope?: {selector: string, atRules: string[]}}>}
      */
     getPendingChanges() {
       const state = this.load();
       if (!state?.variables) return [];
       
-      return Object.entries(state.variables).map(([variable, data]) => {
+      return Object.entries(state.variables).map(([key, data]) => {
         // Handle both old format (string) and new format (object with original/current)
         if (typeof data === 'string') {
           return {
-            variable,
+            variable: key,
             original: data, // In old format, we don't have original
             current: data
           };
         }
         return {
-          variable,
+          variable: data.variable || key,
           original: data.original,
-          current: data.current
+          current: data.current,
+          ...(data.scope && { scope: data.scope })
         };
       });
     },
@@ -105,4 +176,4 @@ export function createPersistence(sessionId) {
       return Object.keys(state?.variables || {}).length;
     }
   };
-}
\ No newline at end of file
+}
@@ -5,27 +5,384 @@
  * handling CORS-blocked stylesheets gracefully.
  */
 
+import { splitSelectorList, calculateSpecificity, compareDeclarations } from './cascade.js';
+
+/**
+ * Describe a grouping rule as it would appear in source, e.g.
+ * `@media (prefers-color-scheme: dark)`, and whether it currently applies
+ *
+ * @param {CSSRule} rule
+ * @returns {{ atRule: string, applies: boolean } | null} null for non-grouping rules
+ */
+function describeGroupingRule(rule) {
+  if (typeof CSSMediaRule !== 'undefined' && rule instanceof CSSMediaRule) {
+    const query = rule.media.mediaText;
+    return { atRule: `@media ${query}`, applies: window.matchMedia(query).matches };
+  }
+  if (typeof CSSSupportsRule !== 'undefined' && rule instanceof CSSSupportsRule) {
+    return { atRule: `@supports ${rule.conditionText}`, applies: CSS.supports(rule.conditionText) };
+  }
+  if (typeof CSSLayerBlockRule !== 'undefined' && rule instanceof CSSLayerBlockRule) {
+    return { atRule: rule.name ? `@layer ${rule.name}` : '@layer', applies: true };
+  }
+  if (typeof CSSContainerRule !== 'undefined' && rule instanceof CSSContainerRule) {
+    // Container queries can't be evaluated from script
+    return { atRule: `@container ${rule.conditionText}`, applies: false };
+  }
+  return null;
+}
+
+/**
+ * Conditions an `@import` places on the sheet it imports
+ * (`@import url(x.css) layer(base) supports(display: grid) screen`)
+ *
+ * @param {CSSImportRule} rule
+ * @returns {Array<{ atRule: string, applies: boolean }>}
+ */
+function describeImportRule(rule) {
+  const conditions = [];
+  if (rule.supportsText) {
+    conditions.push({ atRule: `@supports ${rule.supportsText}`, applies: CSS.supports(rule.supportsText) });
+  }
+  const query = rule.media?.mediaText;
+  if (query && query !== 'all') {
+    conditions.push({ atRule: `@media ${query}`, applies: window.matchMedia(query).matches });
+  }
+  return conditions;
+}
+
+/**
+ * Resolve a nested rule's selector against its parent's, the way `&`
+ * works: `&:hover` in `.card` is `:is(.card):hover`, and a selector without
+ * `&` is a descendant (`.title` in `.card` is `:is(.card) .title`)
+ *
+ * @param {string} selectorText
+ * @param {string | null} parentSelector
+ * @returns {string}
+ */
+function resolveNestedSelector(selectorText, parentSelector) {
+  if (!parentSelector) return selectorText;
+  const parent = `:is(${parentSelector})`;
+  return splitSelectorList(selectorText)
+    .map(selector => (selector.includes('&') ? selector.replaceAll('&', parent) : `${parent} ${selector}`))
+    .join(', ');
+}
+
+/**
+ * The selector a scope's declaration applies to, with nesting resolved
+ * (`&:hover` inside `.card` is `:is(.card):hover`)
+ *
+ * @param {{ selector: string, parentSelectors?: string[] }} scope
+ * @returns {string}
+ */
+export function resolveScopeSelector({ selector, parentSelectors = [] }) {
+  return [...parentSelectors, selector].reduce((parent, s) => resolveNestedSelector(s, parent), null);
+}
+
 /**
- * Iterate over all CSS rules in the document's stylesheets
- * Yields { rule, sheet } objects for each style rule
+ * Iterate over all style rules in the document's stylesheets, descending
+ * into @media, @supports, @layer and @container blocks, `@import`ed sheets
+ * and nested rules
+ *
+ * Each rule comes with:
+ * - `selector` - its selector, with nesting resolved so it can be matched
+ *   against elements
+ * - `sourceSelector` and `parentSelectors` - its selector as written and
+ *   those of the rules it is nested in, outermost first: what the server
+ *   finds the declaration by
+ * - `conditions` - the enclosing conditions, outermost first, including
+ *   those of the `@import` that brought its sheet in, each with whether it
+ *   currently applies
+ * - `atRules` - the at-rules around it within its own sheet, as written
+ *   in source
+ * - `applies` - whether every condition currently applies
+ * - `layer` and `order` - its cascade layer position and source order,
+ *   as used by compareDeclarations()
+ *
  * Handles CORS-blocked stylesheets silently
- * 
- * @yields {{ rule: CSSStyleRule, sheet: CSSStyleSheet }}
+ *
+ * @yields {{ rule: CSSStyleRule, sheet: CSSStyleSheet, selector: string, sourceSelector: string, parentSelectors: string[], conditions: Array<{ atRule: string, applies: boolean }>, atRules: string[], applies: boolean, layer: number[], order: number }}
  */
 export function* iterateStyleRules() {
+  // Layers rank by where their name first appears (`@layer a, b;` counts)
+  const layerRanks = new Map();
+  let anonymous = 0;
+  let order = 0;
+  const enterLayer = (layerPath, name) => {
+    const parent = layerPath[layerPath.length - 1]?.name;
+    const fullName = [parent, name ?? `#anonymous-${anonymous++}`].filter(Boolean).join('.');
+    if (!layerRanks.has(fullName)) layerRanks.set(fullName, layerRanks.size);
+    return [...layerPath, { name: fullName, rank: layerRanks.get(fullName) }];
+  };
+
+  function* visit(rules, sheet, context) {
+    const { conditions, atRules, layerPath, parentSelector, parentSources } = context;
+    const scope = {
+      sheet,
+      conditions,
+      atRules,
+      applies: conditions.every(c => c.applies),
+      layer: [...layerPath.map(p => p.rank), Infinity]
+    };
+
+    for (const rule of rules) {
+      if (rule.style && rule.selectorText !== undefined) {
+        const selector = resolveNestedSelector(rule.selectorText, parentSelector);
+        const source = { sourceSelector: rule.selectorText, parentSelectors: parentSources };
+        yield { rule, selector, ...source, ...scope, order: order++ };
+        if (rule.cssRules?.length) {
+          yield* visit(rule.cssRules, sheet, {
+            ...context,
+            parentSelector: selector,
+            parentSources: [...parentSources, rule.selectorText]
+          });
+        }
+        continue;
+      }
+
+      // Declarations nested in an at-rule inside a style rule, or following
+      // nested rules, apply with the enclosing rule's selector
+      if (rule.style && parentSelector) {
+        const source = { sourceSelector: parentSources.at(-1), parentSelectors: parentSources.slice(0, -1) };
+        yield { rule, selector: parentSelector, ...source, ...scope, order: order++ };
+        continue;
+      }
+
+      if (typeof CSSLayerStatementRule !== 'undefined' && rule instanceof CSSLayerStatementRule) {
+        for (const name of rule.nameList) enterLayer(layerPath, name);
+        continue;
+      }
+
+      if (typeof CSSImportRule !== 'undefined' && rule instanceof CSSImportRule) {
+        let imported;
+        try {
+          imported = rule.styleSheet?.cssRules;
+        } catch (e) {
+          // CORS-blocked stylesheet - skip silently
+        }
+        if (!imported) continue;
+        // layerName is '' for an anonymous layer() and null without one
+        const path = rule.layerName === null || rule.layerName === undefined
+          ? layerPath
+          : enterLayer(layerPath, rule.layerName || null);
+        yield* visit(imported, rule.styleSheet, {
+          conditions: [...conditions, ...describeImportRule(rule)],
+          atRules: [], // The import's conditions aren't written in the imported file
+          layerPath: path,
+          parentSelector: null,
+          parentSources: []
+        });
+        continue;
+      }
+
+      const group = describeGroupingRule(rule);
+      if (group) {
+        const isLayer = typeof CSSLayerBlockRule !== 'undefined' && rule instanceof CSSLayerBlockRule;
+        yield* visit(rule.cssRules, sheet, {
+          conditions: [...conditions, group],
+          atRules: [...atRules, group.atRule],
+          layerPath: isLayer ? enterLayer(layerPath, rule.name || null) : layerPath,
+          parentSelector,
+          parentSources
+        });
+      }
+    }
+  }
+
   for (const sheet of document.styleSheets) {
+    let rules;
     try {
-      for (const rule of sheet.cssRules) {
-        if (rule.style) {
-          yield { rule, sheet };
-        }
+      rules = sheet.cssRules;
+    } catch (e) {
+      // CORS-blocked stylesheet - skip silently
+      continue;
+    }
+    yield* visit(rules, sheet, { conditions: [], atRules: [], layerPath: [], parentSelector: null, parentSources: [] });
+  }
+}
+
+/**
+ * Iterate over `@property` registrations, including those inside
+ * @media, @supports and @layer blocks
+ *
+ * @yields {{ rule: CSSPropertyRule, sheet: CSSStyleSheet }}
+ */
+export function* iteratePropertyRules() {
+  if (typeof CSSPropertyRule === 'undefined') return;
+
+  function* visit(rules, sheet) {
+    for (const rule of rules) {
+      if (rule instanceof CSSPropertyRule) {
+        yield { rule, sheet };
+      } else if (rule.cssRules && !rule.style) {
+        yield* visit(rule.cssRules, sheet);
       }
+    }
+  }
+
+  for (const sheet of document.styleSheets) {
+    let rules;
+    try {
+      rules = sheet.cssRules;
     } catch (e) {
       // CORS-blocked stylesheet - skip silently
+      continue;
     }
+    yield* visit(rules, sheet);
   }
 }
 
+/**
+ * Get every custom property registered with `@property`
+ * When a name is registered twice, the last registration wins, as in CSS.
+ *
+ * @returns {Map<string, { syntax: string, inherits: boolean, initialValue: string | null }>}
+ */
+export function getRegisteredProperties() {
+  const registered = new Map();
+  for (const { rule } of iteratePropertyRules()) {
+    registered.set(rule.name, {
+      syntax: rule.syntax,
+      inherits: rule.inherits,
+      initialValue: rule.initialValue
+    });
+  }
+  return registered;
+}
+
+/**
+ * Specificity a rule applies to an element with: that of the most
+ * specific selector in its list that matches
+ *
+ * @param {Element} element
+ * @param {string} selectorText
+ * @returns {[number, number, number] | null} null if no selector matches
+ */
+export function getMatchedSpecificity(element, selectorText) {
+  let matched = null;
+  for (const selector of splitSelectorList(selectorText)) {
+    if (!safeMatches(element, selector)) continue;
+    const specificity = calculateSpecificity(selector);
+    if (!matched || compareDeclarations({ important: false, specificity }, { important: false, specificity: matched }) > 0) {
+      matched = specificity;
+    }
+  }
+  return matched;
+}
+
+/**
+ * Find the rule that currently supplies a custom property to an element,
+ * by the full cascade: importance, layers, specificity, then source order
+ *
+ * @param {Element} element
+ * @param {string} variable
+ * @returns {{ rule: CSSStyleRule, sheet: CSSStyleSheet, selector: string, sourceSelector: string, parentSelectors: string[], atRules: string[], important: boolean } | null}
+ */
+function findWinningRule(element, variable) {
+  let winner = null;
+
+  for (const { rule, sheet, selector, sourceSelector, parentSelectors, atRules, applies, layer, order } of iterateStyleRules()) {
+    if (!applies || !rule.style.getPropertyValue(variable)) continue;
+    const specificity = getMatchedSpecificity(element, selector);
+    if (!specificity) continue;
+
+    const important = rule.style.getPropertyPriority(variable) === 'important';
+    const candidate = { rule, sheet, selector, sourceSelector, parentSelectors, atRules, important, layer, specificity, order };
+    if (!winner || compareDeclarations(candidate, winner) > 0) winner = candidate;
+  }
+
+  return winner;
+}
+
+/**
+ * The scope of a rule as the server finds it in source: its selector as
+ * written, the selectors of the rules it is nested in (only when nested)
+ * and its at-rules
+ *
+ * @param {{ sourceSelector: string, parentSelectors: string[], atRules: string[] }} winner
+ * @returns {{ selector: string, parentSelectors?: string[], atRules: string[] }}
+ */
+function toSourceScope({ sourceSelector, parentSelectors, atRules }) {
+  return {
+    selector: sourceSelector,
+    ...(parentSelectors.length > 0 && { parentSelectors }),
+    atRules
+  };
+}
+
+/**
+ * Find the scope (selector plus enclosing at-rules) of the declaration
+ * that currently supplies a custom property to an element, so an edit
+ * can be written back to that exact declaration
+ *
+ * @param {Element} element
+ * @param {string} variable - Custom property name (e.g., '--color-primary')
+ * @returns {{ selector: string, parentSelectors?: string[], atRules: string[] } | null}
+ *   `selector` as written in source; resolveScopeSelector() gives the one to match elements with
+ */
+export function findVariableScope(element, variable) {
+  const winner = findWinningRule(element, variable);
+  return winner ? toSourceScope(winner) : null;
+}
+
+/**
+ * Where a stylesheet came from, for mapping rules back to source files
+ * Vite injects dev CSS as <style data-vite-dev-id="/abs/path/tokens.css">;
+ * linked and imported sheets have an href.
+ *
+ * @param {CSSStyleSheet} sheet
+ * @returns {string | null} Absolute file path or URL
+ */
+export function getSheetSource(sheet) {
+  return sheet.ownerNode?.dataset?.viteDevId || sheet.href || null;
+}
+
+/**
+ * Find the declaration a custom property inherits from: the winning rule
+ * on the element itself or, failing that, on its nearest ancestor
+ *
+ * @param {Element} element
+ * @param {string} variable - Custom property name (e.g., '--color-primary')
+ * @returns {{ selector: string, parentSelectors?: string[], atRules: string[], source: string | null } | null}
+ *   Scope as in findVariableScope()
+ */
+export function findVariableDeclaration(element, variable) {
+  for (let el = element; el; el = el.parentElement) {
+    const winner = findWinningRule(el, variable);
+    if (winner) {
+      return { ...toSourceScope(winner), source: getSheetSource(winner.sheet) };
+    }
+  }
+  return null;
+}
+
+/**
+ * The value a custom property gets on an element, as declared (before
+ * var() substitution): from the element's style attribute or winning
+ * rule or, as custom properties inherit, from its nearest ancestor's
+ *
+ * @param {Element} element
+ * @param {string} variable - Custom property name (e.g., '--color-primary')
+ * @returns {{ value: string, element: Element, selector: string | null } | null}
+ *   `element` is where the declaration applies; `selector` is null for a style attribute
+ */
+export function findDeclaredValue(element, variable) {
+  for (let el = element; el; el = el.parentElement) {
+    const winner = findWinningRule(el, variable);
+    const inline = el.style?.getPropertyValue(variable);
+    if (inline && compareDeclarations(
+      { important: el.style.getPropertyPriority(variable) === 'important', inline: true },
+      { important: !!winner?.important }
+    ) > 0) {
+      return { value: inline.trim(), element: el, selector: null };
+    }
+    if (winner) {
+      return { value: winner.rule.style.getPropertyValue(variable).trim(), element: el, selector: winner.selector };
+    }
+  }
+  return null;
+}
+
 /**
  * Iterate over all CSS custom properties defined in :root
  * 
@@ -45,6 +402,29 @@ export function* iterateRootCustomProperties() {
   }
 }
 
+/**
+ * Iterate over every custom property definition in the stylesheets, on
+ * whatever scope it sits: :root, theme selectors (`.dark`,
+ * `[data-theme="brand-b"]`) or component rules (`.card`)
+ * 
+ * @yields {{ name: string, value: string, selector: string, atRules: string[], applies: boolean, sheet: CSSStyleSheet }}
+ */
+export function* iterateCustomPropertyDefinitions() {
+  for (const { rule, sheet, selector, atRules, applies } of iterateStyleRules()) {
+    for (const prop of rule.style) {
+      if (!prop.startsWith('--')) continue;
+      yield {
+        name: prop,
+        value: rule.style.getPropertyValue(prop).trim(),
+        selector,
+        atRules,
+        applies,
+        sheet
+      };
+    }
+  }
+}
+
 /**
  * Get all CSS custom properties defined on :root as an object
  * 
@@ -59,18 +439,14 @@ export function getRootCustomProperties() {
 }
 
 /**
- * Find all var() references in a CSS value
+ * Find all var() references in a CSS value, including those in fallbacks
+ * (`var(--a, var(--b))`)
  * 
  * @param {string} value - CSS property value
  * @returns {string[]} Array of variable names (with -- prefix)
  */
 export function extractVarReferences(value) {
-  const matches = value.match(/var\(--[^)]+\)/g);
-  if (!matches) return [];
-  
-  return matches
-    .map(v => v.match(/var\((--[^,)]+)/)?.[1])
-    .filter(Boolean);
+  return [...value.matchAll(/var\(\s*(--[^,)\s]+)/g)].map(m => m[1]);
 }
 
 /**
@@ -0,0 +1,122 @@
+/**
+ * Live token sync from disk
+ *
+ * The Vite plugin pushes `ektachrome:tokens-changed` over HMR when a token
+ * file is edited outside Ektachrome. The message is re-dispatched on
+ * `window` once Vite has applied the matching CSS update, so listeners
+ * read fresh computed values.
+ *
+ * Usage:
+ *   startTokenSync();
+ *   window.addEventListener('ektachrome:tokens-changed', (e) => {
+ *     const { file, changed, added, removed } = e.detail;
+ *   });
+ */
+
+// Longest wait for Vite's own CSS update before dispatching anyway
+const SETTLE_TIMEOUT = 300;
+
+let started = false;
+
+/**
+ * Subscribe to token changes pushed by the dev server (once per page)
+ * @returns {boolean} false when not served by Vite (no HMR channel)
+ */
+export function startTokenSync() {
+  const hot = import.meta.hot;
+  if (!hot) return false;
+  if (started) return true;
+  started = true;
+
+  hot.on('ektachrome:tokens-changed', (detail) => {
+    waitForStyleUpdate(hot).then(() => {
+      window.dispatchEvent(new CustomEvent('ektachrome:tokens-changed', { detail }));
+    });
+  });
+  return true;
+}
+
+/**
+ * Resolve after Vite's next `vite:afterUpdate`, or after SETTLE_TIMEOUT
+ * if that update already happened
+ */
+function waitForStyleUpdate(hot) {
+  return new Promise(resolve => {
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      hot.off?.('vite:afterUpdate', finish);
+      resolve();
+    };
+    hot.on('vite:afterUpdate', finish);
+    setTimeout(finish, SETTLE_TIMEOUT);
+  });
+}
+
+/**
+ * Work out which pending changes a source edit made obsolete
+ * A change is settled when the file now holds the pending value, and gone
+ * when its declaration was removed. Changes whose source moved to some
+ * other value are kept; the commit conflict check deals with those.
+ *
+ * @param {Array<{variable: string, current: string, scope?: {selector: string, atRules: string[]}}>} pending - From getPendingChanges()
+ * @param {{changed?: Array, added?: Array, removed?: Array}} detail - `ektachrome:tokens-changed` payload
+ * @returns {{settled: string[], removed: string[]}} Variable names
+ */
+export function reconcilePendingChanges(pending, detail) {
+  const updated = [...(detail.changed || []), ...(detail.added || [])];
+  const settled = [];
+  const removed = [];
+
+  for (const change of pending) {
+    const entry = findForScope(updated, change);
+    if (entry) {
+      if (normalize(entry.value) === normalize(change.current)) {
+        settled.push(change.variable);
+      }
+    } else if (findForScope(detail.removed || [], change)) {
+      removed.push(change.variable);
+    }
+  }
+
+  return { settled, removed };
+}
+
+/**
+ * Pick the token entry a pending change was made against
+ * Unscoped changes belong to :root (or to scope-less DTCG/Tailwind tokens).
+ */
+function findForScope(tokens, change) {
+  const candidates = tokens.filter(t => t.name === change.variable);
+  if (change.scope) {
+    return candidates.find(t => !t.selector || sameScope(t, change.scope));
+  }
+  return candidates.find(t => !t.selector || t.selector === ':root') || null;
+}
+
+/**
+ * Whether two scopes name the same declaration block
+ * Tolerates CSSOM reserialization (`a,b` vs `a, b`, `@MEDIA`, the implicit
+ * `&` browsers add to nested selectors).
+ * @param {{selector: string, parentSelectors?: string[], atRules?: string[]}} a
+ * @param {{selector: string, parentSelectors?: string[], atRules?: string[]}} b
+ * @returns {boolean}
+ */
+export function sameScope(a, b) {
+  const compact = s => s.replace(/\s*([,>+~():])\s*/g, '$1').replace(/\s+/g, ' ').trim();
+  const chain = scope => [...(scope.parentSelectors || []), scope.selector].map((selector, i) =>
+    compact(i > 0 && !selector.includes('&') ? `& ${selector}` : selector));
+  const selectors = chain(a);
+  const otherSelectors = chain(b);
+  const atRules = a.atRules || [];
+  const otherAtRules = b.atRules || [];
+  return selectors.length === otherSelectors.length &&
+    selectors.every((selector, i) => selector === otherSelectors[i]) &&
+    atRules.length === otherAtRules.length &&
+    atRules.every((rule, i) => compact(rule).toLowerCase() === compact(otherAtRules[i]).toLowerCase());
+}
+
+function normalize(value) {
+  return String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+}
@@ -3,10 +3,34 @@
  * Run with: node test/server-tests.mjs
  */
 
-import { readFile } from 'fs/promises';
+import { readFile, writeFile, mkdtemp, rm, readdir, mkdir } from 'fs/promises';
+import { EventEmitter } from 'events';
+import { get } from 'http';
+import { tmpdir } from 'os';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
-import { extractVariables, updateVariable, findCSSFiles } from '../server/css-parser.js';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { extractVariables, updateVariable, removeVariable, findCSSFiles, addVariable, usePropertyToken, getSyntax, extractPropertyRules, addPropertyRule, isComputationallyIndependent } from '../server/css-parser.js';
+import { createUnifiedDiff } from '../server/diff.js';
+import { extractPreprocessorVariables, findPreprocessorReference } from '../server/preprocessor.js';
+import { extractThemeTokens, updateThemeValue } from '../server/tailwind.js';
+import { renameInStylesheet, renameInScript } from '../server/rename.js';
+import { findStylesheetReferences, findScriptReferences } from '../server/references.js';
+import { colorKey } from '../server/colors.js';
+import { tokenizeValue, valueKey } from '../server/tokenize.js';
+import { scanStylesheetSources, auditProject, checkThresholds, formatMarkdown } from '../server/audit.js';
+import { renameToken, removeToken, repointToken } from '../server/design-tokens.js';
+import { editorCommand } from '../server/editor.js';
+import { isSafeValue, isSafeSelector, isPropertySyntax, validate } from '../server/validate.js';
+import { createHistory } from '../server/history.js';
+import { writeFilesAtomically } from '../server/transaction.js';
+import { indexUsages } from '../server/usages.js';
+import { extractStyleBlocks } from '../server/sfc.js';
+import { ektachromePlugin } from '../server/vite-plugin.js';
+import { createEktachromeMiddleware } from '../server/middleware.js';
+import { ektachromeExpress, ektachromeWebpack } from '../server/adapters.js';
+import { createEktachromeServer } from '../server/serve.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const FIXTURES_DIR = join(__dirname, 'fixtures');
@@ -50,6 +74,66 @@ function assertTrue(value, msg = '') {
   }
 }
 
+/**
+ * Mount the Vite plugin on a fake dev server rooted at `root`
+ * Returns a request(method, path, body) helper that resolves to { status, body };
+ * the fake server is `request.server` (HMR messages land in `server.ws.sent`)
+ */
+function createTestServer(root, options = {}) {
+  const routes = [];
+  const server = {
+    config: { root },
+    middlewares: { use: (path, handler) => routes.push({ path, handler }) },
+    watcher: new EventEmitter(),
+    ws: { sent: [], send(event, data) { this.sent.push({ event, data }); } }
+  };
+  const plugin = ektachromePlugin({ include: ['**/*.css'], ...options });
+  plugin.configureServer(server);
+  const token = plugin.transformIndexHtml()[0].attrs.content;
+
+  request.server = server;
+  return request;
+
+  function request(method, path, body, headers = { 'x-ektachrome-token': token }) {
+    return new Promise((resolve, reject) => {
+      const [pathname, query] = path.split('?');
+      const route = routes.find(r => r.path === pathname);
+      if (!route) return reject(new Error(`No route for ${path}`));
+
+      // Connect strips the mount path, leaving the query string
+      const req = new EventEmitter();
+      req.method = method;
+      req.url = query === undefined ? path : `/?${query}`;
+      req.headers = headers;
+
+      const res = {
+        statusCode: 200,
+        headers: {},
+        setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+        end(data = '') {
+          const isJSON = this.headers['content-type'] === 'application/json';
+          resolve({ status: this.statusCode, body: isJSON ? JSON.parse(data) : data });
+        }
+      };
+
+      route.handler(req, res, () => reject(new Error(`${path} called next()`)));
+      if (body !== undefined) req.emit('data', JSON.stringify(body));
+      req.emit('end');
+    });
+  }
+}
+
+/**
+ * Create a temporary project directory containing the given files
+ */
+async function createTempProject(files) {
+  const dir = await mkdtemp(join(tmpdir(), 'ektachrome-test-'));
+  for (const [name, content] of Object.entries(files)) {
+    await writeFile(join(dir, name), content, 'utf-8');
+  }
+  return dir;
+}
+
 // ============================================================================
 // extractVariables tests
 // ============================================================================
@@ -176,6 +260,139 @@ test('updateVariable: updates specific selector only', () => {
   assertTrue(!result.content.includes('oklch(0.4 0.15 250)'), '.dark should be changed');
 });
 
+// ============================================================================
+// AST parsing tests
+// ============================================================================
+
+console.log('\n--- AST parsing ---\n');
+
+test('extractVariables: handles multi-line values and several declarations per line', () => {
+  const css = `:root {
+  --a: 1px; --b: 2px;
+  --shadow:
+    0 1px 2px black,
+    0 2px 4px black;
+  --c: 3px
+}`;
+  const vars = extractVariables(css);
+
+  assertEqual(vars.map(v => v.name).join(','), '--a,--b,--shadow,--c', 'Should find all declarations');
+  assertEqual(vars[1].line, 2, '--b should be on line 2');
+  assertEqual(vars[1].column, 13, '--b should start at column 13');
+  assertEqual(vars[2].value, '0 1px 2px black,\n    0 2px 4px black', 'Multi-line value should be kept');
+  assertEqual(vars[3].value, '3px', 'Declaration without semicolon should parse');
+});
+
+test('extractVariables: ignores braces and semicolons in strings, urls and comments', () => {
+  const css = `/* :root { --fake: 1; } */
+.icon {
+  --img: url(data:image/svg+xml;utf8,<svg></svg>);
+  --label: "a; b } c";
+  --gap: /* spacing */ 4px;
+}`;
+  const vars = extractVariables(css);
+
+  assertEqual(vars.length, 3, 'Should skip commented-out declarations');
+  assertEqual(vars[0].value, 'url(data:image/svg+xml;utf8,<svg></svg>)', 'url() with semicolon');
+  assertEqual(vars[1].value, '"a; b } c"', 'String with brace');
+  assertEqual(vars[2].value, '4px', 'Comment stripped from value');
+});
+
+test('extractVariables: reports enclosing at-rules and nesting', () => {
+  const css = `@layer tokens {
+  @media (prefers-color-scheme: dark) {
+    :root { --bg: black; }
+  }
+}
+@supports (color: oklch(0 0 0)) {
+  @container card (min-width: 400px) {
+    .card { --pad: 8px; }
+  }
+}
+.card {
+  .dark & { --fg: white; }
+}`;
+  const vars = extractVariables(css);
+  const bg = vars.find(v => v.name === '--bg');
+  const pad = vars.find(v => v.name === '--pad');
+  const fg = vars.find(v => v.name === '--fg');
+
+  assertEqual(bg.atRules.join(' | '), '@layer tokens | @media (prefers-color-scheme: dark)', '--bg context');
+  assertEqual(bg.line, 3, '--bg line');
+  assertEqual(pad.atRules.join(' | '), '@supports (color: oklch(0 0 0)) | @container card (min-width: 400px)', '--pad context');
+  assertEqual(fg.selector, '.dark &', 'Nested selector');
+  assertEqual(fg.parentSelectors.join(','), '.card', 'Parent selector');
+});
+
+test('updateVariable: preserves comments and !important', () => {
+  const css = `:root {
+  /* brand */
+  --color-primary: blue !important; /* keep me */
+}`;
+  const result = updateVariable(css, '--color-primary', 'red');
+
+  assertEqual(result.previousValue, 'blue', 'Previous value excludes !important');
+  assertEqual(result.content, `:root {
+  /* brand */
+  --color-primary: red !important; /* keep me */
+}`, 'Only the value should change');
+});
+
+test('updateVariable: rewrites multi-line values in place', () => {
+  const css = `:root {
+  --shadow:
+    0 1px 2px black,
+    0 2px 4px black;
+  --after: 1px;
+}`;
+  const result = updateVariable(css, '--shadow', 'none');
+
+  assertEqual(result.content, `:root {
+  --shadow:
+    none;
+  --after: 1px;
+}`, 'Whole value should be replaced');
+});
+
+test('addVariable: appends to existing block using its indentation', () => {
+  const css = `:root {
+    --a: 1px
+}
+.card { color: red; }`;
+  const result = addVariable(css, '--b', '2px', ':root');
+
+  assertEqual(result.content, `:root {
+    --a: 1px;
+    --b: 2px;
+}
+.card { color: red; }`, 'Should terminate previous declaration and match indent');
+  assertEqual(result.line, 3, 'Should report inserted line');
+});
+
+test('addVariable: creates a block when selector is missing', () => {
+  const css = `:root {
+  --a: 1px;
+}`;
+  const result = addVariable(css, '--pad', '8px', '.card');
+
+  assertTrue(result.content.endsWith('.card {\n  --pad: 8px;\n}\n'), 'Should append new block');
+  assertEqual(result.line, 5, 'Should report inserted line');
+});
+
+test('usePropertyToken: replaces only the matching property value', () => {
+  const css = `.card {
+  padding: 16px; /* default */
+  --padding: 4px;
+}`;
+  const result = usePropertyToken(css, '.card', 'padding', '--card-padding');
+
+  assertTrue(result.changed, 'Should report changed');
+  assertEqual(result.content, `.card {
+  padding: var(--card-padding); /* default */
+  --padding: 4px;
+}`, 'Should leave custom properties and comments alone');
+});
+
 // ============================================================================
 // findCSSFiles tests
 // ============================================================================
@@ -196,6 +413,1775 @@ await asyncTest('findCSSFiles: respects exclude patterns', async () => {
   assertTrue(!files.some(f => f.includes('/test/')), 'Should exclude test directory');
 });
 
+// ============================================================================
+// createUnifiedDiff tests
+// ============================================================================
+
+console.log('\n--- createUnifiedDiff ---\n');
+
+test('createUnifiedDiff: returns empty string for identical content', () => {
+  assertEqual(createUnifiedDiff('a\nb', 'a\nb', 'tokens.css'), '');
+});
+
+test('createUnifiedDiff: produces a single hunk with context', () => {
+  const before = ['/* tokens */', ':root {', '  --a: 1px;', '  --b: 2px;', '  --c: 3px;', '}'].join('\n');
+  const after = before.replace('--b: 2px', '--b: 4px');
+
+  const diff = createUnifiedDiff(before, after, 'src/tokens.css', 1);
+  const lines = diff.split('\n');
+
+  assertEqual(lines[0], '--- a/src/tokens.css');
+  assertEqual(lines[1], '+++ b/src/tokens.css');
+  assertEqual(lines[2], '@@ -3,3 +3,3 @@', 'Hunk header should cover change plus context');
+  assertEqual(lines[3], '   --a: 1px;');
+  assertEqual(lines[4], '-  --b: 2px;');
+  assertEqual(lines[5], '+  --b: 4px;');
+  assertEqual(lines[6], '   --c: 3px;');
+});
+
+test('createUnifiedDiff: splits distant changes into separate hunks', () => {
+  const before = Array.from({ length: 20 }, (_, i) => `  --v${i}: ${i}px;`).join('\n');
+  const after = before.replace('--v1: 1px', '--v1: 10px').replace('--v18: 18px', '--v18: 180px');
+
+  const diff = createUnifiedDiff(before, after, 'tokens.css');
+  const hunkHeaders = diff.split('\n').filter(l => l.startsWith('@@'));
+
+  assertEqual(hunkHeaders.length, 2, 'Should produce two hunks');
+  assertEqual(hunkHeaders[0], '@@ -1,5 +1,5 @@');
+  assertEqual(hunkHeaders[1], '@@ -16,5 +16,5 @@');
+});
+
+test('createUnifiedDiff: handles appended lines', () => {
+  const diff = createUnifiedDiff(':root {\n}', ':root {\n}\n.card {\n  --x: 1px;\n}', 'tokens.css');
+
+  assertTrue(diff.includes('@@ -1,2 +1,5 @@'), `Unexpected hunk header in:\n${diff}`);
+  assertTrue(diff.includes('+.card {'), 'Should include added block');
+});
+
+// ============================================================================
+// Preview endpoint tests
+// ============================================================================
+
+console.log('\n--- /__ektachrome/preview ---\n');
+
+await asyncTest('preview: returns a diff and leaves the file untouched', async () => {
+  const css = ':root {\n  --color-primary: red;\n  --space-4: 16px;\n}\n';
+  const dir = await createTempProject({ 'tokens.css': css });
+  try {
+    const request = createTestServer(dir);
+    const { status, body } = await request('POST', '/__ektachrome/preview', {
+      changes: [
+        { variable: '--color-primary', value: 'blue' },
+        { variable: '--space-4', value: '20px' }
+      ]
+    });
+
+    assertEqual(status, 200);
+    assertTrue(body.success, 'Preview should succeed');
+    assertEqual(body.files.length, 1, 'Both changes land in one file');
+    assertEqual(body.files[0].file, 'tokens.css');
+    assertTrue(body.files[0].diff.includes('-  --color-primary: red;'), 'Diff should remove old value');
+    assertTrue(body.files[0].diff.includes('+  --color-primary: blue;'), 'Diff should add new value');
+    assertTrue(body.files[0].diff.includes('+  --space-4: 20px;'), 'Diff should include second change');
+
+    const onDisk = await readFile(join(dir, 'tokens.css'), 'utf-8');
+    assertEqual(onDisk, css, 'File must not be written during preview');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('preview: reports unknown variables as errors', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/preview', {
+      changes: [{ variable: '--missing', value: '2px' }]
+    });
+
+    assertTrue(!body.success, 'Preview should report failure');
+    assertEqual(body.files.length, 0);
+    assertEqual(body.errors[0].variable, '--missing');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: writes the same content that preview showed', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n  --b: 2px;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+    const changes = [{ variable: '--a', value: '3px' }, { variable: '--b', value: '4px' }];
+    const { body } = await request('POST', '/__ektachrome/commit', { changes });
+
+    assertTrue(body.success, 'Commit should succeed');
+    assertEqual(body.committed.length, 2);
+
+    const onDisk = await readFile(join(dir, 'tokens.css'), 'utf-8');
+    assertEqual(onDisk, ':root {\n  --a: 3px;\n  --b: 4px;\n}\n');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Optimistic concurrency tests
+// ============================================================================
+
+console.log('\n--- commit conflicts ---\n');
+
+await asyncTest('commit: accepts a change whose original matches the file', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a:   1px ;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--a', value: '2px', original: '1px' }]
+    });
+
+    assertTrue(body.success, 'Whitespace differences are not conflicts');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: refuses a change whose original no longer matches', async () => {
+  const css = ':root {\n  --a: 5px;\n  --b: 1px;\n}\n';
+  const dir = await createTempProject({ 'tokens.css': css });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [
+        { variable: '--a', value: '2px', original: '1px' },
+        { variable: '--b', value: '3px', original: '1px' }
+      ]
+    });
+
+    assertTrue(!body.success, 'Commit should report the conflict');
+    assertEqual(body.errors.length, 1, 'Only --a conflicts');
+
+    const { variable, conflict } = body.errors[0];
+    assertEqual(variable, '--a');
+    assertEqual(conflict.base, '1px');
+    assertEqual(conflict.ours, '2px');
+    assertEqual(conflict.theirs, '5px');
+    assertEqual(conflict.file, 'tokens.css');
+
+    const onDisk = await readFile(join(dir, 'tokens.css'), 'utf-8');
+    assertTrue(onDisk.includes('--a: 5px;'), 'Conflicting value must not be overwritten');
+    assertEqual(onDisk, css, 'The batch is all-or-nothing, so --b is not written either');
+    assertEqual(body.committed.length, 0);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('preview: surfaces conflicts before anything is written', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 5px;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/preview', {
+      changes: [{ variable: '--a', value: '2px', original: '1px' }]
+    });
+
+    assertEqual(body.files.length, 0, 'No diff for a conflicting change');
+    assertEqual(body.errors[0].conflict.theirs, '5px');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Scoped commit tests
+// ============================================================================
+
+console.log('\n--- scoped commits ---\n');
+
+const THEMED_CSS = `:root {
+  --bg: white;
+}
+.dark {
+  --bg: black;
+}
+@media (prefers-color-scheme:dark) {
+  :root {
+    --bg: #111;
+  }
+}
+@media (prefers-contrast: more) {
+  :root {
+    --bg: #000;
+  }
+}
+`;
+
+await asyncTest('commit: writes to the declaration in the change scope', async () => {
+  const dir = await createTempProject({ 'tokens.css': THEMED_CSS });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [
+        // Browsers serialize media queries with a space after the colon
+        { variable: '--bg', value: '#222', original: '#111', scope: { selector: ':root', atRules: ['@media (prefers-color-scheme: dark)'] } },
+        { variable: '--bg', value: '#0a0a0a', original: 'black', scope: { selector: '.dark', atRules: [] } }
+      ]
+    });
+
+    assertTrue(body.success, 'Both scoped changes should commit');
+    assertEqual(body.committed[0].line, 9, 'Should report the media query declaration');
+    assertEqual(body.committed[0].scope.atRules[0], '@media (prefers-color-scheme:dark)');
+
+    const onDisk = await readFile(join(dir, 'tokens.css'), 'utf-8');
+    assertTrue(onDisk.includes('--bg: white;'), ':root is untouched');
+    assertTrue(onDisk.includes('--bg: #222;'), 'Dark media block updated');
+    assertTrue(onDisk.includes('--bg: #0a0a0a;'), '.dark updated');
+    assertTrue(onDisk.includes('--bg: #000;'), 'High contrast block untouched');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: writes to a declaration in a nested rule', async () => {
+  const css = `.card {
+  --title-size: 1rem;
+  .title {
+    --title-size: 1.25rem;
+  }
+  &:hover {
+    --title-size: 1.5rem;
+  }
+}
+.title {
+  --title-size: 2rem;
+}
+`;
+  const dir = await createTempProject({ 'card.css': css });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [
+        // The browser reports nested selectors with the implicit `&` written out
+        { variable: '--title-size', value: '1.3rem', original: '1.25rem', scope: { selector: '& .title', parentSelectors: ['.card'], atRules: [] } },
+        { variable: '--title-size', value: '1.6rem', original: '1.5rem', scope: { selector: '&:hover', parentSelectors: ['.card'], atRules: [] } }
+      ]
+    });
+
+    assertTrue(body.success, `Nested scoped changes should commit: ${JSON.stringify(body.errors)}`);
+    assertEqual(JSON.stringify(body.committed[0].scope), '{"selector":".title","parentSelectors":[".card"],"atRules":[]}');
+
+    const onDisk = await readFile(join(dir, 'card.css'), 'utf-8');
+    assertTrue(onDisk.includes('--title-size: 1.3rem;'), 'Nested .title updated');
+    assertTrue(onDisk.includes('--title-size: 1.6rem;'), 'Nested &:hover updated');
+    assertTrue(onDisk.includes('--title-size: 1rem;') && onDisk.includes('--title-size: 2rem;'), '.card and top-level .title untouched');
+
+    const { body: located } = await request('POST', '/__ektachrome/locate', {
+      items: [{ variable: '--title-size', selector: '&:hover', parentSelectors: ['.card'], atRules: [] }]
+    });
+    assertEqual(located.locations[0].line, 7);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: reports a scope that has no declaration', async () => {
+  const dir = await createTempProject({ 'tokens.css': THEMED_CSS });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--bg', value: 'red', scope: { selector: '.sepia', atRules: [] } }]
+    });
+
+    assertTrue(!body.success, 'Should fail');
+    assertEqual(body.errors[0].error, 'Variable not declared in .sepia');
+
+    const onDisk = await readFile(join(dir, 'tokens.css'), 'utf-8');
+    assertEqual(onDisk, THEMED_CSS, 'Nothing should be written');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// SCSS / Less tests
+// ============================================================================
+
+console.log('\n--- SCSS / Less ---\n');
+
+test('extractVariables: parses SCSS with line comments and interpolation', () => {
+  const scss = `// Don't break on apostrophes: { ; }
+$color-blue-500: #3b82f6;
+.btn-#{$size} { padding: 0; }
+:root {
+  --color-primary: #{$color-blue-500}; // brand
+  --bg: url(http://example.com/a.png);
+}`;
+  const vars = extractVariables(scss, 'scss');
+
+  assertEqual(vars.length, 2, 'Should find both custom properties');
+  assertEqual(vars[0].value, '#{$color-blue-500}', 'Interpolation kept as value');
+  assertEqual(vars[0].line, 5, 'Line number');
+  assertEqual(vars[1].value, 'url(http://example.com/a.png)', 'url() with // is not a comment');
+});
+
+test('extractPreprocessorVariables: reads top-level SCSS and Less variables', () => {
+  const scss = extractPreprocessorVariables(`$a: 1px !default;\n.x { $local: 2px; }\n$b: $a;`, 'scss');
+  assertEqual(scss.map(v => v.name).join(','), '$a,$b', 'Local variables are skipped');
+  assertEqual(scss[0].value, '1px', '!default is not part of the value');
+  assertTrue(scss[0].isDefault, 'Should flag !default');
+
+  const less = extractPreprocessorVariables(`@import "x";\n@blue: #00f;\n@media (min-width: 1px) { a { b: c; } }`, 'less');
+  assertEqual(less.length, 1, 'Only variable declarations');
+  assertEqual(less[0].name, '@blue');
+  assertEqual(less[0].value, '#00f');
+});
+
+test('findPreprocessorReference: recognizes whole-value references', () => {
+  assertEqual(findPreprocessorReference('#{$color-blue-500}', 'scss'), '$color-blue-500');
+  assertEqual(findPreprocessorReference('$a', 'scss'), '$a');
+  assertEqual(findPreprocessorReference('@blue', 'less'), '@blue');
+  assertEqual(findPreprocessorReference('@{blue}', 'less'), '@blue');
+  assertEqual(findPreprocessorReference('darken($a, 10%)', 'scss'), null);
+  assertEqual(findPreprocessorReference('#{$a}', 'css'), null);
+});
+
+await asyncTest('commit: writes SCSS-backed custom properties to the source variable', async () => {
+  const dir = await createTempProject({
+    '_primitives.scss': '$blue-500: #3b82f6 !default;\n$brand: $blue-500;\n',
+    'theme.scss': '@use "primitives";\n:root {\n  --color-primary: #{$brand};\n}\n'
+  });
+  try {
+    const request = createTestServer(dir, { include: ['**/*.scss'] });
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--color-primary', value: '#2563eb', original: '#3b82f6' }]
+    });
+
+    assertTrue(body.success, 'Commit should succeed');
+    assertEqual(body.committed[0].file, '_primitives.scss', 'Should write the partial');
+    assertEqual(body.committed[0].source, '$blue-500', 'Should follow the alias chain');
+
+    const primitives = await readFile(join(dir, '_primitives.scss'), 'utf-8');
+    const theme = await readFile(join(dir, 'theme.scss'), 'utf-8');
+    assertEqual(primitives, '$blue-500: #2563eb !default;\n$brand: $blue-500;\n', 'Flags and aliases kept');
+    assertTrue(theme.includes('--color-primary: #{$brand};'), 'Custom property untouched');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: writes Less-backed custom properties and refuses computed ones', async () => {
+  const dir = await createTempProject({
+    'tokens.less': '@blue: #00f;\n@dark-blue: darken(@blue, 10%);\n:root {\n  --a: @blue;\n  --b: @dark-blue;\n}\n'
+  });
+  try {
+    const request = createTestServer(dir, { include: ['**/*.less'] });
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [
+        { variable: '--a', value: '#11f' },
+        { variable: '--b', value: '#00c' }
+      ]
+    });
+
+    assertEqual(body.committed.length, 0, 'Nothing is written when a change fails');
+    assertEqual(body.errors[0].variable, '--b');
+    assertTrue(body.errors[0].error.includes('computed'), 'Should explain why');
+
+    const { body: retry } = await request('POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--a', value: '#11f' }]
+    });
+    assertEqual(retry.committed.length, 1);
+    const onDisk = await readFile(join(dir, 'tokens.less'), 'utf-8');
+    assertTrue(onDisk.startsWith('@blue: #11f;\n'), 'Less variable updated');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('findCSSFiles: picks up SCSS and Less files matching include patterns', async () => {
+  const dir = await createTempProject({ 'a.css': '', 'b.scss': '', 'c.less': '', 'd.txt': '' });
+  try {
+    const all = await findCSSFiles(dir, ['*.css', '*.scss', '*.less']);
+    const cssOnly = await findCSSFiles(dir, ['**/*.css']);
+    assertEqual(all.length, 3, 'Should find all stylesheet dialects');
+    assertEqual(cssOnly.length, 1, 'Extension in pattern still filters');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// DTCG tokens file tests
+// ============================================================================
+
+console.log('\n--- DTCG tokens file ---\n');
+
+const TOKENS_JSON = `{
+  "color": {
+    "$type": "color",
+    "blue": {
+      "500": { "$value": "#3b82f6", "$description": "Brand blue" }
+    },
+    "primary": { "$value": "{color.blue.500}" }
+  },
+  "space": {
+    "4": { "$type": "dimension", "$value": { "value": 16, "unit": "px" } }
+  }
+}
+`;
+
+await asyncTest('tokens: reads tokens from the DTCG file', async () => {
+  const dir = await createTempProject({ 'tokens.json': TOKENS_JSON, 'generated.css': ':root { --color-blue-500: #3b82f6; }' });
+  try {
+    const request = createTestServer(dir, { tokensFile: 'tokens.json' });
+    const { body } = await request('GET', '/__ektachrome/tokens');
+
+    assertEqual(body.files.join(','), 'tokens.json', 'Only the tokens file is listed');
+    const primary = body.tokens.find(t => t.name === '--color-primary');
+    assertEqual(primary.value, '#3b82f6', 'Alias resolved to its value');
+    assertEqual(primary.alias, 'color.blue.500', 'Alias kept');
+    assertEqual(primary.type, 'color', 'Group $type inherited');
+    assertEqual(body.tokens.find(t => t.name === '--space-4').value, '16px', 'Dimension formatted as CSS');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: writes through aliases into the DTCG file, not generated CSS', async () => {
+  const css = ':root {\n  --color-primary: #3b82f6;\n}\n';
+  const dir = await createTempProject({ 'tokens.json': TOKENS_JSON, 'generated.css': css });
+  try {
+    const request = createTestServer(dir, { tokensFile: 'tokens.json' });
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [
+        { variable: '--color-primary', value: '#2563eb', original: '#3b82f6' },
+        { variable: '--space-4', value: '20px', original: '16px' }
+      ]
+    });
+
+    assertTrue(body.success, 'Commit should succeed');
+    assertEqual(body.committed[0].source, 'color.blue.500', 'Should report the aliased token');
+
+    const json = await readFile(join(dir, 'tokens.json'), 'utf-8');
+    assertEqual(json, TOKENS_JSON
+      .replace('"#3b82f6"', '"#2563eb"')
+      .replace('"value": 16', '"value": 20'), 'Only the values should change');
+    assertEqual(await readFile(join(dir, 'generated.css'), 'utf-8'), css, 'Generated CSS untouched');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('create-token: adds global tokens to the DTCG file', async () => {
+  const dir = await createTempProject({ 'tokens.json': TOKENS_JSON, 'generated.css': ':root {}\n' });
+  try {
+    const request = createTestServer(dir, { tokensFile: 'tokens.json' });
+    const { body } = await request('POST', '/__ektachrome/create-token', {
+      name: '--color-accent', value: 'var(--color-blue-500)', scope: ':root'
+    });
+
+    assertTrue(body.success, 'Should succeed');
+    assertEqual(body.file, 'tokens.json');
+    assertEqual(body.path, 'color.accent', 'Should join the color group');
+
+    const tokens = JSON.parse(await readFile(join(dir, 'tokens.json'), 'utf-8'));
+    assertEqual(tokens.color.accent.$value, '{color.blue.500}', 'var() reference stored as alias');
+    assertEqual(tokens.color.$type, 'color', 'Group metadata kept');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tailwind tests
+// ============================================================================
+
+console.log('\n--- Tailwind ---\n');
+
+const TAILWIND_CONFIG = `/** @type {import('tailwindcss').Config} */
+module.exports = {
+  content: ['./src/**/*.html'],
+  theme: {
+    borderRadius: { DEFAULT: '4px', lg: '8px' },
+    extend: {
+      colors: {
+        blue: { 500: '#3b82f6' },
+      },
+      spacing: { 4: "1rem" },
+      fontSize: { xl: ['1.25rem', { lineHeight: '1.75rem' }] },
+    },
+  },
+};
+`;
+
+test('extractThemeTokens: maps theme entries to v4-style variables', () => {
+  const tokens = extractThemeTokens(TAILWIND_CONFIG);
+  const names = tokens.map(t => `${t.name}=${t.value}`);
+
+  assertEqual(names.join(' '), '--radius=4px --radius-lg=8px --color-blue-500=#3b82f6 --spacing-4=1rem --text-xl=1.25rem');
+  assertEqual(tokens.find(t => t.name === '--color-blue-500').key, 'blue-500', 'Utility key');
+  assertEqual(tokens.find(t => t.name === '--color-blue-500').line, 8, 'Line of the literal');
+});
+
+test('updateThemeValue: never writes an interpolation into a template literal', () => {
+  const config = 'module.exports = { theme: { colors: { brand: `#f00` } } };\n';
+  const [token] = extractThemeTokens(config);
+  assertEqual(token.quote, '`');
+
+  const updated = updateThemeValue(config, token, 'url(${process.exit(1)})');
+  const module = { exports: null };
+  new Function('module', 'process', updated)(module, { exit: () => { throw new Error('Interpolation evaluated'); } });
+  assertEqual(module.exports.theme.colors.brand, 'url(${process.exit(1)})');
+});
+
+await asyncTest('tailwind: serves config and @theme tokens', async () => {
+  const dir = await createTempProject({
+    'tailwind.config.js': TAILWIND_CONFIG,
+    'app.css': '@import "tailwindcss";\n@theme {\n  --color-brand: #f00;\n}\n'
+  });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('GET', '/__ektachrome/tailwind');
+
+    assertEqual(body.config, 'tailwind.config.js');
+    const brand = body.tokens.find(t => t.name === '--color-brand');
+    assertEqual(brand.namespace, 'color');
+    assertEqual(brand.key, 'brand');
+    assertTrue(body.tokens.some(t => t.name === '--spacing-4' && t.file === 'tailwind.config.js'), 'Config tokens included');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: writes Tailwind theme changes to config and @theme', async () => {
+  const css = '@import "tailwindcss";\n@theme {\n  --color-brand: #f00;\n}\n';
+  const dir = await createTempProject({ 'tailwind.config.js': TAILWIND_CONFIG, 'app.css': css });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [
+        { variable: '--color-blue-500', value: '#2563eb', original: '#3b82f6' },
+        { variable: '--spacing-4', value: '1.25rem', original: '1rem' },
+        // Scope as the browser reports compiled v4 theme variables
+        { variable: '--color-brand', value: '#0f0', original: '#f00', scope: { selector: ':root, :host', atRules: ['@layer theme'] } }
+      ]
+    });
+
+    assertTrue(body.success, 'Commit should succeed');
+    const config = await readFile(join(dir, 'tailwind.config.js'), 'utf-8');
+    assertTrue(config.includes("blue: { 500: '#2563eb' },"), 'Quote style kept');
+    assertTrue(config.includes('spacing: { 4: "1.25rem" },'), 'Double quotes kept');
+    assertTrue((await readFile(join(dir, 'app.css'), 'utf-8')).includes('--color-brand: #0f0;'), '@theme updated');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Commit journal / undo tests
+// ============================================================================
+
+console.log('\n--- /__ektachrome/history + undo ---\n');
+
+await asyncTest('undo: restores the file contents from before the last commit', async () => {
+  const css = ':root {\n  --a: 1px;\n}\n';
+  const dir = await createTempProject({ 'tokens.css': css });
+  try {
+    const request = createTestServer(dir);
+    await request('POST', '/__ektachrome/commit', { changes: [{ variable: '--a', value: '2px' }] });
+
+    const { body: historyBody } = await request('GET', '/__ektachrome/history');
+    assertEqual(historyBody.entries.length, 1, 'Commit should be journaled');
+    assertEqual(historyBody.entries[0].action, 'commit');
+    assertEqual(historyBody.entries[0].variables[0], '--a');
+    assertEqual(historyBody.entries[0].files[0], 'tokens.css');
+
+    const { status, body } = await request('POST', '/__ektachrome/undo', {});
+    assertEqual(status, 200);
+    assertTrue(body.success, 'Undo should succeed');
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), css, 'Original content restored');
+
+    const { body: after } = await request('GET', '/__ektachrome/history');
+    assertEqual(after.entries.length, 0, 'Undone entry is removed from the journal');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('undo: only rolls back the most recent commit', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+    await request('POST', '/__ektachrome/commit', { changes: [{ variable: '--a', value: '2px' }] });
+    await request('POST', '/__ektachrome/commit', { changes: [{ variable: '--a', value: '3px' }] });
+
+    await request('POST', '/__ektachrome/undo', {});
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), ':root {\n  --a: 2px;\n}\n');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('undo: refuses when the file was edited after the commit', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+    await request('POST', '/__ektachrome/commit', { changes: [{ variable: '--a', value: '2px' }] });
+    await writeFile(join(dir, 'tokens.css'), ':root {\n  --a: 5px;\n}\n', 'utf-8');
+
+    const { status, body } = await request('POST', '/__ektachrome/undo', {});
+    assertEqual(status, 409);
+    assertEqual(body.conflicts[0], 'tokens.css');
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), ':root {\n  --a: 5px;\n}\n', 'File left alone');
+
+    const { body: forced } = await request('POST', '/__ektachrome/undo', { force: true });
+    assertTrue(forced.success, 'Forced undo should succeed');
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), ':root {\n  --a: 1px;\n}\n');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: succeeds with a warning when the journal cannot be written', async () => {
+  // A file where the history directory should be makes recording fail
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n', '.ektachrome': 'not a directory' });
+  try {
+    const request = createTestServer(dir);
+    const { status, body } = await request('POST', '/__ektachrome/commit', { changes: [{ variable: '--a', value: '2px' }] });
+    assertEqual(status, 200);
+    assertTrue(body.success, 'The write went through, so the commit succeeded');
+    assertTrue(body.warning.includes('undo is unavailable'), 'Says undo is unavailable');
+    assertEqual(body.historyId, undefined);
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), ':root {\n  --a: 2px;\n}\n');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('undo: reports the scopes the commit wrote to', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --bg: white;\n}\n.dark {\n  --bg: black;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+    await request('POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--bg', value: '#111', scope: { selector: '.dark', atRules: [] } }]
+    });
+
+    const { body: historyBody } = await request('GET', '/__ektachrome/history');
+    assertEqual(historyBody.entries[0].scopes[0].selector, '.dark');
+
+    const { body } = await request('POST', '/__ektachrome/undo', {});
+    assertEqual(body.undone.scopes[0].variable, '--bg');
+    assertEqual(body.undone.scopes[0].selector, '.dark', 'Client clears the live value on .dark');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('undo: rolls back create-token', async () => {
+  const css = ':root {\n  --a: 1px;\n}\n';
+  const dir = await createTempProject({ 'tokens.css': css });
+  try {
+    const request = createTestServer(dir);
+    const { body: created } = await request('POST', '/__ektachrome/create-token', {
+      name: '--b', value: '2px', scope: ':root'
+    });
+    assertTrue(created.success, 'Token should be created');
+    assertTrue((await readFile(join(dir, 'tokens.css'), 'utf-8')).includes('--b: 2px;'));
+
+    const { body } = await request('POST', '/__ektachrome/undo', {});
+    assertEqual(body.undone.action, 'create-token');
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), css);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('undo: reports when there is nothing to undo', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+    const { status, body } = await request('POST', '/__ektachrome/undo', {});
+    assertEqual(status, 404);
+    assertTrue(!body.success);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('history: keeps and undoes only the newest entries', async () => {
+  const dir = await createTempProject({ 'notes.txt': '5\n' });
+  try {
+    const history = createHistory(dir, undefined, 3);
+    for (let i = 1; i <= 5; i++) {
+      await history.record({ action: 'commit', files: [{ file: 'notes.txt', before: `${i - 1}\n`, after: `${i}\n` }] });
+    }
+    assertEqual((await readdir(join(dir, '.ektachrome/history'))).length, 3, 'Older entries are deleted');
+    assertEqual((await history.list()).length, 3);
+
+    for (let i = 0; i < 3; i++) {
+      assertTrue((await history.undoLast()).undone, `Undo ${i + 1}`);
+    }
+    assertEqual(await readFile(join(dir, 'notes.txt'), 'utf-8'), '2\n');
+    assertEqual((await history.undoLast()).undone, null, 'Pruned entries cannot be undone');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Middleware and adapters
+// ============================================================================
+
+console.log('\n--- middleware + adapters ---\n');
+
+/**
+ * Call a connect-style middleware with a fake request
+ * @returns {Promise<{status: number, body: *} | 'next'>}
+ */
+function callMiddleware(middleware, method, url, body) {
+  return new Promise(resolve => {
+    const req = new EventEmitter();
+    req.method = method;
+    req.url = url;
+    req.headers = { 'x-ektachrome-token': middleware.sessionToken };
+    if (body !== undefined && typeof body === 'object') req.body = body;
+
+    const res = {
+      statusCode: 200,
+      headers: {},
+      setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+      end(data = '') {
+        const isJSON = this.headers['content-type'] === 'application/json';
+        resolve({ status: this.statusCode, body: isJSON ? JSON.parse(data) : data });
+      }
+    };
+
+    middleware(req, res, () => resolve('next'));
+    req.emit('end');
+  });
+}
+
+await asyncTest('middleware: dispatches API paths and passes others on', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n' });
+  try {
+    const middleware = createEktachromeMiddleware({ root: dir, include: ['**/*.css'] });
+
+    const status = await callMiddleware(middleware, 'GET', '/__ektachrome/status');
+    assertTrue(status.body.connected, 'Status should report connected');
+
+    const tokens = await callMiddleware(middleware, 'GET', '/__ektachrome/tokens?fresh=1');
+    assertEqual(tokens.body.tokens[0].name, '--a', 'Query strings are ignored when routing');
+
+    assertEqual(await callMiddleware(middleware, 'GET', '/index.html'), 'next');
+    assertEqual(await callMiddleware(middleware, 'GET', '/__ektachrome/unknown'), 'next');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('express adapter: uses a body already parsed by express.json()', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n' });
+  try {
+    const middleware = ektachromeExpress({ root: dir, include: ['**/*.css'] });
+    const { body } = await callMiddleware(middleware, 'POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--a', value: '2px' }]
+    });
+
+    assertTrue(body.success, 'Commit should succeed');
+    assertTrue((await readFile(join(dir, 'tokens.css'), 'utf-8')).includes('--a: 2px;'));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+test('webpack adapter: mounts ahead of existing middlewares and chains hooks', () => {
+  let chained = false;
+  const setup = ektachromeWebpack({ root: tmpdir() }, middlewares => {
+    chained = true;
+    return middlewares;
+  });
+  const middlewares = setup([{ name: 'webpack-dev-middleware' }], {});
+
+  assertEqual(middlewares[0].name, 'ektachrome');
+  assertEqual(typeof middlewares[0].middleware, 'function');
+  assertEqual(middlewares[1].name, 'webpack-dev-middleware');
+  assertTrue(chained, 'Existing setupMiddlewares should run');
+});
+
+await asyncTest('serve: serves static files and the API from one origin', async () => {
+  const dir = await createTempProject({
+    'index.html': '<link rel="stylesheet" href="tokens.css">',
+    'tokens.css': ':root {\n  --a: 1px;\n}\n'
+  });
+  const server = createEktachromeServer({ root: dir, include: ['**/*.css'] });
+  try {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const page = await fetch(`${base}/`);
+    assertEqual(page.status, 200);
+    assertTrue(page.headers.get('content-type').startsWith('text/html'));
+    assertTrue((await page.text()).includes('tokens.css'));
+
+    const api = await (await fetch(`${base}/__ektachrome/tokens`)).json();
+    assertEqual(api.tokens[0].name, '--a');
+
+    assertEqual((await fetch(`${base}/missing.css`)).status, 404);
+    assertEqual((await fetch(`${base}/..%2f..%2fetc%2fpasswd`)).status, 403);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Token sync
+// ============================================================================
+
+console.log('\n--- token sync ---\n');
+
+await asyncTest('refreshTokens: diffs a file against the last snapshot', async () => {
+  const dir = await createTempProject({
+    'tokens.css': ':root {\n  --a: 1px;\n  --b: 2px;\n}\n.dark {\n  --a: 3px;\n}\n'
+  });
+  try {
+    const middleware = createEktachromeMiddleware({ root: dir, include: ['**/*.css'] });
+    await middleware.snapshotTokens();
+
+    await writeFile(join(dir, 'tokens.css'), ':root {\n  --a: 10px;\n  --c: 4px;\n}\n.dark {\n  --a: 3px;\n}\n');
+    const change = await middleware.refreshTokens(join(dir, 'tokens.css'));
+
+    assertEqual(change.file, 'tokens.css');
+    assertEqual(change.changed.length, 1, 'Only the :root --a changed');
+    assertEqual(change.changed[0].value, '10px');
+    assertEqual(change.changed[0].previousValue, '1px');
+    assertEqual(change.changed[0].selector, ':root');
+    assertEqual(change.added.map(t => t.name).join(), '--c');
+    assertEqual(change.removed.map(t => t.name).join(), '--b');
+
+    assertEqual(await middleware.refreshTokens(join(dir, 'tokens.css')), null, 'No change since last refresh');
+    assertEqual(await middleware.refreshTokens(join(dir, 'app.js')), null, 'Non-token files are ignored');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('refreshTokens: reports new and deleted stylesheets', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n' });
+  try {
+    const middleware = createEktachromeMiddleware({ root: dir, include: ['**/*.css'] });
+    await middleware.snapshotTokens();
+
+    await writeFile(join(dir, 'theme.css'), ':root {\n  --b: 2px;\n}\n');
+    const added = await middleware.refreshTokens(join(dir, 'theme.css'));
+    assertEqual(added.added.map(t => t.name).join(), '--b');
+
+    await rm(join(dir, 'theme.css'));
+    const removed = await middleware.refreshTokens(join(dir, 'theme.css'));
+    assertEqual(removed.removed.map(t => t.name).join(), '--b');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('vite plugin: pushes tokens-changed over HMR when a token file changes', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n' });
+  try {
+    const { server } = createTestServer(dir);
+    // Let the initial snapshot finish before editing
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    await writeFile(join(dir, 'tokens.css'), ':root {\n  --a: 2px;\n}\n');
+    server.watcher.emit('change', join(dir, 'tokens.css'));
+    for (let i = 0; i < 50 && server.ws.sent.length === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+
+    assertEqual(server.ws.sent.length, 1);
+    assertEqual(server.ws.sent[0].event, 'ektachrome:tokens-changed');
+    assertEqual(server.ws.sent[0].data.changed[0].name, '--a');
+    assertEqual(server.ws.sent[0].data.changed[0].value, '2px');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Token rename
+// ============================================================================
+
+console.log('\n--- token rename ---\n');
+
+test('renameInStylesheet: renames declarations, references and @property', () => {
+  const css = [
+    '@property --brand { syntax: "<color>"; inherits: true; initial-value: red; }',
+    ':root { --brand: red; --brand-dark: darkred; }',
+    '/* --brand stays in comments */',
+    '.a { color: var(--brand); border: 1px solid var( --brand , var(--brand-dark)); }',
+    '.b { background: var(--other, var(--brand)); }',
+    ''
+  ].join('\n');
+  const result = renameInStylesheet(css, '--brand', '--color-brand');
+
+  assertEqual(result.declarations, 2, '@property and the declaration');
+  assertEqual(result.references, 3);
+  assertTrue(result.content.includes('@property --color-brand {'));
+  assertTrue(result.content.includes(':root { --color-brand: red; --brand-dark: darkred; }'));
+  assertTrue(result.content.includes('/* --brand stays in comments */'));
+  assertTrue(result.content.includes('var( --color-brand , var(--brand-dark))'));
+  assertTrue(result.content.includes('var(--other, var(--color-brand))'));
+});
+
+test('renameInScript: replaces whole names only', () => {
+  const js = "el.style.getPropertyValue('--brand'); const s = { '--brand-dark': 1, color: 'var(--brand)' };";
+  const result = renameInScript(js, '--brand', '--color-brand');
+  assertEqual(result.references, 2);
+  assertTrue(result.content.includes("getPropertyValue('--color-brand')"));
+  assertTrue(result.content.includes("'--brand-dark': 1"));
+});
+
+test('renameToken: renames within the group and repoints aliases', () => {
+  const json = JSON.stringify({
+    color: {
+      primary: { $value: '#3b82f6' },
+      button: { $value: '{color.primary}' }
+    }
+  }, null, 2);
+  const result = renameToken(json, '--color-primary', '--color-brand');
+  const parsed = JSON.parse(result.content);
+
+  assertEqual(parsed.color.brand.$value, '#3b82f6');
+  assertEqual(parsed.color.button.$value, '{color.brand}');
+  assertEqual(result.aliases, 1);
+  assertEqual(Object.keys(parsed.color).join(), 'brand,button', 'Key order is kept');
+
+  let threw = false;
+  try {
+    renameToken(json, '--color-primary', '--brand');
+  } catch {
+    threw = true;
+  }
+  assertTrue(threw, 'Moving out of the group should throw');
+});
+
+await asyncTest('rename-token: rewrites stylesheets, scripts on request, and can be undone', async () => {
+  const dir = await createTempProject({
+    'tokens.css': ':root {\n  --brand: red;\n}\n',
+    'app.css': '.a {\n  color: var(--brand);\n}\n',
+    'app.js': "document.body.style.setProperty('--brand', 'blue');\n"
+  });
+  try {
+    const request = createTestServer(dir);
+
+    const { body: preview } = await request('POST', '/__ektachrome/rename-token', {
+      from: '--brand', to: '--color-brand', scripts: true, dryRun: true
+    });
+    assertTrue(preview.success);
+    assertEqual(preview.files.map(f => f.file).sort().join(), 'app.css,app.js,tokens.css');
+    assertTrue(preview.files.find(f => f.file === 'app.css').diff.includes('+  color: var(--color-brand);'));
+    assertEqual(await readFile(join(dir, 'app.css'), 'utf-8'), '.a {\n  color: var(--brand);\n}\n', 'Dry run writes nothing');
+
+    const { body } = await request('POST', '/__ektachrome/rename-token', { from: '--brand', to: '--color-brand' });
+    assertTrue(body.success);
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), ':root {\n  --color-brand: red;\n}\n');
+    assertEqual(await readFile(join(dir, 'app.css'), 'utf-8'), '.a {\n  color: var(--color-brand);\n}\n');
+    assertTrue((await readFile(join(dir, 'app.js'), 'utf-8')).includes("'--brand'"), 'Scripts are opt-in');
+
+    await request('POST', '/__ektachrome/undo', {});
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), ':root {\n  --brand: red;\n}\n');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('rename-token: refuses unknown tokens and taken names', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n  --b: 2px;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+
+    const missing = await request('POST', '/__ektachrome/rename-token', { from: '--nope', to: '--c' });
+    assertEqual(missing.status, 404);
+
+    const taken = await request('POST', '/__ektachrome/rename-token', { from: '--a', to: '--b' });
+    assertEqual(taken.status, 409);
+
+    const invalid = await request('POST', '/__ektachrome/rename-token', { from: '--a', to: 'c' });
+    assertEqual(invalid.status, 400);
+
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), ':root {\n  --a: 1px;\n  --b: 2px;\n}\n');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Token removal
+// ============================================================================
+
+console.log('\n--- token removal ---\n');
+
+test('removeVariable: drops declarations, their lines and @property', () => {
+  const css = "@property --gone {\n  syntax: '<color>';\n  inherits: false;\n  initial-value: red;\n}\n" +
+    ':root {\n  --keep: 1px;\n  --gone: red;\n  --a: 1; --gone: blue;\n}\n';
+  const result = removeVariable(css, '--gone');
+  assertEqual(result.removed, 2);
+  assertEqual(result.content, ':root {\n  --keep: 1px;\n  --a: 1;\n}\n');
+});
+
+test('removeToken: removes the member and its comma', () => {
+  const json = JSON.stringify({ color: { a: { $value: '#fff' }, b: { $value: '#000' } }, size: { s: { $value: '1px' } } }, null, 2);
+  assertEqual(JSON.stringify(JSON.parse(removeToken(json, '--color-a').content).color), '{"b":{"$value":"#000"}}');
+  assertEqual(JSON.stringify(JSON.parse(removeToken(json, '--color-b').content).color), '{"a":{"$value":"#fff"}}');
+  assertEqual(JSON.stringify(JSON.parse(removeToken(json, '--size-s').content).size), '{}');
+});
+
+test('findStylesheetReferences / findScriptReferences: locate uses, not declarations', () => {
+  const css = ':root {\n  --x: 1px;\n  --x-large: 2px;\n}\n.a {\n  margin: var(--x);\n}\n';
+  assertEqual(JSON.stringify(findStylesheetReferences(css, '--x')), '[{"line":6,"column":15}]');
+  const js = "const x = getComputedStyle(el).getPropertyValue('--x');\nconst y = '--x-large';\n";
+  assertEqual(findScriptReferences(js, '--x').map(r => r.line).join(), '1');
+});
+
+await asyncTest('remove-tokens: removes unreferenced tokens, skips referenced ones, and can be undone', async () => {
+  const tokensCSS = ':root {\n  --unused: red;\n  --used: blue;\n  --scripted: 4px;\n}\n';
+  const dir = await createTempProject({
+    'tokens.css': tokensCSS,
+    'app.css': '.a {\n  color: var(--used);\n}\n',
+    'app.js': "getComputedStyle(document.body).getPropertyValue('--scripted');\n"
+  });
+  try {
+    const request = createTestServer(dir);
+    const variables = ['--unused', '--used', '--scripted'];
+
+    const { body: preview } = await request('POST', '/__ektachrome/remove-tokens', { variables, dryRun: true });
+    assertTrue(preview.files[0].diff.includes('-  --unused: red;'), 'Dry run returns a diff');
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), tokensCSS);
+
+    const { body } = await request('POST', '/__ektachrome/remove-tokens', { variables });
+    assertEqual(body.success, false);
+    assertEqual(body.removed.map(r => r.variable).join(), '--unused');
+    assertEqual(body.skipped.map(s => s.variable).join(), '--used,--scripted');
+    assertEqual(JSON.stringify(body.skipped[1].references), '[{"file":"app.js","line":1}]');
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), ':root {\n  --used: blue;\n  --scripted: 4px;\n}\n');
+
+    await request('POST', '/__ektachrome/undo', {});
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), tokensCSS);
+
+    const none = await request('POST', '/__ektachrome/remove-tokens', { variables: ['--used'] });
+    assertEqual(none.status, 409);
+    const invalid = await request('POST', '/__ektachrome/remove-tokens', { variables: ['used'] });
+    assertEqual(invalid.status, 400);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('remove-tokens: ignores references from tokens removed in the same request', async () => {
+  const dir = await createTempProject({
+    'tokens.css': ':root {\n  --a: red;\n  --b: var(--a);\n  --c: blue;\n  --d: var(--c);\n}\n',
+    'app.css': '.x {\n  color: var(--d);\n}\n'
+  });
+  try {
+    const request = createTestServer(dir);
+
+    const { body } = await request('POST', '/__ektachrome/remove-tokens', { variables: ['--a', '--b', '--c', '--d'] });
+    assertEqual(body.removed.map(r => r.variable).join(), '--a,--b');
+    assertEqual(body.skipped.map(s => s.variable).join(), '--c,--d', '--c stays while --d is still used');
+    assertEqual(JSON.stringify(body.skipped[0].references), '[{"file":"tokens.css","line":5}]');
+    assertEqual(JSON.stringify(body.skipped[1].references), '[{"file":"app.css","line":2}]');
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), ':root {\n  --c: blue;\n  --d: var(--c);\n}\n');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Tokenize everywhere
+// ============================================================================
+
+console.log('\n--- tokenize ---\n');
+
+test('colorKey: equal for every spelling of a color', () => {
+  const key = colorKey('#3b82f6');
+  for (const spelling of ['#3B82F6', 'rgb(59 130 246)', 'rgba(59, 130, 246, 1)', 'hsl(217.2 91.2% 59.8%)', '#3b82f6ff']) {
+    assertEqual(colorKey(spelling), key, spelling);
+  }
+  assertEqual(colorKey('#3b82f680'), colorKey('rgb(59 130 246 / 50%)'));
+  assertEqual(colorKey('navy'), colorKey('#000080'));
+  assertEqual(colorKey('not-a-color'), null);
+});
+
+test('valueKey: compares multi-part values component by component', () => {
+  assertEqual(valueKey('0 1px 2px rgb(0 0 0 / 0.1)'), valueKey('0 1px 2px rgba(0,0,0,.1)'));
+  assertEqual(valueKey('24.0px'), valueKey('24px'));
+  assertTrue(valueKey('24px') !== valueKey('240px'), 'Different lengths differ');
+});
+
+test('tokenizeValue: replaces equivalent spellings, not var() fallbacks or urls', () => {
+  const css = ':root {\n  --color-primary: #3b82f6;\n}\n' +
+    '.a { color: #3B82F6; border: 1px solid rgb(59, 130, 246); background: url("#3b82f6.png"); }\n' +
+    '.b { color: var(--x, #3b82f6); fill: hsl(217.2 91.2% 59.8%); stroke: #3b82f680; }\n';
+  const result = tokenizeValue(css, 'rgb(59 130 246)', '--color-primary');
+  assertEqual(result.occurrences.length, 3);
+  assertEqual(result.content, ':root {\n  --color-primary: #3b82f6;\n}\n' +
+    '.a { color: var(--color-primary); border: 1px solid var(--color-primary); background: url("#3b82f6.png"); }\n' +
+    '.b { color: var(--x, #3b82f6); fill: var(--color-primary); stroke: #3b82f680; }\n');
+});
+
+await asyncTest('tokenize: creates the token and rewrites every file as one undoable change', async () => {
+  const tokensCSS = ':root {\n  --space-4: 16px;\n}\n';
+  const appCSS = '.a {\n  color: #3b82f6;\n}\n.b {\n  border-color: rgb(59 130 246);\n}\n';
+  const dir = await createTempProject({ 'tokens.css': tokensCSS, 'app.css': appCSS });
+  try {
+    const request = createTestServer(dir);
+
+    const { body: preview } = await request('POST', '/__ektachrome/tokenize', {
+      value: '#3b82f6', variable: '--color-primary', dryRun: true
+    });
+    assertEqual(preview.occurrences.length, 2);
+    assertEqual(preview.created.file, 'tokens.css');
+    assertEqual(preview.files.length, 2);
+    assertEqual(await readFile(join(dir, 'app.css'), 'utf-8'), appCSS, 'Dry run writes nothing');
+
+    const { body } = await request('POST', '/__ektachrome/tokenize', { value: '#3b82f6', variable: '--color-primary' });
+    assertEqual(body.success, true);
+    assertTrue((await readFile(join(dir, 'tokens.css'), 'utf-8')).includes('--color-primary: #3b82f6;'));
+    assertEqual(await readFile(join(dir, 'app.css'), 'utf-8'),
+      '.a {\n  color: var(--color-primary);\n}\n.b {\n  border-color: var(--color-primary);\n}\n');
+
+    const { body: history } = await request('GET', '/__ektachrome/history');
+    assertEqual(history.entries.length, 1, 'One history entry for all files');
+
+    await request('POST', '/__ektachrome/undo', {});
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), tokensCSS);
+    assertEqual(await readFile(join(dir, 'app.css'), 'utf-8'), appCSS);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('tokenize: refuses a token with a different value and unmatched values', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --space-4: 16px;\n}\n.a {\n  margin: 24px;\n}\n' });
+  try {
+    const request = createTestServer(dir);
+
+    const mismatch = await request('POST', '/__ektachrome/tokenize', { value: '24px', variable: '--space-4' });
+    assertEqual(mismatch.status, 409);
+
+    const missing = await request('POST', '/__ektachrome/tokenize', { value: '13px', variable: '--space-3' });
+    assertEqual(missing.status, 404);
+
+    const invalid = await request('POST', '/__ektachrome/tokenize', { value: '24px', variable: 'space' });
+    assertEqual(invalid.status, 400);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Headless audit
+// ============================================================================
+
+console.log('\n--- headless audit ---\n');
+
+const AUDIT_CSS = ':root {\n  --color-primary: #3b82f6;\n  --space-4: 16px;\n  --unused: 1px;\n}\n' +
+  '.a {\n  color: var(--color-primary);\n  padding: var(--space-4) 12px;\n  background: #fff url(x.png);\n  border: 1px solid rgb(0 0 0);\n}\n';
+
+test('scanStylesheetSources: collects root tokens, references and raw values', () => {
+  const scan = scanStylesheetSources([{ file: 'app.css', content: AUDIT_CSS }]);
+  assertEqual(scan.definedCount, 3);
+  assertEqual(scan.unusedVariables.join(), '--unused');
+  assertEqual(scan.rawValues.colors.map(c => c.value).join(), 'var(--color-primary),#fff,rgb(0 0 0)');
+  assertEqual(scan.rawValues.spacing.map(c => c.value).join(), 'var(--space-4),12px');
+  assertEqual(scan.rawValues.colors[1].line, 9);
+});
+
+await asyncTest('auditProject / checkThresholds: score the project and report breaches', async () => {
+  const dir = await createTempProject({ 'app.css': AUDIT_CSS });
+  try {
+    const report = await auditProject({ root: dir });
+    assertEqual(report.files.join(), 'app.css');
+    assertEqual(report.basicAnalysis.colorTokenCoverage.hardcodedColors, 2);
+    assertTrue(report.healthScore.total > 0 && report.healthScore.total < 100, 'Score is computed');
+
+    assertEqual(checkThresholds(report, { minScore: 0, maxUnused: 1 }).length, 0);
+    const failures = checkThresholds(report, { minScore: 100, minColorCoverage: 50, maxUnused: 0 });
+    assertEqual(failures.map(f => f.metric).join(), 'score,colorCoverage,unused');
+    assertTrue(formatMarkdown(report, failures).includes('## Failed thresholds'), 'Markdown lists failures');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('ektachrome audit: prints JSON and exits non-zero on breached thresholds', async () => {
+  const dir = await createTempProject({ 'app.css': AUDIT_CSS });
+  const bin = join(__dirname, '..', 'bin', 'ektachrome.js');
+  const run = promisify(execFile);
+  try {
+    const { stdout } = await run(process.execPath, [bin, 'audit', '--root', dir, '--format', 'json', '--max-unused', '1']);
+    const result = JSON.parse(stdout);
+    assertEqual(result.passed, true);
+    assertEqual(result.summary.unusedVariables, 1);
+
+    let exitCode = 0;
+    try {
+      await run(process.execPath, [bin, 'audit', '--root', dir, '--min-score', '100']);
+    } catch (e) {
+      exitCode = e.code;
+      assertTrue(e.stdout.includes('Health score'), 'Breach is reported');
+    }
+    assertEqual(exitCode, 1);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Source locations + open in editor
+// ============================================================================
+
+console.log('\n--- source locations ---\n');
+
+test('editorCommand: passes the line the way each editor expects', () => {
+  assertEqual(editorCommand('code', '/p/a.css', 4, 3).args.join(' '), '-g /p/a.css:4:3');
+  assertEqual(editorCommand('/usr/bin/nvim', '/p/a.css', 4, 3).args.join(' '), '+4 /p/a.css');
+  assertEqual(editorCommand('webstorm', '/p/a.css', 4, 3).args.join(' '), '--line 4 --column 3 /p/a.css');
+  const subl = editorCommand('subl -n', '/p/a.css', 4, 3);
+  assertEqual(`${subl.command} ${subl.args.join(' ')}`, 'subl -n /p/a.css:4:3');
+});
+
+await asyncTest('locate: maps tokens and properties to file and line, preferring scope and source', async () => {
+  const dir = await createTempProject({
+    'tokens.css': ':root {\n  --brand: blue;\n}\n\n.dark {\n  --brand: navy;\n}\n',
+    'theme.css': '.card {\n  --brand: teal;\n  color: var(--brand);\n}\n'
+  });
+  try {
+    const request = createTestServer(dir);
+    const { status, body } = await request('POST', '/__ektachrome/locate', {
+      items: [
+        { variable: '--brand' },
+        { variable: '--brand', selector: '.dark', source: `${join(dir, 'tokens.css')}?direct` },
+        { variable: '--brand', source: `http://localhost:5173/theme.css` },
+        { variable: '--brand', property: 'color', selector: '.card' },
+        { variable: '--missing' }
+      ]
+    });
+    assertEqual(status, 200);
+    assertEqual(JSON.stringify(body.locations), JSON.stringify([
+      { file: 'tokens.css', line: 2, column: 3 },
+      { file: 'tokens.css', line: 6, column: 3 },
+      { file: 'theme.css', line: 2, column: 3 },
+      { file: 'theme.css', line: 3, column: 3 },
+      null
+    ]));
+
+    const invalid = await request('POST', '/__ektachrome/locate', { items: [{ selector: ':root' }] });
+    assertEqual(invalid.status, 400);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('open: launches the editor for files inside the project only', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --brand: blue;\n}\n' });
+  try {
+    const request = createTestServer(dir, { editor: 'true' });
+
+    const { status, body } = await request('POST', '/__ektachrome/open', { file: 'tokens.css', line: 2, column: 3 });
+    assertEqual(status, 200);
+    assertEqual(body.editor, 'true');
+
+    assertEqual((await request('POST', '/__ektachrome/open', { file: '../etc/passwd' })).status, 403);
+    assertEqual((await request('POST', '/__ektachrome/open', { file: 'missing.css' })).status, 404);
+    assertEqual((await request('POST', '/__ektachrome/open', { file: 'tokens.css', line: 0 })).status, 400);
+    assertEqual((await request('GET', '/__ektachrome/open')).status, 405);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Write endpoint hardening
+// ============================================================================
+
+console.log('\n--- write endpoint hardening ---\n');
+
+test('isSafeValue: accepts values, rejects anything that leaves the declaration', () => {
+  for (const value of ['#3b82f6', 'oklch(0.6 0.2 250)', '"Inter", sans-serif', 'calc(var(--space) * 2)', '"a;b{c}"', 'url("data:image/png;base64,AAAA")']) {
+    assertTrue(isSafeValue(value), `${value} should be accepted`);
+  }
+  for (const value of ['red; } body { display:none', 'red !important', 'red /* x', 'red\n}', 'calc(1px', 'a)', '"open', '</style><script>', '${alert(1)}', '']) {
+    assertTrue(!isSafeValue(value), `${value} should be rejected`);
+  }
+  assertTrue(isSafeSelector('[data-theme="dark"] .card:hover'));
+  assertTrue(!isSafeSelector(':root { } body'));
+});
+
+test('validate: reports the first field that does not match the schema', () => {
+  const schema = {
+    changes: { type: 'array', required: true, items: { type: 'object', fields: { variable: { type: 'variable', required: true } } } },
+    dryRun: { type: 'boolean' }
+  };
+  assertEqual(validate({ changes: [{ variable: '--a' }] }, schema), null);
+  assertEqual(validate({}, schema), 'changes is required');
+  assertEqual(validate({ changes: [{ variable: 'a' }] }, schema), 'changes[0].variable must be a custom property name such as --color-primary');
+  assertEqual(validate({ changes: [], dryRun: 'yes' }, schema), 'dryRun must be true or false');
+});
+
+await asyncTest('guard: writes need the session token, a local Host and a same-origin Origin', async () => {
+  const css = ':root {\n  --a: 1px;\n}\n';
+  const dir = await createTempProject({ 'tokens.css': css });
+  try {
+    const request = createTestServer(dir);
+    const { body: status } = await request('GET', '/__ektachrome/status');
+    const token = status.token;
+    const change = { changes: [{ variable: '--a', value: '2px' }] };
+
+    assertEqual((await request('POST', '/__ektachrome/commit', change, {})).status, 403, 'No token');
+    assertEqual((await request('POST', '/__ektachrome/commit', change, { 'x-ektachrome-token': 'guess' })).status, 403, 'Wrong token');
+    assertEqual((await request('POST', '/__ektachrome/commit', change, {
+      'x-ektachrome-token': token, host: 'localhost:5173', origin: 'https://evil.example'
+    })).status, 403, 'Cross-origin');
+    assertEqual((await request('GET', '/__ektachrome/tokens', undefined, { host: 'evil.example:5173' })).status, 403, 'DNS rebinding');
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), css);
+
+    const ok = await request('POST', '/__ektachrome/commit', change, {
+      'x-ektachrome-token': token, host: 'localhost:5173', origin: 'http://localhost:5173'
+    });
+    assertEqual(ok.status, 200);
+    assertTrue((await readFile(join(dir, 'tokens.css'), 'utf-8')).includes('--a: 2px;'));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('guard: rejects oversized bodies and values that break out of the declaration', async () => {
+  const css = ':root {\n  --a: 1px;\n}\n';
+  const dir = await createTempProject({ 'tokens.css': css });
+  try {
+    const request = createTestServer(dir, { maxBodySize: 512 });
+
+    const large = await request('POST', '/__ektachrome/commit', { changes: [{ variable: '--a', value: 'x'.repeat(1000) }] });
+    assertEqual(large.status, 413);
+
+    const injected = await request('POST', '/__ektachrome/commit', { changes: [{ variable: '--a', value: 'red; } body { display:none' }] });
+    assertEqual(injected.status, 400);
+    assertTrue(injected.body.error.startsWith('changes[0].value'), injected.body.error);
+
+    const badName = await request('POST', '/__ektachrome/create-token', { name: '--x: 0; } a {', value: 'red', scope: ':root' });
+    assertEqual(badName.status, 400);
+    const badScope = await request('POST', '/__ektachrome/create-token', { name: '--x', value: 'red', scope: ':root{} body' });
+    assertEqual(badScope.status, 400);
+
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), css);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('undo: refuses history entries naming files outside the indexed sources', async () => {
+  const dir = await createTempProject({ 'tokens.css': ':root {\n  --a: 1px;\n}\n', 'notes.txt': 'keep\n' });
+  try {
+    const request = createTestServer(dir);
+    await createHistory(dir).record({ action: 'commit', files: [{ file: 'notes.txt', before: 'overwritten\n', after: 'keep\n' }] });
+
+    const { status, body } = await request('POST', '/__ektachrome/undo', {});
+    assertEqual(status, 403);
+    assertEqual(body.refused.join(), 'notes.txt');
+    assertEqual(await readFile(join(dir, 'notes.txt'), 'utf-8'), 'keep\n');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('serve: injects the session token into HTML pages', async () => {
+  const dir = await createTempProject({ 'index.html': '<html><head><title>x</title></head></html>' });
+  const server = createEktachromeServer({ root: dir });
+  try {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const html = await (await fetch(`http://127.0.0.1:${server.address().port}/`)).text();
+    const token = html.match(/<head><meta name="ektachrome-token" content="([0-9a-f]+)">/)?.[1];
+    assertTrue(token, 'Token meta tag in <head>');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('serve: refuses dotfiles and foreign Host headers', async () => {
+  const dir = await createTempProject({
+    'index.html': '<html><head></head></html>',
+    '.env': 'SECRET=1\n'
+  });
+  await mkdir(join(dir, '.ektachrome/history'), { recursive: true });
+  await writeFile(join(dir, '.ektachrome/history/1-000.json'), '{}', 'utf-8');
+  const server = createEktachromeServer({ root: dir });
+  try {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const port = server.address().port;
+    const base = `http://127.0.0.1:${port}`;
+
+    assertEqual((await fetch(`${base}/.env`)).status, 403);
+    assertEqual((await fetch(`${base}/.ektachrome/history/1-000.json`)).status, 403);
+    assertEqual((await fetch(`${base}/%2eenv`)).status, 403);
+
+    const status = await new Promise((resolve, reject) => {
+      get({ host: '127.0.0.1', port, path: '/', headers: { host: `evil.example:${port}` } }, res => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject);
+    });
+    assertEqual(status, 403, 'DNS rebinding');
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Token usage index
+// ============================================================================
+
+console.log('\n--- token usages ---\n');
+
+test('indexUsages: var() in stylesheets, SFC styles and script string literals', () => {
+  const css = ':root {\n  --a: 1px;\n  --b: var(--a);\n}\n@container style(--a: 1px) {}\n';
+  assertEqual(indexUsages(css, 'tokens.css').get('--a').map(u => u.line).join(), '3,5');
+
+  const vue = '<template><div :style="{ \'--a\': x }" /></template>\n<script>\n// --a in a comment\nconst n = i--;\n</script>\n<style lang="scss">\n.x { color: var(--a); }\n</style>\n';
+  assertEqual(indexUsages(vue, 'Card.vue').get('--a').map(u => u.line).join(), '1,7');
+
+  const tsx = 'const A = () => <div style={{ "--a": 1 }} />;\nel.style.setProperty(`--a`, v);\nconst c = count--;\n';
+  assertEqual(indexUsages(tsx, 'A.tsx').get('--a').map(u => u.line).join(), '1,2');
+  assertEqual(indexUsages(tsx, 'A.tsx').size, 1);
+});
+
+await asyncTest('usages: counts per file, and re-reads only files that changed', async () => {
+  const dir = await createTempProject({
+    'tokens.css': ':root {\n  --brand: blue;\n}\n.a { color: var(--brand); }\n',
+    'card.module.css': '.card {\n  border-color: var(--brand);\n  color: var(--brand);\n}\n',
+    'App.tsx': 'export const App = () => <div style={{ "--brand": "red" }} />;\n'
+  });
+  try {
+    const request = createTestServer(dir);
+    const { status, body } = await request('GET', '/__ektachrome/usages?variable=--brand&variable=--none');
+    assertEqual(status, 200);
+    assertEqual(body.usages[0].count, 4);
+    assertEqual(JSON.stringify(body.usages[0].files.map(f => [f.file, f.kind, f.count, f.lines.join()])),
+      '[["card.module.css","css-module",2,"2,3"],["App.tsx","script",1,"1"],["tokens.css","css",1,"4"]]');
+    assertEqual(JSON.stringify(body.usages[1]), '{"variable":"--none","count":0,"files":[]}');
+
+    await writeFile(join(dir, 'App.tsx'), 'export const App = () => null;\n', 'utf-8');
+    request.server.watcher.emit('change', join(dir, 'App.tsx'));
+    const { body: after } = await request('GET', '/__ektachrome/usages?variable=--brand');
+    assertEqual(after.usages[0].count, 3);
+
+    const { body: all } = await request('GET', '/__ektachrome/usages');
+    assertEqual(all.usages.map(u => u.variable).join(), '--brand');
+
+    assertEqual((await request('GET', '/__ektachrome/usages?variable=brand')).status, 400);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Vue and Svelte components
+// ============================================================================
+
+console.log('\n--- single-file components ---\n');
+
+const CARD_VUE = `<template>
+  <div class="card" :style="{ '--card-bg': bg }">--card-bg</div>
+</template>
+
+<script setup>
+const bg = 'var(--card-bg)';
+</script>
+
+<style scoped>
+.card {
+  --card-bg: white;
+  background: var(--card-bg);
+}
+</style>
+`;
+
+test('extractVariables: reads <style> blocks of components, with lines in the file', () => {
+  const svelte = '<h1>--x: 1</h1>\n<style lang="scss">\n// comment\n:root { --x: $y; }\n</style>\n<style lang="stylus">\n:root\n  --z 1\n</style>\n';
+  const vars = extractVariables(svelte, getSyntax('App.svelte'));
+  assertEqual(JSON.stringify(vars.map(v => [v.name, v.line, v.selector])), '[["--x",4,":root"]]');
+  assertEqual(extractVariables(CARD_VUE, 'sfc').map(v => `${v.name}:${v.line}`).join(), '--card-bg:11');
+});
+
+test('updateVariable / addVariable: edit only the style block of a component', () => {
+  const updated = updateVariable(CARD_VUE, '--card-bg', 'black', '.card', 'sfc').content;
+  assertEqual(updated, CARD_VUE.replace('--card-bg: white', '--card-bg: black'));
+
+  const added = addVariable(CARD_VUE, '--gap', '4px', '.card__body', 'sfc');
+  assertTrue(added.content.endsWith('}\n\n.card__body {\n  --gap: 4px;\n}\n</style>\n'), 'New rule goes at the end of the block');
+  assertEqual(added.line, 16);
+
+  const bare = addVariable('<div />\n', '--gap', '4px', '.x', 'sfc');
+  assertEqual(bare.content, '<div />\n\n<style>\n.x {\n  --gap: 4px;\n}\n</style>\n');
+  assertEqual(bare.line, 5);
+});
+
+test('findScriptReferences / renameInScript: skip ranges handled as CSS', () => {
+  const skip = extractStyleBlocks(CARD_VUE);
+  assertEqual(findScriptReferences(CARD_VUE, '--card-bg', skip).map(r => r.line).join(), '2,2,6');
+  const { content, references } = renameInScript(CARD_VUE, '--card-bg', '--surface', skip);
+  assertEqual(references, 3);
+  assertTrue(content.includes('  --card-bg: white;'), 'Style block untouched');
+});
+
+await asyncTest('components: tokens, commits, create-token, rename and removal', async () => {
+  const dir = await createTempProject({
+    'tokens.css': ':root {\n  --brand: blue;\n}\n',
+    'Card.vue': CARD_VUE,
+    'Badge.svelte': '<span class="badge">New</span>\n'
+  });
+  try {
+    const request = createTestServer(dir, { include: ['**/*.css', '**/*.vue', '**/*.svelte'] });
+
+    const { body: tokens } = await request('GET', '/__ektachrome/tokens');
+    const card = tokens.tokens.find(t => t.name === '--card-bg');
+    assertEqual(`${card.file}:${card.line}:${card.selector}`, 'Card.vue:11:.card');
+
+    const { body: commit } = await request('POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--card-bg', value: 'ivory' }]
+    });
+    assertTrue(commit.success, 'Commit should succeed');
+    assertEqual(await readFile(join(dir, 'Card.vue'), 'utf-8'), CARD_VUE.replace('--card-bg: white', '--card-bg: ivory'));
+
+    const { body: created } = await request('POST', '/__ektachrome/create-token', {
+      name: '--badge-bg', value: 'gold', scope: '.badge', file: 'Badge.svelte'
+    });
+    assertTrue(created.success, 'create-token should accept a component');
+    assertEqual(`${created.file}:${created.line}`, 'Badge.svelte:5');
+    const { status } = await request('POST', '/__ektachrome/create-token', {
+      name: '--x', value: '1px', scope: '.x', file: 'package.json'
+    });
+    assertEqual(status, 400);
+
+    const { body: renamed } = await request('POST', '/__ektachrome/rename-token', {
+      from: '--card-bg', to: '--surface', scripts: true
+    });
+    assertEqual(JSON.stringify(renamed.files.map(f => [f.file, f.declarations, f.references])), '[["Card.vue",1,4]]');
+    const vue = await readFile(join(dir, 'Card.vue'), 'utf-8');
+    assertEqual(vue, CARD_VUE.replaceAll('--card-bg', '--surface').replace('white', 'ivory'));
+
+    const { body: removed } = await request('POST', '/__ektachrome/remove-tokens', { variables: ['--badge-bg'] });
+    assertEqual(removed.removed.map(r => r.variable).join(), '--badge-bg', 'Its own declaration is not a reference');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// @property registrations
+// ============================================================================
+
+console.log('\n--- @property registrations ---\n');
+
+test('extractPropertyRules / addPropertyRule: read and write registrations', () => {
+  const css = '@property --gap {\n  syntax: "<length>";\n  inherits: false;\n  initial-value: 8px;\n}\n:root {\n  --gap: 4px;\n}\n';
+  assertEqual(JSON.stringify(extractPropertyRules(css)),
+    '[{"name":"--gap","syntax":"<length>","inherits":false,"initialValue":"8px","line":1,"column":1}]');
+  assertEqual(extractVariables(css).map(v => v.name).join(), '--gap', 'Descriptors are not tokens');
+
+  const added = addPropertyRule(css, '--tint', { syntax: '<color>', initialValue: 'red' });
+  assertTrue(added.content.endsWith("\n\n@property --tint {\n  syntax: '<color>';\n  inherits: true;\n  initial-value: red;\n}\n"));
+  assertEqual(added.line, 10);
+  assertEqual(addPropertyRule(css, '--gap', { syntax: '<length>', initialValue: '1px' }).content, css, 'Registered once');
+
+  assertTrue(isComputationallyIndependent('calc(2px + 1px)'));
+  assertTrue(!isComputationallyIndependent('1.5rem') && !isComputationallyIndependent('var(--a)'));
+  assertTrue(isPropertySyntax('<length> | <percentage>') && !isPropertySyntax("<length>'; } body {"));
+});
+
+await asyncTest('registrations: listed by /tokens and written by create-token', async () => {
+  const dir = await createTempProject({
+    'tokens.css': "@property --gap {\n  syntax: '<length>';\n  inherits: true;\n  initial-value: 4px;\n}\n:root {\n  --gap: 4px;\n}\n",
+    'card.css': '.card {\n  padding: 24px;\n}\n'
+  });
+  try {
+    const request = createTestServer(dir);
+    const { body: tokens } = await request('GET', '/__ektachrome/tokens');
+    assertEqual(JSON.stringify(tokens.registrations.map(r => [r.name, r.syntax, r.file, r.line])), '[["--gap","<length>","tokens.css",1]]');
+
+    const { body } = await request('POST', '/__ektachrome/create-token', {
+      name: '--card-padding', value: '24px', scope: '.card', property: 'padding', syntax: '<length>'
+    });
+    assertTrue(body.success, 'Should succeed');
+    assertEqual(await readFile(join(dir, 'card.css'), 'utf-8'),
+      ".card {\n  padding: var(--card-padding);\n  --card-padding: 24px;\n}\n\n@property --card-padding {\n  syntax: '<length>';\n  inherits: true;\n  initial-value: 24px;\n}\n");
+
+    const { status: relative } = await request('POST', '/__ektachrome/create-token', {
+      name: '--card-gap', value: '1rem', scope: '.card', syntax: '<length>'
+    });
+    assertEqual(relative, 400, 'Relative lengths cannot be initial values');
+    const { status: invalid } = await request('POST', '/__ektachrome/create-token', {
+      name: '--card-gap', value: '4px', scope: '.card', syntax: 'length'
+    });
+    assertEqual(invalid, 400);
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('create-token: declaration, property and registration are one write and one undo', async () => {
+  const css = '.card {\n  padding: 24px;\n}\n';
+  const dir = await createTempProject({ 'card.css': css });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/create-token', {
+      name: '--card-padding', value: '24px', scope: '.card', property: 'padding', syntax: '<length>'
+    });
+    assertTrue(body.success, 'Should succeed');
+
+    const { body: history } = await request('GET', '/__ektachrome/history');
+    assertEqual(history.entries.length, 1, 'One history entry');
+
+    await request('POST', '/__ektachrome/undo', {});
+    assertEqual(await readFile(join(dir, 'card.css'), 'utf-8'), css, 'All three edits rolled back together');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Atomic writes
+// ============================================================================
+
+console.log('\n--- atomic writes ---\n');
+
+await asyncTest('writeFilesAtomically: writes every file and leaves no temporary files', async () => {
+  const dir = await createTempProject({ 'a.css': 'a', 'b.css': 'b' });
+  try {
+    await writeFilesAtomically([
+      { file: join(dir, 'a.css'), content: 'A' },
+      { file: join(dir, 'b.css'), content: 'B' },
+      { file: join(dir, 'c.css'), content: 'C' }
+    ]);
+    assertEqual((await readdir(dir)).sort().join(), 'a.css,b.css,c.css');
+    assertEqual(await readFile(join(dir, 'b.css'), 'utf-8'), 'B');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('writeFilesAtomically: a failed write restores the files already replaced', async () => {
+  const dir = await createTempProject({ 'a.css': 'a', 'b.css': 'b' });
+  try {
+    await mkdir(join(dir, 'taken'));
+    await writeFile(join(dir, 'taken', 'keep.txt'), '', 'utf-8');
+
+    let error = null;
+    try {
+      await writeFilesAtomically([
+        { file: join(dir, 'a.css'), content: 'A' },
+        { file: join(dir, 'new.css'), content: 'N' },
+        { file: join(dir, 'taken'), content: 'T' }, // A directory: the rename fails
+        { file: join(dir, 'b.css'), content: 'B' }
+      ]);
+    } catch (e) {
+      error = e;
+    }
+
+    assertTrue(error !== null, 'Should throw');
+    assertEqual(error.file, join(dir, 'taken'));
+    assertEqual(await readFile(join(dir, 'a.css'), 'utf-8'), 'a', 'Replaced file restored');
+    assertEqual(await readFile(join(dir, 'b.css'), 'utf-8'), 'b', 'Later file never written');
+    assertEqual((await readdir(dir)).sort().join(), 'a.css,b.css,taken', 'Created file and temporaries removed');
+
+    const missing = join(dir, 'missing', 'x.css');
+    const staged = await writeFilesAtomically([
+      { file: join(dir, 'a.css'), content: 'A' },
+      { file: missing, content: 'X' }
+    ]).catch(e => e);
+    assertEqual(staged.file, missing);
+    assertEqual(await readFile(join(dir, 'a.css'), 'utf-8'), 'a', 'Nothing replaced when staging fails');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+// ============================================================================
+// Alias re-pointing tests
+// ============================================================================
+
+console.log('\n--- alias re-pointing ---\n');
+
+const ALIASED_TOKENS_JSON = TOKENS_JSON.replace(
+  '"500": { "$value": "#3b82f6", "$description": "Brand blue" }',
+  '"500": { "$value": "#3b82f6", "$description": "Brand blue" },\n      "600": { "$value": "#2563eb" }'
+);
+
+test('repointToken: stores a var() to another token as an alias on the token itself', () => {
+  const result = repointToken(ALIASED_TOKENS_JSON, '--color-primary', 'var(--color-blue-600)');
+  assertEqual(result.path.join('.'), 'color.primary');
+  assertEqual(result.previousValue, 'var(--color-blue-500)', 'Previous alias reported as CSS');
+  assertEqual(result.content, ALIASED_TOKENS_JSON.replace('"{color.blue.500}"', '"{color.blue.600}"'));
+
+  assertEqual(repointToken(ALIASED_TOKENS_JSON, '--color-primary', '#fff'), null, 'Literal values are not re-points');
+  assertEqual(repointToken(ALIASED_TOKENS_JSON, '--color-primary', 'var(--missing)'), null);
+  let threw = false;
+  try {
+    repointToken(ALIASED_TOKENS_JSON, '--color-blue-500', 'var(--color-primary)');
+  } catch {
+    threw = true;
+  }
+  assertTrue(threw, 'A circular alias should throw');
+});
+
+await asyncTest('commit: re-points a DTCG alias instead of overwriting the token behind it', async () => {
+  const dir = await createTempProject({ 'tokens.json': ALIASED_TOKENS_JSON, 'generated.css': ':root {}\n' });
+  try {
+    const request = createTestServer(dir, { tokensFile: 'tokens.json' });
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--color-primary', value: 'var(--color-blue-600)', original: 'var(--color-blue-500)' }]
+    });
+
+    assertTrue(body.success, 'Commit should succeed');
+    assertEqual(body.committed[0].source, 'color.primary');
+    const tokens = JSON.parse(await readFile(join(dir, 'tokens.json'), 'utf-8'));
+    assertEqual(tokens.color.primary.$value, '{color.blue.600}');
+    assertEqual(tokens.color.blue['500'].$value, '#3b82f6', 'Primitive untouched');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: a value edit based on the alias the browser saw is not a conflict', async () => {
+  const dir = await createTempProject({ 'tokens.json': ALIASED_TOKENS_JSON, 'generated.css': ':root {}\n' });
+  try {
+    const request = createTestServer(dir, { tokensFile: 'tokens.json' });
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--color-primary', value: '#1d4ed8', original: 'var(--color-blue-500)' }]
+    });
+
+    assertTrue(body.success, 'Commit should succeed');
+    const tokens = JSON.parse(await readFile(join(dir, 'tokens.json'), 'utf-8'));
+    assertEqual(tokens.color.blue['500'].$value, '#1d4ed8', 'Written through the alias');
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
+await asyncTest('commit: re-points a CSS alias', async () => {
+  const css = ':root {\n  --blue-500: #3b82f6;\n  --blue-600: #2563eb;\n  --color-primary: var(--blue-500);\n}\n';
+  const dir = await createTempProject({ 'tokens.css': css });
+  try {
+    const request = createTestServer(dir);
+    const { body } = await request('POST', '/__ektachrome/commit', {
+      changes: [{ variable: '--color-primary', value: 'var(--blue-600)', original: 'var(--blue-500)' }]
+    });
+
+    assertTrue(body.success, 'Commit should succeed');
+    assertEqual(await readFile(join(dir, 'tokens.css'), 'utf-8'), css.replace('var(--blue-500);', 'var(--blue-600);'));
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
+
 // ============================================================================
 // Summary
 // ============================================================================